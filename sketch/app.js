@@ -1,933 +1,3814 @@
+// Scratch properties set on nodes/strokes while dragging or resizing; never part of history.
+const TRANSIENT_KEYS = new Set(['dragStart', 'original', 'dragStartPoints']);
+
+// Model collections tracked item-by-item. `bulky` names a large array field that is compared
+// by identity and length instead of being re-serialised on every edit: drags replace a stroke's
+// points array and drawing only appends to a new stroke's array.
+const HISTORY_COLLECTIONS = {
+    nodes: { key: item => item.id },
+    connections: { key: item => `${item.from}->${item.to}` },
+    freehandStrokes: { key: item => item.id, bulky: 'points' },
+    locations: { key: item => item.id }
+};
+
+const HISTORY_SCALARS = ['nodeCounter', 'laneOrientation'];
+
 class StateManager {
-    constructor() {
+    constructor(options = {}) {
         this.history = [];
         this.currentIndex = -1;
-        this.maxHistorySize = 25;
+        this.maxHistorySize = options.maxHistorySize || 500;
         this.clipboard = null;
+        // Last committed model, one entry per item; patches are computed against it.
+        this.shadow = null;
     }
 
-    saveState(state) {
+    // Entries hold the patch that leads *to* them from the previous entry, so undo applies the
+    // current entry's patch backwards and redo applies the next one forwards.
+    saveState(state, label = 'Edit') {
+        if (!this.shadow) {
+            this.shadow = this.buildShadow(state);
+            this.history = [{ label, time: Date.now(), patch: null }];
+            this.currentIndex = 0;
+            this.updateUI();
+            return true;
+        }
+
+        const patch = this.diff(state);
+        if (!patch) return false;
+
         this.history = this.history.slice(0, this.currentIndex + 1);
-        this.history.push(JSON.parse(JSON.stringify(state)));
+        this.history.push({ label, time: Date.now(), patch });
         this.currentIndex++;
-        if (this.history.length > this.maxHistorySize) {
-            this.history.shift();
-            this.currentIndex--;
-        }
+        this.trimHistory();
+        this.updateUI();
+        return true;
+    }
+
+    setMaxHistorySize(size) {
+        this.maxHistorySize = Math.max(1, size);
+        this.trimHistory();
         this.updateUI();
     }
 
+    // Dropping the oldest entry makes the next one the new base, so its patch is no longer needed.
+    trimHistory() {
+        const excess = Math.min(this.history.length - this.maxHistorySize, this.currentIndex);
+        if (excess <= 0) return;
+        this.history.splice(0, excess);
+        this.history[0].patch = null;
+        this.currentIndex -= excess;
+    }
+
     undo() {
-        if (this.currentIndex > 0) {
+        if (!this.canUndo()) return null;
+        return this.jumpTo(this.currentIndex - 1);
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        return this.jumpTo(this.currentIndex + 1);
+    }
+
+    jumpTo(index) {
+        if (index < 0 || index >= this.history.length || index === this.currentIndex) return null;
+        while (this.currentIndex > index) {
+            this.applyPatch(this.history[this.currentIndex].patch, 'backward');
             this.currentIndex--;
-            this.updateUI();
-            return JSON.parse(JSON.stringify(this.history[this.currentIndex]));
         }
-        return null;
+        while (this.currentIndex < index) {
+            this.currentIndex++;
+            this.applyPatch(this.history[this.currentIndex].patch, 'forward');
+        }
+        this.updateUI();
+        return this.materialize();
+    }
+
+    serialize(item, bulky) {
+        return JSON.stringify(item, (key, value) => TRANSIENT_KEYS.has(key) || key === bulky ? undefined : value);
+    }
+
+    makeEntry(key, item, bulky, live = null) {
+        const sig = this.serialize(item, bulky);
+        const copy = JSON.parse(sig);
+        if (bulky && item[bulky]) copy[bulky] = JSON.parse(JSON.stringify(item[bulky]));
+        const entry = { key, sig, item: copy, live: null, bulk: null, bulkLength: 0 };
+        if (live) this.trackLive(entry, live, bulky);
+        return entry;
+    }
+
+    trackLive(entry, live, bulky) {
+        entry.live = live;
+        entry.bulk = bulky ? live[bulky] : null;
+        entry.bulkLength = entry.bulk ? entry.bulk.length : 0;
+    }
+
+    isUnchanged(entry, item, bulky) {
+        if (bulky) {
+            const bulk = item[bulky] || null;
+            if (bulk !== entry.bulk || (bulk ? bulk.length : 0) !== entry.bulkLength) return false;
+        }
+        return this.serialize(item, bulky) === entry.sig;
+    }
+
+    // Keys are unique per collection; repeats (e.g. duplicate connections in a hand-edited file) get a suffix.
+    keyItems(name, items) {
+        const spec = HISTORY_COLLECTIONS[name];
+        const seen = new Map();
+        return items.map((item, index) => {
+            const base = spec.key(item) || `#${index}`;
+            const count = seen.get(base) || 0;
+            seen.set(base, count + 1);
+            return count ? `${base}#${count}` : base;
+        });
+    }
+
+    buildShadow(state) {
+        const shadow = { collections: {}, scalars: {} };
+        Object.entries(HISTORY_COLLECTIONS).forEach(([name, spec]) => {
+            const items = state[name] || [];
+            const keys = this.keyItems(name, items);
+            shadow.collections[name] = items.map((item, i) => this.makeEntry(keys[i], item, spec.bulky, item));
+        });
+        HISTORY_SCALARS.forEach(name => { shadow.scalars[name] = state[name]; });
+        return shadow;
+    }
+
+    // Returns only the items that were added, removed or modified, with their positions so that
+    // ordering (and therefore drawing order) survives undo/redo. Returns null when nothing changed.
+    diff(state) {
+        const patch = { collections: {}, scalars: {} };
+        let changed = false;
+
+        Object.entries(HISTORY_COLLECTIONS).forEach(([name, spec]) => {
+            const previous = this.shadow.collections[name];
+            const items = state[name] || [];
+            const keys = this.keyItems(name, items);
+            const previousByKey = new Map(previous.map((entry, index) => [entry.key, { entry, index }]));
+            const next = [];
+            const before = [];
+            const after = [];
+
+            items.forEach((item, index) => {
+                const key = keys[index];
+                const old = previousByKey.get(key);
+                previousByKey.delete(key);
+                if (old && this.isUnchanged(old.entry, item, spec.bulky)) {
+                    if (old.entry.live !== item) this.trackLive(old.entry, item, spec.bulky);
+                    next.push(old.entry);
+                    return;
+                }
+                const entry = this.makeEntry(key, item, spec.bulky, item);
+                next.push(entry);
+                after.push({ index, key, item: entry.item });
+                if (old) before.push({ index: old.index, key, item: old.entry.item });
+            });
+            previousByKey.forEach(({ entry, index }, key) => before.push({ index, key, item: entry.item }));
+
+            if (before.length || after.length) {
+                before.sort((a, b) => a.index - b.index);
+                patch.collections[name] = { before, after };
+                changed = true;
+            }
+            this.shadow.collections[name] = next;
+        });
+
+        HISTORY_SCALARS.forEach(name => {
+            if (state[name] !== this.shadow.scalars[name]) {
+                patch.scalars[name] = [this.shadow.scalars[name], state[name]];
+                this.shadow.scalars[name] = state[name];
+                changed = true;
+            }
+        });
+
+        return changed ? patch : null;
+    }
+
+    applyPatch(patch, direction) {
+        if (!patch) return;
+        const forward = direction === 'forward';
+        Object.entries(patch.collections).forEach(([name, change]) => {
+            const spec = HISTORY_COLLECTIONS[name];
+            const remove = new Set((forward ? change.before : change.after).map(r => r.key));
+            const insert = forward ? change.after : change.before;
+            const entries = this.shadow.collections[name].filter(entry => !remove.has(entry.key));
+            insert.forEach(record => entries.splice(record.index, 0, this.makeEntry(record.key, record.item, spec.bulky)));
+            this.shadow.collections[name] = entries;
+        });
+        Object.entries(patch.scalars).forEach(([name, values]) => {
+            this.shadow.scalars[name] = forward ? values[1] : values[0];
+        });
+    }
+
+    // Builds the live model for the current entry. Items untouched since they were last seen are
+    // handed back as-is; everything else is a fresh copy of the committed item.
+    materialize() {
+        const state = {};
+        Object.entries(HISTORY_COLLECTIONS).forEach(([name, spec]) => {
+            state[name] = this.shadow.collections[name].map(entry => {
+                if (entry.live && this.isUnchanged(entry, entry.live, spec.bulky)) return entry.live;
+                const live = JSON.parse(JSON.stringify(entry.item));
+                this.trackLive(entry, live, spec.bulky);
+                return live;
+            });
+        });
+        HISTORY_SCALARS.forEach(name => { state[name] = this.shadow.scalars[name]; });
+        return state;
     }
 
     canUndo() {
         return this.currentIndex > 0;
     }
 
+    canRedo() {
+        return this.currentIndex < this.history.length - 1;
+    }
+
+    getUndoLabel() {
+        return this.canUndo() ? this.history[this.currentIndex].label : null;
+    }
+
+    getRedoLabel() {
+        return this.canRedo() ? this.history[this.currentIndex + 1].label : null;
+    }
+
     updateUI() {
         const undoBtn = document.getElementById('undoBtn');
         if (undoBtn) {
             undoBtn.disabled = !this.canUndo();
+            undoBtn.title = this.canUndo() ? `Undo: ${this.getUndoLabel()}` : 'Nothing to undo';
+        }
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) {
+            redoBtn.disabled = !this.canRedo();
+            redoBtn.title = this.canRedo() ? `Redo: ${this.getRedoLabel()}` : 'Nothing to redo';
         }
-        const historyInfo = document.getElementById('historyInfo');
-        if (historyInfo) {
-            historyInfo.textContent = `${this.history.length} states`;
+        const historyList = document.getElementById('historyList');
+        if (historyList) {
+            historyList.innerHTML = '';
+            this.history.forEach((entry, index) => {
+                const item = document.createElement('div');
+                item.className = 'history-item';
+                if (index === this.currentIndex) item.classList.add('current');
+                if (index > this.currentIndex) item.classList.add('future');
+                item.dataset.index = index;
+                item.title = new Date(entry.time).toLocaleTimeString();
+                item.textContent = entry.label;
+                historyList.appendChild(item);
+            });
+            const current = historyList.querySelector('.history-item.current');
+            if (current) current.scrollIntoView({ block: 'nearest' });
         }
     }
 
     getCurrentState() {
-        return this.currentIndex >= 0 ? this.history[this.currentIndex] : null;
+        return this.shadow ? this.materialize() : null;
     }
 }
 
-class NLPParser {
-    constructor() {
-        this.quantityMap = {
-            'one': 1, 'a': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
-            'multiple': 3, 'several': 3, 'many': 3, 'a few': 3
-        };
+class SessionStore {
+    constructor(dbName = 'scc-sessions', maxSessions = 5) {
+        this.dbName = dbName;
+        this.storeName = 'sessions';
+        this.maxSessions = maxSessions;
+        this.dbPromise = null;
+    }
 
-        this.materialKeywords = [
-            'raw material', 'raw materials', 'component', 'components', 'part', 'parts', 'ingredient', 'ingredients',
-            'finished good', 'finished goods', 'finished product', 'finished products', 'product', 'products', 'item', 'items',
-            'good', 'goods', 'inventory', 'materials', 'material',
-            'supplier', 'suppliers', 'vendor', 'vendors', 'customer', 'customers', 'store', 'stores', 'warehouse', 'warehouses',
-            'distribution center', 'dc', 'hub', 'hubs', 'depot', 'depots', 'plant'
-        ];
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = window.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.dbPromise;
+    }
 
-        this.activityKeywords = [
-            'manufacturing', 'assembly', 'processing', 'production', 'produce', 'create', 'make', 'build',
-            'distribution', 'shipping', 'delivery', 'logistics', 'transportation', 'distribute', 'ship', 'deliver',
-            'consumed in a bom', 'consumed', 'sent', 'transported', 'shipped', 'truck'
-        ];
-        
-        this.transitionWords = ['then', 'next', 'after', 'to', 'from', 'and', 'being', 'is', 'at'];
+    run(mode, action) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
     }
 
-    parseMovement(text) {
-        const fromPattern = /from ([\w\s]+?)(?=\sto\s|via\s|$)/;
-        const toPattern = /to ([\w\s]+?)(?=\sfrom\s|via\s|$)/;
-        const viaPattern = /via ([\w\s]+?)(?=\sfrom\s|to\s|$)/;
-        const materialPattern = /([\w\s]+?)(?=\sbeing sent|\sis sent|\sbeing transported|\sis transported)/;
+    // Newest first.
+    list() {
+        return this.run('readonly', store => store.getAll())
+            .then(sessions => (sessions || []).sort((a, b) => b.updatedAt - a.updatedAt));
+    }
 
-        const fromMatch = text.match(fromPattern);
-        const toMatch = text.match(toPattern);
-        let viaMatch = text.match(viaPattern);
-        let materialMatch = text.match(materialPattern);
-        
-        if (!materialMatch) {
-            materialMatch = text.match(/(a|one|two|three|multiple|several)?\s?([\w\s]+?)(?=\sfrom\s)/);
-        }
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
 
-        const source = fromMatch ? this.findKeyword(fromMatch[1].trim()) : null;
-        const destination = toMatch ? this.findKeyword(toMatch[1].trim()) : null;
-        let activity = viaMatch ? this.findKeyword(viaMatch[1].trim()) : null;
-        const material = materialMatch ? this.findKeyword(materialMatch[1].trim() || materialMatch[2].trim()) : null;
+    put(session) {
+        return this.run('readwrite', store => store.put(session)).then(() => this.prune());
+    }
 
-        if (!activity) {
-            for (const verb of ['sent', 'transported', 'shipped']) {
-                if (text.includes(verb)) {
-                    activity = { type: 'activity', label: this.capitalize(verb) };
-                    break;
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    // Drops the oldest sessions beyond the limit, walking the updatedAt index by key only.
+    prune() {
+        return this.run('readwrite', store => {
+            const count = store.count();
+            count.onsuccess = () => {
+                let excess = count.result - this.maxSessions;
+                if (excess <= 0) return;
+                const cursor = store.index('updatedAt').openKeyCursor();
+                cursor.onsuccess = () => {
+                    if (!cursor.result || excess <= 0) return;
+                    store.delete(cursor.result.primaryKey);
+                    excess--;
+                    cursor.result.continue();
+                };
+            };
+            return null;
+        });
+    }
+}
+
+// Layered (Sugiyama-style) layout: cycle breaking, longest-path layering and barycentric
+// crossing reduction. Works on plain ids so the canvas decides how layers map to coordinates.
+class LayeredLayout {
+    constructor(sweeps = 8) {
+        this.sweeps = sweeps;
+    }
+
+    // Returns a Map of id → layer index. Back edges found by DFS are ignored so cycles still layer.
+    assignLayers(ids, edges) {
+        const outgoing = new Map(ids.map(id => [id, []]));
+        edges.forEach(e => outgoing.get(e.from).push(e.to));
+
+        const state = new Map();
+        const forward = [];
+        const visit = (start) => {
+            const stack = [[start, 0]];
+            state.set(start, 'active');
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                const [id, i] = frame;
+                const next = outgoing.get(id)[i];
+                if (next === undefined) {
+                    state.set(id, 'done');
+                    stack.pop();
+                    continue;
+                }
+                frame[1]++;
+                if (state.get(next) === 'active') continue;
+                forward.push({ from: id, to: next });
+                if (!state.has(next)) {
+                    state.set(next, 'active');
+                    stack.push([next, 0]);
                 }
             }
+        };
+        ids.forEach(id => { if (!state.has(id)) visit(id); });
+
+        const incoming = new Map(ids.map(id => [id, []]));
+        const outDegree = new Map(ids.map(id => [id, 0]));
+        forward.forEach(e => {
+            incoming.get(e.to).push(e.from);
+            outDegree.set(e.from, outDegree.get(e.from) + 1);
+        });
+
+        // Longest path from the sources, processed in topological order.
+        const layers = new Map();
+        const pending = new Map(ids.map(id => [id, incoming.get(id).length]));
+        const queue = ids.filter(id => pending.get(id) === 0);
+        const successors = new Map(ids.map(id => [id, []]));
+        forward.forEach(e => successors.get(e.from).push(e.to));
+        queue.forEach(id => layers.set(id, 0));
+        while (queue.length) {
+            const id = queue.shift();
+            successors.get(id).forEach(next => {
+                layers.set(next, Math.max(layers.get(next) || 0, layers.get(id) + 1));
+                pending.set(next, pending.get(next) - 1);
+                if (pending.get(next) === 0) queue.push(next);
+            });
         }
-        
-        if (material && source && destination && activity) {
-            return [{
-                material: material.label,
-                source: source.label,
-                destination: destination.label,
-                activity: activity.label
-            }];
-        }
-        return null;
+        return layers;
     }
 
-    findKeyword(phrase) {
-        const allKeywords = [...this.materialKeywords, ...this.activityKeywords];
-        allKeywords.sort((a, b) => b.length - a.length);
+    // Reorders each column (array of ids) in place to reduce edge crossings, sweeping forwards and
+    // backwards and sorting by the mean position of neighbours in earlier/later columns.
+    orderColumns(columns, edges) {
+        const columnOf = new Map();
+        columns.forEach((column, c) => column.forEach(id => columnOf.set(id, c)));
+        const neighbours = new Map();
+        const link = (a, b) => {
+            if (!neighbours.has(a)) neighbours.set(a, []);
+            neighbours.get(a).push(b);
+        };
+        edges.forEach(e => {
+            if (!columnOf.has(e.from) || !columnOf.has(e.to)) return;
+            link(e.from, e.to);
+            link(e.to, e.from);
+        });
 
-        for (const keyword of allKeywords) {
-            if (phrase.includes(keyword)) {
-                const type = this.activityKeywords.includes(keyword) ? 'activity' : 'material';
-                return { type, label: this.capitalize(keyword) };
+        const position = new Map();
+        const index = () => columns.forEach(column => column.forEach((id, i) => position.set(id, column.length > 1 ? i / (column.length - 1) : 0.5)));
+        index();
+
+        let best = columns.map(column => [...column]);
+        let bestCrossings = this.countCrossings(columns, edges, columnOf);
+        for (let sweep = 0; sweep < this.sweeps && bestCrossings > 0; sweep++) {
+            const downward = sweep % 2 === 0;
+            const order = columns.map((_, c) => c);
+            if (!downward) order.reverse();
+            order.forEach(c => {
+                const column = columns[c];
+                const barycenter = new Map();
+                column.forEach(id => {
+                    const related = (neighbours.get(id) || []).filter(n => downward ? columnOf.get(n) < c : columnOf.get(n) > c);
+                    barycenter.set(id, related.length
+                        ? related.reduce((sum, n) => sum + position.get(n), 0) / related.length
+                        : position.get(id));
+                });
+                column.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+                column.forEach((id, i) => position.set(id, column.length > 1 ? i / (column.length - 1) : 0.5));
+            });
+            const crossings = this.countCrossings(columns, edges, columnOf);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = columns.map(column => [...column]);
             }
         }
-        return { type: 'material', label: this.capitalize(phrase) };
+        best.forEach((column, c) => { columns[c] = column; });
+        return bestCrossings;
     }
 
-    parse(text) {
-        const movementSteps = this.parseMovement(text.toLowerCase());
-        if (movementSteps) {
-            return movementSteps;
+    countCrossings(columns, edges, columnOf) {
+        const position = new Map();
+        columns.forEach(column => column.forEach((id, i) => position.set(id, column.length > 1 ? i / (column.length - 1) : 0.5)));
+        const segments = edges
+            .filter(e => columnOf.has(e.from) && columnOf.has(e.to) && columnOf.get(e.from) !== columnOf.get(e.to))
+            .map(e => {
+                const [a, b] = columnOf.get(e.from) < columnOf.get(e.to) ? [e.from, e.to] : [e.to, e.from];
+                return { c1: columnOf.get(a), c2: columnOf.get(b), p1: position.get(a), p2: position.get(b) };
+            });
+        let crossings = 0;
+        for (let i = 0; i < segments.length; i++) {
+            for (let j = i + 1; j < segments.length; j++) {
+                const s = segments[i], t = segments[j];
+                const start = Math.max(s.c1, t.c1), end = Math.min(s.c2, t.c2);
+                if (start >= end) continue;
+                const at = (seg, c) => seg.p1 + (seg.p2 - seg.p1) * (c - seg.c1) / (seg.c2 - seg.c1);
+                if ((at(s, start) - at(t, start)) * (at(s, end) - at(t, end)) < 0) crossings++;
+            }
         }
-        return this.tokenize(text);
+        return crossings;
     }
+}
 
-    tokenize(text) {
-        const words = text.toLowerCase().replace(/,/g, '').split(/\s+/);
-        const tokens = [];
-        let i = 0;
-
-        while (i < words.length) {
-            let quantity = 1;
-            if (this.quantityMap[words[i]] || !isNaN(parseInt(words[i]))) {
-                quantity = this.quantityMap[words[i]] || parseInt(words[i]);
-                i++;
-                if (i >= words.length) break;
-            }
+// Orthogonal connector routing on a sparse grid built from obstacle edges. A* over
+// (point, heading) states with a bend penalty keeps routes short and with few elbows.
+class ConnectorRouter {
+    constructor(margin = 10, bendPenalty = 40) {
+        this.margin = margin;
+        this.bendPenalty = bendPenalty;
+    }
 
-            let foundKeyword = false;
-            const allKeywords = [...this.materialKeywords, ...this.activityKeywords];
-            allKeywords.sort((a, b) => b.split(' ').length - a.split(' ').length);
+    // start/end are {x, y, dir} where dir is the unit heading ({dx, dy}) leaving the source
+    // and entering the target. Obstacles are {x1, y1, x2, y2} boxes. Returns a point list or null.
+    route(start, end, obstacles) {
+        const m = this.margin;
+        const boxes = obstacles.map(o => ({ x1: o.x1 - m, y1: o.y1 - m, x2: o.x2 + m, y2: o.y2 + m }));
+        const xs = new Set([start.x, end.x, (start.x + end.x) / 2]);
+        const ys = new Set([start.y, end.y, (start.y + end.y) / 2]);
+        boxes.forEach(b => { xs.add(b.x1); xs.add(b.x2); ys.add(b.y1); ys.add(b.y2); });
+        const minX = Math.min(...xs) - m, maxX = Math.max(...xs) + m;
+        const minY = Math.min(...ys) - m, maxY = Math.max(...ys) + m;
+        [minX, maxX].forEach(x => xs.add(x));
+        [minY, maxY].forEach(y => ys.add(y));
+        const gx = [...xs].sort((a, b) => a - b);
+        const gy = [...ys].sort((a, b) => a - b);
+
+        const inside = (x, y) => boxes.some(b => x > b.x1 && x < b.x2 && y > b.y1 && y < b.y2);
+        const blocked = (ax, ay, bx, by) => boxes.some(b => {
+            if (ax === bx) return ax > b.x1 && ax < b.x2 && Math.max(ay, by) > b.y1 && Math.min(ay, by) < b.y2;
+            return ay > b.y1 && ay < b.y2 && Math.max(ax, bx) > b.x1 && Math.min(ax, bx) < b.x2;
+        });
 
-            for (const keyword of allKeywords) {
-                const keywordParts = keyword.split(' ');
-                if (words.slice(i, i + keywordParts.length).join(' ') === keyword) {
-                    const type = this.activityKeywords.includes(keyword) ? 'activity' : 'material';
-                    tokens.push({ type, label: this.capitalize(keyword), quantity });
-                    i += keywordParts.length;
-                    foundKeyword = true;
-                    break;
+        const si = gx.indexOf(start.x), sj = gy.indexOf(start.y);
+        const ei = gx.indexOf(end.x), ej = gy.indexOf(end.y);
+        const dirs = [{ dx: 1, dy: 0 }, { dx: -1, dy: 0 }, { dx: 0, dy: 1 }, { dx: 0, dy: -1 }];
+        const dirIndex = d => dirs.findIndex(o => o.dx === Math.sign(d.dx) && o.dy === Math.sign(d.dy));
+        const key = (i, j, d) => (j * gx.length + i) * 4 + d;
+        const heuristic = (i, j) => Math.abs(gx[i] - end.x) + Math.abs(gy[j] - end.y);
+
+        const startDir = dirIndex(start.dir);
+        const endDir = dirIndex(end.dir);
+        const open = [{ i: si, j: sj, d: startDir, g: 0, f: heuristic(si, sj) }];
+        const best = new Map([[key(si, sj, startDir), 0]]);
+        const parent = new Map();
+
+        while (open.length) {
+            let bestIndex = 0;
+            for (let k = 1; k < open.length; k++) if (open[k].f < open[bestIndex].f) bestIndex = k;
+            const current = open.splice(bestIndex, 1)[0];
+            const currentKey = key(current.i, current.j, current.d);
+            if (current.g > best.get(currentKey)) continue;
+            if (current.i === ei && current.j === ej) {
+                const points = [];
+                let k = currentKey;
+                while (k !== undefined) {
+                    const cell = Math.floor(k / 4);
+                    points.unshift({ x: gx[cell % gx.length], y: gy[Math.floor(cell / gx.length)] });
+                    k = parent.get(k);
                 }
+                return points;
             }
-            
-            if (!foundKeyword) {
-                i++;
-            }
+            dirs.forEach((dir, d) => {
+                if (dir.dx === -dirs[current.d].dx && dir.dy === -dirs[current.d].dy) return;
+                const ni = current.i + dir.dx, nj = current.j + dir.dy;
+                if (ni < 0 || nj < 0 || ni >= gx.length || nj >= gy.length) return;
+                const isEnd = ni === ei && nj === ej;
+                if (!isEnd && inside(gx[ni], gy[nj])) return;
+                if (blocked(gx[current.i], gy[current.j], gx[ni], gy[nj])) return;
+                let g = current.g + Math.abs(gx[ni] - gx[current.i]) + Math.abs(gy[nj] - gy[current.j]);
+                if (d !== current.d) g += this.bendPenalty;
+                // Arriving along the target's edge or from behind it reads as a wrong-way arrow.
+                if (isEnd && d !== endDir) g += this.bendPenalty * 25;
+                const nextKey = key(ni, nj, d);
+                if (best.has(nextKey) && best.get(nextKey) <= g) return;
+                best.set(nextKey, g);
+                parent.set(nextKey, currentKey);
+                open.push({ i: ni, j: nj, d, g, f: g + heuristic(ni, nj) });
+            });
         }
-        return tokens;
+        return null;
     }
-    
-    capitalize(s) {
-        if (!s) return '';
-        return s.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+    // Drops points that sit on a straight run between their neighbours.
+    simplify(points) {
+        return points.filter((p, i) => {
+            if (i === 0 || i === points.length - 1) return true;
+            const a = points[i - 1], b = points[i + 1];
+            return !((a.x === p.x && p.x === b.x) || (a.y === p.y && p.y === b.y));
+        });
     }
 }
 
+// Seeded day-by-day flow simulation under a base-stock policy: each material is replenished up
+// to its starting inventory plus its expected requirement over the replenishment time, plus
+// whatever its customers or consumers are short of. Daily demand is Poisson around each
+// material's demand. Materials nobody produces and that have no starting inventory are
+// unlimited supplies. Works on a plain model so the canvas only plays it back.
+class FlowSimulation {
+    constructor(model, { seed = 1, days = 30 } = {}) {
+        this.model = model;
+        this.seed = seed;
+        this.days = days;
+    }
 
-class SupplyChainCanvas {
-    constructor() {
-        this.canvas = document.getElementById('canvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.nodes = [];
-        this.connections = [];
-        this.selectedNodes = [];
-        this.selectedStrokes = []; // New: Track selected strokes
-        this.hoveredNode = null;
-        this.currentTool = 'select';
-        this.isDraggingElement = false;
-        this.isSelecting = false;
-        this.selectionRect = null;
-        this.dragOffset = { x: 0, y: 0 };
-        this.connectingFrom = null;
-        this.nodeCounter = 0;
-        this.contextMenuNode = null;
-        this.contextMenuConnection = null;
-        this.selectedConnection = null;
-        this.editingNode = null;
-        this.editingConnection = null;
-        this.draggedToolType = null;
-        this.mousePos = { x: 0, y: 0 };
-        this.copySettings = {
-            padding: 20,
-            backgroundColor: '#FFFFFF'
+    // mulberry32: small, fast and good enough for demand draws.
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
         };
-        // Freehand drawing state
-        this.freehandStrokes = [];
-        this._currentStroke = null;
-        this.penThickness = 4;
-        this.penColor = null;
-
-        this.strokesCanvas = document.createElement('canvas');
-        this.strokesCtx = this.strokesCanvas.getContext('2d');
+    }
 
-        this.camera = { x: 0, y: 0, zoom: 1 };
-        this.isPanning = false;
-        this.panStart = { x: 0, y: 0 };
-        this.isCtrlPressed = false;
-        this.isResizing = false;
-        this.resizeHandle = null;
-        this.selectionBounds = null;
-        this.stateManager = new StateManager();
-        this.nlpParser = new NLPParser();
-        this.isRendering = false;
+    // Knuth's method for small means, a rounded normal approximation above 30.
+    static poisson(mean, random) {
+        if (mean <= 0) return 0;
+        if (mean > 30) {
+            const u = 1 - random(), v = random();
+            return Math.max(0, Math.round(mean + Math.sqrt(mean) * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)));
+        }
+        const limit = Math.exp(-mean);
+        let count = 0, product = random();
+        while (product > limit) {
+            count++;
+            product *= random();
+        }
+        return count;
+    }
 
-        this.sampleData = {
-            nodes: [
-                {id: "m1", type: "material", label: "RM1, Plant", x: 100, y: 150, shape: "triangle"},
-                {id: "a1", type: "activity", label: "BOM", x: 250, y: 150, shape: "circle"},
-                {id: "m2", type: "material", label: "FG1, Plant", x: 400, y: 150, shape: "triangle"},
-                {id: "a2", type: "activity", label: "Distribution", x: 550, y: 150, shape: "circle"},
-                {id: "m3", type: "material", label: "FG1, DC", x: 700, y: 150, shape: "triangle"}
-            ],
-            connections: [
-                {from: "m1", to: "a1"}, {from: "a1", to: "m2"}, {from: "m2", to: "a2"}, {from: "a2", to: "m3"}
-            ]
+    // Activities whose outputs nobody consumes plan first, then their suppliers, so each activity
+    // knows what its consumers were short of before it plans.
+    planningOrder() {
+        const consumers = new Map();
+        this.model.activities.forEach(activity => activity.inputs.forEach(input => {
+            if (!consumers.has(input.materialId)) consumers.set(input.materialId, []);
+            consumers.get(input.materialId).push(activity);
+        }));
+        const depth = new Map(), visiting = new Set();
+        const depthOf = activity => {
+            if (depth.has(activity.id)) return depth.get(activity.id);
+            if (visiting.has(activity.id)) return 0;
+            visiting.add(activity.id);
+            const value = activity.outputs.reduce((max, output) =>
+                Math.max(max, ...(consumers.get(output.materialId) || []).map(consumer => depthOf(consumer) + 1)), 0);
+            visiting.delete(activity.id);
+            depth.set(activity.id, value);
+            return value;
         };
+        return [...this.model.activities].sort((a, b) => depthOf(a) - depthOf(b));
+    }
 
-        this.initEventListeners();
-        this.setupDragAndDrop();
-        this.initTheme();
-        this.updateDebugInfo();
-        this.saveInitialState();
-        this.queueRender();
+    // Returns one snapshot per day (day 0 is the starting state) and every job started, with the
+    // quantities it consumed and the day each output arrives.
+    run() {
+        const EPS = 1e-9;
+        const { materials } = this.model;
+        const random = FlowSimulation.random(this.seed);
+        const byId = new Map(materials.map(m => [m.id, m]));
+        const stock = new Map(materials.map(m => [m.id, m.unlimited ? Infinity : m.initialStock]));
+        const backlog = new Map(materials.map(m => [m.id, 0]));
+        const pipeline = new Map(materials.map(m => [m.id, 0]));
+        const order = this.planningOrder();
+        const jobs = [];
+        const snapshot = (day, events) => ({ day, stock: new Map(stock), backlog: new Map(backlog), pipeline: new Map(pipeline), ...events });
+        const snapshots = [snapshot(0, { demand: new Map(), served: new Map(), started: new Map() })];
+        const needOf = (material, shortfall) => Math.max(0, material.initialStock + material.requirement * material.replenishDays + backlog.get(material.id)
+            + (shortfall.get(material.id) || 0) - stock.get(material.id) - pipeline.get(material.id));
+        const add = (map, id, value) => map.set(id, (map.get(id) || 0) + value);
+
+        for (let day = 1; day <= this.days; day++) {
+            const demand = new Map(), served = new Map(), started = new Map(), shortfall = new Map();
+            jobs.forEach(job => job.outputs.forEach(output => {
+                if (output.arrival !== day) return;
+                add(stock, output.materialId, output.quantity);
+                add(pipeline, output.materialId, -output.quantity);
+            }));
+
+            materials.forEach(material => {
+                if (material.demand <= 0) return;
+                const drawn = FlowSimulation.poisson(material.demand, random);
+                const open = backlog.get(material.id) + drawn;
+                const shipped = Math.min(stock.get(material.id), open);
+                stock.set(material.id, stock.get(material.id) - shipped);
+                backlog.set(material.id, open - shipped);
+                demand.set(material.id, drawn);
+                served.set(material.id, shipped);
+            });
 
-        document.addEventListener('mouseup', (e) => {
-            if (this.isPanning) {
-                this.isPanning = false;
-                if (this.currentTool === 'pan') {
-                    this.setTool('select');
+            order.forEach(activity => {
+                const needs = activity.outputs.map(output => {
+                    const material = byId.get(output.materialId);
+                    return needOf(material, shortfall) / Math.max(1, material.producers) / output.yieldQty;
+                });
+                const wanted = Math.min(activity.capacity,
+                    activity.sourcing ? needs.reduce((sum, need) => sum + need, 0) : Math.max(0, ...needs));
+                if (wanted <= EPS) return;
+
+                let quantity = wanted;
+                let consumed;
+                if (activity.sourcing) {
+                    quantity = activity.inputs.length === 0 ? wanted : 0;
+                    consumed = activity.inputs.map(input => {
+                        const want = wanted * input.share * input.perRun;
+                        const take = Math.min(stock.get(input.materialId), want);
+                        add(shortfall, input.materialId, want - take);
+                        quantity += input.perRun > 0 ? take / input.perRun : wanted * input.share;
+                        return take;
+                    });
+                } else {
+                    activity.inputs.forEach(input => {
+                        if (input.perRun > 0) quantity = Math.min(quantity, stock.get(input.materialId) / input.perRun);
+                    });
+                    consumed = activity.inputs.map(input => {
+                        add(shortfall, input.materialId, (wanted - quantity) * input.perRun);
+                        return quantity * input.perRun;
+                    });
                 }
-            }
-            if (this.isDraggingElement) {
-                this.isDraggingElement = false;
-                this.updateDragStatus('Ready');
-            }
-            if (this.isResizing) {
-                this.isResizing = false;
-            }
-            this.updateCanvasCursor();
-        });
+                if (quantity <= EPS) return;
+                activity.inputs.forEach((input, i) => add(stock, input.materialId, -consumed[i]));
+
+                const totalNeed = needs.reduce((sum, need) => sum + need, 0);
+                const outputs = activity.outputs.map((output, i) => {
+                    const material = byId.get(output.materialId);
+                    const share = activity.sourcing ? (totalNeed > 0 ? needs[i] / totalNeed : 0) : 1;
+                    const amount = quantity * share * output.yieldQty;
+                    add(pipeline, material.id, amount);
+                    return { materialId: material.id, quantity: amount, arrival: day + Math.max(1, Math.ceil(activity.duration + material.leadTime)) };
+                });
+                jobs.push({ activityId: activity.id, start: day, quantity, inputs: consumed, outputs });
+                started.set(activity.id, quantity);
+            });
+
+            materials.forEach(material => {
+                if (material.producers > 0 || material.unlimited) return;
+                const need = needOf(material, shortfall);
+                if (need <= EPS) return;
+                add(pipeline, material.id, need);
+                jobs.push({ activityId: null, start: day, quantity: need, inputs: [], outputs: [{ materialId: material.id, quantity: need, arrival: day + Math.max(1, Math.ceil(material.leadTime)) }] });
+            });
+            snapshots.push(snapshot(day, { demand, served, started }));
+        }
+
+        const peak = new Map(materials.map(m => [m.id, Math.max(0, ...snapshots.map(snap => snap.stock.get(m.id)).filter(Number.isFinite))]));
+        return { days: this.days, seed: this.seed, snapshots, jobs, peak };
     }
 
-    saveInitialState() {
-        this.stateManager.saveState({
-            nodes: this.nodes,
-            connections: this.connections,
-            nodeCounter: this.nodeCounter,
-            freehandStrokes: this.freehandStrokes
+    // One row per node and day, for the CSV log.
+    static logRows(model, result) {
+        const round = value => Math.round(value * 10000) / 10000;
+        const rows = [['day', 'node', 'type', 'inventory', 'backlog', 'in_transit', 'demand', 'served', 'started']];
+        result.snapshots.forEach(snap => {
+            model.materials.forEach(m => {
+                const stock = snap.stock.get(m.id);
+                rows.push([snap.day, m.label, 'material', Number.isFinite(stock) ? round(stock) : 'unlimited', round(snap.backlog.get(m.id)),
+                    round(snap.pipeline.get(m.id)), snap.demand.has(m.id) ? snap.demand.get(m.id) : '', snap.served.has(m.id) ? round(snap.served.get(m.id)) : '', '']);
+            });
+            model.activities.forEach(a => {
+                rows.push([snap.day, a.label, 'activity', '', '', '', '', '', round(snap.started.get(a.id) || 0)]);
+            });
         });
+        return rows;
     }
+}
 
-    saveState() {
-        this.stateManager.saveState({
-            nodes: this.nodes,
-            connections: this.connections,
-            nodeCounter: this.nodeCounter,
-            freehandStrokes: this.freehandStrokes
-        });
+// Canvas 2D state shared by the recording contexts below: the save/restore stack, the current
+// transform and rectangles built from path calls. Subclasses emit the paths and text.
+class RecordingCanvasContext {
+    constructor(measureCtx, matrix = [1, 0, 0, 1, 0, 0]) {
+        this.measureCtx = measureCtx;
+        this.stack = [];
+        this.matrix = matrix;
+        this.path = '';
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.lineDash = [];
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
     }
 
-    getMousePos(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const screenX = event.clientX - rect.left;
-        const screenY = event.clientY - rect.top;
-        return {
-            x: (screenX - this.camera.x) / this.camera.zoom,
-            y: (screenY - this.camera.y) / this.camera.zoom
-        };
+    save() {
+        const { matrix, fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, lineDash, globalAlpha, font, textAlign, textBaseline } = this;
+        this.stack.push({ matrix: [...matrix], fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, lineDash, globalAlpha, font, textAlign, textBaseline });
     }
 
-    updateDebugInfo() {
-        document.getElementById('canvasSize').textContent = `${this.canvas.width}×${this.canvas.height}`;
-        this.canvas.addEventListener('mousemove', (e) => {
-            const pos = this.getMousePos(e);
-            this.mousePos = pos;
-            document.getElementById('mouseCoords').textContent = `${Math.round(pos.x)}, ${Math.round(pos.y)}`;
-        });
-        this.canvas.addEventListener('mouseleave', () => {
-            document.getElementById('mouseCoords').textContent = '-';
-            this.hoveredNode = null;
-            this.queueRender();
-        });
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
     }
 
-    setupDragAndDrop() {
-        ['material', 'activity', 'textbox'].forEach(toolType => {
-            const toolBtn = document.getElementById(`${toolType}Tool`);
-            toolBtn.addEventListener('click', (e) => e.preventDefault());
-            toolBtn.addEventListener('dragstart', (e) => {
-                this.draggedToolType = toolType;
-                e.dataTransfer.effectAllowed = 'copy';
-                e.dataTransfer.setData('application/json', JSON.stringify({ type: toolType, label: this.getDefaultLabel(toolType) }));
-                this.showStatus(`Dragging ${toolType}. Drop on canvas to create.`, 'info');
-            });
-            toolBtn.addEventListener('dragend', () => {
-                this.draggedToolType = null;
-                this.canvas.parentElement.parentElement.classList.remove('drag-over');
-            });
-        });
+    transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = this.matrix;
+        this.matrix = [m0 * a + m2 * b, m1 * a + m3 * b, m0 * c + m2 * d, m1 * c + m3 * d, m0 * e + m2 * f + m4, m1 * e + m3 * f + m5];
+    }
 
-        this.canvas.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            e.dataTransfer.dropEffect = 'copy';
-            this.canvas.parentElement.parentElement.classList.add('drag-over');
-        });
+    translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+    scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+    rotate(angle) { this.transform(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0); }
+    setLineDash(segments) { this.lineDash = [...segments]; }
 
-        this.canvas.addEventListener('dragleave', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            if (e.clientX < rect.left || e.clientX > rect.right || e.clientY < rect.top || e.clientY > rect.bottom) {
-                this.canvas.parentElement.parentElement.classList.remove('drag-over');
-            }
-        });
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return `${this.num(a * x + c * y + e)} ${this.num(b * x + d * y + f)}`;
+    }
 
-        this.canvas.addEventListener('drop', (e) => {
-            e.preventDefault();
-            this.canvas.parentElement.parentElement.classList.remove('drag-over');
-            if (this.draggedToolType) {
-                const pos = this.getMousePos(e);
-                this.saveState();
-                const newNode = this.addNode(this.draggedToolType, pos.x, pos.y);
-                this.draggedToolType = null;
-                this.showStatus(`Created ${newNode.label}`, 'success');
-            }
-        });
+    num(value) {
+        return String(Math.round(value * 100) / 100);
     }
 
-    getDefaultLabel(type) {
-        const labels = { material: `Material ${this.nodeCounter + 1}`, activity: `Activity ${this.nodeCounter + 1}`, textbox: 'Click to edit text' };
-        return labels[type];
+    getScale() {
+        const [a, b] = this.matrix;
+        return Math.hypot(a, b);
     }
 
-    initEventListeners() {
-        const themeBtn = document.getElementById('themeToggleBtn');
-        if (themeBtn) themeBtn.addEventListener('click', () => this.toggleTheme());
+    beginPath() { this.path = ''; }
 
-        // New Select Tool Button Listener
-        const selectToolEl = document.getElementById('selectTool');
-        if (selectToolEl) selectToolEl.addEventListener('click', () => this.setTool('select'));
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
 
-        const panToolEl = document.getElementById('panTool');
-        if (panToolEl) panToolEl.addEventListener('click', () => this.setTool('pan'));
-        const penToolEl = document.getElementById('penTool');
-        if (penToolEl) penToolEl.addEventListener('click', () => this.setTool('pen'));
-        const eraserToolEl = document.getElementById('eraserTool');
-        if (eraserToolEl) eraserToolEl.addEventListener('click', () => this.setTool('eraser'));
-        const connectToolEl = document.getElementById('connectTool');
-        if (connectToolEl) connectToolEl.addEventListener('click', () => this.setTool('connect'));
-        const deleteToolEl = document.getElementById('deleteTool');
-        if (deleteToolEl) deleteToolEl.addEventListener('click', () => this.setTool('delete'));
+    // What fillRect and strokeRect put back afterwards, so they leave the current path alone.
+    getPathState() {
+        return { path: this.path };
+    }
 
-        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        this.canvas.addEventListener('contextmenu', this.handleRightClick.bind(this));
-        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+    fillRect(x, y, width, height) {
+        const state = this.getPathState();
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        Object.assign(this, state);
+    }
 
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
-        document.addEventListener('keyup', (e) => { if (e.key === 'Control') this.isCtrlPressed = false; });
+    strokeRect(x, y, width, height) {
+        const state = this.getPathState();
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        Object.assign(this, state);
+    }
 
-        // --- FIXED: Features Modal & Got It Button Logic ---
-        const featuresBtn = document.getElementById('featuresBtn');
-        const featuresModal = document.getElementById('featuresModal');
-        const closeFeaturesBtn = document.getElementById('closeFeaturesBtn');
-        const gotItBtn = document.getElementById('gotItBtn'); // Get reference
+    measureText(text) {
+        this.measureCtx.font = this.font;
+        return this.measureCtx.measureText(text);
+    }
+}
 
-        if (featuresBtn && featuresModal) {
-            featuresBtn.addEventListener('click', () => {
-                featuresModal.classList.remove('hidden');
-            });
-        }
-        if (closeFeaturesBtn && featuresModal) {
-            closeFeaturesBtn.addEventListener('click', () => {
-                featuresModal.classList.add('hidden');
-            });
-        }
-        // Listener for the "Got it" button
-        if (gotItBtn && featuresModal) {
-            gotItBtn.addEventListener('click', () => {
-                featuresModal.classList.add('hidden');
-            });
-        }
-        if (featuresModal) {
-            window.addEventListener('click', (e) => {
-                if (e.target === featuresModal) {
-                    featuresModal.classList.add('hidden');
-                }
-            });
+// Records the subset of the Canvas 2D API used by the *ForExport drawing routines and
+// replays it as SVG markup, so vector exports come from the same code as the PNG export.
+// Text stays as <text> elements; rgba() colours are split into colour + opacity.
+class SvgCanvasContext extends RecordingCanvasContext {
+    constructor(measureCtx) {
+        super(measureCtx);
+        this.elements = [];
+    }
+
+    moveTo(x, y) { this.path += `M${this.point(x, y)}`; }
+    lineTo(x, y) { this.path += `L${this.point(x, y)}`; }
+    quadraticCurveTo(cx, cy, x, y) { this.path += `Q${this.point(cx, cy)} ${this.point(x, y)}`; }
+    closePath() { this.path += 'Z'; }
+
+    arc(x, y, radius, start, end) {
+        const r = this.num(radius * this.getScale());
+        const from = this.point(x + radius * Math.cos(start), y + radius * Math.sin(start));
+        this.path += `${this.path ? 'L' : 'M'}${from}`;
+        if (Math.abs(end - start) >= 2 * Math.PI - 1e-6) {
+            const half = this.point(x + radius * Math.cos(start + Math.PI), y + radius * Math.sin(start + Math.PI));
+            this.path += `A${r} ${r} 0 0 1 ${half}A${r} ${r} 0 0 1 ${from}Z`;
+        } else {
+            const large = end - start > Math.PI ? 1 : 0;
+            this.path += `A${r} ${r} 0 ${large} 1 ${this.point(x + radius * Math.cos(end), y + radius * Math.sin(end))}`;
         }
-        // ---------------------------------------------------
+    }
 
-        const undoBtn = document.getElementById('undoBtn');
-        if (undoBtn) undoBtn.addEventListener('click', this.undo.bind(this));
-        const saveBtn = document.getElementById('saveBtn');
-        if (saveBtn) saveBtn.addEventListener('click', this.save.bind(this));
-        const loadBtn = document.getElementById('loadBtn');
-        if (loadBtn) loadBtn.addEventListener('click', this.load.bind(this));
-        const exportBtn = document.getElementById('exportBtn');
-        if (exportBtn) exportBtn.addEventListener('click', this.exportPNG.bind(this));
-        const clearBtn = document.getElementById('clearBtn');
-        if (clearBtn) clearBtn.addEventListener('click', this.clear.bind(this));
-        const loadExampleBtn = document.getElementById('loadExampleBtn');
-        if (loadExampleBtn) loadExampleBtn.addEventListener('click', this.loadExample.bind(this));
-        const generateBtn = document.getElementById('generateBtn');
-        if (generateBtn) generateBtn.addEventListener('click', this.generateFromNL.bind(this));
+    fill() {
+        if (this.path) this.elements.push(`<path d="${this.path}"${this.paint('fill', this.fillStyle)} stroke="none"/>`);
+    }
 
-        const penThicknessEl = document.getElementById('penThickness');
-        const penThicknessVal = document.getElementById('penThicknessVal');
-        if (penThicknessEl) {
-            this.penThickness = parseInt(penThicknessEl.value, 10) || this.penThickness;
-            if (penThicknessVal) penThicknessVal.textContent = this.penThickness;
-            penThicknessEl.addEventListener('input', (ev) => {
-                this.penThickness = parseInt(ev.target.value, 10) || this.penThickness;
-                if (penThicknessVal) penThicknessVal.textContent = this.penThickness;
-            });
-        }
+    stroke() {
+        if (this.path) this.elements.push(`<path d="${this.path}" fill="none"${this.strokeAttributes()}/>`);
+    }
 
-        document.getElementById('addConnectedMaterial').addEventListener('click', this.addConnectedMaterial.bind(this));
-        document.getElementById('addConnectedActivity').addEventListener('click', this.addConnectedActivity.bind(this));
-        document.getElementById('editLabel').addEventListener('click', this.editLabel.bind(this));
-        document.getElementById('deleteNode').addEventListener('click', this.deleteSelectedNode.bind(this));
-        document.getElementById('duplicateSelection').addEventListener('click', this.duplicateSelection.bind(this));
-        document.getElementById('deleteSelection').addEventListener('click', this.deleteSelection.bind(this));
+    fillText(text, x, y) {
+        const font = this.parseFont();
+        const anchor = { center: 'middle', middle: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        // Shift to the alphabetic baseline ourselves; dominant-baseline support varies between editors.
+        const shift = { middle: 0.35, top: 0.8, hanging: 0.8, bottom: -0.2 }[this.textBaseline] || 0;
+        const [a, b, c, d, e, f] = this.matrix;
+        const transform = a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0
+            ? '' : ` transform="matrix(${[a, b, c, d, e, f].map(v => this.num(v)).join(' ')})"`;
+        this.elements.push(`<text x="${this.num(x)}" y="${this.num(y + font.size * shift)}"${transform} text-anchor="${anchor}" ` +
+            `font-family="${SvgCanvasContext.escape(font.family)}" font-size="${font.size}"${font.weight ? ` font-weight="${font.weight}"` : ''}` +
+            `${this.paint('fill', this.fillStyle)}>${SvgCanvasContext.escape(text)}</text>`);
+    }
 
-        const copySelectionEl = document.getElementById('copySelection');
-        if (copySelectionEl) copySelectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.copySelectionToClipboard(); this.hideContextMenu(); });
-        const pasteSelectionEl = document.getElementById('pasteSelection');
-        if (pasteSelectionEl) pasteSelectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.pasteFromClipboard(); this.hideContextMenu(); });
-        const copyForExcelEl = document.getElementById('copyForExcel');
-        if (copyForExcelEl) copyForExcelEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.copySelectionForExcel(); this.hideContextMenu(); });
-        const deleteConnectionEl = document.getElementById('deleteConnection');
-        if (deleteConnectionEl) deleteConnectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.deleteConnectionFromContext(); });
-        const connectFromEl = document.getElementById('connectFromNode');
-        if (connectFromEl) connectFromEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation();
-            if (this.contextMenuNode) {
-                this.connectingFrom = this.contextMenuNode;
-                this.setTool('connect');
-                this.showStatus(`Connecting from ${this.contextMenuNode.label}. Click another node to connect.`, 'info');
-            }
-            this.hideContextMenu();
-        });
+    parseFont() {
+        const match = /^\s*(?:(bold|normal|\d{3})\s+)?(\d+(?:\.\d+)?)px\s+(.+)$/.exec(this.font) || [];
+        return { weight: match[1] && match[1] !== 'normal' ? match[1] : '', size: parseFloat(match[2]) || 10, family: (match[3] || 'sans-serif').replace(/"/g, "'") };
+    }
 
-        document.getElementById('saveEditBtn').addEventListener('click', this.saveEdit.bind(this));
-        document.getElementById('cancelEditBtn').addEventListener('click', this.cancelEdit.bind(this));
-        document.getElementById('fileInput').addEventListener('change', this.handleFileLoad.bind(this));
+    strokeAttributes() {
+        return `${this.paint('stroke', this.strokeStyle)} stroke-width="${this.num(this.lineWidth * this.getScale())}"` +
+            `${this.lineCap !== 'butt' ? ` stroke-linecap="${this.lineCap}"` : ''}${this.lineJoin !== 'miter' ? ` stroke-linejoin="${this.lineJoin}"` : ''}`;
+    }
 
-        document.addEventListener('click', (e) => {
-            const contextMenu = document.getElementById('contextMenu');
-            const editModal = document.getElementById('editModal');
-            if (!contextMenu.contains(e.target) && !e.target.closest('canvas') && !contextMenu.classList.contains('hidden')) this.hideContextMenu();
-            if (e.target === editModal) this.cancelEdit();
+    paint(attribute, color) {
+        const { value, opacity } = SvgCanvasContext.splitColor(color);
+        const alpha = opacity * this.globalAlpha;
+        return ` ${attribute}="${value}"${alpha < 1 ? ` ${attribute}-opacity="${this.num(alpha)}"` : ''}`;
+    }
+
+    static splitColor(color) {
+        const match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(String(color).trim());
+        if (!match) return { value: color, opacity: 1 };
+        return { value: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, opacity: match[4] === undefined ? 1 : parseFloat(match[4]) };
+    }
+
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    toString() {
+        return this.elements.join('\n');
+    }
+}
+
+// Minimal PDF 1.4 writer: uncompressed content streams, the built-in Helvetica fonts and
+// shared ExtGState entries for transparency. Good enough for line-art diagrams.
+class PdfDocument {
+    constructor() {
+        this.pages = [];
+        this.alphaStates = new Map();
+    }
+
+    getAlphaState(alpha) {
+        const key = (Math.round(alpha * 1000) / 1000).toString();
+        if (!this.alphaStates.has(key)) this.alphaStates.set(key, `GA${this.alphaStates.size + 1}`);
+        return this.alphaStates.get(key);
+    }
+
+    addPage(width, height, content) {
+        this.pages.push({ width, height, content });
+    }
+
+    toBlob() {
+        const objects = [];
+        const add = body => { objects.push(body); return objects.length; };
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const states = [...this.alphaStates].map(([alpha, name]) => `/${name} << /ca ${alpha} /CA ${alpha} >>`).join(' ');
+        const resources = `<< /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> /ExtGState << ${states} >> >>`;
+
+        const pageIds = this.pages.map(page => {
+            const contentId = add(`<< /Length ${page.content.length} >>\nstream\n${page.content}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${page.width} ${page.height}] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+        });
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // Every character is kept in the 0-255 range, so string length equals byte length.
+        let output = '%PDF-1.4\n%âãÏÓ\n';
+        const offsets = objects.map((body, i) => {
+            const offset = output.length;
+            output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
         });
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) bytes[i] = output.charCodeAt(i);
+        return new Blob([bytes], { type: 'application/pdf' });
+    }
+}
 
-        this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
-        document.getElementById('zoomInBtn').addEventListener('click', () => this.zoom(1.2));
-        document.getElementById('zoomOutBtn').addEventListener('click', () => this.zoom(0.8));
-        document.getElementById('zoomResetBtn').addEventListener('click', this.resetZoom.bind(this));
+// Canvas 2D subset that writes PDF content-stream operators, the PDF counterpart of
+// SvgCanvasContext. The base matrix maps canvas units to page points with y pointing down.
+class PdfCanvasContext extends RecordingCanvasContext {
+    constructor(doc, measureCtx, matrix) {
+        super(measureCtx, matrix);
+        this.doc = doc;
+        this.ops = [];
+        this.current = { x: 0, y: 0 };
+        this.start = { x: 0, y: 0 };
     }
 
-    handleKeyDown(e) {
-        if (e.key === 'Control') this.isCtrlPressed = true;
+    moveTo(x, y) {
+        this.path += `${this.point(x, y)} m\n`;
+        this.current = { x, y };
+        this.start = { x, y };
+    }
 
-        const editModal = document.getElementById('editModal');
-        if (!editModal.classList.contains('hidden')) {
-            if (e.key === 'Enter' && !e.shiftKey) { 
-                e.preventDefault(); 
-                this.saveEdit(); 
-            } else if (e.key === 'Escape') {
-                this.cancelEdit();
-            }
-            return;
-        }
+    lineTo(x, y) {
+        this.path += `${this.point(x, y)} l\n`;
+        this.current = { x, y };
+    }
 
-        if (e.target.id === 'nlInput' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-            return;
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+        this.path += `${this.point(c1x, c1y)} ${this.point(c2x, c2y)} ${this.point(x, y)} c\n`;
+        this.current = { x, y };
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        const p = this.current;
+        this.bezierCurveTo(p.x + 2 / 3 * (cx - p.x), p.y + 2 / 3 * (cy - p.y), x + 2 / 3 * (cx - x), y + 2 / 3 * (cy - y), x, y);
+    }
+
+    closePath() {
+        this.path += 'h\n';
+        this.current = { ...this.start };
+    }
+
+    // Split into quarter turns at most; each becomes one cubic Bézier.
+    arc(x, y, radius, startAngle, endAngle) {
+        const sweep = Math.min(endAngle - startAngle, 2 * Math.PI);
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const delta = sweep / steps;
+        const k = 4 / 3 * Math.tan(delta / 4);
+        const at = angle => ({ x: x + radius * Math.cos(angle), y: y + radius * Math.sin(angle) });
+        const first = at(startAngle);
+        if (this.path) this.lineTo(first.x, first.y);
+        else this.moveTo(first.x, first.y);
+        for (let i = 0; i < steps; i++) {
+            const a1 = startAngle + i * delta, a2 = a1 + delta;
+            const p1 = at(a1), p2 = at(a2);
+            this.bezierCurveTo(
+                p1.x - k * radius * Math.sin(a1), p1.y + k * radius * Math.cos(a1),
+                p2.x + k * radius * Math.sin(a2), p2.y - k * radius * Math.cos(a2),
+                p2.x, p2.y
+            );
         }
+    }
 
-        if (e.ctrlKey || e.metaKey) {
-            switch (e.key.toLowerCase()) {
-                case 'z': 
-                    e.preventDefault(); 
-                    this.undo(); 
-                    break;
-                case 'x': 
-                    e.preventDefault(); 
-                    this.cutSelected(); 
-                    break;
-                case 'c':
-                    e.preventDefault();
-                    if (this.selectedNodes.length > 0) {
-                        this.copySelectionForExcel();
-                        this.copySelectionToClipboard();
-                    } else {
-                        this.showStatus('Select elements to copy', 'warning');
-                    }
-                    break;
-                case 'v':
-                    e.preventDefault();
-                    this.pasteFromClipboard();
-                    break;
-            }
-            return;
-        }
+    fill() {
+        if (!this.path) return;
+        this.ops.push(`${this.alpha(this.fillStyle)}${this.color(this.fillStyle, 'rg')}\n${this.path}f`);
+    }
 
-        switch (e.key) {
-            case 'Delete': 
-            case 'Backspace': 
-                e.preventDefault(); 
-                this.deleteSelected(); 
-                break;
-            case 'Escape': 
-                this.deselectAll(); 
-                this.setTool('select'); 
-                break;
-        }
+    stroke() {
+        if (!this.path) return;
+        this.ops.push(`${this.alpha(this.strokeStyle)}${this.strokeSettings()}${this.color(this.strokeStyle, 'RG')}\n${this.path}S`);
+    }
 
-        if (!e.ctrlKey && !e.metaKey && e.key && e.key.toLowerCase() === 't') {
-            this.toggleTheme();
-        }
+    getPathState() {
+        const { path, current, start } = this;
+        return { path, current, start };
     }
 
-    setTool(toolName) {
-        // Clear active class from all tools including the new select tool
-        document.querySelectorAll('#selectTool, #panTool, #connectTool, #deleteTool, #penTool, #eraserTool, #materialTool, #activityTool, #textboxTool').forEach(btn => btn.classList.remove('active'));
-        if (toolName !== 'select') {
-            const toolBtn = document.getElementById(`${toolName}Tool`);
-            if (toolBtn) toolBtn.classList.add('active');
-        } else {
-             const toolBtn = document.getElementById(`selectTool`);
-             if (toolBtn) toolBtn.classList.add('active');
-        }
-        this.currentTool = toolName;
-        if (toolName !== 'connect') this.connectingFrom = null;
-        this.updateCanvasCursor();
-        this.updateStatusText();
-        this.queueRender();
+    // Clips everything drawn until the matching popClip(); not part of the canvas API.
+    pushClip(x, y, width, height) {
+        const state = this.getPathState();
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.ops.push(`q\n${this.path}W n`);
+        Object.assign(this, state);
     }
 
-    deselectAll() {
-        this.selectedNodes = [];
-        this.selectedStrokes = []; // Deselect strokes
-        this.connectingFrom = null;
-        this.selectedConnection = null;
-        this.contextMenuConnection = null;
-        this.contextMenuNode = null;
-        this.hideContextMenu();
-        this.queueRender();
+    popClip() {
+        this.ops.push('Q');
     }
 
-    // Updated delete to handle strokes
-    deleteSelected() {
-        if (this.selectedConnection) {
-            this.saveState();
-            this.deleteConnection(this.selectedConnection);
-            this.selectedConnection = null;
-            this.queueRender();
-            return;
+    fillText(text, x, y) {
+        const match = /^\s*(?:(bold|normal|\d{3})\s+)?(\d+(?:\.\d+)?)px/.exec(this.font) || [];
+        const size = parseFloat(match[2]) || 10;
+        const bold = match[1] === 'bold' || parseInt(match[1]) >= 600;
+        const width = this.measureText(text).width;
+        const dx = { center: -width / 2, middle: -width / 2, right: -width, end: -width }[this.textAlign] || 0;
+        const dy = { middle: 0.35, top: 0.8, hanging: 0.8, bottom: -0.2 }[this.textBaseline] || 0;
+        // Text space has y up, the canvas space y down, hence the flipped second column.
+        const [a, b, c, d] = this.matrix;
+        const origin = this.point(x + dx, y + size * dy);
+        const tm = [a, b, -c, -d].map(v => this.num(v)).join(' ');
+        this.ops.push(`${this.alpha(this.fillStyle)}${this.color(this.fillStyle, 'rg')}\nBT /${bold ? 'F2' : 'F1'} ${size} Tf ${tm} ${origin} Tm (${PdfCanvasContext.encode(text)}) Tj ET`);
+    }
+
+    strokeSettings() {
+        const caps = { butt: 0, round: 1, square: 2 };
+        const joins = { miter: 0, round: 1, bevel: 2 };
+        const dash = this.lineDash.map(v => this.num(v * this.getScale())).join(' ');
+        return `${this.num(this.lineWidth * this.getScale())} w ${caps[this.lineCap] || 0} J ${joins[this.lineJoin] || 0} j [${dash}] 0 d `;
+    }
+
+    alpha(color) {
+        const opacity = PdfCanvasContext.parseColor(color).alpha * this.globalAlpha;
+        return `/${this.doc.getAlphaState(opacity)} gs `;
+    }
+
+    color(color, operator) {
+        const { r, g, b } = PdfCanvasContext.parseColor(color);
+        return `${this.num(r / 255)} ${this.num(g / 255)} ${this.num(b / 255)} ${operator}`;
+    }
+
+    static parseColor(color) {
+        const value = String(color || '').trim();
+        let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+        if (match) {
+            const hex = match[1].length === 3 ? match[1].split('').map(ch => ch + ch).join('') : match[1];
+            return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16), alpha: 1 };
         }
+        match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(value);
+        if (match) return { r: +match[1], g: +match[2], b: +match[3], alpha: match[4] === undefined ? 1 : parseFloat(match[4]) };
+        return { r: 0, g: 0, b: 0, alpha: 1 };
+    }
 
-        if (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0) {
-            this.saveState();
-            this.selectedNodes.forEach(node => this.deleteNode(node, false));
-            this.selectedNodes = [];
-            // Remove selected strokes
-            if (this.selectedStrokes.length > 0) {
-                this.freehandStrokes = this.freehandStrokes.filter(s => !this.selectedStrokes.includes(s));
-                this.selectedStrokes = [];
-                this.showStatus('Deleted selected items', 'success');
+    // WinAnsi covers Latin-1 plus typographic quotes and dashes; anything else becomes '?'.
+    static encode(text) {
+        const extras = { '–': 150, '—': 151, '‘': 145, '’': 146, '“': 147, '”': 148, '•': 149, '…': 133, '€': 128 };
+        return [...String(text)].map(ch => {
+            const code = extras[ch] || ch.charCodeAt(0);
+            if (ch.length > 1 || code > 255) return '?';
+            const out = String.fromCharCode(code);
+            return out === '(' || out === ')' || out === '\\' ? `\\${out}` : out;
+        }).join('');
+    }
+
+    toString() {
+        return this.ops.join('\n');
+    }
+}
+
+// RFC 4180 CSV with the delimiter sniffed from the header line (comma, semicolon or tab).
+class CsvTable {
+    static parse(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0] || '';
+        const delimiter = [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+        const rows = [];
+        let row = [], field = '', quoted = false;
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else field += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
             }
-            this.queueRender();
         }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
     }
 
-    cutSelected() {
-        if (this.selectedNodes.length > 0) {
-            const nodesCopy = JSON.parse(JSON.stringify(this.selectedNodes));
-            const selectedIds = new Set(this.selectedNodes.map(n => n.id));
-            const connsCopy = this.connections.filter(c => selectedIds.has(c.from) && selectedIds.has(c.to)).map(c => JSON.parse(JSON.stringify(c)));
-            this.stateManager.clipboard = { nodes: nodesCopy, connections: connsCopy };
-            this.saveState();
-            this.selectedNodes.forEach(node => this.deleteNode(node, false));
-            this.selectedNodes = [];
-            this.showStatus('Selection cut to clipboard', 'success');
-            this.queueRender();
-        }
+    static stringify(rows) {
+        const quote = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
     }
+}
 
-    undo() {
-        const previousState = this.stateManager.undo();
-        if (previousState) {
-            this.nodes = JSON.parse(JSON.stringify(previousState.nodes));
-            this.connections = JSON.parse(JSON.stringify(previousState.connections));
-            this.nodeCounter = previousState.nodeCounter;
-            this.freehandStrokes = JSON.parse(JSON.stringify(previousState.freehandStrokes || []));
-            this.selectedNodes = [];
-            this.selectedStrokes = [];
-            this.connectingFrom = null;
-            this.hideContextMenu();
-            this.queueRender();
-            this.showStatus('Action undone', 'info');
-        } else {
-            this.showStatus('Nothing to undo', 'warning');
+// Just enough ZIP to get at the parts of an .xlsx: stored and deflated entries, no ZIP64.
+// Inflating uses the browser's DecompressionStream, so nothing is fetched.
+class ZipArchive {
+    static read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        let end = bytes.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+        if (end < 0) return Promise.reject(new Error('Not a ZIP file'));
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) return Promise.reject(new Error('Corrupt ZIP directory'));
+            const method = view.getUint16(offset + 10, true);
+            const size = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const local = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            entries.push({ name, method, data: bytes.subarray(start, start + size) });
+            offset += 46 + nameLength + extraLength + commentLength;
         }
+
+        return Promise.all(entries.map(entry => {
+            if (entry.method === 0) return Promise.resolve(entry.data);
+            if (entry.method !== 8) return Promise.reject(new Error(`Unsupported compression in ${entry.name}`));
+            const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).arrayBuffer().then(data => new Uint8Array(data));
+        })).then(contents => new Map(entries.map((entry, i) => [entry.name, contents[i]])));
     }
 
-    updateCanvasCursor() {
-        const container = this.canvas.parentElement.parentElement;
-        container.className = container.className.replace(/tool-\w+/g, '').replace(/dragging/g, '');
-        this.canvas.style.cursor = 'default';
-        if (this.isPanning) {
-            this.canvas.style.cursor = 'grabbing';
-        } else if (this.isDraggingElement) {
-            this.canvas.style.cursor = 'move';
-            container.classList.add('dragging');
-        } else if (this.currentTool === 'pan') {
-            this.canvas.style.cursor = 'grab';
-        } else if (this.currentTool === 'pen') {
-            this.canvas.style.cursor = 'crosshair';
-            container.classList.add('tool-pen');
-        } else if (this.currentTool === 'eraser') {
-            this.canvas.style.cursor = 'crosshair';
-            container.classList.add('tool-eraser');
-        } else if (this.currentTool === 'connect') {
-            container.classList.add('tool-connect');
-        } else if (this.currentTool === 'delete') {
-            container.classList.add('tool-delete');
+    // Writes stored (uncompressed) entries; files is an array of { name, data: string | Uint8Array }.
+    static write(files, type = 'application/zip') {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = ZipArchive.crc32(data);
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            parts.push(new Uint8Array(header.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+        return new Blob([...parts, ...directory, new Uint8Array(end.buffer)], { type });
+    }
+
+    static crc32(data) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
         }
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) crc = ZipArchive.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
     }
+}
 
-    updateStatusText() {
-        const statusMap = {
-            select: 'Default mode: Drag elements or create a selection window. Hold Ctrl + Drag to pan.',
-            pan: 'Pan mode: Drag the canvas to move your view.',
-            connect: 'Connect mode: Click one element and then another to create a connection.',
-            delete: 'Delete mode: Click elements or connections to delete them.'
+// Reads every worksheet of an .xlsx into rows of strings, in workbook order.
+class XlsxWorkbook {
+    static read(buffer) {
+        return ZipArchive.read(buffer).then(files => {
+            const decoder = new TextDecoder();
+            const xml = name => files.has(name) ? new DOMParser().parseFromString(decoder.decode(files.get(name)), 'application/xml') : null;
+            const workbook = xml('xl/workbook.xml');
+            if (!workbook) throw new Error('Not an Excel workbook');
+
+            const strings = [];
+            const shared = xml('xl/sharedStrings.xml');
+            if (shared) {
+                [...shared.getElementsByTagName('si')].forEach(si => {
+                    strings.push([...si.getElementsByTagName('t')].map(t => t.textContent).join(''));
+                });
+            }
+            const targets = new Map();
+            const rels = xml('xl/_rels/workbook.xml.rels');
+            if (rels) {
+                [...rels.getElementsByTagName('Relationship')].forEach(rel => {
+                    const target = rel.getAttribute('Target').replace(/^\//, '');
+                    targets.set(rel.getAttribute('Id'), target.startsWith('xl/') ? target : `xl/${target}`);
+                });
+            }
+
+            return [...workbook.getElementsByTagName('sheet')].map((sheet, index) => {
+                const path = targets.get(sheet.getAttribute('r:id')) || `xl/worksheets/sheet${index + 1}.xml`;
+                const doc = xml(path);
+                return { name: sheet.getAttribute('name'), rows: doc ? XlsxWorkbook.readRows(doc, strings) : [] };
+            });
+        });
+    }
+
+    static readRows(doc, strings) {
+        const rows = [];
+        [...doc.getElementsByTagName('row')].forEach((rowEl, rowIndex) => {
+            const r = parseInt(rowEl.getAttribute('r')) - 1;
+            const row = [];
+            [...rowEl.getElementsByTagName('c')].forEach((cell, cellIndex) => {
+                const ref = /^([A-Z]+)/.exec(cell.getAttribute('r') || '');
+                const column = ref ? ref[1].split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1 : cellIndex;
+                const type = cell.getAttribute('t');
+                const valueEl = cell.getElementsByTagName('v')[0];
+                let value = valueEl ? valueEl.textContent : '';
+                if (type === 's') value = strings[parseInt(value)] || '';
+                else if (type === 'inlineStr') value = [...cell.getElementsByTagName('t')].map(t => t.textContent).join('');
+                else if (type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+                while (row.length < column) row.push('');
+                row[column] = value;
+            });
+            rows[isNaN(r) ? rowIndex : r] = row;
+        });
+        return Array.from(rows, row => row || []);
+    }
+
+    // sheets: [{ name, rows }]. Numbers become numeric cells, everything else inline strings;
+    // the first row is bold and frozen as a header.
+    static write(sheets) {
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+        const columnName = index => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+            return name;
         };
-        document.getElementById('statusText').textContent = statusMap[this.currentTool] || statusMap.select;
+        const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                data: `${header}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                data: `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                    `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+            },
+            {
+                name: 'xl/workbook.xml',
+                data: `${header}<workbook xmlns="${main}" xmlns:r="${rel}"><sheets>` +
+                    sheets.map((sheet, i) => `<sheet name="${escape(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                data: `${header}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                    sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${rel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="${rel}/styles" Target="styles.xml"/></Relationships>`
+            },
+            {
+                name: 'xl/styles.xml',
+                data: `${header}<styleSheet xmlns="${main}">` +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            }
+        ];
+
+        sheets.forEach((sheet, i) => {
+            const rows = sheet.rows.map((row, r) => `<row r="${r + 1}">` + row.map((value, c) => {
+                if (value === null || value === undefined || value === '') return '';
+                const ref = `${columnName(c)}${r + 1}`;
+                const style = r === 0 ? ' s="1"' : '';
+                if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escape(value)}</t></is></c>`;
+            }).join('') + '</row>').join('');
+            files.push({
+                name: `xl/worksheets/sheet${i + 1}.xml`,
+                data: `${header}<worksheet xmlns="${main}">` +
+                    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                    `<sheetData>${rows}</sheetData></worksheet>`
+            });
+        });
+
+        return ZipArchive.write(files, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     }
+}
 
-    updateDragStatus(status) {
-        document.getElementById('dragStatus').textContent = status;
+// draw.io (diagrams.net) files: an <mxfile> of pages, each holding an mxGraphModel either as XML
+// or deflated, base64'd and URI-encoded the way draw.io saves by default. Only the first page is read.
+class DrawioFile {
+    static read(text) {
+        const parse = xml => new DOMParser().parseFromString(xml, 'application/xml');
+        const doc = parse(text);
+        const root = doc.documentElement;
+        if (!root || doc.getElementsByTagName('parsererror').length > 0) return Promise.reject(new Error('not a valid XML file'));
+        if (root.nodeName === 'mxGraphModel') return Promise.resolve({ pages: 1, name: '', cells: DrawioFile.readCells(root) });
+        if (root.nodeName !== 'mxfile') return Promise.reject(new Error('not a draw.io file'));
+
+        const diagrams = root.getElementsByTagName('diagram');
+        if (diagrams.length === 0) return Promise.reject(new Error('the file has no pages'));
+        const first = diagrams[0];
+        const inline = first.getElementsByTagName('mxGraphModel')[0];
+        const model = inline
+            ? Promise.resolve(inline)
+            : DrawioFile.inflate(first.textContent.trim()).then(xml => parse(xml).documentElement);
+        return model.then(element => {
+            if (!element || element.nodeName !== 'mxGraphModel') throw new Error('the first page could not be decoded');
+            return { pages: diagrams.length, name: first.getAttribute('name') || '', cells: DrawioFile.readCells(element) };
+        });
     }
 
-    // Helper to detect strokes at position
-    getStrokeAt(x, y) {
-        if (!this.freehandStrokes || this.freehandStrokes.length === 0) return null;
-        const hitDist = 5;
-        // Check simple proximity to points
-        for (let i = this.freehandStrokes.length - 1; i >= 0; i--) {
-            const stroke = this.freehandStrokes[i];
-            if (stroke.tool === 'eraser') continue;
-            for (const pt of stroke.points) {
-                if (Math.abs(pt.x - x) < hitDist && Math.abs(pt.y - y) < hitDist) {
-                    return stroke;
+    static inflate(base64) {
+        const bytes = Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text().then(text => decodeURIComponent(text));
+    }
+
+    // Flattens the cells, resolving vertex positions through their parents (groups, swimlanes).
+    static readCells(model) {
+        const number = value => Number(value) || 0;
+        const cells = Array.from(model.getElementsByTagName('mxCell')).map(cell => {
+            // <object>/<UserObject> wrappers carry the id and label; the mxCell inside has the rest.
+            const wrapper = cell.parentNode && /^(object|UserObject)$/.test(cell.parentNode.nodeName) ? cell.parentNode : null;
+            const geometry = Array.from(cell.childNodes).find(child => child.nodeName === 'mxGeometry');
+            return {
+                id: (wrapper || cell).getAttribute('id'),
+                value: (wrapper ? wrapper.getAttribute('label') : cell.getAttribute('value')) || '',
+                style: DrawioFile.parseStyle(cell.getAttribute('style') || ''),
+                vertex: cell.getAttribute('vertex') === '1',
+                edge: cell.getAttribute('edge') === '1',
+                parent: cell.getAttribute('parent'),
+                source: cell.getAttribute('source'),
+                target: cell.getAttribute('target'),
+                geometry: geometry ? {
+                    x: number(geometry.getAttribute('x')), y: number(geometry.getAttribute('y')),
+                    width: number(geometry.getAttribute('width')), height: number(geometry.getAttribute('height'))
+                } : null
+            };
+        });
+        const byId = new Map(cells.map(cell => [cell.id, cell]));
+        cells.forEach(cell => {
+            if (!cell.vertex || !cell.geometry) return;
+            let { x, y } = cell.geometry;
+            for (let parent = byId.get(cell.parent); parent && parent.vertex && parent.geometry; parent = byId.get(parent.parent)) {
+                x += parent.geometry.x;
+                y += parent.geometry.y;
+            }
+            cell.bounds = { x, y, width: cell.geometry.width, height: cell.geometry.height };
+        });
+        return cells;
+    }
+
+    // "ellipse;whiteSpace=wrap;fillColor=#fff" -> { name: 'ellipse', whiteSpace: 'wrap', fillColor: '#fff' }
+    static parseStyle(text) {
+        const style = {};
+        text.split(';').filter(Boolean).forEach((part, index) => {
+            const eq = part.indexOf('=');
+            if (eq !== -1) style[part.slice(0, eq)] = part.slice(eq + 1);
+            else if (index === 0) style.name = part;
+        });
+        return style;
+    }
+
+    // Labels with html=1 are HTML fragments; everything else is plain text.
+    static cellText(cell) {
+        if (cell.style.html !== '1') return cell.value.trim();
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return cell.value
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(div|p|li)>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/&(\w+);/g, (match, name) => entities[name] !== undefined ? entities[name] : match)
+            .trim();
+    }
+
+    // Writes one uncompressed page; cells are { id, value, style, vertex|edge, parent, source, target, geometry }.
+    static write(cells, name = 'Page-1') {
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/\n/g, '&#10;');
+        const attributes = values => Object.entries(values)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ` ${key}="${escape(value)}"`).join('');
+        const body = cells.map(cell => {
+            const geometry = cell.edge
+                ? '<mxGeometry relative="1" as="geometry" />'
+                : `<mxGeometry${attributes(cell.geometry)} as="geometry" />`;
+            const own = attributes({
+                id: cell.id, value: cell.value || '', style: cell.style,
+                vertex: cell.vertex ? 1 : undefined, edge: cell.edge ? 1 : undefined,
+                parent: cell.parent || '1', source: cell.source, target: cell.target
+            });
+            return `        <mxCell${own}>\n          ${geometry}\n        </mxCell>`;
+        });
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<mxfile host="Supply Chain Canvas" modified="${new Date().toISOString()}" type="device">`,
+            `  <diagram id="supply-chain" name="${escape(name)}">`,
+            '    <mxGraphModel grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="0" math="0" shadow="0">',
+            '      <root>',
+            '        <mxCell id="0" />',
+            '        <mxCell id="1" parent="0" />',
+            ...body,
+            '      </root>',
+            '    </mxGraphModel>',
+            '  </diagram>',
+            '</mxfile>'
+        ].join('\n') + '\n';
+    }
+}
+
+// Mermaid flowcharts as they appear in READMEs: shaped nodes, chained and "&" links, edge labels.
+// Styling, click and subgraph lines are skipped; nodes inside subgraphs still come in.
+const MERMAID_SHAPES = [
+    ['(((', ')))', 'activity'], ['((', '))', 'activity'], ['([', '])', null], ['[[', ']]', null], ['[(', ')]', null],
+    ['[/', '\\]', 'material'], ['[\\', '/]', 'material'], ['[/', '/]', null], ['[\\', '\\]', null],
+    ['{{', '}}', null], ['(', ')', null], ['[', ']', 'box'], ['{', '}', null], ['>', ']', null]
+];
+
+class MermaidFlowchart {
+    static stringify(graph, direction = 'LR') {
+        const text = label => `"${String(label).replace(/"/g, '#quot;').replace(/\r?\n/g, '<br/>')}"`;
+        const shapes = { material: ['[/', '\\]'], activity: ['((', '))'], textbox: ['[', ']'] };
+        const lines = [`flowchart ${direction}`];
+        graph.nodes.forEach(node => {
+            const [open, close] = shapes[node.kind] || shapes.textbox;
+            lines.push(`    ${node.id}${open}${text(node.label)}${close}`);
+        });
+        graph.edges.forEach(edge => {
+            lines.push(`    ${edge.from} -->${edge.label ? `|${text(edge.label.replace(/\s*\n\s*/g, ' '))}|` : ''} ${edge.to}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // Returns { nodes, edges, problems }; node shapes come back as material, activity, box or null.
+    static parse(text) {
+        const nodes = new Map();
+        const edges = [];
+        const problems = [];
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        let header = false;
+        let frontMatter = false;
+        lines.forEach((raw, index) => {
+            const line = index + 1;
+            if (raw.trim() === '---' && !header) {
+                frontMatter = !frontMatter;
+                return;
+            }
+            if (frontMatter) return;
+            MermaidFlowchart.splitStatements(raw).forEach(statement => {
+                if (!header) {
+                    if (!/^(flowchart|graph)\b/i.test(statement)) throw new Error(`Line ${line}: expected "flowchart" or "graph"`);
+                    header = true;
+                    return;
                 }
+                if (/^(classDef|class|style|linkStyle|click|direction|subgraph|accTitle|accDescr)\b/.test(statement) || statement === 'end') return;
+                const parsed = MermaidFlowchart.parseStatement(statement);
+                if (!parsed) return problems.push({ line, reason: `could not read "${statement}"` });
+                parsed.groups.forEach(group => group.forEach(ref => {
+                    if (!nodes.has(ref.id)) nodes.set(ref.id, { id: ref.id, label: ref.id, shape: null, line });
+                    if (ref.label !== undefined) Object.assign(nodes.get(ref.id), { label: ref.label, shape: ref.shape });
+                }));
+                parsed.links.forEach((link, k) => {
+                    parsed.groups[k].forEach(from => parsed.groups[k + 1].forEach(to => {
+                        edges.push({ from: from.id, to: to.id, label: link.label, line });
+                    }));
+                });
+            });
+        });
+        if (!header) throw new Error('No "flowchart" or "graph" line found');
+        return { nodes: [...nodes.values()], edges, problems };
+    }
+
+    static splitStatements(line) {
+        const parts = [];
+        let current = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') quoted = !quoted;
+            if (!quoted && line.startsWith('%%', i)) break;
+            // "#quot;" style entities end in a semicolon that does not end the statement.
+            if (!quoted && ch === ';' && !/#\w+$/.test(current)) {
+                parts.push(current);
+                current = '';
+                continue;
             }
+            current += ch;
         }
-        return null;
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
     }
 
-    handleMouseDown(e) {
-        this.hideContextMenu();
-        this.selectedConnection = null;
-        this.contextMenuConnection = null;
-        
-        if (this.currentTool === 'pen' || this.currentTool === 'eraser') {
-            const pos = this.getMousePos(e);
-            const stroke = {
-                id: `stroke_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-                tool: this.currentTool,
-                color: this.penColor || (this.themeColors && this.themeColors.text) || '#000',
-                width: this.penThickness || 4,
-                points: [pos]
-            };
-            this._currentStroke = stroke;
-            this.freehandStrokes.push(stroke);
-            e.preventDefault();
-            this.queueRender();
-            return;
+    // Reads "A[x] --> B & C -- label --> D" into groups of node references and the links between them.
+    static parseStatement(source) {
+        let i = 0;
+        const skipSpace = () => { while (i < source.length && /\s/.test(source[i])) i++; };
+        const readNode = () => {
+            skipSpace();
+            const id = /^[\w\u00C0-\uFFFF]+/.exec(source.slice(i));
+            if (!id) return null;
+            i += id[0].length;
+            const ref = { id: id[0] };
+            const shape = MermaidFlowchart.readShape(source, i);
+            if (shape) {
+                ref.label = shape.label;
+                ref.shape = shape.shape;
+                i = shape.end;
+            }
+            const className = /^:::[\w-]+/.exec(source.slice(i));
+            if (className) i += className[0].length;
+            return ref;
+        };
+        const readGroup = () => {
+            const group = [readNode()];
+            skipSpace();
+            while (group[group.length - 1] && source[i] === '&') {
+                i++;
+                group.push(readNode());
+                skipSpace();
+            }
+            return group.every(Boolean) ? group : null;
+        };
+        const readLink = () => {
+            skipSpace();
+            const rest = source.slice(i);
+            const plain = /^<?(-{2,}>|-{3,}|={2,}>|={3,}|-\.+->?|~~~|-{2,}[ox]|={2,}[ox])/.exec(rest);
+            if (plain) {
+                i += plain[0].length;
+                const label = /^\s*\|("[^"]*"|[^|]*)\|/.exec(source.slice(i));
+                if (label) i += label[0].length;
+                return { label: label ? MermaidFlowchart.cleanLabel(label[1]).replace(/\s*\n\s*/g, ' ') : '' };
+            }
+            const texted = /^<?(--|==|-\.)\s*(.+?)\s*(-{2,}>|-{3,}|={2,}>|={3,}|\.-+>|\.-+)/.exec(rest);
+            if (!texted) return null;
+            i += texted[0].length;
+            return { label: MermaidFlowchart.cleanLabel(texted[2]).replace(/\s*\n\s*/g, ' ') };
+        };
+
+        const groups = [readGroup()];
+        const links = [];
+        if (!groups[0]) return null;
+        skipSpace();
+        while (i < source.length) {
+            const link = readLink();
+            if (!link) return null;
+            const group = readGroup();
+            if (!group) return null;
+            links.push(link);
+            groups.push(group);
+            skipSpace();
         }
+        return { groups, links };
+    }
 
-        this.isPanning = false;
-        this.isDraggingElement = false;
-        this.isResizing = false;
+    // Finds the shape that opens at i; of several openers the one whose closer comes first wins.
+    static readShape(source, i) {
+        if (source.startsWith('@{', i)) {
+            const end = source.indexOf('}', i);
+            if (end === -1) return null;
+            const body = source.slice(i + 2, end);
+            const shape = (/shape\s*:\s*([\w-]+)/.exec(body) || [])[1] || 'rect';
+            const label = /label\s*:\s*"([^"]*)"/.exec(body) || /label\s*:\s*([^,}]+)/.exec(body);
+            const kinds = { tri: 'material', triangle: 'material', extract: 'material', 'trap-b': 'material', 'flip-tri': 'material',
+                circle: 'activity', circ: 'activity', 'sm-circ': 'activity', 'dbl-circ': 'activity', 'double-circle': 'activity',
+                rect: 'box', rectangle: 'box', proc: 'box', process: 'box' };
+            return { label: label ? MermaidFlowchart.cleanLabel(label[1]) : undefined, shape: kinds[shape] || null, end: end + 1 };
+        }
+        let best = null;
+        MERMAID_SHAPES.forEach(([open, close, shape]) => {
+            if (!source.startsWith(open, i)) return;
+            const start = i + open.length;
+            let closeAt;
+            if (source[start] === '"') {
+                const quoteEnd = source.indexOf('"', start + 1);
+                closeAt = quoteEnd !== -1 && source.startsWith(close, quoteEnd + 1) ? quoteEnd + 1 : -1;
+            } else {
+                closeAt = MermaidFlowchart.indexOutsideQuotes(source, close, start);
+            }
+            if (closeAt === -1 || (best && closeAt >= best.closeAt)) return;
+            best = { closeAt, label: MermaidFlowchart.cleanLabel(source.slice(start, closeAt)), shape, end: closeAt + close.length };
+        });
+        return best;
+    }
 
-        const pos = this.getMousePos(e);
-        const clickedNode = this.getNodeAt(pos.x, pos.y);
-        const clickedHandle = this.getResizeHandleAt(pos.x, pos.y);
-        const clickedConn = this.getConnectionAt(pos.x, pos.y);
-        const clickedStroke = this.getStrokeAt(pos.x, pos.y);
+    // Like indexOf, but skips anything between double quotes.
+    static indexOutsideQuotes(source, search, from) {
+        let quoted = false;
+        for (let i = from; i < source.length; i++) {
+            if (source[i] === '"') quoted = !quoted;
+            else if (!quoted && source.startsWith(search, i)) return i;
+        }
+        return -1;
+    }
 
-        if (this.isCtrlPressed || this.currentTool === 'pan') {
-            this.isPanning = true;
-            this.panStart = { x: e.clientX, y: e.clientY };
-            this.updateCanvasCursor();
-            return;
-        }
+    static cleanLabel(text) {
+        const entities = { quot: '"', amp: '&', lt: '<', gt: '>', nbsp: ' ' };
+        return text.trim()
+            .replace(/^"([\s\S]*)"$/, '$1')
+            .replace(/^`([\s\S]*)`$/, '$1')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+            .replace(/#(\w+);/g, (match, name) => entities[name] !== undefined ? entities[name] : match)
+            .trim();
+    }
+}
 
-        switch (this.currentTool) {
-            case 'select':
-                if (clickedHandle) {
-                    this.isResizing = true;
-                    this.resizeHandle = clickedHandle;
-                    this.selectionBounds.original = { ...this.selectionBounds };
-                    this.selectedNodes.forEach(n => n.original = { x: n.x, y: n.y });
-                } else if (clickedNode || clickedStroke) {
-                    // Node click logic
-                    if (clickedNode) {
-                        if (this.isClickOnLabel(pos, clickedNode)) { 
-                            this.enterLabelEditMode(clickedNode); 
-                            return; 
-                        }
-                        if (!this.selectedNodes.includes(clickedNode)) {
-                            this.selectedNodes = [clickedNode];
-                            this.selectedStrokes = []; // Clear stroke selection
-                        }
-                    } 
-                    // Stroke click logic
-                    else if (clickedStroke) {
-                         if (!this.selectedStrokes.includes(clickedStroke)) {
-                            this.selectedStrokes = [clickedStroke];
-                            this.selectedNodes = []; // Clear node selection
-                        }
-                    }
+// Graphviz DOT: node and edge statements with attribute defaults; subgraphs are flattened and
+// ports ignored. Triangles are materials, circles activities, notes and plain text text boxes.
+class DotGraph {
+    static stringify(graph, name = 'SupplyChain') {
+        const shapes = { material: 'triangle', activity: 'circle', textbox: 'box' };
+        const lines = [
+            `digraph ${DotGraph.id(name)} {`,
+            '    rankdir=LR;',
+            '    node [fontname="Helvetica", fontsize=11];',
+            '    edge [fontname="Helvetica", fontsize=10];'
+        ];
+        graph.nodes.forEach(node => {
+            lines.push(`    ${DotGraph.id(node.id)} [label=${DotGraph.quote(node.label)}, shape=${shapes[node.kind] || 'box'}];`);
+        });
+        graph.edges.forEach(edge => {
+            lines.push(`    ${DotGraph.id(edge.from)} -> ${DotGraph.id(edge.to)}${edge.label ? ` [label=${DotGraph.quote(edge.label)}]` : ''};`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
 
-                    this.isDraggingElement = true;
-                    this.dragOffset = { x: pos.x, y: pos.y };
-                    
-                    // Setup drag start for nodes
-                    this.selectedNodes.forEach(n => n.dragStart = { x: n.x, y: n.y });
-                    
-                    // Setup drag start for strokes (need to store original points)
-                    this.selectedStrokes.forEach(s => {
-                         s.dragStartPoints = s.points.map(p => ({x: p.x, y: p.y}));
-                    });
+    static id(value) {
+        const keywords = ['node', 'edge', 'graph', 'digraph', 'subgraph', 'strict'];
+        return /^[A-Za-z_]\w*$/.test(value) && !keywords.includes(value.toLowerCase()) ? value : DotGraph.quote(value);
+    }
 
-                    this.updateCanvasCursor();
-                    const count = this.selectedNodes.length + this.selectedStrokes.length;
-                    this.updateDragStatus(`Moving ${count} item(s)`);
-                } else if (clickedConn) {
-                    this.selectedConnection = clickedConn;
-                    this.selectedNodes = [];
-                    this.selectedStrokes = [];
-                    this.updateCanvasCursor();
-                    this.updateDragStatus(`Selected 1 connection`);
-                    this.queueRender();
-                    return;
-                } else {
-                    this.isSelecting = true;
-                    this.selectionRect = { startX: pos.x, startY: pos.y, endX: pos.x, endY: pos.y };
-                    this.selectedNodes = [];
-                    this.selectedStrokes = [];
+    static quote(text) {
+        return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0, line = 1;
+        const skipTo = marker => {
+            const end = text.indexOf(marker, i);
+            const stop = end === -1 ? text.length : end + marker.length;
+            line += (text.slice(i, stop).match(/\n/g) || []).length;
+            i = stop;
+        };
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\n') { line++; i++; continue; }
+            if (/\s/.test(ch)) { i++; continue; }
+            if (text.startsWith('//', i) || (ch === '#' && !text.slice(text.lastIndexOf('\n', i - 1) + 1, i).trim())) {
+                const end = text.indexOf('\n', i);
+                i = end === -1 ? text.length : end;
+                continue;
+            }
+            if (text.startsWith('/*', i)) { skipTo('*/'); continue; }
+            if (ch === '"') {
+                let value = '', j = i + 1;
+                const start = line;
+                while (j < text.length && text[j] !== '"') {
+                    if (text[j] === '\\' && text[j + 1] === '"') { value += '"'; j += 2; continue; }
+                    if (text[j] === '\\' && text[j + 1] === '\n') { line++; j += 2; continue; }
+                    if (text[j] === '\n') line++;
+                    value += text[j++];
                 }
-                break;
-            case 'connect':
-                if (clickedNode) {
-                    if (!this.connectingFrom) {
-                        this.connectingFrom = clickedNode;
-                        this.showStatus(`Connecting from ${clickedNode.label}. Click another node.`, 'info');
-                    } else if (this.connectingFrom !== clickedNode) {
-                        if (this.createConnection(this.connectingFrom, clickedNode)) this.setTool('select');
-                        this.connectingFrom = null;
+                if (j >= text.length) throw new Error(`Line ${start}: unterminated string`);
+                tokens.push({ type: 'id', value, quoted: true, line: start });
+                i = j + 1;
+                continue;
+            }
+            if (ch === '<') {
+                let depth = 0, j = i;
+                const start = line;
+                do {
+                    if (text[j] === '<') depth++;
+                    else if (text[j] === '>') depth--;
+                    else if (text[j] === '\n') line++;
+                    j++;
+                } while (depth > 0 && j < text.length);
+                if (depth > 0) throw new Error(`Line ${start}: unterminated HTML label`);
+                tokens.push({ type: 'id', value: text.slice(i + 1, j - 1).replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, ''), quoted: true, line: start });
+                i = j;
+                continue;
+            }
+            if (text.startsWith('->', i) || text.startsWith('--', i)) {
+                tokens.push({ type: 'edge', value: text.slice(i, i + 2), line });
+                i += 2;
+                continue;
+            }
+            if ('{}[]=;,:'.includes(ch)) {
+                tokens.push({ type: 'punct', value: ch, line });
+                i++;
+                continue;
+            }
+            const word = /^([A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*|-?(\.\d+|\d+(\.\d*)?))/.exec(text.slice(i));
+            if (!word) throw new Error(`Line ${line}: unexpected "${ch}"`);
+            tokens.push({ type: 'id', value: word[0], quoted: false, line });
+            i += word[0].length;
+        }
+        return tokens;
+    }
+
+    // Returns { nodes, edges, problems } in the same form as MermaidFlowchart.parse.
+    static parse(text) {
+        const tokens = DotGraph.tokenize(text.replace(/^\uFEFF/, ''));
+        let p = 0;
+        const peek = () => tokens[p];
+        const fail = message => {
+            const token = tokens[Math.min(p, tokens.length - 1)];
+            return new Error(`Line ${token ? token.line : 1}: ${message}`);
+        };
+        const isPunct = value => tokens[p] && tokens[p].type === 'punct' && tokens[p].value === value;
+        const isKeyword = word => tokens[p] && tokens[p].type === 'id' && !tokens[p].quoted && tokens[p].value.toLowerCase() === word;
+        const readId = what => {
+            const token = tokens[p];
+            if (!token || token.type !== 'id') throw fail(`expected ${what}`);
+            p++;
+            return token.value;
+        };
+        const expect = value => {
+            if (!isPunct(value)) throw fail(`expected "${value}"`);
+            p++;
+        };
+        const readAttributes = () => {
+            const attributes = {};
+            while (isPunct('[')) {
+                p++;
+                while (!isPunct(']')) {
+                    const key = readId('an attribute name').toLowerCase();
+                    let value = 'true';
+                    if (isPunct('=')) {
+                        p++;
+                        value = readId(`a value for ${key}`);
                     }
-                } else {
-                    this.connectingFrom = null;
-                    this.deselectAll();
+                    attributes[key] = value;
+                    if (isPunct(',') || isPunct(';')) p++;
                 }
-                break;
-            case 'delete':
-                if (clickedNode) {
-                    this.saveState();
-                    this.deleteNode(clickedNode);
-                    this.setTool('select');
-                } else if (clickedStroke) {
-                    this.saveState();
-                    this.freehandStrokes = this.freehandStrokes.filter(s => s !== clickedStroke);
-                    this.showStatus('Deleted sketch stroke', 'success');
-                    this.queueRender();
-                } else {
-                    const connection = this.getConnectionAt(pos.x, pos.y);
-                    if (connection) {
-                        this.saveState();
-                        this.deleteConnection(connection);
-                        this.setTool('select');
+                p++;
+            }
+            return attributes;
+        };
+
+        const nodes = new Map();
+        const edges = [];
+        const touch = (id, defaults, line) => {
+            if (!nodes.has(id)) nodes.set(id, { id, attributes: { ...defaults }, line });
+            return nodes.get(id);
+        };
+        const readBlock = defaults => {
+            const members = new Set();
+            expect('{');
+            while (!isPunct('}')) {
+                if (!peek()) throw fail('missing "}"');
+                if (isPunct(';') || isPunct(',')) { p++; continue; }
+                if ((isKeyword('graph') || isKeyword('node') || isKeyword('edge')) && tokens[p + 1] && tokens[p + 1].value === '[') {
+                    const kind = readId('a statement').toLowerCase();
+                    const attributes = readAttributes();
+                    if (kind !== 'graph') defaults[kind] = { ...defaults[kind], ...attributes };
+                    continue;
+                }
+                const line = peek().line;
+                const readOperand = () => {
+                    if (isKeyword('subgraph') || isPunct('{')) {
+                        if (isKeyword('subgraph')) {
+                            p++;
+                            if (peek() && peek().type === 'id') p++;
+                        }
+                        return { ids: [...readBlock({ node: { ...defaults.node }, edge: { ...defaults.edge } })], subgraph: true };
                     }
+                    const id = readId('a node name');
+                    if (isPunct(':')) { p++; readId('a port'); }
+                    if (isPunct(':')) { p++; readId('a compass point'); }
+                    return { ids: [id], subgraph: false };
+                };
+                const first = readOperand();
+                if (!first.subgraph && isPunct('=')) {
+                    p++;
+                    readId('a graph attribute value');
+                    continue;
                 }
-                break;
+                const chain = [first];
+                while (peek() && peek().type === 'edge') {
+                    p++;
+                    chain.push(readOperand());
+                }
+                const attributes = readAttributes();
+                chain.forEach(operand => operand.ids.forEach(id => {
+                    touch(id, defaults.node, line);
+                    members.add(id);
+                }));
+                if (chain.length === 1) {
+                    if (!first.subgraph) Object.assign(nodes.get(first.ids[0]).attributes, attributes);
+                    continue;
+                }
+                const edgeAttributes = { ...defaults.edge, ...attributes };
+                for (let k = 0; k < chain.length - 1; k++) {
+                    chain[k].ids.forEach(from => chain[k + 1].ids.forEach(to => {
+                        edges.push({ from, to, label: DotGraph.cleanLabel(edgeAttributes.label || edgeAttributes.xlabel || '', '').replace(/\s*\n\s*/g, ' '), line });
+                    }));
+                }
+            }
+            p++;
+            return members;
+        };
+
+        if (isKeyword('strict')) p++;
+        if (!isKeyword('digraph') && !isKeyword('graph')) throw fail('expected "digraph" or "graph"');
+        p++;
+        if (peek() && peek().type === 'id') p++;
+        readBlock({ node: {}, edge: {} });
+
+        const kinds = { triangle: 'material', invtriangle: 'material', circle: 'activity', doublecircle: 'activity', mcircle: 'activity',
+            note: 'textbox', plaintext: 'textbox', plain: 'textbox', none: 'textbox', underline: 'textbox',
+            box: 'box', rect: 'box', rectangle: 'box', square: 'box' };
+        return {
+            nodes: [...nodes.values()].map(node => ({
+                id: node.id,
+                label: node.attributes.label === undefined ? node.id : DotGraph.cleanLabel(node.attributes.label, node.id),
+                shape: kinds[String(node.attributes.shape || '').toLowerCase()] || null,
+                line: node.line
+            })),
+            edges,
+            problems: []
+        };
+    }
+
+    // Applies the label escapes: \n, \l and \r break lines, \N stands for the node name.
+    static cleanLabel(text, name) {
+        return String(text)
+            .replace(/\\([\s\S])/g, (_, ch) => 'nlr'.includes(ch) ? '\n' : ch === 'N' ? name : ch === 'G' || ch === 'E' || ch === 'T' || ch === 'H' ? '' : ch)
+            .trim();
+    }
+}
+
+// Continuous-review inventory policy from per-day demand: safety stock z·σ·√L, reorder point
+// d·L + SS and the economic order quantity √(2DS/H) on annual demand. Each result is null when
+// its inputs are missing.
+class InventoryPolicy {
+    // Inverse standard normal CDF (Acklam's rational approximation, relative error below 1.2e-9).
+    static normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
         }
-        this.queueRender();
+        if (p > 1 - low) return -InventoryPolicy.normalQuantile(1 - p);
+        const q = p - 0.5, r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
     }
 
-    isClickOnLabel(pos, node) {
-        if (node.type === 'textbox') return false;
-        const labelY = node.y + 40;
-        const labelHeight = 20;
-        const labelWidth = 100;
-        return pos.x >= node.x - labelWidth / 2 && pos.x <= node.x + labelWidth / 2 &&
-               pos.y >= labelY - labelHeight / 2 && pos.y <= labelY + labelHeight / 2;
+    static compute({ demand, demandStdDev, leadTime, serviceLevel, orderCost, holdingCost }) {
+        const known = value => typeof value === 'number' && value >= 0;
+        const z = known(serviceLevel) && serviceLevel > 0 && serviceLevel < 100 ? InventoryPolicy.normalQuantile(serviceLevel / 100) : null;
+        const safetyStock = z !== null && known(demandStdDev) && known(leadTime) ? Math.max(0, z * demandStdDev * Math.sqrt(leadTime)) : null;
+        const reorderPoint = known(demand) && known(leadTime) ? demand * leadTime + (safetyStock || 0) : null;
+        const eoq = demand > 0 && orderCost > 0 && holdingCost > 0 ? Math.sqrt(2 * demand * 365 * orderCost / holdingCost) : null;
+        return { z, safetyStock, reorderPoint, eoq };
     }
+}
 
-    isInsideTextBox(pos, node) {
-        if (node.type !== 'textbox') return false;
-        return pos.x >= node.x - node.width / 2 && pos.x <= node.x + node.width / 2 &&
-               pos.y >= node.y - node.height / 2 && pos.y <= node.y + node.height / 2;
+// Collects template nodes and flows without positions; the canvas lays them out on insertion.
+// Materials are one node per item and location, labelled "Item\nat Location" like generated
+// diagrams, and activities one per key, so archetypes can name the same node twice.
+class TemplateBuilder {
+    constructor() {
+        this.nodes = [];
+        this.connections = [];
+        this.byKey = new Map();
     }
 
-    enterLabelEditMode(node) {
-        this.editingNode = node;
-        this.selectedNodes = [node];
-        const modal = document.getElementById('editModal');
-        const input = document.getElementById('editInput');
-        document.querySelector('#editModal h3').textContent = 'Edit Label';
-        input.value = node.label;
-        modal.classList.remove('hidden');
-        setTimeout(() => { input.focus(); input.select(); }, 10);
-        this.queueRender();
+    // "Plant" for one site, "Plant 1", "Plant 2", … for several.
+    static sites(count, name) {
+        return count === 1 ? [name] : Array.from({ length: count }, (_, i) => `${name} ${i + 1}`);
     }
 
-    enterConnectionEditMode(connection) {
-        this.editingConnection = connection;
-        this.selectedNodes = [];
-        const modal = document.getElementById('editModal');
-        const input = document.getElementById('editInput');
-        document.querySelector('#editModal h3').textContent = 'Edit Connection Label';
-        input.value = connection.label || '';
-        modal.classList.remove('hidden');
-        setTimeout(() => { input.focus(); input.select(); }, 10);
-        this.queueRender();
+    add(key, type, label, attributes) {
+        if (!this.byKey.has(key)) {
+            const node = { id: `t${this.nodes.length + 1}`, type, label, attributes };
+            this.nodes.push(node);
+            this.byKey.set(key, node);
+        }
+        return this.byKey.get(key);
     }
 
-    enterTextEditMode(node) {
-        this.editingNode = node;
-        this.selectedNodes = [node];
-        const modal = document.getElementById('editModal');
-        const input = document.getElementById('editInput');
-        document.querySelector('#editModal h3').textContent = 'Edit Text Content';
-        input.value = node.label === 'Click to edit text' ? '' : node.label;
-        const modalContent = modal.querySelector('.modal-content');
-        const fontSize = node.fontSize || 12;
-        const dims = this.computeTextBoxDimensions(node.label || '', fontSize);
-        const nodeW = node.width || dims.width || 120;
-        const nodeH = node.height || dims.height || 40;
+    material(name, location) {
+        return this.add(`material|${name}|${location}`, 'material', `${name}\nat ${location}`, { location });
+    }
 
-        const viewportW = Math.max(320, window.innerWidth || 800);
-        const desiredModalMin = Math.min(Math.max(nodeW + 80, 420), viewportW - 40);
-        if (modalContent) modalContent.style.minWidth = `${desiredModalMin}px`;
+    activity(label, activityType, key = label) {
+        return this.add(`activity|${key}`, 'activity', label, { activityType });
+    }
 
-        input.style.width = `${Math.min(nodeW, desiredModalMin - 80)}px`;
-        input.style.maxWidth = '100%';
-        input.style.height = `${Math.max(nodeH, 120)}px`;
-        this._editInputHandler = (e) => {
-            const newContent = e.target.value;
-            if (this.editingNode) {
-                this.editingNode.label = newContent === '' ? 'Click to edit text' : newContent;
-                const dimsLive = this.computeTextBoxDimensions(this.editingNode.label, this.editingNode.fontSize || 12);
-                this.editingNode.width = dimsLive.width;
-                this.editingNode.height = dimsLive.height;
-                const desiredModalMinLive = Math.min(Math.max(dimsLive.width + 80, 420), viewportW - 40);
-                if (modalContent) modalContent.style.minWidth = `${desiredModalMinLive}px`;
-                input.style.width = `${Math.min(dimsLive.width, desiredModalMinLive - 80)}px`;
-                input.style.height = `${Math.max(dimsLive.height, 120)}px`;
-                this.queueRender();
+    // Flows between each consecutive pair of nodes.
+    chain(...nodes) {
+        nodes.slice(1).forEach((to, i) => {
+            const from = nodes[i];
+            if (!this.connections.some(c => c.from === from.id && c.to === to.id)) {
+                this.connections.push({ from: from.id, to: to.id, label: '' });
             }
-        };
-        input.addEventListener('input', this._editInputHandler);
-        modal.classList.remove('hidden');
-        setTimeout(() => { input.focus(); input.select(); }, 10);
-        this.queueRender();
+        });
     }
+}
 
-    handleMouseMove(e) {
-        const pos = this.getMousePos(e);
-
-        if (this._currentStroke) {
-            this._currentStroke.points.push(pos);
-            this.queueRender();
-            return;
+// Built-in archetypes. `uses` lists the site counts a build reads: suppliers, plants and dcs.
+const SUPPLY_CHAIN_ARCHETYPES = [
+    {
+        id: 'make-to-stock',
+        name: 'Make-to-stock',
+        description: 'Plants build finished goods to forecast and stock them in DCs that serve customers.',
+        uses: ['suppliers', 'plants', 'dcs'],
+        build(g, counts) {
+            const suppliers = TemplateBuilder.sites(counts.suppliers, 'Supplier');
+            const dcs = TemplateBuilder.sites(counts.dcs, 'DC');
+            TemplateBuilder.sites(counts.plants, 'Plant').forEach(plant => {
+                const make = g.activity('Production', 'production', `production@${plant}`);
+                suppliers.forEach((supplier, i) => {
+                    const part = TemplateBuilder.sites(suppliers.length, 'Raw Material')[i];
+                    g.chain(g.material(part, supplier), g.activity('Procurement', 'procurement', `procurement|${part}`), g.material(part, plant), make);
+                });
+                const ship = g.activity('Transport', 'transport', `transport@${plant}`);
+                g.chain(make, g.material('Finished Good', plant), ship);
+                dcs.forEach(dc => g.chain(ship, g.material('Finished Good', dc), g.activity('Delivery', 'transport', `delivery@${dc}`), g.material('Finished Good', 'Customers')));
+            });
         }
-        if (this.isPanning) {
-            const dx = e.clientX - this.panStart.x;
-            const dy = e.clientY - this.panStart.y;
-            this.camera.x += dx;
-            this.camera.y += dy;
-            this.panStart = { x: e.clientX, y: e.clientY };
-            this.queueRender();
-            return;
+    },
+    {
+        id: 'make-to-order',
+        name: 'Make-to-order',
+        description: 'Raw materials are stocked at the plants; products are only built against a customer order and shipped direct.',
+        uses: ['suppliers', 'plants'],
+        build(g, counts) {
+            const suppliers = TemplateBuilder.sites(counts.suppliers, 'Supplier');
+            TemplateBuilder.sites(counts.plants, 'Plant').forEach(plant => {
+                const make = g.activity('Make to Order', 'production', `make@${plant}`);
+                suppliers.forEach((supplier, i) => {
+                    const part = TemplateBuilder.sites(suppliers.length, 'Raw Material')[i];
+                    g.chain(g.material(part, supplier), g.activity('Procurement', 'procurement', `procurement|${part}`), g.material(part, plant), make);
+                });
+                g.chain(make, g.material('Finished Good', plant), g.activity('Delivery', 'transport', `delivery@${plant}`), g.material('Finished Good', 'Customers'));
+            });
         }
-
-        if (this.isResizing) {
-            this.resizeSelection(pos);
-            this.queueRender();
-            return;
+    },
+    {
+        id: 'assemble-to-order',
+        name: 'Assemble-to-order',
+        description: 'Plants build modules to stock; DCs assemble the final product once an order arrives.',
+        uses: ['suppliers', 'plants', 'dcs'],
+        build(g, counts) {
+            const suppliers = TemplateBuilder.sites(counts.suppliers, 'Supplier');
+            const dcs = TemplateBuilder.sites(counts.dcs, 'DC');
+            TemplateBuilder.sites(counts.plants, 'Plant').forEach(plant => {
+                const make = g.activity('Sub-assembly', 'production', `subassembly@${plant}`);
+                suppliers.forEach((supplier, i) => {
+                    const part = TemplateBuilder.sites(suppliers.length, 'Component')[i];
+                    g.chain(g.material(part, supplier), g.activity('Procurement', 'procurement', `procurement|${part}`), g.material(part, plant), make);
+                });
+                const ship = g.activity('Transport', 'transport', `transport@${plant}`);
+                g.chain(make, g.material('Module', plant), ship);
+                dcs.forEach(dc => g.chain(ship, g.material('Module', dc), g.activity('Assemble to Order', 'production', `assemble@${dc}`),
+                    g.material('Finished Good', dc), g.activity('Delivery', 'transport', `delivery@${dc}`), g.material('Finished Good', 'Customers')));
+            });
         }
-
-        if (this.isSelecting) {
-            this.selectionRect.endX = pos.x;
-            this.selectionRect.endY = pos.y;
-            this.queueRender();
-            return;
+    },
+    {
+        id: 'two-tier-distribution',
+        name: 'Two-tier distribution',
+        description: 'Plants feed one central DC, which replenishes regional DCs close to customers.',
+        uses: ['plants', 'dcs'],
+        build(g, counts) {
+            const central = g.material('Finished Good', 'Central DC');
+            TemplateBuilder.sites(counts.plants, 'Plant').forEach(plant => {
+                g.chain(g.material('Finished Good', plant), g.activity('Transport', 'transport', `transport@${plant}`), central);
+            });
+            const replenish = g.activity('Replenishment', 'transport');
+            TemplateBuilder.sites(counts.dcs, 'Regional DC').forEach(dc => {
+                g.chain(central, replenish, g.material('Finished Good', dc), g.activity('Delivery', 'transport', `delivery@${dc}`), g.material('Finished Good', 'Customers'));
+            });
         }
-
-        // Updated drag logic for nodes AND strokes
-        if (this.isDraggingElement && (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0)) {
-            const dx = pos.x - this.dragOffset.x;
-            const dy = pos.y - this.dragOffset.y;
-            
-            this.selectedNodes.forEach(node => {
-                node.x = node.dragStart.x + dx;
-                node.y = node.dragStart.y + dy;
+    },
+    {
+        id: 'cross-dock',
+        name: 'Cross-dock',
+        description: 'Shipments from every supplier are sorted and reloaded for the DCs at one cross-dock without being stored.',
+        uses: ['suppliers', 'dcs'],
+        build(g, counts) {
+            const suppliers = TemplateBuilder.sites(counts.suppliers, 'Supplier');
+            const dcs = TemplateBuilder.sites(counts.dcs, 'DC');
+            const crossDock = g.activity('Cross-Dock', 'transport');
+            suppliers.forEach((supplier, i) => {
+                const goods = TemplateBuilder.sites(suppliers.length, 'Goods')[i];
+                g.chain(g.material(goods, supplier), crossDock);
+                dcs.forEach(dc => g.chain(crossDock, g.material(goods, dc)));
             });
-
-            this.selectedStrokes.forEach(stroke => {
-                if (stroke.dragStartPoints) {
+        }
+    },
+    {
+        id: 'vmi',
+        name: 'Vendor-managed inventory',
+        description: 'Suppliers own and replenish their parts held at the plants, which consume them in production.',
+        uses: ['suppliers', 'plants'],
+        build(g, counts) {
+            const suppliers = TemplateBuilder.sites(counts.suppliers, 'Supplier');
+            TemplateBuilder.sites(counts.plants, 'Plant').forEach(plant => {
+                const make = g.activity('Production', 'production', `production@${plant}`);
+                suppliers.forEach((supplier, i) => {
+                    const part = TemplateBuilder.sites(suppliers.length, 'Part')[i];
+                    g.chain(g.material(part, supplier), g.activity('VMI Replenishment', 'transport', `vmi|${part}`), g.material(`${part} (VMI)`, plant), make);
+                });
+                g.chain(make, g.material('Finished Good', plant));
+            });
+        }
+    },
+    {
+        id: 'subcontracting',
+        name: 'Subcontracting',
+        description: 'Plants send components to subcontractors for processing and assemble the returned parts.',
+        uses: ['suppliers', 'plants', 'dcs'],
+        build(g, counts) {
+            const subcontractors = TemplateBuilder.sites(counts.suppliers, 'Subcontractor');
+            const plants = TemplateBuilder.sites(counts.plants, 'Plant');
+            const dcs = TemplateBuilder.sites(counts.dcs, 'DC');
+            plants.forEach(plant => {
+                const send = g.activity('Transport', 'transport', `send@${plant}`);
+                g.chain(g.material('Component', plant), send);
+                subcontractors.forEach(sub => g.chain(send, g.material('Component', sub)));
+            });
+            subcontractors.forEach(sub => {
+                const returned = g.activity('Return Shipment', 'transport', `return@${sub}`);
+                g.chain(g.material('Component', sub), g.activity('Subcontract Processing', 'production', `process@${sub}`), g.material('Processed Part', sub), returned);
+                plants.forEach(plant => g.chain(returned, g.material('Processed Part', plant)));
+            });
+            plants.forEach(plant => {
+                const ship = g.activity('Transport', 'transport', `transport@${plant}`);
+                g.chain(g.material('Processed Part', plant), g.activity('Final Assembly', 'production', `assembly@${plant}`), g.material('Finished Good', plant), ship);
+                dcs.forEach(dc => g.chain(ship, g.material('Finished Good', dc)));
+            });
+        }
+    },
+    {
+        id: 'returns',
+        name: 'Returns / reverse logistics',
+        description: 'Goods flow out to customers; returns go back through the DCs to the plants and are refurbished into finished-good stock.',
+        uses: ['plants', 'dcs'],
+        build(g, counts) {
+            const plants = TemplateBuilder.sites(counts.plants, 'Plant');
+            const dcs = TemplateBuilder.sites(counts.dcs, 'DC');
+            const collect = g.activity('Return Collection', 'transport');
+            g.chain(g.material('Finished Good', 'Customers'), collect);
+            plants.forEach(plant => {
+                const ship = g.activity('Transport', 'transport', `transport@${plant}`);
+                g.chain(g.material('Finished Good', plant), ship);
+                dcs.forEach(dc => g.chain(ship, g.material('Finished Good', dc)));
+            });
+            dcs.forEach(dc => {
+                const sendBack = g.activity('Return Transport', 'transport', `return@${dc}`);
+                g.chain(g.material('Finished Good', dc), g.activity('Delivery', 'transport', `delivery@${dc}`), g.material('Finished Good', 'Customers'));
+                g.chain(collect, g.material('Returned Good', dc), sendBack);
+                plants.forEach(plant => g.chain(sendBack, g.material('Returned Good', plant)));
+            });
+            plants.forEach(plant => {
+                g.chain(g.material('Returned Good', plant), g.activity('Refurbishment', 'production', `refurbish@${plant}`), g.material('Finished Good', plant));
+            });
+        }
+    }
+];
+
+class NLPParser {
+    constructor() {
+        this.quantityMap = {
+            'one': 1, 'a': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
+            'multiple': 3, 'several': 3, 'many': 3, 'a few': 3
+        };
+
+        this.materialKeywords = [
+            'raw material', 'raw materials', 'component', 'components', 'part', 'parts', 'ingredient', 'ingredients',
+            'finished good', 'finished goods', 'finished product', 'finished products', 'product', 'products', 'item', 'items',
+            'good', 'goods', 'inventory', 'materials', 'material',
+            'supplier', 'suppliers', 'vendor', 'vendors', 'customer', 'customers', 'store', 'stores', 'warehouse', 'warehouses',
+            'distribution center', 'dc', 'hub', 'hubs', 'depot', 'depots', 'plant'
+        ];
+
+        this.activityKeywords = [
+            'manufacturing', 'assembly', 'processing', 'production', 'produce', 'create', 'make', 'build',
+            'distribution', 'shipping', 'delivery', 'logistics', 'transportation', 'distribute', 'ship', 'deliver',
+            'consumed in a bom', 'consumed', 'sent', 'transported', 'shipped', 'truck'
+        ];
+        
+        this.transitionWords = ['then', 'next', 'after', 'to', 'from', 'and', 'being', 'is', 'at'];
+
+        // Verbs of the sentence patterns, with the activity label each one implies.
+        this.transformVerbs = {
+            made: 'Production', produced: 'Production', created: 'Production', built: 'Assembly', assembled: 'Assembly', manufactured: 'Manufacturing',
+            makes: 'Production', produces: 'Production', creates: 'Production', builds: 'Assembly', assembles: 'Assembly', manufactures: 'Manufacturing'
+        };
+        this.movementVerbs = {
+            shipped: 'Shipping', sent: 'Transport', transported: 'Transport', moved: 'Transport', delivered: 'Delivery', trucked: 'Trucking', distributed: 'Distribution',
+            ship: 'Shipping', send: 'Transport', transport: 'Transport', move: 'Transport', deliver: 'Delivery', truck: 'Trucking', distribute: 'Distribution',
+            goes: 'Transport', moves: 'Transport', travels: 'Transport', flows: 'Transport'
+        };
+        this.pronouns = ['it', 'they', 'these', 'this', 'them', 'those'];
+
+        // The user's own terms, { term, type, label }, matched before the built-in keywords.
+        this.vocabulary = [];
+        // Quoted names of the description being parsed, held out so their words are not split up.
+        this.quotedNames = [];
+    }
+
+    setVocabulary(entries) {
+        this.vocabulary = NLPParser.normalizeVocabulary(entries);
+    }
+
+    // Trims and de-duplicates terms (the last spelling wins); anything but 'activity' is a material.
+    static normalizeVocabulary(entries) {
+        if (!Array.isArray(entries)) throw new Error('Expected a list of terms');
+        const byTerm = new Map();
+        entries.forEach(entry => {
+            if (!entry || typeof entry !== 'object') return;
+            const term = String(entry.term || '').trim().replace(/\s+/g, ' ');
+            if (!term) return;
+            byTerm.set(term.toLowerCase(), {
+                term,
+                type: entry.type === 'activity' ? 'activity' : 'material',
+                label: String(entry.label || '').trim()
+            });
+        });
+        return [...byTerm.values()];
+    }
+
+    isActivityTerm(phrase) {
+        const name = phrase.trim().replace(/^(?:the|a|an)\s+/i, '').replace(/[.,;:!?]+$/, '');
+        const term = this.lookupTerm(name);
+        return term ? term.type === 'activity' : this.activityKeywords.includes(name.toLowerCase());
+    }
+
+    lookupTerm(phrase) {
+        const key = phrase.trim().replace(/\s+/g, ' ').toLowerCase();
+        const entry = this.vocabulary.find(item => item.term.toLowerCase() === key);
+        return entry ? { type: entry.type, label: entry.label || this.capitalize(entry.term) } : null;
+    }
+
+    // Every keyword in lower case with its node type and label; user terms override built-in ones.
+    getKeywords() {
+        const keywords = this.vocabulary.map(entry => ({ keyword: entry.term.toLowerCase(), ...this.lookupTerm(entry.term) }));
+        const taken = new Set(keywords.map(k => k.keyword));
+        const builtIn = (list, type) => list
+            .filter(keyword => !taken.has(keyword))
+            .map(keyword => ({ keyword, type, label: this.capitalize(keyword) }));
+        return [...keywords, ...builtIn(this.materialKeywords, 'material'), ...builtIn(this.activityKeywords, 'activity')];
+    }
+
+    // Whole descriptions: sentences and clauses each become one or more steps, chained through
+    // pronouns ("it is shipped…") and shared material names. Transform steps are
+    // { kind: 'transform', inputs, outputs, activity, location }, movement steps
+    // { kind: 'move', materials, source, destinations, activity } and clauses read only as
+    // keywords { kind: 'chain', tokens }; materials are { name, location }.
+    parseNetwork(text) {
+        const steps = [];
+        const unparsed = [];
+        const context = { last: [], locations: new Map() };
+        this.quotedNames = [];
+        const masked = text.replace(/["“”]([^"“”]+)["“”]|(^|\s)'([^']+)'(?=[\s.,;:!?]|$)/g, (match, double, lead = '', single) => {
+            this.quotedNames.push((double || single).trim());
+            return `${lead}\uE000${this.quotedNames.length - 1}\uE001`;
+        });
+        const sentences = masked.split(/[.!?;]+(?=\s|$)|\n+/).map(s => s.trim()).filter(Boolean);
+        sentences.forEach(sentence => {
+            const clauses = sentence
+                .replace(/\s*,?\s+(?:which|that)\s+(?=(?:is|are|gets|get)\s)/gi, ', then it ')
+                .replace(/\b(it|they|is|are|gets|get|being)\s+then\s+/gi, '$1 ')
+                .split(/\s*,?\s+(?:and\s+)?then\s+|\s*,\s*(?:and\s+)?(?=(?:it|they)\s)/i)
+                .map(c => c.trim()).filter(Boolean);
+            clauses.forEach(clause => {
+                const parsed = this.parseClause(clause, context);
+                if (parsed) return steps.push(...parsed);
+                // Otherwise the clause's keywords continue from the previous step as a plain chain.
+                const tokens = this.tokenize(this.restoreQuoted(clause));
+                if (tokens.length === 0) return unparsed.push(this.restoreQuoted(clause));
+                const last = tokens[tokens.length - 1];
+                if (last.type === 'material') context.last = [{ name: last.label, location: '' }];
+                steps.push({ kind: 'chain', tokens });
+            });
+        });
+        return { steps, unparsed, sentences: sentences.length };
+    }
+
+    parseClause(clause, context) {
+        const text = clause.replace(/\s+/g, ' ').replace(/[,:]+$/, '').trim();
+        const verbs = words => Object.keys(words).sort((a, b) => b.length - a.length).join('|');
+        const move = '(?:\\s+(?:via|by|using|through)\\s+(.+?))?';
+        let m;
+
+        // "Steel and paint are consumed in assembly at Plant A to make Bike"
+        if ((m = text.match(/^(.+?)\s+(?:is\s+|are\s+)?(?:consumed|used|processed|combined|mixed|blended)\s+(?:in|by|at|during|via)\s+(.+?)(?:\s+at\s+(.+?))?\s+(?:in order\s+)?to\s+(?:make|produce|create|build|form|yield|manufacture|assemble)\s+(.+)$/i))) {
+            return this.transformStep(m[1], m[4], this.cleanName(m[2]), m[3], context);
+        }
+        // "Assembly at Plant A turns steel and paint into Bike"
+        if ((m = text.match(/^(.+?)(?:\s+at\s+(.+?))?\s+(?:turns|converts|transforms|combines|uses|consumes)\s+(.+?)\s+(?:into|to make|to produce)\s+(.+)$/i))) {
+            return this.transformStep(m[3], m[4], this.cleanName(m[1]), m[2], context);
+        }
+        // "Bike is assembled from frames and wheels in assembly at Plant A"
+        if ((m = text.match(new RegExp(`^(.+?)\\s+(?:is|are)\\s+(${verbs(this.transformVerbs)})\\s+from\\s+(.+?)(?:\\s+(?:in|by|via|through)\\s+(.+?))?(?:\\s+at\\s+(.+?))?$`, 'i')))) {
+            return this.transformStep(m[3], m[1], m[4] ? this.cleanName(m[4]) : this.transformVerbs[m[2].toLowerCase()], m[5], context);
+        }
+        // "Plant A makes Bike from steel and paint"
+        if ((m = text.match(new RegExp(`^(.+?)\\s+(${verbs(this.transformVerbs)})\\s+(.+?)\\s+from\\s+(.+)$`, 'i')))) {
+            return this.transformStep(m[4], m[3], this.transformVerbs[m[2].toLowerCase()], m[1], context);
+        }
+        // "Bike is shipped from Plant A to DC North and DC South [via truck]"
+        if ((m = text.match(new RegExp(`^(.+?)\\s+(?:is\\s+|are\\s+|gets\\s+|get\\s+|being\\s+)?(${verbs(this.movementVerbs)})(?:\\s+out)?(?:\\s+from\\s+(.+?))?\\s+to\\s+(.+?)${move}$`, 'i')))) {
+            return this.moveStep(m[1], m[3], m[4], m[5] ? this.cleanName(m[5]) : this.movementVerbs[m[2].toLowerCase()], context);
+        }
+        // "Ship Bike from Plant A to DC North"
+        if ((m = text.match(new RegExp(`^(${verbs(this.movementVerbs)})\\s+(.+?)(?:\\s+from\\s+(.+?))?\\s+to\\s+(.+?)${move}$`, 'i')))) {
+            return this.moveStep(m[2], m[3], m[4], m[5] ? this.cleanName(m[5]) : this.movementVerbs[m[1].toLowerCase()], context);
+        }
+        // "Acme Steel supplies steel to Plant A"
+        if ((m = text.match(/^(.+?)\s+(?:supplies|provides|sells)\s+(.+?)\s+to\s+(.+)$/i))) {
+            return this.moveStep(m[2], m[1], m[3], 'Procurement', context);
+        }
+        const legacy = this.parseMovement(text);
+        if (legacy) {
+            return legacy.map(step => this.moveStep(step.material, step.source, step.destination, step.activity, context)[0]);
+        }
+        return null;
+    }
+
+    transformStep(inputText, outputText, activity, locationText, context) {
+        const location = locationText ? this.cleanName(locationText) : '';
+        const inputs = this.parseMaterials(inputText, context, location);
+        const outputs = this.parseMaterials(outputText, context, location);
+        if (!activity || inputs.length === 0 || outputs.length === 0) return null;
+        outputs.forEach(material => context.locations.set(material.name.toLowerCase(), material.location));
+        context.last = outputs;
+        return [{ kind: 'transform', inputs, outputs, activity, location }];
+    }
+
+    // A destination that names an activity ("goes to manufacturing") makes a process chain, not a movement.
+    moveStep(materialText, sourceText, destinationText, activity, context) {
+        if (this.splitList(destinationText).some(name => this.isActivityTerm(name))) return null;
+        const source = sourceText ? this.cleanName(sourceText) : '';
+        const materials = this.parseMaterials(materialText, context, source);
+        const destinations = this.splitList(destinationText).map(name => this.cleanName(name)).filter(Boolean);
+        if (!activity || materials.length === 0 || destinations.length === 0) return null;
+        const moved = destinations.flatMap(destination => materials.map(material => ({ name: material.name, location: destination })));
+        materials.forEach(material => context.locations.set(material.name.toLowerCase(), destinations[destinations.length - 1]));
+        context.last = moved;
+        return [{ kind: 'move', materials, source: materials[0].location, destinations, activity }];
+    }
+
+    // A list of materials, each optionally "at <location>" or with a leading quantity. Pronouns
+    // stand for what the previous clause produced or moved.
+    parseMaterials(text, context, defaultLocation = '') {
+        const phrase = text.trim().replace(/^(?:then|and)\s+/i, '');
+        if (this.pronouns.includes(phrase.toLowerCase())) {
+            return context.last.map(material => ({ name: material.name, location: defaultLocation || material.location }));
+        }
+        return this.splitList(phrase).flatMap(item => {
+            let name = item.trim(), location = '';
+            const at = name.match(/^(.+?)\s+(?:at|in)\s+(.+)$/i);
+            if (at) {
+                name = at[1];
+                location = this.cleanName(at[2]);
+            }
+            let count = 1;
+            const quantity = name.match(/^(\d+|one|two|three|four|five|multiple|several|many|a few)\s+(.+)$/i);
+            if (quantity) {
+                count = this.quantityMap[quantity[1].toLowerCase()] || parseInt(quantity[1], 10) || 1;
+                name = quantity[2];
+            }
+            name = this.cleanName(name);
+            if (!name) return [];
+            location = location || defaultLocation || context.locations.get(name.toLowerCase()) || '';
+            if (count === 1) return [{ name, location }];
+            return Array.from({ length: Math.min(count, 10) }, (_, i) => ({ name: `${name} ${i + 1}`, location }));
+        });
+    }
+
+    splitList(text) {
+        return text.split(/\s*,\s*(?:and\s+|or\s+)?|\s+(?:and|or|&|as well as)\s+/i).map(item => item.trim()).filter(Boolean);
+    }
+
+    cleanName(phrase) {
+        const name = phrase.trim()
+            .replace(/^(?:the|a|an|some|both|all|its|their|our)\s+/i, '')
+            .replace(/[.,;:!?"']+$/, '')
+            .replace(/\s+/g, ' ');
+        const term = this.lookupTerm(name);
+        return term ? term.label : this.restoreQuoted(this.capitalize(name));
+    }
+
+    restoreQuoted(text) {
+        return text.replace(/\uE000(\d+)\uE001/g, (match, i) => this.quotedNames[i]);
+    }
+
+    // A name to keep as written: a quoted name, a whole phrase of capitalised words such as
+    // "Plant Pune", or an identifier such as FG-1002 or RM200. Null for ordinary nouns.
+    recognizeName(phrase) {
+        const text = this.restoreQuoted(phrase.trim().replace(/^(?:the|a|an)\s+/i, '')).replace(/\s+/g, ' ');
+        const quoted = text.match(/["“]([^"”]+)["”]/);
+        if (quoted) return quoted[1].trim();
+        const words = text.split(' ').filter(Boolean);
+        if (words.length > 0 && words.every(word => /^[A-Z0-9]/.test(word)) && words.some(word => /[A-Z]/.test(word))) {
+            return text;
+        }
+        return words.find(word => this.isCode(word)) || (phrase.includes('\uE000') ? text : null);
+    }
+
+    // Letters and digits together, optionally joined by - _ / or . ("FG-1002", "SKU123", "3PL").
+    isCode(word) {
+        return /\d/.test(word) && /[A-Za-z]/.test(word) && /^[A-Za-z0-9]+(?:[-_/.][A-Za-z0-9]+)*$/.test(word);
+    }
+
+    parseMovement(text) {
+        const fromPattern = /\bfrom ([\w\s-]+?)(?=\sto\s|via\s|$)/i;
+        const toPattern = /\bto ([\w\s-]+?)(?=\sfrom\s|via\s|$)/i;
+        const viaPattern = /\bvia ([\w\s-]+?)(?=\sfrom\s|to\s|$)/i;
+        const materialPattern = /([\w\s-]+?)(?=\sbeing sent|\sis sent|\sbeing transported|\sis transported)/i;
+
+        const fromMatch = text.match(fromPattern);
+        const toMatch = text.match(toPattern);
+        let viaMatch = text.match(viaPattern);
+        let materialMatch = text.match(materialPattern);
+        
+        if (!materialMatch) {
+            materialMatch = text.match(/(a|one|two|three|multiple|several)?\s?([\w\s-]+?)(?=\sfrom\s)/i);
+        }
+
+        const source = fromMatch ? this.findKeyword(fromMatch[1].trim()) : null;
+        const destination = toMatch ? this.findKeyword(toMatch[1].trim()) : null;
+        let activity = viaMatch ? this.findKeyword(viaMatch[1].trim()) : null;
+        const material = materialMatch ? this.findKeyword((materialMatch[2] || materialMatch[1] || '').trim()) : null;
+
+        if (!activity) {
+            for (const verb of ['sent', 'transported', 'shipped']) {
+                if (text.toLowerCase().includes(verb)) {
+                    activity = { type: 'activity', label: this.capitalize(verb) };
+                    break;
+                }
+            }
+        }
+        
+        if (material && source && destination && activity) {
+            return [{
+                material: material.label,
+                source: source.label,
+                destination: destination.label,
+                activity: activity.label
+            }];
+        }
+        return null;
+    }
+
+    // Proper names keep their own label and only take their type from a keyword inside them
+    // ("Assembly Line 2" is an activity); other phrases become the keyword they contain.
+    findKeyword(phrase) {
+        const name = this.recognizeName(phrase);
+        const term = name && this.lookupTerm(name);
+        if (term) return term;
+        const lower = (name || phrase).toLowerCase();
+        const userTerms = this.vocabulary.length;
+        const allKeywords = this.getKeywords().map((keyword, i) => ({ ...keyword, user: i < userTerms }));
+        allKeywords.sort((a, b) => b.keyword.length - a.keyword.length);
+
+        for (const { keyword, type, label, user } of allKeywords) {
+            // User terms and names match whole words in any case; built-in keywords keep their literal match.
+            const found = user || name
+                ? new RegExp(`(?:^|[^\\w-])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`).test(lower)
+                : phrase.includes(keyword);
+            if (found) return { type, label: name || label };
+        }
+        return { type: 'material', label: name || this.capitalize(phrase) };
+    }
+
+    // Structured steps when any clause is understood, otherwise the keyword tokens.
+    parse(text) {
+        const network = this.parseNetwork(text);
+        if (network.steps.some(step => step.kind !== 'chain')) return { ...network, tokens: [] };
+        return { steps: [], tokens: this.tokenize(text), unparsed: network.unparsed, sentences: network.sentences };
+    }
+
+    tokenize(text) {
+        const original = text.replace(/,/g, '').split(/\s+/);
+        const words = original.map(word => word.toLowerCase());
+        const tokens = [];
+        let i = 0;
+
+        while (i < words.length) {
+            let quantity = 1;
+            if (this.quantityMap[words[i]] || /^\d+$/.test(words[i])) {
+                quantity = this.quantityMap[words[i]] || parseInt(words[i]);
+                i++;
+                if (i >= words.length) break;
+            }
+
+            const name = this.matchName(original, i);
+            if (name) {
+                tokens.push({ type: name.type, label: name.label, quantity });
+                i += name.length;
+                continue;
+            }
+
+            let foundKeyword = false;
+            const allKeywords = this.getKeywords();
+            allKeywords.sort((a, b) => b.keyword.split(' ').length - a.keyword.split(' ').length);
+
+            for (const { keyword, type, label } of allKeywords) {
+                const keywordParts = keyword.split(' ');
+                if (words.slice(i, i + keywordParts.length).join(' ') === keyword) {
+                    tokens.push({ type, label, quantity });
+                    i += keywordParts.length;
+                    foundKeyword = true;
+                    break;
+                }
+            }
+            
+            if (!foundKeyword) {
+                i++;
+            }
+        }
+        return tokens;
+    }
+    
+    // The proper name starting at words[i]: a quoted name, capitalised words after at/from/to/via,
+    // or an identifier that is not a vocabulary term. Returns its token and word count, or null.
+    matchName(words, i) {
+        let length = 0;
+        if (/^["“]/.test(words[i])) {
+            const end = words.findIndex((word, j) => j >= i && /["”][.!?;:]*$/.test(j === i ? word.slice(1) : word));
+            length = end === -1 ? 0 : end - i + 1;
+        } else if (i > 0 && ['at', 'from', 'to', 'via'].includes(words[i - 1].toLowerCase()) && /^[A-Z]/.test(words[i])) {
+            while (i + length < words.length && /^[A-Z0-9]/.test(words[i + length])) length++;
+        } else if (this.isCode(words[i].replace(/[.!?;:]+$/, '')) && !this.lookupTerm(words[i])) {
+            length = 1;
+        }
+        if (length === 0) return null;
+        const phrase = words.slice(i, i + length).join(' ').replace(/[.!?;:]+$/, '');
+        return { ...this.findKeyword(phrase), length };
+    }
+
+    capitalize(s) {
+        if (!s) return '';
+        return s.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+}
+
+
+// Master-data attributes per node type, in the order the properties panel shows them.
+const NODE_ATTRIBUTE_FIELDS = {
+    material: [
+        { key: 'sku', label: 'SKU', type: 'text' },
+        { key: 'location', label: 'Location', type: 'text' },
+        { key: 'uom', label: 'Unit of measure', type: 'text', suggestions: ['EA', 'KG', 'L', 'M', 'CS', 'PAL'] },
+        { key: 'demand', label: 'Demand', type: 'number', unit: 'per day' },
+        { key: 'initialStock', label: 'Starting inventory', type: 'number' },
+        { key: 'leadTime', label: 'Lead time', type: 'number', unit: 'days' },
+        { key: 'lotSize', label: 'Lot size', type: 'number' },
+        { key: 'safetyStock', label: 'Safety stock', type: 'number' },
+        { key: 'unitCost', label: 'Unit cost', type: 'number' },
+        { key: 'demandStdDev', label: 'Demand std. dev.', type: 'number', unit: 'per day', section: 'Inventory policy' },
+        { key: 'serviceLevel', label: 'Service level', type: 'number', unit: '%', section: 'Inventory policy' },
+        { key: 'orderCost', label: 'Ordering cost', type: 'number', unit: 'per order', section: 'Inventory policy' },
+        { key: 'holdingCost', label: 'Holding cost', type: 'number', unit: 'per unit per year', section: 'Inventory policy' }
+    ],
+    activity: [
+        {
+            key: 'activityType', label: 'Activity type', type: 'select',
+            options: [
+                { value: 'production', label: 'Production / BOM' },
+                { value: 'transport', label: 'Transport' },
+                { value: 'procurement', label: 'Procurement' }
+            ]
+        },
+        { key: 'duration', label: 'Duration', type: 'number', unit: 'days' },
+        { key: 'capacity', label: 'Capacity', type: 'number', unit: 'per day' },
+        { key: 'cost', label: 'Cost', type: 'number' }
+    ]
+};
+
+// BOM data on connections: flows into an activity carry quantity-per, unit and scrap, flows out
+// of it the quantity one run yields. Inputs of transport and procurement activities also carry
+// the sourcing quota that splits demand between alternative sources.
+const CONNECTION_ATTRIBUTE_FIELDS = {
+    input: [
+        { key: 'qtyPer', label: 'Quantity per', type: 'number' },
+        { key: 'uom', label: 'Unit of measure', type: 'text', suggestions: ['EA', 'KG', 'L', 'M', 'CS', 'PAL'] },
+        { key: 'scrapPct', label: 'Scrap', type: 'number', unit: '%' }
+    ],
+    output: [
+        { key: 'yield', label: 'Output yield', type: 'number', unit: 'per run' }
+    ],
+    sourcing: [
+        { key: 'quotaPct', label: 'Sourcing quota', type: 'number', unit: '%' }
+    ]
+};
+
+// Derived inventory policy columns in the Nodes table; recalculated, so never imported back.
+const INVENTORY_POLICY_COLUMNS = [
+    { column: 'calc_safety_stock', key: 'safetyStock', label: 'SS' },
+    { column: 'calc_reorder_point', key: 'reorderPoint', label: 'ROP' },
+    { column: 'calc_eoq', key: 'eoq', label: 'EOQ' }
+];
+
+// Location kinds in echelon order: lanes are laid out supplier → plant → DC → customer.
+const LOCATION_KINDS = [
+    { value: 'supplier', label: 'Supplier' },
+    { value: 'plant', label: 'Plant' },
+    { value: 'dc', label: 'DC' },
+    { value: 'customer', label: 'Customer' },
+    { value: 'other', label: 'Other' }
+];
+
+// Sheet sizes in PDF points (1/72 inch), and the strip shared by neighbouring tiles.
+const PDF_PAPER_SIZES = {
+    a4: [595.28, 841.89],
+    a3: [841.89, 1190.55],
+    letter: [612, 792]
+};
+const PDF_OVERLAP = 24;
+
+const LANE_HEADER_SIZE = 28;
+const LANE_DEFAULT_SIZE = 260;
+
+class SupplyChainCanvas {
+    constructor() {
+        this.canvas = document.getElementById('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.nodes = [];
+        this.connections = [];
+        this.locations = [];
+        this.laneOrientation = 'vertical';
+        this.selectedLane = null;
+        this.draggingLane = null;
+        this.contextMenuLane = null;
+        this.editingLane = null;
+        this.selectedNodes = [];
+        this.selectedStrokes = []; // New: Track selected strokes
+        this.hoveredNode = null;
+        this.currentTool = 'select';
+        this.isDraggingElement = false;
+        this.isSelecting = false;
+        this.selectionRect = null;
+        this.dragOffset = { x: 0, y: 0 };
+        this.connectingFrom = null;
+        this.nodeCounter = 0;
+        this.contextMenuNode = null;
+        this.contextMenuConnection = null;
+        this.selectedConnection = null;
+        this.editingNode = null;
+        this.editingConnection = null;
+        this.draggedToolType = null;
+        this.mousePos = { x: 0, y: 0 };
+        this.copySettings = {
+            padding: 20,
+            backgroundColor: '#FFFFFF'
+        };
+        // Freehand drawing state
+        this.freehandStrokes = [];
+        this._currentStroke = null;
+        this.penThickness = 4;
+        this.penColor = null;
+
+        this.strokesCanvas = document.createElement('canvas');
+        this.strokesCtx = this.strokesCanvas.getContext('2d');
+
+        this.camera = { x: 0, y: 0, zoom: 1 };
+        this.isPanning = false;
+        this.panStart = { x: 0, y: 0 };
+        this.isCtrlPressed = false;
+        this.isResizing = false;
+        this.resizeHandle = null;
+        this.selectionBounds = null;
+        this.stateManager = new StateManager({
+            maxHistorySize: parseInt(localStorage.getItem('scc-history-limit'), 10) || 500
+        });
+        this.nlpParser = new NLPParser();
+        this.loadVocabulary();
+        this.layeredLayout = new LayeredLayout();
+        this.connectorRouter = new ConnectorRouter();
+        this._routeCache = new WeakMap();
+        this.sessionStore = new SessionStore();
+        this.sessionId = null;
+        this._autosaveTimer = null;
+        this.isRendering = false;
+
+        this.sampleData = {
+            nodes: [
+                {id: "m1", type: "material", label: "RM1", x: 100, y: 150, shape: "triangle", attributes: {sku: "RM1"}},
+                {id: "a1", type: "activity", label: "BOM", x: 250, y: 150, shape: "circle", attributes: {activityType: "production"}},
+                {id: "m2", type: "material", label: "FG1", x: 400, y: 150, shape: "triangle", attributes: {sku: "FG1"}},
+                {id: "a2", type: "activity", label: "Distribution", x: 550, y: 150, shape: "circle", attributes: {activityType: "transport"}},
+                {id: "m3", type: "material", label: "FG1", x: 700, y: 150, shape: "triangle", attributes: {sku: "FG1"}}
+            ],
+            connections: [
+                {from: "m1", to: "a1"}, {from: "a1", to: "m2"}, {from: "m2", to: "a2"}, {from: "a2", to: "m3"}
+            ],
+            locations: [
+                {id: "loc_plant", name: "Plant", kind: "plant", x: 40, y: 60, width: 420, height: 220},
+                {id: "loc_dc", name: "DC", kind: "dc", x: 460, y: 60, width: 300, height: 220}
+            ]
+        };
+
+        this.initEventListeners();
+        this.setupDragAndDrop();
+        this.initTheme();
+        this.updateDebugInfo();
+        this.saveInitialState();
+        this.queueRender();
+        this.offerSessionRestore();
+
+        document.addEventListener('mouseup', (e) => {
+            if (this.isPanning) {
+                this.isPanning = false;
+                if (this.currentTool === 'pan') {
+                    this.setTool('select');
+                }
+            }
+            if (this.isDraggingElement) {
+                this.isDraggingElement = false;
+                this.updateDragStatus('Ready');
+            }
+            if (this.isResizing) {
+                this.isResizing = false;
+            }
+            if (this.draggingLane) this.finishLaneDrag();
+            this.updateCanvasCursor();
+        });
+    }
+
+    saveInitialState() {
+        this.saveState('Opened canvas');
+    }
+
+    // Call after a change has been applied; the label is what the history panel shows.
+    saveState(label) {
+        this.assignNodesToLanes();
+        const committed = this.stateManager.saveState({
+            nodes: this.nodes,
+            connections: this.connections,
+            nodeCounter: this.nodeCounter,
+            freehandStrokes: this.freehandStrokes,
+            locations: this.locations,
+            laneOrientation: this.laneOrientation
+        }, label);
+        if (committed) this.scheduleAutosave();
+    }
+
+    scheduleAutosave() {
+        clearTimeout(this._autosaveTimer);
+        this._autosaveTimer = setTimeout(() => this.autosave(), 300);
+    }
+
+    flushAutosave() {
+        clearTimeout(this._autosaveTimer);
+        this._autosaveTimer = null;
+        this.autosave();
+    }
+
+    // Sessions are only created once there is something worth keeping.
+    autosave() {
+        const isEmpty = this.nodes.length === 0 && this.freehandStrokes.length === 0;
+        if (!this.sessionId && isEmpty) return;
+        if (!this.sessionId) this.sessionId = `session_${Date.now()}`;
+
+        const data = JSON.parse(JSON.stringify({
+            nodes: this.nodes,
+            connections: this.connections,
+            freehandStrokes: this.freehandStrokes,
+            locations: this.locations,
+            laneOrientation: this.laneOrientation,
+            nodeCounter: this.nodeCounter,
+            camera: this.camera
+        }, (key, value) => TRANSIENT_KEYS.has(key) ? undefined : value));
+        const session = {
+            id: this.sessionId,
+            updatedAt: Date.now(),
+            name: this.describeSession(data.nodes),
+            data
+        };
+        this.sessionStore.put(session).catch(err => console.warn('Autosave failed:', err));
+    }
+
+    describeSession(nodes) {
+        const named = nodes.find(n => n.type === 'material') || nodes.find(n => n.type !== 'textbox') || nodes[0];
+        return named ? named.label.split('\n')[0] : 'Sketch';
+    }
+
+    offerSessionRestore() {
+        this.sessionStore.list().then(sessions => {
+            if (sessions.length > 0) this.showSessionsModal(sessions, true);
+        }).catch(err => console.warn('Could not read saved sessions:', err));
+    }
+
+    openSessionsModal() {
+        this.sessionStore.list().then(sessions => this.showSessionsModal(sessions, false))
+            .catch(() => this.showStatus('Browser storage is not available', 'error'));
+    }
+
+    showSessionsModal(sessions, isStartup) {
+        const modal = document.getElementById('sessionsModal');
+        const list = document.getElementById('sessionList');
+        if (!modal || !list) return;
+        document.getElementById('sessionsIntro').textContent = isStartup
+            ? 'Your previous work was saved in this browser. Pick a session to continue, or start fresh.'
+            : 'Sessions autosaved in this browser, newest first.';
+
+        list.innerHTML = '';
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="session-empty">No saved sessions yet.</div>';
+        }
+        sessions.forEach(session => {
+            const data = session.data || {};
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            if (session.id === this.sessionId) item.classList.add('current');
+            item.dataset.id = session.id;
+
+            const info = document.createElement('div');
+            info.className = 'session-info';
+            const name = document.createElement('div');
+            name.className = 'session-name';
+            name.textContent = session.name;
+            const meta = document.createElement('small');
+            const nodeCount = (data.nodes || []).length;
+            const strokeCount = (data.freehandStrokes || []).length;
+            meta.textContent = `${new Date(session.updatedAt).toLocaleString()} · ${this.describeItems(nodeCount, strokeCount)}`;
+            info.append(name, meta);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn--primary btn--sm';
+            restoreBtn.dataset.action = 'restore';
+            restoreBtn.textContent = session.id === this.sessionId ? 'Current' : 'Restore';
+            restoreBtn.disabled = session.id === this.sessionId;
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn--secondary btn--sm';
+            deleteBtn.dataset.action = 'delete';
+            deleteBtn.title = 'Forget this session';
+            deleteBtn.textContent = '✕';
+
+            item.append(info, restoreBtn, deleteBtn);
+            list.appendChild(item);
+        });
+        modal.classList.remove('hidden');
+    }
+
+    hideSessionsModal() {
+        const modal = document.getElementById('sessionsModal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    handleSessionListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        const item = e.target.closest('.session-item');
+        if (!button || !item) return;
+        const id = item.dataset.id;
+        if (button.dataset.action === 'restore') {
+            this.restoreSession(id);
+        } else if (button.dataset.action === 'delete') {
+            this.sessionStore.delete(id).then(() => {
+                item.remove();
+                if (id === this.sessionId) this.sessionId = null;
+            }).catch(() => this.showStatus('Could not delete that session', 'error'));
+        }
+    }
+
+    restoreSession(id) {
+        this.sessionStore.get(id).then(session => {
+            if (!session) {
+                this.showStatus('That session is no longer available', 'warning');
+                return;
+            }
+            // Keep writing into the restored session rather than forking a new one.
+            this.sessionId = session.id;
+            this.applyDiagramData(session.data || {});
+            this.saveState(`Restored ${session.name}`);
+            const camera = session.data && session.data.camera;
+            if (camera) {
+                this.camera = { x: camera.x || 0, y: camera.y || 0, zoom: camera.zoom || 1 };
+                this.updateZoomDisplay();
+            }
+            this.hideSessionsModal();
+            this.queueRender();
+            this.showStatus(`Restored ${session.name}`, 'success');
+        }).catch(() => this.showStatus('Could not restore that session', 'error'));
+    }
+
+    describeItems(nodeCount, strokeCount = 0) {
+        const parts = [];
+        if (nodeCount > 0) parts.push(`${nodeCount} node${nodeCount === 1 ? '' : 's'}`);
+        if (strokeCount > 0) parts.push(`${strokeCount} stroke${strokeCount === 1 ? '' : 's'}`);
+        return parts.join(' and ') || 'nothing';
+    }
+
+    getMousePos(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const screenX = event.clientX - rect.left;
+        const screenY = event.clientY - rect.top;
+        return {
+            x: (screenX - this.camera.x) / this.camera.zoom,
+            y: (screenY - this.camera.y) / this.camera.zoom
+        };
+    }
+
+    updateDebugInfo() {
+        document.getElementById('canvasSize').textContent = `${this.canvas.width}×${this.canvas.height}`;
+        this.canvas.addEventListener('mousemove', (e) => {
+            const pos = this.getMousePos(e);
+            this.mousePos = pos;
+            document.getElementById('mouseCoords').textContent = `${Math.round(pos.x)}, ${Math.round(pos.y)}`;
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            document.getElementById('mouseCoords').textContent = '-';
+            this.hoveredNode = null;
+            this.queueRender();
+        });
+    }
+
+    setupDragAndDrop() {
+        ['material', 'activity', 'textbox'].forEach(toolType => {
+            const toolBtn = document.getElementById(`${toolType}Tool`);
+            toolBtn.addEventListener('click', (e) => e.preventDefault());
+            toolBtn.addEventListener('dragstart', (e) => {
+                this.draggedToolType = toolType;
+                e.dataTransfer.effectAllowed = 'copy';
+                e.dataTransfer.setData('application/json', JSON.stringify({ type: toolType, label: this.getDefaultLabel(toolType) }));
+                this.showStatus(`Dragging ${toolType}. Drop on canvas to create.`, 'info');
+            });
+            toolBtn.addEventListener('dragend', () => {
+                this.draggedToolType = null;
+                this.canvas.parentElement.parentElement.classList.remove('drag-over');
+            });
+        });
+
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.canvas.parentElement.parentElement.classList.add('drag-over');
+        });
+
+        this.canvas.addEventListener('dragleave', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            if (e.clientX < rect.left || e.clientX > rect.right || e.clientY < rect.top || e.clientY > rect.bottom) {
+                this.canvas.parentElement.parentElement.classList.remove('drag-over');
+            }
+        });
+
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.canvas.parentElement.parentElement.classList.remove('drag-over');
+            if (this.draggedToolType) {
+                const pos = this.getMousePos(e);
+                const newNode = this.addNode(this.draggedToolType, pos.x, pos.y);
+                this.saveState(`Added ${newNode.label}`);
+                this.draggedToolType = null;
+                this.showStatus(`Created ${newNode.label}`, 'success');
+            }
+        });
+    }
+
+    getDefaultLabel(type) {
+        const labels = { material: `Material ${this.nodeCounter + 1}`, activity: `Activity ${this.nodeCounter + 1}`, textbox: 'Click to edit text' };
+        return labels[type];
+    }
+
+    initEventListeners() {
+        const themeBtn = document.getElementById('themeToggleBtn');
+        if (themeBtn) themeBtn.addEventListener('click', () => this.toggleTheme());
+
+        // New Select Tool Button Listener
+        const selectToolEl = document.getElementById('selectTool');
+        if (selectToolEl) selectToolEl.addEventListener('click', () => this.setTool('select'));
+
+        const panToolEl = document.getElementById('panTool');
+        if (panToolEl) panToolEl.addEventListener('click', () => this.setTool('pan'));
+        const penToolEl = document.getElementById('penTool');
+        if (penToolEl) penToolEl.addEventListener('click', () => this.setTool('pen'));
+        const eraserToolEl = document.getElementById('eraserTool');
+        if (eraserToolEl) eraserToolEl.addEventListener('click', () => this.setTool('eraser'));
+        const connectToolEl = document.getElementById('connectTool');
+        if (connectToolEl) connectToolEl.addEventListener('click', () => this.setTool('connect'));
+        const deleteToolEl = document.getElementById('deleteTool');
+        if (deleteToolEl) deleteToolEl.addEventListener('click', () => this.setTool('delete'));
+
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        this.canvas.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleRightClick.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
+
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('keyup', (e) => { if (e.key === 'Control') this.isCtrlPressed = false; });
+
+        // --- FIXED: Features Modal & Got It Button Logic ---
+        const featuresBtn = document.getElementById('featuresBtn');
+        const featuresModal = document.getElementById('featuresModal');
+        const closeFeaturesBtn = document.getElementById('closeFeaturesBtn');
+        const gotItBtn = document.getElementById('gotItBtn'); // Get reference
+
+        if (featuresBtn && featuresModal) {
+            featuresBtn.addEventListener('click', () => {
+                featuresModal.classList.remove('hidden');
+            });
+        }
+        if (closeFeaturesBtn && featuresModal) {
+            closeFeaturesBtn.addEventListener('click', () => {
+                featuresModal.classList.add('hidden');
+            });
+        }
+        // Listener for the "Got it" button
+        if (gotItBtn && featuresModal) {
+            gotItBtn.addEventListener('click', () => {
+                featuresModal.classList.add('hidden');
+            });
+        }
+        if (featuresModal) {
+            window.addEventListener('click', (e) => {
+                if (e.target === featuresModal) {
+                    featuresModal.classList.add('hidden');
+                }
+            });
+        }
+        const sessionsModal = document.getElementById('sessionsModal');
+        if (sessionsModal) {
+            window.addEventListener('click', (e) => {
+                if (e.target === sessionsModal) this.hideSessionsModal();
+            });
+        }
+        // The debounced save would be lost with the tab, and camera moves are only saved here.
+        window.addEventListener('pagehide', () => this.flushAutosave());
+        // ---------------------------------------------------
+
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) undoBtn.addEventListener('click', this.undo.bind(this));
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) redoBtn.addEventListener('click', this.redo.bind(this));
+        const historyList = document.getElementById('historyList');
+        if (historyList) historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (item) this.jumpToHistory(parseInt(item.dataset.index, 10));
+        });
+        const validationList = document.getElementById('validationList');
+        if (validationList) validationList.addEventListener('click', this.handleValidationClick.bind(this));
+        const propertiesBody = document.getElementById('propertiesBody');
+        if (propertiesBody) propertiesBody.addEventListener('change', this.handlePropertyChange.bind(this));
+        if (propertiesBody) propertiesBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-report]');
+            if (button) this.openBomPanel(this._propertiesNode, button.dataset.report);
+            if (e.target.closest('[data-apply-policy]')) this.applyInventoryPolicy(this._propertiesNode);
+        });
+        const bomPanel = document.getElementById('bomPanel');
+        if (bomPanel) bomPanel.addEventListener('click', this.handleBomPanelClick.bind(this));
+        const simulateBtn = document.getElementById('simulateBtn');
+        if (simulateBtn) simulateBtn.addEventListener('click', () => this.simulation ? this.closeSimulation() : this.openSimulation());
+        const simPlayBtn = document.getElementById('simPlayBtn');
+        if (simPlayBtn) simPlayBtn.addEventListener('click', this.toggleSimulationPlayback.bind(this));
+        const simStepBtn = document.getElementById('simStepBtn');
+        if (simStepBtn) simStepBtn.addEventListener('click', this.stepSimulation.bind(this));
+        const simResetBtn = document.getElementById('simResetBtn');
+        if (simResetBtn) simResetBtn.addEventListener('click', this.resetSimulation.bind(this));
+        const simSpeed = document.getElementById('simSpeed');
+        if (simSpeed) simSpeed.addEventListener('input', () => {
+            const label = document.getElementById('simSpeedVal');
+            if (label) label.textContent = simSpeed.value;
+            if (this.simulation) this.simulation.speed = parseFloat(simSpeed.value) || 2;
+        });
+        ['simDays', 'simSeed'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => { if (this.simulation) this.buildSimulation(); });
+        });
+        const simLogBtn = document.getElementById('simLogBtn');
+        if (simLogBtn) simLogBtn.addEventListener('click', this.exportSimulationLog.bind(this));
+        const closeSimBtn = document.getElementById('closeSimBtn');
+        if (closeSimBtn) closeSimBtn.addEventListener('click', this.closeSimulation.bind(this));
+        const closeBomPanelBtn = document.getElementById('closeBomPanelBtn');
+        if (closeBomPanelBtn) closeBomPanelBtn.addEventListener('click', this.closeBomPanel.bind(this));
+        const exportBomCsvBtn = document.getElementById('exportBomCsvBtn');
+        if (exportBomCsvBtn) exportBomCsvBtn.addEventListener('click', this.exportBomCsv.bind(this));
+        const historyLimitEl = document.getElementById('historyLimit');
+        if (historyLimitEl) {
+            historyLimitEl.value = this.stateManager.maxHistorySize;
+            historyLimitEl.addEventListener('change', (ev) => {
+                const limit = parseInt(ev.target.value, 10);
+                if (!limit || limit < 1) {
+                    ev.target.value = this.stateManager.maxHistorySize;
+                    return;
+                }
+                this.stateManager.setMaxHistorySize(limit);
+                localStorage.setItem('scc-history-limit', String(limit));
+                this.showStatus(`Keeping the last ${limit} steps`, 'info');
+            });
+        }
+        const saveBtn = document.getElementById('saveBtn');
+        if (saveBtn) saveBtn.addEventListener('click', this.save.bind(this));
+        const loadBtn = document.getElementById('loadBtn');
+        if (loadBtn) loadBtn.addEventListener('click', this.load.bind(this));
+        const sessionsBtn = document.getElementById('sessionsBtn');
+        if (sessionsBtn) sessionsBtn.addEventListener('click', this.openSessionsModal.bind(this));
+        const sessionList = document.getElementById('sessionList');
+        if (sessionList) sessionList.addEventListener('click', this.handleSessionListClick.bind(this));
+        const closeImportReportBtn = document.getElementById('closeImportReportBtn');
+        if (closeImportReportBtn) closeImportReportBtn.addEventListener('click', () => document.getElementById('importReportModal').classList.add('hidden'));
+        const startFreshBtn = document.getElementById('startFreshBtn');
+        if (startFreshBtn) startFreshBtn.addEventListener('click', this.hideSessionsModal.bind(this));
+        const exportBtn = document.getElementById('exportBtn');
+        if (exportBtn) exportBtn.addEventListener('click', this.openPngExportModal.bind(this));
+        const confirmPngExportBtn = document.getElementById('confirmPngExportBtn');
+        if (confirmPngExportBtn) confirmPngExportBtn.addEventListener('click', () => {
+            const options = this.readPngExportOptions();
+            this.hidePngExportModal();
+            this.exportPNG(options);
+        });
+        const cancelPngExportBtn = document.getElementById('cancelPngExportBtn');
+        if (cancelPngExportBtn) cancelPngExportBtn.addEventListener('click', this.hidePngExportModal.bind(this));
+        const exportDataBtn = document.getElementById('exportDataBtn');
+        if (exportDataBtn) exportDataBtn.addEventListener('click', this.openDataExportModal.bind(this));
+        const dataExportFormat = document.getElementById('dataExportFormat');
+        if (dataExportFormat) dataExportFormat.addEventListener('change', this.updateDataExportControls.bind(this));
+        const confirmDataExportBtn = document.getElementById('confirmDataExportBtn');
+        if (confirmDataExportBtn) confirmDataExportBtn.addEventListener('click', () => {
+            this.hideDataExportModal();
+            this.exportData(document.getElementById('dataExportFormat').value, document.getElementById('dataExportTable').value);
+        });
+        const cancelDataExportBtn = document.getElementById('cancelDataExportBtn');
+        if (cancelDataExportBtn) cancelDataExportBtn.addEventListener('click', this.hideDataExportModal.bind(this));
+        const diagramTextBtn = document.getElementById('diagramTextBtn');
+        if (diagramTextBtn) diagramTextBtn.addEventListener('click', this.openDiagramTextModal.bind(this));
+        const diagramTextFormat = document.getElementById('diagramTextFormat');
+        if (diagramTextFormat) diagramTextFormat.addEventListener('change', this.updateDiagramText.bind(this));
+        const copyDiagramTextBtn = document.getElementById('copyDiagramTextBtn');
+        if (copyDiagramTextBtn) copyDiagramTextBtn.addEventListener('click', this.copyDiagramText.bind(this));
+        const downloadDiagramTextBtn = document.getElementById('downloadDiagramTextBtn');
+        if (downloadDiagramTextBtn) downloadDiagramTextBtn.addEventListener('click', this.downloadDiagramText.bind(this));
+        const importDiagramTextBtn = document.getElementById('importDiagramTextBtn');
+        if (importDiagramTextBtn) importDiagramTextBtn.addEventListener('click', () => {
+            const text = document.getElementById('diagramText').value;
+            if (!text.trim()) return;
+            this.hideDiagramTextModal();
+            this.importDiagramText(text, 'pasted text');
+        });
+        const vocabularyBtn = document.getElementById('vocabularyBtn');
+        if (vocabularyBtn) vocabularyBtn.addEventListener('click', this.openVocabularyModal.bind(this));
+        const vocabularyRows = document.getElementById('vocabularyRows');
+        if (vocabularyRows) vocabularyRows.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-action="remove"]');
+            if (removeBtn) removeBtn.closest('tr').remove();
+        });
+        const addVocabularyTermBtn = document.getElementById('addVocabularyTermBtn');
+        if (addVocabularyTermBtn) addVocabularyTermBtn.addEventListener('click', () => {
+            const row = this.addVocabularyRow();
+            if (row) row.querySelector('input').focus();
+        });
+        const saveVocabularyBtn = document.getElementById('saveVocabularyBtn');
+        if (saveVocabularyBtn) saveVocabularyBtn.addEventListener('click', this.saveVocabulary.bind(this));
+        const cancelVocabularyBtn = document.getElementById('cancelVocabularyBtn');
+        if (cancelVocabularyBtn) cancelVocabularyBtn.addEventListener('click', this.hideVocabularyModal.bind(this));
+        const exportVocabularyBtn = document.getElementById('exportVocabularyBtn');
+        if (exportVocabularyBtn) exportVocabularyBtn.addEventListener('click', this.exportVocabulary.bind(this));
+        const importVocabularyBtn = document.getElementById('importVocabularyBtn');
+        if (importVocabularyBtn) importVocabularyBtn.addEventListener('click', () => document.getElementById('vocabularyFileInput').click());
+        const vocabularyFileInput = document.getElementById('vocabularyFileInput');
+        if (vocabularyFileInput) vocabularyFileInput.addEventListener('change', this.importVocabulary.bind(this));
+        const closeDiagramTextBtn = document.getElementById('closeDiagramTextBtn');
+        if (closeDiagramTextBtn) closeDiagramTextBtn.addEventListener('click', this.hideDiagramTextModal.bind(this));
+        const exportPdfBtn = document.getElementById('exportPdfBtn');
+        if (exportPdfBtn) exportPdfBtn.addEventListener('click', this.openPdfExportModal.bind(this));
+        const confirmPdfExportBtn = document.getElementById('confirmPdfExportBtn');
+        if (confirmPdfExportBtn) confirmPdfExportBtn.addEventListener('click', () => {
+            const options = this.readPdfExportOptions();
+            this.hidePdfExportModal();
+            this.exportPDF(options);
+        });
+        const cancelPdfExportBtn = document.getElementById('cancelPdfExportBtn');
+        if (cancelPdfExportBtn) cancelPdfExportBtn.addEventListener('click', this.hidePdfExportModal.bind(this));
+        const exportDrawioBtn = document.getElementById('exportDrawioBtn');
+        if (exportDrawioBtn) exportDrawioBtn.addEventListener('click', this.exportDrawio.bind(this));
+        const exportSvgBtn = document.getElementById('exportSvgBtn');
+        if (exportSvgBtn) exportSvgBtn.addEventListener('click', () => this.exportSVG(false));
+        const clearBtn = document.getElementById('clearBtn');
+        if (clearBtn) clearBtn.addEventListener('click', this.clear.bind(this));
+        const loadExampleBtn = document.getElementById('loadExampleBtn');
+        if (loadExampleBtn) loadExampleBtn.addEventListener('click', this.loadExample.bind(this));
+        const templatesBtn = document.getElementById('templatesBtn');
+        if (templatesBtn) templatesBtn.addEventListener('click', this.openTemplateModal.bind(this));
+        ['templateList', 'userTemplateList'].forEach(id => {
+            const list = document.getElementById(id);
+            if (list) list.addEventListener('click', this.handleTemplateListClick.bind(this));
+        });
+        const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+        if (saveTemplateBtn) saveTemplateBtn.addEventListener('click', this.saveSelectionAsTemplate.bind(this));
+        const importTemplateBtn = document.getElementById('importTemplateBtn');
+        if (importTemplateBtn) importTemplateBtn.addEventListener('click', () => document.getElementById('templateFileInput').click());
+        const templateFileInput = document.getElementById('templateFileInput');
+        if (templateFileInput) templateFileInput.addEventListener('change', this.importTemplate.bind(this));
+        const closeTemplateBtn = document.getElementById('closeTemplateBtn');
+        if (closeTemplateBtn) closeTemplateBtn.addEventListener('click', this.hideTemplateModal.bind(this));
+        const generateBtn = document.getElementById('generateBtn');
+        if (generateBtn) generateBtn.addEventListener('click', () => this.generateFromNL(false));
+        const appendNlBtn = document.getElementById('appendNlBtn');
+        if (appendNlBtn) appendNlBtn.addEventListener('click', () => this.generateFromNL(true));
+
+        const penThicknessEl = document.getElementById('penThickness');
+        const penThicknessVal = document.getElementById('penThicknessVal');
+        if (penThicknessEl) {
+            this.penThickness = parseInt(penThicknessEl.value, 10) || this.penThickness;
+            if (penThicknessVal) penThicknessVal.textContent = this.penThickness;
+            penThicknessEl.addEventListener('input', (ev) => {
+                this.penThickness = parseInt(ev.target.value, 10) || this.penThickness;
+                if (penThicknessVal) penThicknessVal.textContent = this.penThickness;
+            });
+        }
+
+        document.getElementById('addConnectedMaterial').addEventListener('click', this.addConnectedMaterial.bind(this));
+        document.getElementById('addConnectedActivity').addEventListener('click', this.addConnectedActivity.bind(this));
+        document.getElementById('editLabel').addEventListener('click', this.editLabel.bind(this));
+        document.getElementById('deleteNode').addEventListener('click', this.deleteSelectedNode.bind(this));
+        document.getElementById('duplicateSelection').addEventListener('click', this.duplicateSelection.bind(this));
+        document.getElementById('deleteSelection').addEventListener('click', this.deleteSelection.bind(this));
+
+        const copySelectionEl = document.getElementById('copySelection');
+        if (copySelectionEl) copySelectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.copySelectionToClipboard(); this.hideContextMenu(); });
+        const pasteSelectionEl = document.getElementById('pasteSelection');
+        if (pasteSelectionEl) pasteSelectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.pasteFromClipboard(); this.hideContextMenu(); });
+        const exportSelectionSvgEl = document.getElementById('exportSelectionSvg');
+        if (exportSelectionSvgEl) exportSelectionSvgEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.exportSVG(true); });
+        const copyForExcelEl = document.getElementById('copyForExcel');
+        if (copyForExcelEl) copyForExcelEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.copySelectionForExcel(); this.hideContextMenu(); });
+        document.querySelectorAll('#contextMenu [data-routing]').forEach(item => {
+            item.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation();
+                if (this.contextMenuConnection) this.setConnectionRouting(this.contextMenuConnection, item.dataset.routing);
+                this.hideContextMenu();
+            });
+        });
+        const renameLaneEl = document.getElementById('renameLane');
+        if (renameLaneEl) renameLaneEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation();
+            if (this.contextMenuLane) this.enterLaneEditMode(this.contextMenuLane);
+            this.hideContextMenu();
+        });
+        const deleteLaneEl = document.getElementById('deleteLane');
+        if (deleteLaneEl) deleteLaneEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation();
+            if (this.contextMenuLane) {
+                const lane = this.contextMenuLane;
+                this.deleteLane(lane);
+                this.saveState(`Deleted lane ${lane.name}`);
+                this.showStatus(`Deleted lane ${lane.name}`, 'success');
+            }
+            this.contextMenuLane = null;
+            this.hideContextMenu();
+        });
+        const autoLayoutBtn = document.getElementById('autoLayoutBtn');
+        if (autoLayoutBtn) autoLayoutBtn.addEventListener('click', this.autoLayout.bind(this));
+        const autoLayoutSelectionEl = document.getElementById('autoLayoutSelection');
+        if (autoLayoutSelectionEl) autoLayoutSelectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.autoLayout(); this.hideContextMenu(); });
+        const addLaneBtn = document.getElementById('addLaneBtn');
+        if (addLaneBtn) addLaneBtn.addEventListener('click', this.addLaneFromSidebar.bind(this));
+        const laneOrientationEl = document.getElementById('laneOrientation');
+        if (laneOrientationEl) laneOrientationEl.addEventListener('change', (ev) => {
+            this.setLaneOrientation(ev.target.value);
+            this.saveState(ev.target.value === 'horizontal' ? 'Switched lanes to rows' : 'Switched lanes to columns');
+        });
+        const laneKindEl = document.getElementById('laneKind');
+        if (laneKindEl && laneKindEl.options.length === 0) {
+            LOCATION_KINDS.forEach(kind => {
+                const option = document.createElement('option');
+                option.value = kind.value;
+                option.textContent = kind.label;
+                laneKindEl.appendChild(option);
+            });
+        }
+        const deleteConnectionEl = document.getElementById('deleteConnection');
+        if (deleteConnectionEl) deleteConnectionEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation(); this.deleteConnectionFromContext(); });
+        const connectFromEl = document.getElementById('connectFromNode');
+        if (connectFromEl) connectFromEl.addEventListener('click', (e) => { e.preventDefault(); e.stopPropagation();
+            if (this.contextMenuNode) {
+                this.connectingFrom = this.contextMenuNode;
+                this.setTool('connect');
+                this.showStatus(`Connecting from ${this.contextMenuNode.label}. Click another node to connect.`, 'info');
+            }
+            this.hideContextMenu();
+        });
+
+        document.getElementById('saveEditBtn').addEventListener('click', this.saveEdit.bind(this));
+        document.getElementById('cancelEditBtn').addEventListener('click', this.cancelEdit.bind(this));
+        document.getElementById('fileInput').addEventListener('change', this.handleFileLoad.bind(this));
+
+        document.addEventListener('click', (e) => {
+            const contextMenu = document.getElementById('contextMenu');
+            const editModal = document.getElementById('editModal');
+            if (!contextMenu.contains(e.target) && !e.target.closest('canvas') && !contextMenu.classList.contains('hidden')) this.hideContextMenu();
+            if (e.target === editModal) this.cancelEdit();
+        });
+
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this));
+        document.getElementById('zoomInBtn').addEventListener('click', () => this.zoom(1.2));
+        document.getElementById('zoomOutBtn').addEventListener('click', () => this.zoom(0.8));
+        document.getElementById('zoomResetBtn').addEventListener('click', this.resetZoom.bind(this));
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Control') this.isCtrlPressed = true;
+
+        const editModal = document.getElementById('editModal');
+        if (!editModal.classList.contains('hidden')) {
+            if (e.key === 'Enter' && !e.shiftKey) { 
+                e.preventDefault(); 
+                this.saveEdit(); 
+            } else if (e.key === 'Escape') {
+                this.cancelEdit();
+            }
+            return;
+        }
+
+        if (e.target.id === 'nlInput' || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey) {
+            switch (e.key.toLowerCase()) {
+                case 'z': 
+                    e.preventDefault(); 
+                    if (e.shiftKey) this.redo();
+                    else this.undo(); 
+                    break;
+                case 'y':
+                    e.preventDefault();
+                    this.redo();
+                    break;
+                case 'x': 
+                    e.preventDefault(); 
+                    this.cutSelected(); 
+                    break;
+                case 'c':
+                    e.preventDefault();
+                    if (this.selectedNodes.length > 0) {
+                        this.copySelectionForExcel();
+                        this.copySelectionToClipboard();
+                    } else {
+                        this.showStatus('Select elements to copy', 'warning');
+                    }
+                    break;
+                case 'v':
+                    e.preventDefault();
+                    this.pasteFromClipboard();
+                    break;
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'Delete': 
+            case 'Backspace': 
+                e.preventDefault(); 
+                this.deleteSelected(); 
+                break;
+            case 'Escape': 
+                this.deselectAll(); 
+                this.setTool('select'); 
+                break;
+        }
+
+        if (!e.ctrlKey && !e.metaKey && e.key && e.key.toLowerCase() === 't') {
+            this.toggleTheme();
+        }
+    }
+
+    setTool(toolName) {
+        // Clear active class from all tools including the new select tool
+        document.querySelectorAll('#selectTool, #panTool, #connectTool, #deleteTool, #penTool, #eraserTool, #materialTool, #activityTool, #textboxTool').forEach(btn => btn.classList.remove('active'));
+        if (toolName !== 'select') {
+            const toolBtn = document.getElementById(`${toolName}Tool`);
+            if (toolBtn) toolBtn.classList.add('active');
+        } else {
+             const toolBtn = document.getElementById(`selectTool`);
+             if (toolBtn) toolBtn.classList.add('active');
+        }
+        this.currentTool = toolName;
+        if (toolName !== 'connect') this.connectingFrom = null;
+        this.updateCanvasCursor();
+        this.updateStatusText();
+        this.queueRender();
+    }
+
+    deselectAll() {
+        this.selectedNodes = [];
+        this.selectedStrokes = []; // Deselect strokes
+        this.connectingFrom = null;
+        this.selectedConnection = null;
+        this.contextMenuConnection = null;
+        this.contextMenuNode = null;
+        this.validationFocus = null;
+        this.hideContextMenu();
+        this.queueRender();
+    }
+
+    // Updated delete to handle strokes
+    deleteSelected() {
+        if (this.selectedLane) {
+            const lane = this.selectedLane;
+            this.deleteLane(lane);
+            this.saveState(`Deleted lane ${lane.name}`);
+            return;
+        }
+
+        if (this.selectedConnection) {
+            this.deleteConnection(this.selectedConnection);
+            this.saveState('Deleted connection');
+            this.selectedConnection = null;
+            this.queueRender();
+            return;
+        }
+
+        if (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0) {
+            const description = this.describeItems(this.selectedNodes.length, this.selectedStrokes.length);
+            this.selectedNodes.forEach(node => this.deleteNode(node, false));
+            this.selectedNodes = [];
+            // Remove selected strokes
+            if (this.selectedStrokes.length > 0) {
+                this.freehandStrokes = this.freehandStrokes.filter(s => !this.selectedStrokes.includes(s));
+                this.selectedStrokes = [];
+                this.showStatus('Deleted selected items', 'success');
+            }
+            this.saveState(`Deleted ${description}`);
+            this.queueRender();
+        }
+    }
+
+    cutSelected() {
+        if (this.selectedNodes.length > 0) {
+            const nodesCopy = JSON.parse(JSON.stringify(this.selectedNodes));
+            const selectedIds = new Set(this.selectedNodes.map(n => n.id));
+            const connsCopy = this.connections.filter(c => selectedIds.has(c.from) && selectedIds.has(c.to)).map(c => JSON.parse(JSON.stringify(c)));
+            this.stateManager.clipboard = { nodes: nodesCopy, connections: connsCopy };
+            this.selectedNodes.forEach(node => this.deleteNode(node, false));
+            this.saveState(`Cut ${this.describeItems(nodesCopy.length)}`);
+            this.selectedNodes = [];
+            this.showStatus('Selection cut to clipboard', 'success');
+            this.queueRender();
+        }
+    }
+
+    undo() {
+        const label = this.stateManager.getUndoLabel();
+        const previousState = this.stateManager.undo();
+        if (previousState) {
+            this.restoreState(previousState);
+            this.showStatus(`Undone: ${label}`, 'info');
+        } else {
+            this.showStatus('Nothing to undo', 'warning');
+        }
+    }
+
+    redo() {
+        const label = this.stateManager.getRedoLabel();
+        const nextState = this.stateManager.redo();
+        if (nextState) {
+            this.restoreState(nextState);
+            this.showStatus(`Redone: ${label}`, 'info');
+        } else {
+            this.showStatus('Nothing to redo', 'warning');
+        }
+    }
+
+    jumpToHistory(index) {
+        const state = this.stateManager.jumpTo(index);
+        if (state) {
+            this.restoreState(state);
+            this.showStatus(`Restored: ${this.stateManager.history[index].label}`, 'info');
+        }
+    }
+
+    restoreState(state) {
+        this.nodes = state.nodes;
+        this.connections = state.connections;
+        this.nodeCounter = state.nodeCounter;
+        this.freehandStrokes = state.freehandStrokes || [];
+        this.locations = state.locations || [];
+        this.laneOrientation = state.laneOrientation || 'vertical';
+        this.selectedLane = null;
+        this.updateLaneControls();
+        this.selectedNodes = [];
+        this.selectedStrokes = [];
+        this.selectedConnection = null;
+        this.selectionBounds = null;
+        this.connectingFrom = null;
+        this.hideContextMenu();
+        this.queueRender();
+        this.scheduleAutosave();
+    }
+
+    updateCanvasCursor() {
+        const container = this.canvas.parentElement.parentElement;
+        container.className = container.className.replace(/tool-\w+/g, '').replace(/dragging/g, '');
+        this.canvas.style.cursor = 'default';
+        if (this.isPanning) {
+            this.canvas.style.cursor = 'grabbing';
+        } else if (this.isDraggingElement) {
+            this.canvas.style.cursor = 'move';
+            container.classList.add('dragging');
+        } else if (this.currentTool === 'pan') {
+            this.canvas.style.cursor = 'grab';
+        } else if (this.currentTool === 'pen') {
+            this.canvas.style.cursor = 'crosshair';
+            container.classList.add('tool-pen');
+        } else if (this.currentTool === 'eraser') {
+            this.canvas.style.cursor = 'crosshair';
+            container.classList.add('tool-eraser');
+        } else if (this.currentTool === 'connect') {
+            container.classList.add('tool-connect');
+        } else if (this.currentTool === 'delete') {
+            container.classList.add('tool-delete');
+        }
+    }
+
+    updateStatusText() {
+        const statusMap = {
+            select: 'Default mode: Drag elements or create a selection window. Hold Ctrl + Drag to pan.',
+            pan: 'Pan mode: Drag the canvas to move your view.',
+            connect: 'Connect mode: Click one element and then another to create a connection.',
+            delete: 'Delete mode: Click elements or connections to delete them.'
+        };
+        document.getElementById('statusText').textContent = statusMap[this.currentTool] || statusMap.select;
+    }
+
+    updateDragStatus(status) {
+        document.getElementById('dragStatus').textContent = status;
+    }
+
+    // Helper to detect strokes at position
+    getStrokeAt(x, y) {
+        if (!this.freehandStrokes || this.freehandStrokes.length === 0) return null;
+        const hitDist = 5;
+        // Check simple proximity to points
+        for (let i = this.freehandStrokes.length - 1; i >= 0; i--) {
+            const stroke = this.freehandStrokes[i];
+            if (stroke.tool === 'eraser') continue;
+            for (const pt of stroke.points) {
+                if (Math.abs(pt.x - x) < hitDist && Math.abs(pt.y - y) < hitDist) {
+                    return stroke;
+                }
+            }
+        }
+        return null;
+    }
+
+    handleMouseDown(e) {
+        this.hideContextMenu();
+        this.selectedConnection = null;
+        this.contextMenuConnection = null;
+        
+        if (this.currentTool === 'pen' || this.currentTool === 'eraser') {
+            const pos = this.getMousePos(e);
+            const stroke = {
+                id: `stroke_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+                tool: this.currentTool,
+                color: this.penColor || (this.themeColors && this.themeColors.text) || '#000',
+                width: this.penThickness || 4,
+                points: [pos]
+            };
+            this._currentStroke = stroke;
+            this.freehandStrokes.push(stroke);
+            e.preventDefault();
+            this.queueRender();
+            return;
+        }
+
+        this.isPanning = false;
+        this.isDraggingElement = false;
+        this.isResizing = false;
+
+        const pos = this.getMousePos(e);
+        const clickedNode = this.getNodeAt(pos.x, pos.y);
+        const clickedHandle = this.getResizeHandleAt(pos.x, pos.y);
+        const clickedConn = this.getConnectionAt(pos.x, pos.y);
+        const clickedStroke = this.getStrokeAt(pos.x, pos.y);
+        const clickedLane = this.getLaneHeaderAt(pos.x, pos.y);
+        this.selectedLane = null;
+
+        if (this.isCtrlPressed || this.currentTool === 'pan') {
+            this.isPanning = true;
+            this.panStart = { x: e.clientX, y: e.clientY };
+            this.updateCanvasCursor();
+            return;
+        }
+
+        switch (this.currentTool) {
+            case 'select':
+                if (clickedHandle) {
+                    this.isResizing = true;
+                    this.resizeHandle = clickedHandle;
+                    this.selectionBounds.original = { ...this.selectionBounds };
+                    this.selectedNodes.forEach(n => n.original = { x: n.x, y: n.y });
+                } else if (clickedNode || clickedStroke) {
+                    // Node click logic
+                    if (clickedNode) {
+                        if (this.isClickOnLabel(pos, clickedNode)) { 
+                            this.enterLabelEditMode(clickedNode); 
+                            return; 
+                        }
+                        if (!this.selectedNodes.includes(clickedNode)) {
+                            this.selectedNodes = [clickedNode];
+                            this.selectedStrokes = []; // Clear stroke selection
+                        }
+                    } 
+                    // Stroke click logic
+                    else if (clickedStroke) {
+                         if (!this.selectedStrokes.includes(clickedStroke)) {
+                            this.selectedStrokes = [clickedStroke];
+                            this.selectedNodes = []; // Clear node selection
+                        }
+                    }
+
+                    this.isDraggingElement = true;
+                    this.dragOffset = { x: pos.x, y: pos.y };
+                    
+                    // Setup drag start for nodes
+                    this.selectedNodes.forEach(n => n.dragStart = { x: n.x, y: n.y });
+                    
+                    // Setup drag start for strokes (need to store original points)
+                    this.selectedStrokes.forEach(s => {
+                         s.dragStartPoints = s.points.map(p => ({x: p.x, y: p.y}));
+                    });
+
+                    this.updateCanvasCursor();
+                    const count = this.selectedNodes.length + this.selectedStrokes.length;
+                    this.updateDragStatus(`Moving ${count} item(s)`);
+                } else if (clickedConn) {
+                    this.selectedConnection = clickedConn;
+                    this.selectedNodes = [];
+                    this.selectedStrokes = [];
+                    this.updateCanvasCursor();
+                    this.updateDragStatus(`Selected 1 connection`);
+                    this.queueRender();
+                    return;
+                } else if (clickedLane) {
+                    this.selectedLane = clickedLane;
+                    this.selectedNodes = [];
+                    this.selectedStrokes = [];
+                    this.draggingLane = {
+                        lane: clickedLane,
+                        start: pos,
+                        origin: { x: clickedLane.x, y: clickedLane.y },
+                        nodes: this.getLaneNodes(clickedLane).map(node => ({ node, x: node.x, y: node.y }))
+                    };
+                    this.updateDragStatus(`Moving lane ${clickedLane.name}`);
+                } else {
+                    this.isSelecting = true;
+                    this.selectionRect = { startX: pos.x, startY: pos.y, endX: pos.x, endY: pos.y };
+                    this.selectedNodes = [];
+                    this.selectedStrokes = [];
+                }
+                break;
+            case 'connect':
+                if (clickedNode) {
+                    if (!this.connectingFrom) {
+                        this.connectingFrom = clickedNode;
+                        this.showStatus(`Connecting from ${clickedNode.label}. Click another node.`, 'info');
+                    } else if (this.connectingFrom !== clickedNode) {
+                        if (this.createConnection(this.connectingFrom, clickedNode)) this.setTool('select');
+                        this.connectingFrom = null;
+                    }
+                } else {
+                    this.connectingFrom = null;
+                    this.deselectAll();
+                }
+                break;
+            case 'delete':
+                if (clickedNode) {
+                    this.deleteNode(clickedNode);
+                    this.saveState(`Deleted ${clickedNode.label}`);
+                    this.setTool('select');
+                } else if (clickedStroke) {
+                    this.freehandStrokes = this.freehandStrokes.filter(s => s !== clickedStroke);
+                    this.saveState('Deleted sketch stroke');
+                    this.showStatus('Deleted sketch stroke', 'success');
+                    this.queueRender();
+                } else {
+                    const connection = this.getConnectionAt(pos.x, pos.y);
+                    if (connection) {
+                        this.deleteConnection(connection);
+                        this.saveState('Deleted connection');
+                        this.setTool('select');
+                    }
+                }
+                break;
+        }
+        this.queueRender();
+    }
+
+    isClickOnLabel(pos, node) {
+        if (node.type === 'textbox') return false;
+        const labelY = node.y + 40;
+        const labelHeight = 20;
+        const labelWidth = 100;
+        return pos.x >= node.x - labelWidth / 2 && pos.x <= node.x + labelWidth / 2 &&
+               pos.y >= labelY - labelHeight / 2 && pos.y <= labelY + labelHeight / 2;
+    }
+
+    isInsideTextBox(pos, node) {
+        if (node.type !== 'textbox') return false;
+        return pos.x >= node.x - node.width / 2 && pos.x <= node.x + node.width / 2 &&
+               pos.y >= node.y - node.height / 2 && pos.y <= node.y + node.height / 2;
+    }
+
+    enterLabelEditMode(node) {
+        this.editingNode = node;
+        this.selectedNodes = [node];
+        const modal = document.getElementById('editModal');
+        const input = document.getElementById('editInput');
+        document.querySelector('#editModal h3').textContent = 'Edit Label';
+        input.value = node.label;
+        modal.classList.remove('hidden');
+        setTimeout(() => { input.focus(); input.select(); }, 10);
+        this.queueRender();
+    }
+
+    enterConnectionEditMode(connection) {
+        this.editingConnection = connection;
+        this.selectedNodes = [];
+        const modal = document.getElementById('editModal');
+        const input = document.getElementById('editInput');
+        document.querySelector('#editModal h3').textContent = 'Edit Connection Label';
+        input.value = connection.label || '';
+        modal.classList.remove('hidden');
+        setTimeout(() => { input.focus(); input.select(); }, 10);
+        this.queueRender();
+    }
+
+    enterTextEditMode(node) {
+        this.editingNode = node;
+        this.selectedNodes = [node];
+        const modal = document.getElementById('editModal');
+        const input = document.getElementById('editInput');
+        document.querySelector('#editModal h3').textContent = 'Edit Text Content';
+        input.value = node.label === 'Click to edit text' ? '' : node.label;
+        const modalContent = modal.querySelector('.modal-content');
+        const fontSize = node.fontSize || 12;
+        const dims = this.computeTextBoxDimensions(node.label || '', fontSize);
+        const nodeW = node.width || dims.width || 120;
+        const nodeH = node.height || dims.height || 40;
+
+        const viewportW = Math.max(320, window.innerWidth || 800);
+        const desiredModalMin = Math.min(Math.max(nodeW + 80, 420), viewportW - 40);
+        if (modalContent) modalContent.style.minWidth = `${desiredModalMin}px`;
+
+        input.style.width = `${Math.min(nodeW, desiredModalMin - 80)}px`;
+        input.style.maxWidth = '100%';
+        input.style.height = `${Math.max(nodeH, 120)}px`;
+        this._editInputHandler = (e) => {
+            const newContent = e.target.value;
+            if (this.editingNode) {
+                this.editingNode.label = newContent === '' ? 'Click to edit text' : newContent;
+                const dimsLive = this.computeTextBoxDimensions(this.editingNode.label, this.editingNode.fontSize || 12);
+                this.editingNode.width = dimsLive.width;
+                this.editingNode.height = dimsLive.height;
+                const desiredModalMinLive = Math.min(Math.max(dimsLive.width + 80, 420), viewportW - 40);
+                if (modalContent) modalContent.style.minWidth = `${desiredModalMinLive}px`;
+                input.style.width = `${Math.min(dimsLive.width, desiredModalMinLive - 80)}px`;
+                input.style.height = `${Math.max(dimsLive.height, 120)}px`;
+                this.queueRender();
+            }
+        };
+        input.addEventListener('input', this._editInputHandler);
+        modal.classList.remove('hidden');
+        setTimeout(() => { input.focus(); input.select(); }, 10);
+        this.queueRender();
+    }
+
+    handleMouseMove(e) {
+        const pos = this.getMousePos(e);
+
+        if (this._currentStroke) {
+            this._currentStroke.points.push(pos);
+            this.queueRender();
+            return;
+        }
+        if (this.isPanning) {
+            const dx = e.clientX - this.panStart.x;
+            const dy = e.clientY - this.panStart.y;
+            this.camera.x += dx;
+            this.camera.y += dy;
+            this.panStart = { x: e.clientX, y: e.clientY };
+            this.queueRender();
+            return;
+        }
+
+        if (this.isResizing) {
+            this.resizeSelection(pos);
+            this.queueRender();
+            return;
+        }
+
+        if (this.draggingLane) {
+            const a = this.getLaneAxes();
+            const drag = this.draggingLane;
+            const delta = pos[a.pos] - drag.start[a.pos];
+            drag.lane[a.pos] = drag.origin[a.pos] + delta;
+            drag.nodes.forEach(entry => { entry.node[a.pos] = entry[a.pos] + delta; });
+            this.queueRender();
+            return;
+        }
+
+        if (this.isSelecting) {
+            this.selectionRect.endX = pos.x;
+            this.selectionRect.endY = pos.y;
+            this.queueRender();
+            return;
+        }
+
+        // Updated drag logic for nodes AND strokes
+        if (this.isDraggingElement && (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0)) {
+            const dx = pos.x - this.dragOffset.x;
+            const dy = pos.y - this.dragOffset.y;
+            
+            this.selectedNodes.forEach(node => {
+                node.x = node.dragStart.x + dx;
+                node.y = node.dragStart.y + dy;
+            });
+
+            this.selectedStrokes.forEach(stroke => {
+                if (stroke.dragStartPoints) {
                     stroke.points = stroke.dragStartPoints.map(p => ({
                         x: p.x + dx,
                         y: p.y + dy
@@ -935,1314 +3816,4662 @@ class SupplyChainCanvas {
                 }
             });
 
-            this.queueRender();
+            this.queueRender();
+        }
+    }
+
+    handleMouseUp(e) {
+        if (this._currentStroke) {
+            const tool = this._currentStroke.tool;
+            this._currentStroke = null;
+            this.saveState(tool === 'eraser' ? 'Erased' : 'Drew freehand stroke');
+            this.queueRender();
+            return;
+        }
+
+        if (this.draggingLane) {
+            this.finishLaneDrag();
+            return;
+        }
+
+        const wasMoving = this.isDraggingElement;
+        const wasResizing = this.isResizing;
+        this.isPanning = false;
+        this.isDraggingElement = false;
+        this.isResizing = false;
+
+        if (this.isSelecting) {
+            this.isSelecting = false;
+            this.selectNodesInRect();
+            this.selectionRect = null;
+            this.queueRender();
+        }
+
+        if (wasResizing && this.selectedNodes.length > 0) {
+            this.saveState(`Resized ${this.describeItems(this.selectedNodes.length)}`);
+        } else if (wasMoving && (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0)) {
+            this.saveState(`Moved ${this.describeItems(this.selectedNodes.length, this.selectedStrokes.length)}`);
+        }
+
+        if (this.currentTool === 'pan') {
+            this.setTool('select');
+        }
+
+        this.updateDragStatus('Ready');
+        setTimeout(() => this.updateCanvasCursor(), 0);
+        this.updateCanvasCursor();
+    }
+
+    finishLaneDrag() {
+        const lane = this.draggingLane.lane;
+        const moved = lane.x !== this.draggingLane.origin.x || lane.y !== this.draggingLane.origin.y;
+        this.draggingLane = null;
+        if (moved) {
+            this.reflowLanes();
+            this.saveState(`Moved lane ${lane.name}`);
+        }
+        this.updateDragStatus('Ready');
+        this.queueRender();
+    }
+
+    // Updated to include strokes in selection
+    selectNodesInRect() {
+        if (!this.selectionRect) return;
+        this.selectedNodes = [];
+        this.selectedStrokes = [];
+        const x1 = Math.min(this.selectionRect.startX, this.selectionRect.endX);
+        const y1 = Math.min(this.selectionRect.startY, this.selectionRect.endY);
+        const x2 = Math.max(this.selectionRect.startX, this.selectionRect.endX);
+        const y2 = Math.max(this.selectionRect.startY, this.selectionRect.endY);
+
+        this.nodes.forEach(node => {
+            if (node.x > x1 && node.x < x2 && node.y > y1 && node.y < y2) {
+                this.selectedNodes.push(node);
+            }
+        });
+
+        // Check strokes
+        this.freehandStrokes.forEach(stroke => {
+             // Simple check: if any point is in rect
+             const inRect = stroke.points.some(p => p.x > x1 && p.x < x2 && p.y > y1 && p.y < y2);
+             if (inRect) {
+                 this.selectedStrokes.push(stroke);
+             }
+        });
+
+        this.updateSelectionBounds();
+    }
+
+    handleRightClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.isPanning = false;
+        this.isDraggingElement = false;
+        this.isResizing = false;
+
+        if (this.isPanning) return;
+
+        const pos = this.getMousePos(e);
+        const clickedNode = this.getNodeAt(pos.x, pos.y);
+        const clickedConn = this.getConnectionAt(pos.x, pos.y);
+        const clickedLane = clickedNode || clickedConn ? null : this.getLaneHeaderAt(pos.x, pos.y);
+        this.contextMenuLane = clickedLane;
+
+        if (clickedNode) {
+            if (!this.selectedNodes.includes(clickedNode)) this.selectedNodes = [clickedNode];
+            this.contextMenuNode = clickedNode;
+            this.contextMenuConnection = null;
+            this.selectedConnection = null;
+            this.showContextMenu(e.clientX, e.clientY);
+            this.queueRender();
+        } else if (clickedConn) {
+            this.selectedNodes = [];
+            this.selectedConnection = clickedConn;
+            this.contextMenuConnection = clickedConn;
+            this.contextMenuNode = null;
+            this.showContextMenu(e.clientX, e.clientY);
+            this.queueRender();
+        } else if (clickedLane) {
+            this.selectedNodes = [];
+            this.selectedLane = clickedLane;
+            this.contextMenuNode = null;
+            this.contextMenuConnection = null;
+            this.selectedConnection = null;
+            this.showContextMenu(e.clientX, e.clientY);
+            this.queueRender();
+        } else {
+            this.selectedNodes = [];
+            this.contextMenuNode = null;
+            this.contextMenuConnection = null;
+            this.selectedConnection = null;
+            this.showContextMenu(e.clientX, e.clientY);
+        }
+        this.updateCanvasCursor();
+    }
+
+    handleDoubleClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        const pos = this.getMousePos(e);
+        const clickedNode = this.getNodeAt(pos.x, pos.y);
+        const clickedConn = this.getConnectionAt(pos.x, pos.y);
+
+        if (clickedNode) {
+            if (clickedNode.type === 'textbox') this.enterTextEditMode(clickedNode);
+            else this.enterLabelEditMode(clickedNode);
+            return;
+        }
+
+        if (clickedConn) {
+            this.enterConnectionEditMode(clickedConn);
+            return;
+        }
+
+        const clickedLane = this.getLaneHeaderAt(pos.x, pos.y);
+        if (clickedLane) this.enterLaneEditMode(clickedLane);
+    }
+
+    addNode(type, x, y, label = null) {
+        const defaultLabels = { 
+            material: `Material ${this.nodeCounter + 1}`, 
+            activity: `Activity ${this.nodeCounter + 1}`, 
+            textbox: 'Click to edit text' 
+        };
+        const node = {
+            id: `node_${++this.nodeCounter}`, 
+            type, 
+            shape: this.getNodeShape(type), 
+            label: label || defaultLabels[type], 
+            x, 
+            y
+        };
+        this.normalizeNodeAttributes(node);
+        if (type === 'textbox') { 
+            node.width = 120; 
+            node.height = 40; 
+            node.fontSize = 12; 
+            const dims = this.computeTextBoxDimensions(node.label, node.fontSize);
+            node.width = dims.width;
+            node.height = dims.height;
+        }
+        this.nodes.push(node);
+        this.selectedNodes = [node];
+        this.queueRender();
+        return node;
+    }
+
+    // Fills in any missing attribute keys so every material/activity carries the full schema.
+    normalizeNodeAttributes(node) {
+        const fields = NODE_ATTRIBUTE_FIELDS[node.type];
+        if (!fields) return node;
+        const attributes = node.attributes || {};
+        fields.forEach(field => {
+            if (attributes[field.key] === undefined) attributes[field.key] = field.type === 'number' ? null : '';
+        });
+        if (node.type === 'activity' && !attributes.activityType) {
+            attributes.activityType = this.inferActivityType(node.label);
+        }
+        node.attributes = attributes;
+        return node;
+    }
+
+    inferActivityType(label = '') {
+        const text = label.toLowerCase();
+        if (/distribut|ship|transport|deliver|truck|sent|logistic/.test(text)) return 'transport';
+        if (/procure|purchas|buy|sourc/.test(text)) return 'procurement';
+        return 'production';
+    }
+
+    // Column lanes (vertical) lay echelons out left to right; row lanes (horizontal) top to bottom.
+    getLaneAxes() {
+        return this.laneOrientation === 'horizontal'
+            ? { pos: 'y', size: 'height', cross: 'x', crossSize: 'width' }
+            : { pos: 'x', size: 'width', cross: 'y', crossSize: 'height' };
+    }
+
+    getLaneRank(lane) {
+        const rank = LOCATION_KINDS.findIndex(k => k.value === lane.kind);
+        return rank === -1 ? LOCATION_KINDS.length : rank;
+    }
+
+    getLaneKindLabel(kind) {
+        const match = LOCATION_KINDS.find(k => k.value === kind);
+        return match ? match.label : 'Other';
+    }
+
+    getLaneAt(x, y) {
+        for (let i = this.locations.length - 1; i >= 0; i--) {
+            const lane = this.locations[i];
+            if (x >= lane.x && x <= lane.x + lane.width && y >= lane.y && y <= lane.y + lane.height) return lane;
+        }
+        return null;
+    }
+
+    getLaneHeaderAt(x, y) {
+        const lane = this.getLaneAt(x, y);
+        if (!lane) return null;
+        const a = this.getLaneAxes();
+        const offset = (a.cross === 'y' ? y : x) - lane[a.cross];
+        return offset <= LANE_HEADER_SIZE ? lane : null;
+    }
+
+    getLaneNodes(lane) {
+        return this.nodes.filter(n => this.getLaneAt(n.x, n.y) === lane);
+    }
+
+    getLaneById(id) {
+        return this.locations.find(l => l.id === id) || null;
+    }
+
+    // Nodes inside a lane take its location; materials also mirror it in their location attribute.
+    assignNodesToLanes() {
+        this.nodes.forEach(node => {
+            if (node.type === 'textbox') return;
+            const lane = this.getLaneAt(node.x, node.y);
+            const previous = node.locationId ? this.getLaneById(node.locationId) : null;
+            if (lane) {
+                node.locationId = lane.id;
+                if (node.attributes && node.type === 'material') node.attributes.location = lane.name;
+            } else if (node.locationId) {
+                delete node.locationId;
+                if (node.attributes && node.type === 'material' && (!previous || node.attributes.location === previous.name)) {
+                    node.attributes.location = '';
+                }
+            }
+        });
+    }
+
+    addLane(name, kind = 'other') {
+        const a = this.getLaneAxes();
+        const lane = {
+            id: `loc_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+            name: name || this.getLaneKindLabel(kind),
+            kind
+        };
+        if (this.locations.length > 0) {
+            const first = this.locations[0];
+            lane[a.pos] = Math.max(...this.locations.map(l => l[a.pos] + l[a.size]));
+            lane[a.cross] = first[a.cross];
+            lane[a.crossSize] = first[a.crossSize];
+        } else {
+            const contentEnd = this.nodes.length > 0 ? Math.max(...this.nodes.map(n => n[a.pos])) + 100 : 40;
+            lane[a.pos] = contentEnd;
+            lane[a.cross] = 40;
+            lane[a.crossSize] = 520;
+        }
+        lane[a.size] = LANE_DEFAULT_SIZE;
+        this.locations.push(lane);
+        this.reflowLanes();
+        this.selectedLane = lane;
+        return lane;
+    }
+
+    // Packs lanes edge to edge in echelon order, carrying member nodes along. Free nodes past the
+    // lanes are pushed out by however much the lanes grew, and all lanes share one cross extent.
+    reflowLanes() {
+        if (this.locations.length === 0) return;
+        const a = this.getLaneAxes();
+        const members = new Map(this.locations.map(lane => [lane, []]));
+        const free = [];
+        this.nodes.forEach(node => {
+            const lane = this.getLaneAt(node.x, node.y);
+            if (lane) members.get(lane).push(node);
+            else free.push(node);
+        });
+
+        const oldEnd = Math.max(...this.locations.map(l => l[a.pos] + l[a.size]));
+        const ordered = [...this.locations].sort((l1, l2) =>
+            this.getLaneRank(l1) - this.getLaneRank(l2) ||
+            (l1[a.pos] + l1[a.size] / 2) - (l2[a.pos] + l2[a.size] / 2));
+
+        let cursor = Math.min(...this.locations.map(l => l[a.pos]));
+        ordered.forEach(lane => {
+            const delta = cursor - lane[a.pos];
+            lane[a.pos] = cursor;
+            members.get(lane).forEach(node => { node[a.pos] += delta; });
+            cursor += lane[a.size];
+        });
+        free.forEach(node => {
+            if (node[a.pos] >= oldEnd) node[a.pos] += cursor - oldEnd;
+        });
+
+        let crossStart = Math.min(...this.locations.map(l => l[a.cross]));
+        let crossEnd = Math.max(...this.locations.map(l => l[a.cross] + l[a.crossSize]));
+        members.forEach(nodes => nodes.forEach(node => {
+            crossStart = Math.min(crossStart, node[a.cross] - LANE_HEADER_SIZE - 50);
+            crossEnd = Math.max(crossEnd, node[a.cross] + 80);
+        }));
+        ordered.forEach(lane => {
+            lane[a.cross] = crossStart;
+            lane[a.crossSize] = crossEnd - crossStart;
+        });
+        this.locations = ordered;
+    }
+
+    deleteLane(lane) {
+        this.locations = this.locations.filter(l => l !== lane);
+        if (this.selectedLane === lane) this.selectedLane = null;
+        this.queueRender();
+    }
+
+    // Mirrors lanes and their nodes across the diagonal, so columns become rows and each node
+    // keeps its place relative to its lane.
+    setLaneOrientation(orientation) {
+        if (orientation === this.laneOrientation) return;
+        const members = this.locations.map(lane => this.getLaneNodes(lane));
+        this.locations.forEach((lane, index) => {
+            members[index].forEach(node => { [node.x, node.y] = [node.y, node.x]; });
+            [lane.x, lane.y] = [lane.y, lane.x];
+            [lane.width, lane.height] = [lane.height, lane.width];
+        });
+        this.laneOrientation = orientation;
+        this.reflowLanes();
+        this.queueRender();
+    }
+
+    updateLaneControls() {
+        const orientationEl = document.getElementById('laneOrientation');
+        if (orientationEl) orientationEl.value = this.laneOrientation;
+    }
+
+    addLaneFromSidebar() {
+        const nameEl = document.getElementById('laneName');
+        const kindEl = document.getElementById('laneKind');
+        const kind = kindEl ? kindEl.value : 'other';
+        const name = nameEl ? nameEl.value.trim() : '';
+        const lane = this.addLane(name, kind);
+        this.saveState(`Added lane ${lane.name}`);
+        if (nameEl) nameEl.value = '';
+        this.queueRender();
+        this.showStatus(`Added ${this.getLaneKindLabel(kind)} lane "${lane.name}"`, 'success');
+    }
+
+    autoLayout() {
+        const useSelection = this.selectedNodes.length > 1;
+        const scope = (useSelection ? this.selectedNodes : this.nodes).filter(n => n.type !== 'textbox');
+        if (scope.length === 0) {
+            this.showStatus('Nothing to lay out', 'warning');
+            return;
+        }
+        this.applyLayeredLayout(scope, !useSelection);
+        this.saveState(useSelection ? `Auto layout of ${this.describeItems(scope.length)}` : 'Auto layout');
+        this.updateSelectionBounds();
+        this.queueRender();
+        this.showStatus(`Arranged ${this.describeItems(scope.length)} in layers`, 'success');
+    }
+
+    // Places nodes in layers along the flow axis (x for column lanes or no lanes, y for row lanes).
+    // With lanes, every node keeps its lane and layers are numbered locally inside each lane; lanes
+    // are resized to fit and re-packed. Nodes outside any lane go after the last lane.
+    applyLayeredLayout(scope, wholeCanvas = true) {
+        const a = this.getLaneAxes();
+        const spacing = 150;
+        const crossSpacing = 120;
+        const padding = 70;
+        const byId = new Map(scope.map(n => [n.id, n]));
+        const edges = this.connections.filter(c => byId.has(c.from) && byId.has(c.to) && c.from !== c.to);
+        const layers = this.layeredLayout.assignLayers(scope.map(n => n.id), edges);
+
+        const groupOf = new Map(scope.map(n => [n, this.getLaneAt(n.x, n.y)]));
+        const groups = [...this.locations, null]
+            .map(lane => ({ lane, nodes: scope.filter(n => groupOf.get(n) === lane) }))
+            .filter(group => group.nodes.length > 0 || (group.lane && wholeCanvas));
+
+        const columns = [];
+        groups.forEach(group => {
+            const distinct = [...new Set(group.nodes.map(n => layers.get(n.id)))].sort((l1, l2) => l1 - l2);
+            group.firstColumn = columns.length;
+            group.columnCount = distinct.length;
+            distinct.forEach(layer => {
+                columns.push(group.nodes.filter(n => layers.get(n.id) === layer)
+                    .sort((n1, n2) => n1[a.cross] - n2[a.cross])
+                    .map(n => n.id));
+            });
+        });
+        this.layeredLayout.orderColumns(columns, edges);
+
+        const crossCenter = scope.reduce((sum, n) => sum + n[a.cross], 0) / scope.length;
+        const span = count => Math.max(0, count - 1) * spacing;
+
+        groups.forEach(group => {
+            if (!group.lane) return;
+            const needed = span(group.columnCount) + padding * 2;
+            group.lane[a.size] = wholeCanvas ? Math.max(LANE_DEFAULT_SIZE, needed) : Math.max(group.lane[a.size], needed);
+        });
+        this.reflowLanes();
+
+        const lanesEnd = this.locations.length ? Math.max(...this.locations.map(l => l[a.pos] + l[a.size])) : null;
+        groups.forEach(group => {
+            let start;
+            if (group.lane) {
+                start = group.lane[a.pos] + (group.lane[a.size] - span(group.columnCount)) / 2;
+            } else if (lanesEnd !== null && wholeCanvas) {
+                start = lanesEnd + padding;
+            } else {
+                start = Math.min(...group.nodes.map(n => n[a.pos]));
+            }
+            for (let c = 0; c < group.columnCount; c++) {
+                const column = columns[group.firstColumn + c];
+                column.forEach((id, i) => {
+                    const node = byId.get(id);
+                    node[a.pos] = start + c * spacing;
+                    node[a.cross] = crossCenter + (i - (column.length - 1) / 2) * crossSpacing;
+                });
+            }
+        });
+        this.reflowLanes();
+    }
+
+    enterLaneEditMode(lane) {
+        this.editingLane = lane;
+        this.selectedLane = lane;
+        const modal = document.getElementById('editModal');
+        const input = document.getElementById('editInput');
+        document.querySelector('#editModal h3').textContent = 'Rename Location';
+        input.value = lane.name;
+        modal.classList.remove('hidden');
+        setTimeout(() => { input.focus(); input.select(); }, 10);
+        this.queueRender();
+    }
+
+    getNodeShape(type) {
+        const shapes = { material: 'triangle', activity: 'circle', textbox: 'rectangle' };
+        return shapes[type] || 'circle';
+    }
+
+    createConnection(fromNode, toNode, record = true) {
+        if (!this.canConnect(fromNode, toNode)) {
+            this.showStatus(`Invalid connection! ${fromNode.type} cannot connect to ${toNode.type}`, 'error');
+            return false;
+        }
+
+        const existing = this.connections.find(c => 
+            (c.from === fromNode.id && c.to === toNode.id) || 
+            (c.from === toNode.id && c.to === fromNode.id)
+        );
+        if (existing) {
+            this.showStatus('Connection already exists!', 'warning');
+            return false;
+        }
+
+        this.connections.push({ from: fromNode.id, to: toNode.id, label: '' });
+        if (record) this.saveState(`Connected ${fromNode.label} → ${toNode.label}`);
+        this.showStatus(`Connected ${fromNode.label} → ${toNode.label}`, 'success');
+        this.connectingFrom = null;
+        return true;
+    }
+
+    canConnect(nodeA, nodeB) {
+        if (nodeA.id === nodeB.id) return false;
+        if (nodeA.type === 'textbox' || nodeB.type === 'textbox') return true;
+        return nodeA.type !== nodeB.type;
+    }
+
+    getNodeAt(x, y) {
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            if (node.type === 'textbox') {
+                if (x >= node.x - node.width / 2 && x <= node.x + node.width / 2 && 
+                    y >= node.y - node.height / 2 && y <= node.y + node.height / 2) return node;
+            } else {
+                const dist = Math.sqrt((x - node.x) ** 2 + (y - node.y) ** 2);
+                if (dist <= 32) return node;
+            }
+        }
+        return null;
+    }
+
+    getConnectionAt(x, y) {
+        const obstacles = this.getRouteObstacles();
+        return this.connections.find(conn => {
+            const from = this.nodes.find(n => n.id === conn.from);
+            const to = this.nodes.find(n => n.id === conn.to);
+            if (!from || !to) return false;
+            const flat = this.flattenConnectionPath(this.getConnectionPath(conn, from, to, obstacles));
+            return flat.slice(1).some((p, i) => this.distanceToLine(x, y, flat[i].x, flat[i].y, p.x, p.y) <= 10);
+        });
+    }
+
+    distanceToLine(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1, dy = y2 - y1;
+        const lenSq = dx * dx + dy * dy;
+        if (lenSq === 0) return Math.sqrt((px - x1) ** 2 + (py - y1) ** 2);
+        let t = ((px - x1) * dx + (py - y1) * dy) / lenSq;
+        t = Math.max(0, Math.min(1, t));
+        const projX = x1 + t * dx;
+        const projY = y1 + t * dy;
+        return Math.sqrt((px - projX) ** 2 + (py - projY) ** 2);
+    }
+
+    deleteNode(node, shouldRender = true) {
+        this.nodes = this.nodes.filter(n => n.id !== node.id);
+        this.connections = this.connections.filter(c => c.from !== node.id && c.to !== node.id);
+        if (shouldRender) {
+            this.showStatus(`Deleted ${node.label}`, 'success');
+            this.queueRender();
+        }
+    }
+
+    deleteConnection(connection) {
+        this.connections = this.connections.filter(c => c !== connection);
+        this.showStatus(`Deleted connection`, 'success');
+        this.queueRender();
+    }
+
+    queueRender() {
+        if (!this.isRendering) {
+            this.isRendering = true;
+            requestAnimationFrame(() => { 
+                this.render(); 
+                this.isRendering = false; 
+            });
+        }
+    }
+
+    render() {
+        this.refreshRequirements();
+        this.refreshLeadTimeAnalysis();
+        this.refreshSimulation();
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.save();
+        this.ctx.translate(this.camera.x, this.camera.y);
+        this.ctx.scale(this.camera.zoom, this.camera.zoom);
+
+        this.drawGrid();
+        this.drawLanes();
+        this.drawConnections();
+        this.drawCriticalPath();
+        this.drawNodes();
+        this.drawRequirements();
+        this.drawPolicyBadges();
+        this.drawSlack();
+        this.drawSimulation();
+        this.drawValidationFocus();
+        this.drawConnectionPreview();
+        this.drawSelectionBounds();
+        this.drawSelectionRect();
+
+        this.ctx.restore();
+        this.updateStrokesCanvasSize();
+        this.drawStrokes();
+        this.ctx.drawImage(this.strokesCanvas, 0, 0);
+        this.updatePropertiesPanel();
+        this.updateValidationPanel();
+        this.updateBomPanel();
+    }
+
+    getPropertiesNode() {
+        if (this.selectedNodes.length !== 1) return null;
+        const node = this.selectedNodes[0];
+        return NODE_ATTRIBUTE_FIELDS[node.type] ? node : null;
+    }
+
+    getPropertiesConnection() {
+        if (this.selectedNodes.length > 0 || !this.selectedConnection) return null;
+        return this.connections.includes(this.selectedConnection) ? this.selectedConnection : null;
+    }
+
+    // Transport and procurement activities pass material through and split demand by quota;
+    // production activities consume their inputs by quantity-per.
+    isSourcingActivity(node) {
+        return !!node && node.type === 'activity' && !!node.attributes && node.attributes.activityType !== 'production';
+    }
+
+    // 'input' for material → activity, 'output' for activity → material, null otherwise.
+    getConnectionRole(conn) {
+        const from = this.nodes.find(n => n.id === conn.from), to = this.nodes.find(n => n.id === conn.to);
+        if (!from || !to) return null;
+        if (from.type === 'material' && to.type === 'activity') return 'input';
+        if (from.type === 'activity' && to.type === 'material') return 'output';
+        return null;
+    }
+
+    // Rebuilds the docked panel only when the selected node or its data changed, so typing in
+    // the panel is never interrupted by a re-render.
+    updatePropertiesPanel() {
+        const panel = document.getElementById('propertiesBody');
+        if (!panel) return;
+        const node = this.getPropertiesNode();
+        const conn = node ? null : this.getPropertiesConnection();
+        const signature = node ? JSON.stringify([node.id, node.label, node.locationId, node.attributes]) : conn ? JSON.stringify(conn) : null;
+        if (node === this._propertiesNode && conn === this._propertiesConnection && signature === this._propertiesSignature) {
+            if (node) {
+                this.updateRequirementSummary(panel, node);
+                this.updatePolicySummary(panel, node);
+            }
+            return;
+        }
+        this._propertiesNode = node;
+        this._propertiesConnection = conn;
+        this._propertiesSignature = signature;
+
+        panel.innerHTML = '';
+        if (conn) {
+            this.buildConnectionProperties(panel, conn);
+            return;
+        }
+        if (!node) {
+            const hint = document.createElement('p');
+            hint.className = 'properties-hint';
+            hint.textContent = this.selectedNodes.length > 1
+                ? `${this.selectedNodes.length} nodes selected. Select a single material or activity to edit its attributes.`
+                : 'Select a material or activity to edit its attributes, or a connection for its BOM quantities.';
+            panel.appendChild(hint);
+            return;
+        }
+
+        const typeBadge = document.createElement('div');
+        typeBadge.className = `properties-type properties-type--${node.type}`;
+        typeBadge.textContent = node.type === 'material' ? 'Material' : 'Activity';
+        panel.appendChild(typeBadge);
+
+        panel.appendChild(this.buildPropertyField({ key: 'label', label: 'Label', type: 'text' }, node.label));
+        const fields = NODE_ATTRIBUTE_FIELDS[node.type];
+        fields.filter(field => !field.section).forEach(field => {
+            const group = this.buildPropertyField(field, node.attributes[field.key]);
+            if (field.key === 'location' && node.locationId) {
+                const input = group.querySelector('.form-control');
+                input.readOnly = true;
+                input.title = 'Inherited from the location lane this node sits in';
+            }
+            panel.appendChild(group);
+        });
+
+        const summary = document.createElement('p');
+        summary.className = 'properties-requirement';
+        panel.appendChild(summary);
+        this.updateRequirementSummary(panel, node);
+
+        [...new Set(fields.map(field => field.section).filter(Boolean))].forEach(section => {
+            const heading = document.createElement('h4');
+            heading.className = 'properties-section';
+            heading.textContent = section;
+            panel.appendChild(heading);
+            fields.filter(field => field.section === section).forEach(field => panel.appendChild(this.buildPropertyField(field, node.attributes[field.key])));
+        });
+        if (node.type === 'material') {
+            const policy = document.createElement('div');
+            policy.className = 'properties-policy';
+            panel.appendChild(policy);
+            this.updatePolicySummary(panel, node);
+        }
+
+        if (node.type === 'material') {
+            const reports = document.createElement('div');
+            reports.className = 'properties-reports';
+            [['bom', 'Indented BOM'], ['whereUsed', 'Where Used'], ['leadTime', 'Critical Path']].forEach(([mode, text]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn--secondary btn--sm';
+                button.dataset.report = mode;
+                button.textContent = text;
+                reports.appendChild(button);
+            });
+            panel.appendChild(reports);
+        }
+    }
+
+    // Updated in place: the requirement changes with edits elsewhere in the diagram.
+    updateRequirementSummary(panel, node) {
+        const summary = panel.querySelector('.properties-requirement');
+        if (!summary) return;
+        const requirement = this.requirements ? this.requirements.get(node.id) : null;
+        const uom = node.type === 'material' && node.attributes.uom ? ` ${node.attributes.uom}` : '';
+        let text = '';
+        if (requirement && node.type === 'material') {
+            text = `Gross requirement: ${this.formatQuantity(requirement.gross)}${uom} (${this.formatQuantity(requirement.demand)} own demand + ${this.formatQuantity(requirement.dependent)} dependent)`;
+        } else if (requirement) {
+            text = `Gross requirement: ${this.formatQuantity(requirement.gross)} ${node.attributes.activityType === 'production' ? 'runs' : 'moved'}`;
+        }
+        if (summary.textContent !== text) summary.textContent = text;
+    }
+
+    getInventoryPolicy(node) {
+        return InventoryPolicy.compute(node.attributes);
+    }
+
+    updatePolicySummary(panel, node) {
+        const policy = panel.querySelector('.properties-policy');
+        if (!policy) return;
+        const result = this.getInventoryPolicy(node);
+        const signature = JSON.stringify(result);
+        if (policy.dataset.signature === signature) return;
+        policy.dataset.signature = signature;
+        policy.innerHTML = '';
+        const lines = [
+            ['Safety stock', result.safetyStock, result.z !== null ? `z = ${result.z.toFixed(2)}` : ''],
+            ['Reorder point', result.reorderPoint, ''],
+            ['EOQ', result.eoq, '']
+        ];
+        lines.forEach(([label, value, note]) => {
+            const line = document.createElement('div');
+            line.className = 'properties-policy-line';
+            const name = document.createElement('span');
+            name.textContent = label;
+            const amount = document.createElement('strong');
+            amount.textContent = value === null ? '—' : `${this.formatQuantity(Math.round(value * 100) / 100)}${note ? ` (${note})` : ''}`;
+            line.append(name, amount);
+            policy.appendChild(line);
+        });
+        if (result.safetyStock === null && result.reorderPoint === null && result.eoq === null) {
+            const hint = document.createElement('p');
+            hint.className = 'properties-hint';
+            hint.textContent = 'Needs demand and lead time for the reorder point, plus variability and service level for safety stock, and ordering and holding cost for EOQ.';
+            policy.appendChild(hint);
+            return;
+        }
+        const apply = document.createElement('button');
+        apply.className = 'btn btn--secondary btn--sm';
+        apply.dataset.applyPolicy = 'true';
+        apply.textContent = 'Use as safety stock and lot size';
+        apply.disabled = result.safetyStock === null && result.eoq === null;
+        policy.appendChild(apply);
+    }
+
+    // Copies the calculated safety stock and EOQ (rounded up) into the node's own fields.
+    applyInventoryPolicy(node) {
+        if (!node || node.type !== 'material') return;
+        const result = this.getInventoryPolicy(node);
+        const changes = [];
+        if (result.safetyStock !== null) {
+            node.attributes.safetyStock = Math.ceil(result.safetyStock);
+            changes.push('safety stock');
+        }
+        if (result.eoq !== null) {
+            node.attributes.lotSize = Math.ceil(result.eoq);
+            changes.push('lot size');
+        }
+        if (changes.length === 0) return;
+        this.saveState(`Applied inventory policy to ${node.label}`);
+        this.queueRender();
+        this.showStatus(`Set ${changes.join(' and ')} of ${node.label} from the calculated policy`, 'success');
+    }
+
+    buildConnectionProperties(panel, conn) {
+        const from = this.nodes.find(n => n.id === conn.from), to = this.nodes.find(n => n.id === conn.to);
+        const role = this.getConnectionRole(conn);
+        const typeBadge = document.createElement('div');
+        typeBadge.className = 'properties-type properties-type--connection';
+        typeBadge.textContent = role === 'input' ? 'Input flow' : role === 'output' ? 'Output flow' : 'Connection';
+        panel.appendChild(typeBadge);
+
+        const route = document.createElement('p');
+        route.className = 'properties-hint';
+        route.textContent = `${from ? from.label : conn.from} → ${to ? to.label : conn.to}`;
+        panel.appendChild(route);
+
+        panel.appendChild(this.buildPropertyField({ key: 'label', label: 'Label', type: 'text' }, conn.label || ''));
+        const fields = [...(CONNECTION_ATTRIBUTE_FIELDS[role] || [])];
+        if (role === 'input' && this.isSourcingActivity(to)) fields.push(...CONNECTION_ATTRIBUTE_FIELDS.sourcing);
+        fields.forEach(field => {
+            const group = this.buildPropertyField(field, conn[field.key]);
+            if (field.key === 'uom' && from && from.attributes && from.attributes.uom) {
+                group.querySelector('.form-control').placeholder = from.attributes.uom;
+            }
+            panel.appendChild(group);
+        });
+    }
+
+    buildPropertyField(field, value) {
+        const group = document.createElement('div');
+        group.className = 'form-group properties-field';
+        const id = `prop_${field.key}`;
+
+        const label = document.createElement('label');
+        label.className = 'form-label';
+        label.htmlFor = id;
+        label.textContent = field.unit ? `${field.label} (${field.unit})` : field.label;
+        group.appendChild(label);
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            field.options.forEach(option => {
+                const el = document.createElement('option');
+                el.value = option.value;
+                el.textContent = option.label;
+                input.appendChild(el);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = field.type;
+            if (field.type === 'number') {
+                input.min = '0';
+                input.step = 'any';
+            }
+            if (field.suggestions) {
+                const list = document.createElement('datalist');
+                list.id = `${id}_options`;
+                field.suggestions.forEach(suggestion => {
+                    const el = document.createElement('option');
+                    el.value = suggestion;
+                    list.appendChild(el);
+                });
+                group.appendChild(list);
+                input.setAttribute('list', list.id);
+            }
+        }
+        input.id = id;
+        input.className = 'form-control';
+        input.dataset.key = field.key;
+        input.dataset.type = field.type;
+        input.value = value === null || value === undefined ? '' : value;
+        group.appendChild(input);
+        return group;
+    }
+
+    handlePropertyChange(e) {
+        const input = e.target.closest('[data-key]');
+        if (input && this._propertiesConnection) {
+            this.handleConnectionPropertyChange(input, this._propertiesConnection);
+            return;
+        }
+        const node = this._propertiesNode;
+        if (!input || !node) return;
+
+        const key = input.dataset.key;
+        if (key === 'label') {
+            const label = input.value.trim();
+            if (!label || label === node.label) {
+                input.value = node.label;
+                return;
+            }
+            node.label = label;
+            this.saveState('Renamed node');
+        } else {
+            let value = input.value.trim();
+            if (input.dataset.type === 'number') {
+                const num = parseFloat(value);
+                value = value === '' || isNaN(num) ? null : num;
+                input.value = value === null ? '' : value;
+            }
+            if (node.attributes[key] === value) return;
+            node.attributes[key] = value;
+            const field = NODE_ATTRIBUTE_FIELDS[node.type].find(f => f.key === key);
+            this.saveState(`Set ${field ? field.label.toLowerCase() : key} of ${node.label}`);
+        }
+        this._propertiesSignature = JSON.stringify([node.id, node.label, node.locationId, node.attributes]);
+        this.queueRender();
+    }
+
+    handleConnectionPropertyChange(input, conn) {
+        const key = input.dataset.key;
+        let value = input.value.trim();
+        if (input.dataset.type === 'number') {
+            const num = parseFloat(value);
+            value = value === '' || isNaN(num) || num < 0 ? null : num;
+            if (key === 'scrapPct' && value !== null && value >= 100) value = null;
+            if (key === 'quotaPct' && value !== null && value > 100) value = null;
+            input.value = value === null ? '' : value;
+        }
+        if (key === 'label') {
+            if ((conn.label || '') === value) return;
+            conn.label = value;
+        } else {
+            if ((conn[key] === undefined ? null : conn[key]) === (value === '' ? null : value)) return;
+            if (value === null || value === '') delete conn[key];
+            else conn[key] = value;
+        }
+        const from = this.nodes.find(n => n.id === conn.from), to = this.nodes.find(n => n.id === conn.to);
+        const field = Object.values(CONNECTION_ATTRIBUTE_FIELDS).flat().find(f => f.key === key);
+        this.saveState(`Set ${field ? field.label.toLowerCase() : key} of ${from ? from.label : conn.from} → ${to ? to.label : conn.to}`);
+        this._propertiesSignature = JSON.stringify(conn);
+        this.queueRender();
+    }
+
+    // Per-unit quantity of an input for one unit of the activity's output, scrap included.
+    // Missing quantities and yields count as 1 and are flagged as assumed.
+    getBomRatio(input, output) {
+        const qtyPer = typeof input.qtyPer === 'number' ? input.qtyPer : 1;
+        const scrap = typeof input.scrapPct === 'number' ? input.scrapPct : 0;
+        const yieldQty = typeof output.yield === 'number' && output.yield > 0 ? output.yield : 1;
+        return {
+            ratio: qtyPer * (1 + scrap / 100) / yieldQty,
+            qtyPer, scrap, yieldQty,
+            assumed: typeof input.qtyPer !== 'number' || !(typeof output.yield === 'number' && output.yield > 0)
+        };
+    }
+
+    // Multi-level explosion: every activity producing the material, its inputs, and so on down.
+    // Quantities are per one unit of the top material.
+    getBomExplosion(material) {
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const rows = [];
+        const explode = (node, quantity, level, path) => {
+            this.connections.filter(c => c.to === node.id && byId.has(c.from) && byId.get(c.from).type === 'activity').forEach(output => {
+                const activity = byId.get(output.from);
+                this.connections.filter(c => c.to === activity.id && byId.has(c.from) && byId.get(c.from).type === 'material').forEach(input => {
+                    const component = byId.get(input.from);
+                    const bom = this.getBomRatio(input, output);
+                    const cycle = path.includes(component.id);
+                    rows.push({
+                        level, node: component, activity, qtyPer: bom.ratio, scrap: bom.scrap, total: quantity * bom.ratio,
+                        uom: input.uom || (component.attributes && component.attributes.uom) || '', assumed: bom.assumed, cycle
+                    });
+                    if (!cycle) explode(component, quantity * bom.ratio, level + 1, [...path, component.id]);
+                });
+            });
+        };
+        explode(material, 1, 1, [material.id]);
+        return rows;
+    }
+
+    // Multi-level where-used: every material the given one goes into, up to the end items.
+    // Totals are how much of the given material one unit of that parent consumes.
+    getWhereUsed(material) {
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const rows = [];
+        const implode = (node, quantity, level, path, totalUom) => {
+            this.connections.filter(c => c.from === node.id && byId.has(c.to) && byId.get(c.to).type === 'activity').forEach(input => {
+                const activity = byId.get(input.to);
+                this.connections.filter(c => c.from === activity.id && byId.has(c.to) && byId.get(c.to).type === 'material').forEach(output => {
+                    const parent = byId.get(output.to);
+                    const bom = this.getBomRatio(input, output);
+                    const cycle = path.includes(parent.id);
+                    const uom = input.uom || (node.attributes && node.attributes.uom) || '';
+                    rows.push({
+                        level, node: parent, activity, qtyPer: bom.ratio, scrap: bom.scrap, total: quantity * bom.ratio,
+                        uom, totalUom: level === 1 ? uom : totalUom, assumed: bom.assumed, cycle
+                    });
+                    if (!cycle) implode(parent, quantity * bom.ratio, level + 1, [...path, parent.id], level === 1 ? uom : totalUom);
+                });
+            });
+        };
+        implode(material, 1, 1, [material.id]);
+        return rows;
+    }
+
+    // Gross requirement per node, propagated upstream from the demand typed on materials: a
+    // material needs its own demand plus what its consumers draw from it, a production activity
+    // needs enough runs for its largest output, a transport or procurement activity moves the sum
+    // of its outputs and splits it over its inputs by quota (evenly when none is set). A material
+    // with several sourcing activities splits its requirement evenly between them. Empty when no
+    // material carries demand.
+    getDemandRequirements() {
+        const requirements = new Map();
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const demandOf = node => node.type === 'material' && typeof node.attributes.demand === 'number' ? node.attributes.demand : 0;
+        if (!this.nodes.some(n => demandOf(n) > 0)) return requirements;
+
+        const flows = this.connections.filter(c => byId.has(c.from) && byId.has(c.to) && this.getConnectionRole(c));
+        const shareOf = (activity, input) => {
+            if (!this.isSourcingActivity(activity)) return 1;
+            const inputs = flows.filter(c => c.to === activity.id);
+            if (!inputs.some(c => typeof c.quotaPct === 'number')) return 1 / inputs.length;
+            return (typeof input.quotaPct === 'number' ? input.quotaPct : 0) / 100;
+        };
+        // Nodes on a cycle contribute nothing the second time round; the validation panel flags the cycle.
+        const visiting = new Set();
+        const requirementOf = node => {
+            if (requirements.has(node.id)) return requirements.get(node.id).gross;
+            if (visiting.has(node.id)) return 0;
+            visiting.add(node.id);
+            const outgoing = flows.filter(c => c.from === node.id);
+            let entry;
+            if (node.type === 'material') {
+                const demand = demandOf(node);
+                const dependent = outgoing.reduce((sum, input) => {
+                    const activity = byId.get(input.to);
+                    return sum + requirementOf(activity) * this.getBomRatio(input, {}).ratio * shareOf(activity, input);
+                }, 0);
+                entry = { gross: demand + dependent, demand, dependent };
+            } else {
+                const perOutput = outgoing.map(output => {
+                    const material = byId.get(output.to);
+                    const producers = flows.filter(c => c.to === material.id).length;
+                    const yieldQty = typeof output.yield === 'number' && output.yield > 0 ? output.yield : 1;
+                    return requirementOf(material) / producers / yieldQty;
+                });
+                const gross = perOutput.length === 0 ? 0
+                    : this.isSourcingActivity(node) ? perOutput.reduce((sum, value) => sum + value, 0) : Math.max(...perOutput);
+                entry = { gross };
+            }
+            visiting.delete(node.id);
+            requirements.set(node.id, entry);
+            return entry.gross;
+        };
+        this.nodes.filter(n => n.type === 'material' || n.type === 'activity').forEach(requirementOf);
+        return requirements;
+    }
+
+    // Recomputed whenever the current history entry changes, like the validation panel.
+    refreshRequirements() {
+        const entry = this.stateManager.history[this.stateManager.currentIndex] || null;
+        if (entry === this._requirementsEntry && this.requirements) return;
+        this._requirementsEntry = entry;
+        this.requirements = this.getDemandRequirements();
+    }
+
+    openBomPanel(node, mode = 'bom') {
+        const panel = document.getElementById('bomPanel');
+        if (!panel || !node) return;
+        this.bomReport = { nodeId: node.id, mode };
+        this._bomEntry = undefined;
+        panel.classList.remove('hidden');
+        this.updateBomPanel();
+        this.queueRender();
+    }
+
+    closeBomPanel() {
+        const panel = document.getElementById('bomPanel');
+        if (panel) panel.classList.add('hidden');
+        this.bomReport = null;
+        this.queueRender();
+    }
+
+    // Refreshes the open report when the diagram changes (edit, undo, redo, load).
+    updateBomPanel() {
+        if (!this.bomReport) return;
+        const entry = this.stateManager.history[this.stateManager.currentIndex] || null;
+        if (entry === this._bomEntry) return;
+        this._bomEntry = entry;
+
+        const material = this.nodes.find(n => n.id === this.bomReport.nodeId);
+        const body = document.getElementById('bomBody');
+        document.querySelectorAll('#bomPanel .bom-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.mode === this.bomReport.mode));
+        document.getElementById('bomTitle').textContent = material ? material.label : 'Material removed';
+        body.innerHTML = '';
+        if (!material) return;
+
+        if (this.bomReport.mode === 'leadTime') {
+            this.buildLeadTimeReport(body, material);
+            return;
+        }
+        const whereUsed = this.bomReport.mode === 'whereUsed';
+        const rows = whereUsed ? this.getWhereUsed(material) : this.getBomExplosion(material);
+        if (rows.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'properties-hint';
+            hint.textContent = whereUsed
+                ? `${material.label} is not consumed by any activity.`
+                : `${material.label} has no producing activity with input materials.`;
+            body.appendChild(hint);
+            return;
+        }
+        const table = document.createElement('table');
+        table.className = 'bom-table';
+        const head = table.createTHead().insertRow();
+        ['Lvl', whereUsed ? 'Used in' : 'Component', 'Qty per', 'UoM', whereUsed ? `Per unit` : 'Total'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        rows.forEach(row => {
+            const tr = tbody.insertRow();
+            tr.dataset.nodeId = row.node.id;
+            if (row.assumed) tr.className = 'bom-row--assumed';
+            tr.insertCell().textContent = row.level;
+            const name = tr.insertCell();
+            name.style.paddingLeft = `${(row.level - 1) * 12 + 4}px`;
+            name.textContent = row.node.label + (row.cycle ? ' ↻' : '');
+            const via = document.createElement('small');
+            via.textContent = `via ${row.activity.label}${row.scrap ? `, ${row.scrap}% scrap` : ''}`;
+            name.appendChild(via);
+            tr.insertCell().textContent = this.formatQuantity(row.qtyPer);
+            tr.insertCell().textContent = row.uom;
+            tr.insertCell().textContent = this.formatQuantity(row.total) + (whereUsed && row.totalUom ? ` ${row.totalUom}` : '');
+        });
+        body.appendChild(table);
+        if (rows.some(row => row.assumed || row.cycle)) {
+            const note = document.createElement('p');
+            note.className = 'properties-hint bom-note';
+            note.textContent = [
+                rows.some(row => row.assumed) ? 'Italic rows are missing a quantity-per or output yield; 1 was assumed.' : '',
+                rows.some(row => row.cycle) ? '↻ marks a cycle; it is not followed further.' : ''
+            ].filter(Boolean).join(' ');
+            body.appendChild(note);
+        }
+    }
+
+    buildLeadTimeReport(body, material) {
+        this.refreshLeadTimeAnalysis();
+        const analysis = this.leadTimeAnalysis;
+        if (!analysis || analysis.rows.length < 2) {
+            const hint = document.createElement('p');
+            hint.className = 'properties-hint';
+            hint.textContent = `${material.label} has no upstream activities or materials.`;
+            body.appendChild(hint);
+            return;
+        }
+        const summary = document.createElement('p');
+        summary.className = 'lead-time-summary';
+        summary.textContent = `End-to-end lead time: ${this.formatQuantity(analysis.total)} days`;
+        body.appendChild(summary);
+        const path = document.createElement('p');
+        path.className = 'properties-hint';
+        path.textContent = `Critical path: ${analysis.path.map(node => node.label).join(' → ')}`;
+        body.appendChild(path);
+
+        const table = document.createElement('table');
+        table.className = 'bom-table';
+        const head = table.createTHead().insertRow();
+        ['Node', 'Own', 'Cumulative', 'Slack'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        analysis.rows.forEach(row => {
+            const tr = tbody.insertRow();
+            tr.dataset.nodeId = row.node.id;
+            tr.className = [row.critical ? 'bom-row--critical' : '', row.assumed ? 'bom-row--assumed' : ''].filter(Boolean).join(' ');
+            const name = tr.insertCell();
+            name.textContent = row.node.label;
+            const kind = document.createElement('small');
+            kind.textContent = row.node.type === 'material' ? 'lead time' : 'duration';
+            name.appendChild(kind);
+            tr.insertCell().textContent = `${this.formatQuantity(row.time)} d`;
+            tr.insertCell().textContent = `${this.formatQuantity(row.finish)} d`;
+            tr.insertCell().textContent = row.critical ? '—' : `${this.formatQuantity(row.slack)} d`;
+        });
+        body.appendChild(table);
+        const notes = [
+            'Bold rows are on the critical path.',
+            analysis.rows.some(row => row.assumed) ? 'Italic rows have no lead time or duration; 0 days was assumed.' : '',
+            analysis.cycle ? 'The network upstream contains a cycle; it is not followed round.' : ''
+        ];
+        const note = document.createElement('p');
+        note.className = 'properties-hint bom-note';
+        note.textContent = notes.filter(Boolean).join(' ');
+        body.appendChild(note);
+    }
+
+    // Critical path method over everything upstream of a finished good. A node's own time is its
+    // lead time (materials) or duration (activities); the cumulative lead time is its earliest
+    // finish counted from the raw materials, and slack is how far it can slip without delaying
+    // the finished good.
+    getLeadTimeAnalysis(target) {
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const flows = this.connections.filter(c => byId.has(c.from) && byId.has(c.to) && this.getConnectionRole(c));
+        const timeOf = node => {
+            const value = node.type === 'material' ? node.attributes.leadTime : node.attributes.duration;
+            return typeof value === 'number' && value > 0 ? value : 0;
+        };
+        let cycle = false;
+        const finish = new Map(), visiting = new Set();
+        const earliest = node => {
+            if (finish.has(node.id)) return finish.get(node.id);
+            if (visiting.has(node.id)) {
+                cycle = true;
+                return 0;
+            }
+            visiting.add(node.id);
+            const start = flows.filter(c => c.to === node.id).reduce((max, c) => Math.max(max, earliest(byId.get(c.from))), 0);
+            visiting.delete(node.id);
+            finish.set(node.id, start + timeOf(node));
+            return finish.get(node.id);
+        };
+        const total = earliest(target);
+
+        const latest = new Map();
+        const latestFinish = node => {
+            if (latest.has(node.id)) return latest.get(node.id);
+            if (visiting.has(node.id)) return total;
+            visiting.add(node.id);
+            const value = node === target ? total : flows
+                .filter(c => c.from === node.id && finish.has(c.to))
+                .reduce((min, c) => Math.min(min, latestFinish(byId.get(c.to)) - timeOf(byId.get(c.to))), total);
+            visiting.delete(node.id);
+            latest.set(node.id, value);
+            return value;
+        };
+        const rows = [...finish.keys()].map(id => {
+            const node = byId.get(id);
+            const slack = Math.max(0, latestFinish(node) - finish.get(id));
+            const value = node.type === 'material' ? node.attributes.leadTime : node.attributes.duration;
+            return { node, time: timeOf(node), finish: finish.get(id), slack, critical: slack < 1e-9, assumed: typeof value !== 'number' };
+        });
+        rows.sort((a, b) => a.finish - b.finish || a.node.label.localeCompare(b.node.label));
+
+        // Walk back from the finished good along predecessors that finish exactly when it starts.
+        const path = [target];
+        const onPath = new Set([target.id]);
+        const connections = [];
+        for (let node = target; ;) {
+            const start = finish.get(node.id) - timeOf(node);
+            const step = flows.find(c => c.to === node.id && !onPath.has(c.from) && Math.abs(finish.get(c.from) - start) < 1e-9);
+            if (!step) break;
+            node = byId.get(step.from);
+            path.unshift(node);
+            onPath.add(node.id);
+            connections.push(step);
+        }
+        return { target, total, rows, path, connections, cycle };
+    }
+
+    // Recomputed while the critical path report is open, whenever the diagram changes.
+    refreshLeadTimeAnalysis() {
+        const report = this.bomReport && this.bomReport.mode === 'leadTime' ? this.bomReport : null;
+        const target = report ? this.nodes.find(n => n.id === report.nodeId) : null;
+        const entry = this.stateManager.history[this.stateManager.currentIndex] || null;
+        if (!target) {
+            this.leadTimeAnalysis = null;
+            return;
+        }
+        if (this.leadTimeAnalysis && this.leadTimeAnalysis.target === target && entry === this._leadTimeEntry) return;
+        this._leadTimeEntry = entry;
+        this.leadTimeAnalysis = this.getLeadTimeAnalysis(target);
+    }
+
+    formatQuantity(value) {
+        return String(Math.round(value * 10000) / 10000);
+    }
+
+    handleBomPanelClick(e) {
+        const tab = e.target.closest('.bom-tab');
+        if (tab && this.bomReport) {
+            this.bomReport.mode = tab.dataset.mode;
+            this._bomEntry = undefined;
+            this.queueRender();
+            return;
+        }
+        const row = e.target.closest('tr[data-node-id]');
+        const node = row ? this.nodes.find(n => n.id === row.dataset.nodeId) : null;
+        if (node) {
+            this.selectedNodes = [node];
+            this.selectedConnection = null;
+            this.queueRender();
+        }
+    }
+
+    exportBomCsv() {
+        const material = this.bomReport ? this.nodes.find(n => n.id === this.bomReport.nodeId) : null;
+        if (!material) return;
+        const slug = material.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'material';
+        if (this.bomReport.mode === 'leadTime') {
+            const analysis = this.getLeadTimeAnalysis(material);
+            const table = [['node', 'type', 'sku', 'own_days', 'cumulative_days', 'slack_days', 'critical', 'assumed']];
+            analysis.rows.forEach(row => table.push([
+                row.node.label, row.node.type, (row.node.type === 'material' && row.node.attributes.sku) || '', this.formatQuantity(row.time),
+                this.formatQuantity(row.finish), this.formatQuantity(row.slack), row.critical ? 'yes' : '', row.assumed ? 'yes' : ''
+            ]));
+            const blob = new Blob(['\uFEFF' + CsvTable.stringify(table)], { type: 'text/csv;charset=utf-8' });
+            this.downloadBlob(blob, this.getExportFileName(`lead-time-${slug}.csv`));
+            this.showStatus(`Lead times for ${material.label} exported as CSV`, 'success');
+            return;
+        }
+        const whereUsed = this.bomReport.mode === 'whereUsed';
+        const rows = whereUsed ? this.getWhereUsed(material) : this.getBomExplosion(material);
+        const table = [['level', whereUsed ? 'used_in' : 'component', 'sku', 'via_activity', 'qty_per', 'uom', 'scrap_pct', whereUsed ? 'per_unit_of_parent' : 'total_per_unit', ...(whereUsed ? ['per_unit_uom'] : []), 'assumed']];
+        rows.forEach(row => table.push([
+            '.'.repeat(row.level - 1) + row.level, row.node.label, (row.node.attributes && row.node.attributes.sku) || '', row.activity.label,
+            this.formatQuantity(row.qtyPer), row.uom, row.scrap || '', this.formatQuantity(row.total), ...(whereUsed ? [row.totalUom] : []), row.assumed ? 'yes' : ''
+        ]));
+        const blob = new Blob(['\uFEFF' + CsvTable.stringify(table)], { type: 'text/csv;charset=utf-8' });
+        this.downloadBlob(blob, this.getExportFileName(`${whereUsed ? 'where-used' : 'bom'}-${slug}.csv`));
+        this.showStatus(`${whereUsed ? 'Where-used' : 'Indented BOM'} for ${material.label} exported as CSV`, 'success');
+    }
+
+    // Checks the diagram as a supply network. Each issue names the nodes and connections involved
+    // so the panel can highlight them.
+    validateDiagram() {
+        const issues = [];
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const name = node => `"${(node.label || node.id).replace(/\s+/g, ' ')}"`;
+        const flowNodes = this.nodes.filter(n => n.type === 'material' || n.type === 'activity');
+        const flows = [];
+        this.connections.forEach(conn => {
+            const from = byId.get(conn.from), to = byId.get(conn.to);
+            if (!from || !to) {
+                const end = from || to;
+                issues.push({
+                    severity: 'error', check: 'dangling', connections: [], nodes: end ? [end] : [],
+                    message: end
+                        ? `Connection ${from ? 'from' : 'to'} ${name(end)} points to missing node ${from ? conn.to : conn.from}`
+                        : `Connection between missing nodes ${conn.from} and ${conn.to}`
+                });
+                return;
+            }
+            if (from.type === 'textbox' || to.type === 'textbox') return;
+            if (from.id === to.id || from.type === to.type) {
+                issues.push({
+                    severity: 'error', check: 'invalid', nodes: [from, to], connections: [conn],
+                    message: `${name(from)} connects to ${from.id === to.id ? 'itself' : `${name(to)}, another ${from.type}`}`
+                });
+                return;
+            }
+            flows.push(conn);
+        });
+
+        const incoming = new Map(flowNodes.map(n => [n.id, []]));
+        const outgoing = new Map(flowNodes.map(n => [n.id, []]));
+        flows.forEach(conn => {
+            outgoing.get(conn.from).push(conn);
+            incoming.get(conn.to).push(conn);
+        });
+        flowNodes.forEach(node => {
+            if (node.type === 'material' && incoming.get(node.id).length === 0) {
+                issues.push({ severity: 'warning', check: 'unsourced', nodes: [node], connections: [], message: `${name(node)} has no producing or sourcing activity` });
+            }
+            if (node.type !== 'activity') return;
+            const noInput = incoming.get(node.id).length === 0, noOutput = outgoing.get(node.id).length === 0;
+            if (noInput || noOutput) {
+                const missing = noInput && noOutput ? 'input or output' : noInput ? 'input' : 'output';
+                issues.push({ severity: 'warning', check: 'activity', nodes: [node], connections: [], message: `${name(node)} has no ${missing} material` });
+            }
+            const inputs = incoming.get(node.id);
+            if (this.isSourcingActivity(node) && inputs.some(c => typeof c.quotaPct === 'number')) {
+                const total = inputs.reduce((sum, c) => sum + (typeof c.quotaPct === 'number' ? c.quotaPct : 0), 0);
+                if (Math.abs(total - 100) > 0.01) {
+                    issues.push({
+                        severity: 'error', check: 'quota', nodes: [node, ...inputs.map(c => byId.get(c.from))], connections: inputs,
+                        message: `Sourcing quotas into ${name(node)} add up to ${this.formatQuantity(total)}%, not 100%`
+                    });
+                }
+            }
+        });
+
+        // Islands: weakly connected groups; everything outside the largest one is reported.
+        const island = new Map();
+        const groups = [];
+        flowNodes.forEach(start => {
+            if (island.has(start.id)) return;
+            const group = [];
+            const stack = [start];
+            island.set(start.id, group);
+            while (stack.length) {
+                const node = stack.pop();
+                group.push(node);
+                [...incoming.get(node.id).map(c => c.from), ...outgoing.get(node.id).map(c => c.to)].forEach(id => {
+                    if (island.has(id)) return;
+                    island.set(id, group);
+                    stack.push(byId.get(id));
+                });
+            }
+            groups.push(group);
+        });
+        if (groups.length > 1) {
+            const main = groups.reduce((best, group) => group.length > best.length ? group : best);
+            groups.filter(group => group !== main).forEach(group => {
+                const ids = new Set(group.map(n => n.id));
+                issues.push({
+                    severity: 'warning', check: 'island', nodes: group, connections: flows.filter(c => ids.has(c.from)),
+                    message: group.length === 1
+                        ? `${name(group[0])} is not connected to the rest of the network`
+                        : `${group.length} nodes around ${name(group[0])} form an island cut off from the rest of the network`
+                });
+            });
+        }
+
+        // Cycles: strongly connected components with more than one node (Tarjan). A cycle through
+        // production steps alone makes a material its own component, which is an error; any other
+        // loop, such as returns going back into stock, is only a warning.
+        const findCycles = links => {
+            const next = new Map(flowNodes.map(n => [n.id, []]));
+            links.forEach(conn => next.get(conn.from).push(conn.to));
+            const cycles = [];
+            let counter = 0;
+            const index = new Map(), low = new Map(), stack = [], onStack = new Set();
+            const visit = node => {
+                index.set(node.id, counter);
+                low.set(node.id, counter++);
+                stack.push(node);
+                onStack.add(node.id);
+                next.get(node.id).forEach(id => {
+                    if (!index.has(id)) {
+                        visit(byId.get(id));
+                        low.set(node.id, Math.min(low.get(node.id), low.get(id)));
+                    } else if (onStack.has(id)) {
+                        low.set(node.id, Math.min(low.get(node.id), index.get(id)));
+                    }
+                });
+                if (low.get(node.id) !== index.get(node.id)) return;
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member.id);
+                    component.push(member);
+                } while (member !== node);
+                if (component.length > 1) cycles.push(component.reverse());
+            };
+            flowNodes.forEach(node => { if (!index.has(node.id)) visit(node); });
+            return cycles;
+        };
+        const isProduction = node => node.type === 'activity' && node.attributes && node.attributes.activityType === 'production';
+        const bomCycles = findCycles(flows.filter(c => isProduction(byId.get(c.from)) || isProduction(byId.get(c.to))));
+        const onBomCycle = new Set(bomCycles.flat().map(n => n.id));
+        const describe = component => `${component.slice(0, 4).map(name).join(' → ')}${component.length > 4 ? ' → …' : ''}`;
+        bomCycles.forEach(component => {
+            const ids = new Set(component.map(n => n.id));
+            issues.push({
+                severity: 'error', check: 'cycle', nodes: component, connections: flows.filter(c => ids.has(c.from) && ids.has(c.to)),
+                message: `Cycle in the BOM: ${describe(component)}`
+            });
+        });
+        findCycles(flows).filter(component => !component.some(n => onBomCycle.has(n.id))).forEach(component => {
+            const ids = new Set(component.map(n => n.id));
+            issues.push({
+                severity: 'warning', check: 'loop', nodes: component, connections: flows.filter(c => ids.has(c.from) && ids.has(c.to)),
+                message: `Loop in the flow: ${describe(component)}`
+            });
+        });
+
+        // The same material (by SKU, else by label) placed twice at one location.
+        const placements = new Map();
+        flowNodes.filter(n => n.type === 'material').forEach(node => {
+            const attributes = node.attributes || {};
+            const lane = node.locationId ? this.getLaneById(node.locationId) : null;
+            const location = String(attributes.location || (lane ? lane.name : '')).trim();
+            const identity = String(attributes.sku || '').trim() || String(node.label || '').trim();
+            const key = `${identity.toLowerCase()}\n${location.toLowerCase()}`;
+            if (!placements.has(key)) placements.set(key, { identity, location, nodes: [] });
+            placements.get(key).nodes.push(node);
+        });
+        placements.forEach(({ identity, location, nodes }) => {
+            if (nodes.length < 2) return;
+            issues.push({
+                severity: 'warning', check: 'duplicate', nodes, connections: [],
+                message: `${identity} appears ${nodes.length} times ${location ? `at ${location}` : 'without a location'}`
+            });
+        });
+
+        const rank = issue => issue.severity === 'error' ? 0 : 1;
+        return issues.sort((a, b) => rank(a) - rank(b));
+    }
+
+    // Re-runs the checks whenever the current history entry changes (edit, undo, redo, load).
+    updateValidationPanel() {
+        const list = document.getElementById('validationList');
+        if (!list) return;
+        const entry = this.stateManager.history[this.stateManager.currentIndex] || null;
+        if (entry === this._validatedEntry && this._validationIssues) return;
+        this._validatedEntry = entry;
+        this._validationIssues = this.validateDiagram();
+        this.validationFocus = null;
+
+        const issues = this._validationIssues;
+        const count = document.getElementById('validationCount');
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        if (count) {
+            count.textContent = issues.length === 0 ? '' : `${issues.length}`;
+            count.className = `validation-count${errors > 0 ? ' validation-count--error' : issues.length > 0 ? ' validation-count--warning' : ''}`;
+        }
+        list.innerHTML = '';
+        if (issues.length === 0) {
+            const hint = document.createElement('li');
+            hint.className = 'properties-hint';
+            hint.textContent = this.nodes.length === 0 ? 'Checks run as you build the diagram.' : 'No problems found.';
+            list.appendChild(hint);
+            return;
+        }
+        const dangling = issues.filter(issue => issue.check === 'dangling').length;
+        issues.forEach((issue, index) => {
+            const item = document.createElement('li');
+            item.className = `validation-item validation-item--${issue.severity}`;
+            item.dataset.index = index;
+            item.textContent = issue.message;
+            if (issue.check === 'dangling' && !list.querySelector('.validation-fix')) {
+                const fix = document.createElement('button');
+                fix.className = 'btn btn--secondary btn--sm validation-fix';
+                fix.textContent = dangling > 1 ? `Remove all ${dangling}` : 'Remove';
+                item.appendChild(fix);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    handleValidationClick(e) {
+        if (e.target.closest('.validation-fix')) {
+            this.removeDanglingConnections();
+            return;
+        }
+        const item = e.target.closest('.validation-item');
+        if (!item || !this._validationIssues) return;
+        const issue = this._validationIssues[parseInt(item.dataset.index, 10)];
+        const list = document.getElementById('validationList');
+        list.querySelectorAll('.validation-item.active').forEach(el => el.classList.remove('active'));
+        if (this.validationFocus === issue) {
+            this.validationFocus = null;
+            this.queueRender();
+            return;
+        }
+        this.validationFocus = issue;
+        item.classList.add('active');
+        this.selectedNodes = issue.nodes.filter(n => this.nodes.includes(n));
+        this.selectedStrokes = [];
+        this.selectedConnection = null;
+        if (this.selectedNodes.length > 0) {
+            // Bring the affected nodes into view without changing the zoom.
+            const bounds = this.getContentBounds({ nodes: this.selectedNodes }, 40);
+            const view = this.getViewBounds();
+            const inside = bounds.x >= view.x && bounds.y >= view.y && bounds.x + bounds.width <= view.x + view.width && bounds.y + bounds.height <= view.y + view.height;
+            if (!inside) {
+                this.camera.x = this.canvas.width / 2 - (bounds.x + bounds.width / 2) * this.camera.zoom;
+                this.camera.y = this.canvas.height / 2 - (bounds.y + bounds.height / 2) * this.camera.zoom;
+            }
+        }
+        this.queueRender();
+    }
+
+    removeDanglingConnections() {
+        const ids = new Set(this.nodes.map(n => n.id));
+        const before = this.connections.length;
+        this.connections = this.connections.filter(conn => ids.has(conn.from) && ids.has(conn.to));
+        const removed = before - this.connections.length;
+        if (removed === 0) return;
+        this.saveState(`Removed ${removed} dangling connection${removed === 1 ? '' : 's'}`);
+        this.queueRender();
+        this.showStatus(`Removed ${removed} dangling connection${removed === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Calculated SS / ROP / EOQ beside each material that has enough inputs. The simulation's
+    // inventory and the critical path's slack use the same spot, so the badges step aside for them.
+    drawPolicyBadges() {
+        if (this.simulation || this.leadTimeAnalysis) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1 / this.camera.zoom;
+        this.nodes.forEach(node => {
+            if (node.type !== 'material') return;
+            const result = this.getInventoryPolicy(node);
+            const lines = INVENTORY_POLICY_COLUMNS.filter(({ key }) => result[key] !== null)
+                .map(({ key, label }) => `${label} ${this.formatQuantity(Math.round(result[key] * 10) / 10)}`);
+            if (lines.length === 0) return;
+            const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 8;
+            const height = lines.length * 12 + 4;
+            const x = node.x + 18, y = node.y - height / 2;
+            ctx.fillStyle = this.themeColors.canvasSurface;
+            ctx.strokeStyle = this.themeColors.nodeMaterialStroke;
+            ctx.fillRect(x, y, width, height);
+            ctx.strokeRect(x, y, width, height);
+            ctx.fillStyle = this.themeColors.text;
+            lines.forEach((line, i) => ctx.fillText(line, x + 4, y + 8 + i * 12));
+        });
+        ctx.restore();
+    }
+
+    // Gross requirement badges above materials and activities while any demand is set.
+    drawRequirements() {
+        if (!this.requirements || this.requirements.size === 0) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1 / this.camera.zoom;
+        this.nodes.forEach(node => {
+            const requirement = this.requirements.get(node.id);
+            if (!requirement || requirement.gross <= 0) return;
+            const uom = node.type === 'material' && node.attributes.uom ? ` ${node.attributes.uom}` : '';
+            const text = `${this.formatQuantity(requirement.gross)}${uom}`;
+            const width = ctx.measureText(text).width + 10;
+            const y = node.y - (node.type === 'material' ? 26 : 37);
+            ctx.fillStyle = this.themeColors.canvasSurface;
+            ctx.strokeStyle = this.themeColors.primary;
+            ctx.fillRect(node.x - width / 2, y - 8, width, 16);
+            ctx.strokeRect(node.x - width / 2, y - 8, width, 16);
+            ctx.fillStyle = this.themeColors.text;
+            ctx.fillText(text, node.x, y);
+        });
+        ctx.restore();
+    }
+
+    // Wide halo under the critical nodes and connections, drawn before the nodes themselves.
+    drawCriticalPath() {
+        const analysis = this.leadTimeAnalysis;
+        if (!analysis) return;
+        const ctx = this.ctx;
+        const obstacles = this.getRouteObstacles();
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = this.themeColors.primary;
+        ctx.fillStyle = this.themeColors.primary;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 10 / this.camera.zoom;
+        analysis.connections.forEach(conn => {
+            const from = this.nodes.find(n => n.id === conn.from), to = this.nodes.find(n => n.id === conn.to);
+            if (!from || !to) return;
+            ctx.beginPath();
+            this.traceConnectionPath(ctx, this.getConnectionPath(conn, from, to, obstacles));
+            ctx.stroke();
+        });
+        analysis.rows.filter(row => row.critical).forEach(row => {
+            ctx.beginPath();
+            ctx.arc(row.node.x, row.node.y, 33, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+
+    drawSlack() {
+        const analysis = this.leadTimeAnalysis;
+        if (!analysis) return;
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = this.themeColors.textSecondary;
+        analysis.rows.filter(row => !row.critical).forEach(row => {
+            ctx.fillText(`+${this.formatQuantity(row.slack)}d slack`, row.node.x + 30, row.node.y);
+        });
+        ctx.restore();
+    }
+
+    drawValidationFocus() {
+        const issue = this.validationFocus;
+        if (!issue) return;
+        const color = this.themeColors.error || '#c0152f';
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3 / this.camera.zoom;
+        ctx.setLineDash([6 / this.camera.zoom, 4 / this.camera.zoom]);
+        issue.nodes.forEach(node => {
+            if (!this.nodes.includes(node)) return;
+            ctx.beginPath();
+            if (node.type === 'textbox') ctx.rect(node.x - node.width / 2 - 6, node.y - node.height / 2 - 6, node.width + 12, node.height + 12);
+            else ctx.arc(node.x, node.y, 34, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        const obstacles = this.getRouteObstacles();
+        issue.connections.forEach(conn => {
+            const from = this.nodes.find(n => n.id === conn.from), to = this.nodes.find(n => n.id === conn.to);
+            if (from && to) this.strokeConnectionPath(ctx, this.getConnectionPath(conn, from, to, obstacles), color, 3 / this.camera.zoom, 12 / this.camera.zoom);
+        });
+        ctx.restore();
+    }
+
+    // Plain copy of the network for FlowSimulation. Connections ride along so the playback can
+    // animate tokens on them.
+    getSimulationModel() {
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const flows = this.connections.filter(c => byId.has(c.from) && byId.has(c.to) && this.getConnectionRole(c));
+        const number = value => typeof value === 'number' && value >= 0 ? value : null;
+        const requirements = this.getDemandRequirements();
+        const materials = this.nodes.filter(n => n.type === 'material').map(node => {
+            const producers = flows.filter(c => c.to === node.id).map(c => byId.get(c.from));
+            const initialStock = number(node.attributes.initialStock);
+            const leadTime = number(node.attributes.leadTime) || 0;
+            const duration = Math.max(0, ...producers.map(a => number(a.attributes.duration) || 0));
+            return {
+                id: node.id, label: node.label, producers: producers.length,
+                demand: number(node.attributes.demand) || 0,
+                leadTime, initialStock: initialStock || 0,
+                requirement: requirements.has(node.id) ? requirements.get(node.id).gross : 0,
+                replenishDays: Math.max(1, Math.ceil(duration + leadTime)),
+                unlimited: producers.length === 0 && initialStock === null
+            };
+        });
+        const activities = this.nodes.filter(n => n.type === 'activity').map(node => {
+            const inputs = flows.filter(c => c.to === node.id);
+            const sourcing = this.isSourcingActivity(node);
+            const quotas = inputs.some(c => typeof c.quotaPct === 'number');
+            const capacity = number(node.attributes.capacity);
+            return {
+                id: node.id, label: node.label, sourcing,
+                duration: number(node.attributes.duration) || 0,
+                capacity: capacity === null ? Infinity : capacity,
+                inputs: inputs.map(c => ({
+                    materialId: c.from, connection: c, perRun: this.getBomRatio(c, {}).ratio,
+                    share: !sourcing ? 1 : quotas ? (typeof c.quotaPct === 'number' ? c.quotaPct : 0) / 100 : 1 / inputs.length
+                })),
+                outputs: flows.filter(c => c.from === node.id).map(c => ({
+                    materialId: c.to, connection: c, yieldQty: typeof c.yield === 'number' && c.yield > 0 ? c.yield : 1
+                }))
+            };
+        });
+        return { materials, activities };
+    }
+
+    openSimulation() {
+        const bar = document.getElementById('simulationBar');
+        if (!bar) return;
+        bar.classList.remove('hidden');
+        this.buildSimulation();
+        const { materials, activities } = this.simulation.model;
+        if (materials.length === 0 || activities.length === 0) {
+            this.showStatus('Add materials and activities to simulate the flow', 'warning');
+        } else if (!materials.some(m => m.demand > 0)) {
+            this.showStatus('No material has demand yet; set Demand on a customer or DC material to drive the flow', 'warning');
+        } else {
+            this.showStatus(`Simulating ${this.simulation.result.days} days with seed ${this.simulation.result.seed}`, 'info');
+        }
+    }
+
+    closeSimulation() {
+        const bar = document.getElementById('simulationBar');
+        if (bar) bar.classList.add('hidden');
+        this.simulation = null;
+        this.queueRender();
+    }
+
+    // Runs the whole horizon up front; playback only moves the clock.
+    buildSimulation() {
+        const daysInput = document.getElementById('simDays'), seedInput = document.getElementById('simSeed');
+        const days = Math.min(365, Math.max(1, parseInt(daysInput && daysInput.value, 10) || 30));
+        const seed = parseInt(seedInput && seedInput.value, 10) || 1;
+        if (daysInput) daysInput.value = days;
+        if (seedInput) seedInput.value = seed;
+        const model = this.getSimulationModel();
+        const speedInput = document.getElementById('simSpeed');
+        this.simulation = {
+            model,
+            activities: new Map(model.activities.map(a => [a.id, a])),
+            result: new FlowSimulation(model, { seed, days }).run(),
+            entry: this.stateManager.history[this.stateManager.currentIndex] || null,
+            time: 0,
+            playing: false,
+            speed: speedInput ? parseFloat(speedInput.value) || 2 : 2
+        };
+        this.updateSimulationControls();
+        this.queueRender();
+    }
+
+    // Any edit while simulating invalidates the run; start over from day 0 with the new network.
+    refreshSimulation() {
+        if (!this.simulation) return;
+        const entry = this.stateManager.history[this.stateManager.currentIndex] || null;
+        if (entry === this.simulation.entry) return;
+        this.buildSimulation();
+        this.showStatus('Diagram changed; simulation restarted from day 0', 'info');
+    }
+
+    toggleSimulationPlayback() {
+        const sim = this.simulation;
+        if (!sim) return;
+        if (sim.playing) {
+            sim.playing = false;
+        } else {
+            if (sim.time >= sim.result.days) sim.time = 0;
+            sim.playing = true;
+            sim.lastFrame = null;
+            requestAnimationFrame(this.tickSimulation.bind(this));
+        }
+        this.updateSimulationControls();
+    }
+
+    stepSimulation() {
+        const sim = this.simulation;
+        if (!sim) return;
+        sim.playing = false;
+        sim.time = Math.min(sim.result.days, Math.floor(sim.time + 1e-9) + 1);
+        this.updateSimulationControls();
+        this.queueRender();
+    }
+
+    resetSimulation() {
+        if (!this.simulation) return;
+        this.buildSimulation();
+    }
+
+    tickSimulation(timestamp) {
+        const sim = this.simulation;
+        if (!sim || !sim.playing) return;
+        if (sim.lastFrame !== null) sim.time += (timestamp - sim.lastFrame) / 1000 * sim.speed;
+        sim.lastFrame = timestamp;
+        if (sim.time >= sim.result.days) {
+            sim.time = sim.result.days;
+            sim.playing = false;
+        }
+        this.updateSimulationControls();
+        this.render();
+        if (sim.playing) requestAnimationFrame(this.tickSimulation.bind(this));
+    }
+
+    updateSimulationControls() {
+        const sim = this.simulation;
+        if (!sim) return;
+        const playBtn = document.getElementById('simPlayBtn');
+        if (playBtn) playBtn.textContent = sim.playing ? 'Pause' : 'Play';
+        const clock = document.getElementById('simClock');
+        if (!clock) return;
+        const day = Math.floor(sim.time + 1e-9);
+        let demand = 0, served = 0;
+        sim.result.snapshots.slice(1, day + 1).forEach(snap => {
+            snap.demand.forEach(value => { demand += value; });
+            snap.served.forEach(value => { served += value; });
+        });
+        const fill = demand > 0 ? ` · fill rate ${Math.round(Math.min(1, served / demand) * 100)}%` : '';
+        clock.textContent = `Day ${day} / ${sim.result.days}${fill}`;
+    }
+
+    exportSimulationLog() {
+        const sim = this.simulation;
+        if (!sim) return;
+        const table = FlowSimulation.logRows(sim.model, sim.result);
+        const blob = new Blob(['\uFEFF' + CsvTable.stringify(table)], { type: 'text/csv;charset=utf-8' });
+        this.downloadBlob(blob, this.getExportFileName(`simulation-seed-${sim.result.seed}.csv`));
+        this.showStatus(`Simulation log exported (${sim.result.days} days, ${table.length - 1} rows)`, 'success');
+    }
+
+    // Inventory as a fill level inside each material triangle, with the count (and any backlog)
+    // beside it, and tokens for every job in flight: inputs travel into the activity during the
+    // first half day, outputs travel on to their material until they arrive.
+    drawSimulation() {
+        const sim = this.simulation;
+        if (!sim) return;
+        const ctx = this.ctx;
+        const { snapshots, jobs, peak } = sim.result;
+        const snap = snapshots[Math.min(snapshots.length - 1, Math.floor(sim.time + 1e-9))];
+        const h = 32 * Math.sqrt(3) / 2;
+        ctx.save();
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        this.nodes.forEach(node => {
+            if (node.type !== 'material' || !snap.stock.has(node.id)) return;
+            const stock = snap.stock.get(node.id), backlog = snap.backlog.get(node.id);
+            const fraction = Number.isFinite(stock) ? Math.min(1, stock / Math.max(1, peak.get(node.id))) : 1;
+            ctx.save();
+            ctx.beginPath();
+            this.drawTriangle(node.x, node.y, 32);
+            ctx.clip();
+            ctx.fillStyle = this.themeColors.nodeMaterialStroke;
+            ctx.globalAlpha = Number.isFinite(stock) ? 0.8 : 0.3;
+            ctx.fillRect(node.x - 16, node.y + h / 2 - fraction * h, 32, fraction * h);
+            ctx.restore();
+            ctx.fillStyle = this.themeColors.text;
+            ctx.fillText(Number.isFinite(stock) ? this.formatQuantity(Math.round(stock * 100) / 100) : '∞', node.x + 20, node.y - 4);
+            if (backlog > 1e-9) {
+                ctx.fillStyle = this.themeColors.error;
+                ctx.fillText(`−${this.formatQuantity(Math.round(backlog * 100) / 100)} backlog`, node.x + 20, node.y + 9);
+            }
+        });
+
+        const obstacles = this.getRouteObstacles();
+        const paths = new Map();
+        const pointOn = (conn, fraction) => {
+            if (!paths.has(conn)) {
+                const from = this.nodes.find(n => n.id === conn.from), to = this.nodes.find(n => n.id === conn.to);
+                paths.set(conn, from && to ? this.flattenConnectionPath(this.getConnectionPath(conn, from, to, obstacles)) : null);
+            }
+            const flat = paths.get(conn);
+            return flat ? this.getPointAlongPath(flat, Math.min(1, Math.max(0, fraction))) : null;
+        };
+        ctx.fillStyle = this.themeColors.nodeMaterialFill;
+        ctx.strokeStyle = this.themeColors.nodeMaterialStroke;
+        ctx.lineWidth = 1.5 / this.camera.zoom;
+        const t = sim.time;
+        jobs.forEach(job => {
+            const activity = job.activityId ? sim.activities.get(job.activityId) : null;
+            if (!activity || t < job.start || t > Math.max(...job.outputs.map(o => o.arrival))) return;
+            const tokens = [];
+            if (t <= job.start + 0.5) {
+                activity.inputs.forEach((input, i) => {
+                    if (job.inputs[i] > 0) tokens.push(pointOn(input.connection, (t - job.start) / 0.5));
+                });
+            } else {
+                activity.outputs.forEach((output, i) => {
+                    const arrival = job.outputs[i].arrival;
+                    if (job.outputs[i].quantity > 0 && t <= arrival) tokens.push(pointOn(output.connection, (t - job.start - 0.5) / (arrival - job.start - 0.5)));
+                });
+            }
+            tokens.filter(Boolean).forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 5, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.stroke();
+            });
+        });
+        ctx.restore();
+    }
+
+    drawGrid() {
+        this.ctx.save();
+        this.ctx.strokeStyle = this.themeColors && this.themeColors.grid ? this.themeColors.grid : 'rgba(0, 0, 0, 0.1)';
+        this.ctx.lineWidth = 1 / this.camera.zoom;
+
+        const gridSize = 20;
+        const left = -this.camera.x / this.camera.zoom;
+        const top = -this.camera.y / this.camera.zoom;
+        const right = (this.canvas.width - this.camera.x) / this.camera.zoom;
+        const bottom = (this.canvas.height - this.camera.y) / this.camera.zoom;
+
+        const startX = Math.floor(left / gridSize) * gridSize;
+        const startY = Math.floor(top / gridSize) * gridSize;
+
+        for (let x = startX; x < right; x += gridSize) {
+            this.ctx.beginPath(); 
+            this.ctx.moveTo(x, top); 
+            this.ctx.lineTo(x, bottom); 
+            this.ctx.stroke();
+        }
+
+        for (let y = startY; y < bottom; y += gridSize) {
+            this.ctx.beginPath(); 
+            this.ctx.moveTo(left, y); 
+            this.ctx.lineTo(right, y); 
+            this.ctx.stroke();
+        }
+
+        this.ctx.restore();
+    }
+
+    drawLanes() {
+        this.drawLanesForExport(this.ctx, this.themeColors, 1 / this.camera.zoom, this.selectedLane);
+    }
+
+    drawLanesForExport(ctx, colors = null, lineScale = 1, selectedLane = null) {
+        const theme = colors || this.themeColors || {};
+        const vertical = this.laneOrientation !== 'horizontal';
+        this.locations.forEach((lane, index) => {
+            ctx.save();
+            ctx.fillStyle = theme.primary || '#1fb8cd';
+            ctx.globalAlpha = index % 2 === 0 ? 0.05 : 0.09;
+            ctx.fillRect(lane.x, lane.y, lane.width, lane.height);
+
+            ctx.globalAlpha = 0.16;
+            if (vertical) ctx.fillRect(lane.x, lane.y, lane.width, LANE_HEADER_SIZE);
+            else ctx.fillRect(lane.x, lane.y, LANE_HEADER_SIZE, lane.height);
+
+            ctx.globalAlpha = 1;
+            const isSelected = lane === selectedLane;
+            ctx.strokeStyle = isSelected ? (theme.primary || '#1fb8cd') : (theme.grid || 'rgba(0,0,0,0.2)');
+            ctx.lineWidth = (isSelected ? 2 : 1) * lineScale;
+            ctx.strokeRect(lane.x, lane.y, lane.width, lane.height);
+
+            ctx.fillStyle = theme.text || '#13343b';
+            ctx.font = '600 12px Arial, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const caption = `${lane.name} · ${this.getLaneKindLabel(lane.kind)}`;
+            if (vertical) {
+                ctx.fillText(caption, lane.x + lane.width / 2, lane.y + LANE_HEADER_SIZE / 2);
+            } else {
+                ctx.translate(lane.x + LANE_HEADER_SIZE / 2, lane.y + lane.height / 2);
+                ctx.rotate(-Math.PI / 2);
+                ctx.fillText(caption, 0, 0);
+            }
+            ctx.restore();
+        });
+    }
+
+    drawSelectionRect() {
+        if (this.isSelecting && this.selectionRect) {
+            this.ctx.save();
+            this.ctx.fillStyle = 'rgba(0, 123, 255, 0.2)';
+            this.ctx.strokeStyle = 'rgba(0, 123, 255, 0.8)';
+            this.ctx.lineWidth = 1 / this.camera.zoom;
+
+            const { startX, startY, endX, endY } = this.selectionRect;
+            this.ctx.fillRect(startX, startY, endX - startX, endY - startY);
+            this.ctx.strokeRect(startX, startY, endX - startX, endY - startY);
+            this.ctx.restore();
+        }
+    }
+
+    drawConnectionPreview() {
+        if (this.currentTool === 'connect' && this.connectingFrom) {
+            this.ctx.save();
+            this.ctx.strokeStyle = this.themeColors.primary || '#007bff';
+            this.ctx.lineWidth = 2 / this.camera.zoom;
+            this.ctx.setLineDash([5 / this.camera.zoom, 5 / this.camera.zoom]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.connectingFrom.x, this.connectingFrom.y);
+            this.ctx.lineTo(this.mousePos.x, this.mousePos.y);
+            this.ctx.stroke();
+            this.ctx.restore();
+        }
+    }
+
+    drawNodes() {
+        this.nodes.forEach(node => {
+            this.ctx.save();
+            const isSelected = this.selectedNodes.includes(node);
+            const isConnecting = this.connectingFrom === node;
+
+            if (node.type === 'textbox') this.drawTextBox(node, isSelected);
+            else this.drawRegularNode(node, isSelected, isConnecting);
+
+            this.ctx.restore();
+        });
+    }
+
+    drawTextBox(node, isSelected) {
+        this.ctx.strokeStyle = this.themeColors.text || '#000000';
+        this.ctx.lineWidth = (isSelected ? 3 : 2) / this.camera.zoom;
+        if (isSelected) { 
+            this.ctx.shadowColor = this.themeColors.text || '#000000'; 
+            this.ctx.shadowBlur = 10; 
+        }
+        this.ctx.strokeRect(node.x - node.width / 2, node.y - node.height / 2, node.width, node.height);
+        this.ctx.shadowBlur = 0;
+        this.ctx.fillStyle = this.themeColors.text || '#000000';
+        this.ctx.font = `${node.fontSize}px -apple-system, BlinkMacSystemFont, system-ui, sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        const lines = this.wrapText(node.label, node.width - 10);
+        const lineHeight = node.fontSize + 2;
+        const startY = node.y - (lines.length - 1) * lineHeight / 2;
+        lines.forEach((line, index) => this.ctx.fillText(line, node.x, startY + index * lineHeight));
+    }
+
+    drawRegularNode(node, isSelected, isConnecting) {
+        const matFill = this.themeColors.nodeMaterialFill || '#1fb8cd';
+        const actFill = this.themeColors.nodeActivityFill || '#ffc185';
+        const matStroke = this.themeColors.nodeMaterialStroke || '#127681';
+        const actStroke = this.themeColors.nodeActivityStroke || '#b4413c';
+        this.ctx.fillStyle = node.type === 'material' ? (isSelected || isConnecting ? matFill : matFill) : (isSelected || isConnecting ? actFill : actFill);
+        this.ctx.strokeStyle = node.type === 'material' ? matStroke : actStroke;
+        this.ctx.lineWidth = (isSelected || isConnecting ? 3 : 2) / this.camera.zoom;
+
+        if (isSelected || isConnecting) { 
+            this.ctx.shadowColor = this.ctx.fillStyle; 
+            this.ctx.shadowBlur = 10; 
+        }
+
+        this.ctx.beginPath();
+        if (node.shape === 'triangle') this.drawTriangle(node.x, node.y, 32);
+        else this.drawCircle(node.x, node.y, 25);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+
+        this.ctx.fillStyle = this.themeColors.text || '#13343b';
+        this.ctx.font = '12px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        const lines = this.wrapText(node.label, 100);
+        const lineHeight = 14;
+        const startY = node.y + 40;
+        lines.forEach((line, index) => this.ctx.fillText(line, node.x, startY + index * lineHeight));
+    }
+
+    wrapText(text, maxWidth) {
+        const manualLines = text.split('\n');
+        const finalLines = [];
+
+        manualLines.forEach(manualLine => {
+            const words = manualLine.split(' ');
+            let currentLine = words[0] || '';
+
+            for (let i = 1; i < words.length; i++) {
+                const testLine = currentLine + ' ' + words[i];
+                if (this.ctx.measureText(testLine).width > maxWidth && currentLine !== '') {
+                    finalLines.push(currentLine);
+                    currentLine = words[i];
+                } else {
+                    currentLine = testLine;
+                }
+            }
+            finalLines.push(currentLine);
+        });
+        
+        return finalLines;
+    }
+
+    drawConnections() {
+        const obstacles = this.getRouteObstacles();
+        this.connections.forEach(conn => {
+            const from = this.nodes.find(n => n.id === conn.from);
+            const to = this.nodes.find(n => n.id === conn.to);
+            if (!from || !to) return;
+
+            const path = this.getConnectionPath(conn, from, to, obstacles);
+            const isSelected = this.selectedConnection && this.selectedConnection.from === conn.from && this.selectedConnection.to === conn.to;
+            const color = isSelected ? (this.themeColors.primary || '#007bff') : (this.themeColors.arrow || '#626c71');
+            this.strokeConnectionPath(this.ctx, path, color, (isSelected ? 4 : 2) / this.camera.zoom, 12 / this.camera.zoom);
+
+            if (conn.label) {
+                this.drawConnectionLabel(this.ctx, path, conn.label,
+                    this.themeColors.textSecondary || this.themeColors.text || '#626c71',
+                    '12px -apple-system, BlinkMacSystemFont, system-ui, sans-serif');
+            }
+        });
+    }
+
+    // Boxes connectors route around: the shape plus the label underneath it.
+    getRouteObstacles() {
+        return this.nodes.map(node => {
+            if (node.type === 'textbox') {
+                return { node, x1: node.x - node.width / 2, y1: node.y - node.height / 2, x2: node.x + node.width / 2, y2: node.y + node.height / 2 };
+            }
+            const half = Math.max(30, Math.min(50, (node.label || '').length * 3.5));
+            return { node, x1: node.x - half, y1: node.y - 30, x2: node.x + half, y2: node.y + 48 };
+        });
+    }
+
+    // Where the ray from the node centre towards (tx, ty) leaves the drawn outline, plus a small gap.
+    getNodeOutlinePoint(node, tx, ty, gap = 3) {
+        const dx = tx - node.x, dy = ty - node.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const ux = dx / length, uy = dy / length;
+        let t;
+        if (node.type === 'textbox') {
+            t = Math.min(ux ? node.width / 2 / Math.abs(ux) : Infinity, uy ? node.height / 2 / Math.abs(uy) : Infinity);
+        } else if (node.shape === 'triangle') {
+            const size = 32, h = size * Math.sqrt(3) / 2;
+            const corners = [[0, -h / 2], [-size / 2, h / 2], [size / 2, h / 2]];
+            t = 0;
+            corners.forEach(([ax, ay], k) => {
+                const [bx, by] = corners[(k + 1) % 3];
+                const ex = bx - ax, ey = by - ay;
+                const denom = ux * ey - uy * ex;
+                if (Math.abs(denom) < 1e-9) return;
+                const along = (ax * ey - ay * ex) / denom;
+                const edge = (ax * uy - ay * ux) / denom;
+                if (along > 0 && edge >= 0 && edge <= 1) t = Math.max(t, along);
+            });
+        } else {
+            t = 25;
+        }
+        return { x: node.x + ux * (t + gap), y: node.y + uy * (t + gap) };
+    }
+
+    // Geometry shared by the canvas, the exporters and hit-testing: a point list, drawn as
+    // a polyline or, for curved connectors, as quadratic segments through the elbows.
+    getConnectionPath(conn, from, to, obstacles = this.getRouteObstacles()) {
+        const routing = conn.routing || 'straight';
+        if (routing === 'straight') {
+            return { routing, points: [this.getNodeOutlinePoint(from, to.x, to.y), this.getNodeOutlinePoint(to, from.x, from.y)] };
+        }
+
+        const dx = to.x - from.x, dy = to.y - from.y;
+        const dir = Math.abs(dx) >= Math.abs(dy) ? { dx: Math.sign(dx) || 1, dy: 0 } : { dx: 0, dy: Math.sign(dy) || 1 };
+        const start = this.getNodeOutlinePoint(from, from.x + dir.dx * 1000, from.y + dir.dy * 1000);
+        const end = this.getNodeOutlinePoint(to, to.x - dir.dx * 1000, to.y - dir.dy * 1000);
+        const reach = 120;
+        const region = {
+            x1: Math.min(start.x, end.x) - reach, y1: Math.min(start.y, end.y) - reach,
+            x2: Math.max(start.x, end.x) + reach, y2: Math.max(start.y, end.y) + reach
+        };
+        const nearby = obstacles.filter(o => o.node !== from && o.node !== to &&
+            o.x2 > region.x1 && o.x1 < region.x2 && o.y2 > region.y1 && o.y1 < region.y2);
+
+        const signature = [routing, start.x, start.y, end.x, end.y, ...nearby.map(o => `${o.x1},${o.y1},${o.x2},${o.y2}`)].join('|');
+        const cached = this._routeCache.get(conn);
+        if (cached && cached.signature === signature) return cached.path;
+
+        let points = this.connectorRouter.route({ ...start, dir }, { ...end, dir }, nearby);
+        if (points) {
+            points = this.connectorRouter.simplify(points);
+        } else if (dir.dx) {
+            const midX = (start.x + end.x) / 2;
+            points = [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+        } else {
+            const midY = (start.y + end.y) / 2;
+            points = [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+        }
+        const path = { routing, points };
+        this._routeCache.set(conn, { signature, path });
+        return path;
+    }
+
+    traceConnectionPath(ctx, path) {
+        const points = path.points;
+        ctx.moveTo(points[0].x, points[0].y);
+        if (path.routing !== 'curved' || points.length < 3) {
+            points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+            return;
+        }
+        for (let i = 1; i < points.length - 1; i++) {
+            const next = i === points.length - 2 ? points[i + 1] : { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 };
+            ctx.quadraticCurveTo(points[i].x, points[i].y, next.x, next.y);
+        }
+    }
+
+    // Polyline approximation of the drawn path, used for hit-testing and label placement.
+    flattenConnectionPath(path) {
+        const points = path.points;
+        if (path.routing !== 'curved' || points.length < 3) return points;
+        const flat = [points[0]];
+        let current = points[0];
+        for (let i = 1; i < points.length - 1; i++) {
+            const control = points[i];
+            const next = i === points.length - 2 ? points[i + 1] : { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 };
+            for (let step = 1; step <= 8; step++) {
+                const t = step / 8, u = 1 - t;
+                flat.push({
+                    x: u * u * current.x + 2 * u * t * control.x + t * t * next.x,
+                    y: u * u * current.y + 2 * u * t * control.y + t * t * next.y
+                });
+            }
+            current = next;
+        }
+        return flat;
+    }
+
+    getConnectionEndAngle(path) {
+        const points = path.points;
+        const tip = points[points.length - 1], before = points[points.length - 2];
+        return Math.atan2(tip.y - before.y, tip.x - before.x);
+    }
+
+    strokeConnectionPath(ctx, path, color, lineWidth, headLength) {
+        const tip = path.points[path.points.length - 1];
+        const angle = this.getConnectionEndAngle(path);
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        this.traceConnectionPath(ctx, path);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(tip.x, tip.y);
+        ctx.lineTo(tip.x - headLength * Math.cos(angle - Math.PI / 6), tip.y - headLength * Math.sin(angle - Math.PI / 6));
+        ctx.lineTo(tip.x - headLength * Math.cos(angle + Math.PI / 6), tip.y - headLength * Math.sin(angle + Math.PI / 6));
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Point at the given fraction of a flattened path's length, with the direction there.
+    getPointAlongPath(flat, fraction) {
+        const lengths = flat.slice(1).map((p, i) => Math.hypot(p.x - flat[i].x, p.y - flat[i].y));
+        let remaining = lengths.reduce((sum, l) => sum + l, 0) * fraction;
+        let i = 0;
+        while (i < lengths.length - 1 && remaining > lengths[i]) remaining -= lengths[i++];
+        const a = flat[i], b = flat[i + 1];
+        const t = lengths[i] ? remaining / lengths[i] : 0;
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+    }
+
+    // Midpoint along the drawn length, with the angle kept upright so labels never read upside down.
+    getConnectionLabelPlacement(path) {
+        const point = this.getPointAlongPath(this.flattenConnectionPath(path), 0.5);
+        let angle = point.angle;
+        if (angle > Math.PI / 2) angle -= Math.PI;
+        else if (angle < -Math.PI / 2) angle += Math.PI;
+        return { x: point.x, y: point.y, angle };
+    }
+
+    drawConnectionLabel(ctx, path, label, color, font) {
+        const place = this.getConnectionLabelPlacement(path);
+        ctx.save();
+        ctx.translate(place.x, place.y);
+        ctx.rotate(place.angle);
+        ctx.fillStyle = color;
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, 0, -8);
+        ctx.restore();
+    }
+
+    drawTriangle(x, y, size) {
+        const h = size * Math.sqrt(3) / 2;
+        this.ctx.moveTo(x, y - h / 2);
+        this.ctx.lineTo(x - size / 2, y + h / 2);
+        this.ctx.lineTo(x + size / 2, y + h / 2);
+        this.ctx.closePath();
+    }
+
+    drawCircle(x, y, radius) {
+        this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    }
+
+    // Updated calculateSelectionBounds to include strokes
+    calculateSelectionBounds() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const padding = 20;
+
+        if (this.selectedNodes.length === 0 && this.selectedStrokes.length === 0) return null;
+
+        this.selectedNodes.forEach(node => {
+            minX = Math.min(minX, node.x);
+            minY = Math.min(minY, node.y);
+            maxX = Math.max(maxX, node.x);
+            maxY = Math.max(maxY, node.y);
+        });
+
+        this.selectedStrokes.forEach(stroke => {
+            stroke.points.forEach(p => {
+                minX = Math.min(minX, p.x);
+                minY = Math.min(minY, p.y);
+                maxX = Math.max(maxX, p.x);
+                maxY = Math.max(maxY, p.y);
+            });
+        });
+
+        return {
+            x: minX - padding,
+            y: minY - padding,
+            width: (maxX - minX) + 2 * padding,
+            height: (maxY - minY) + 2 * padding
+        };
+    }
+
+    updateSelectionBounds() {
+        if (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0) {
+            this.selectionBounds = this.calculateSelectionBounds();
+        } else {
+            this.selectionBounds = null;
+        }
+    }
+
+    drawSelectionBounds() {
+        if (this.selectionBounds) {
+            const bounds = this.selectionBounds;
+            this.ctx.save();
+            this.ctx.strokeStyle = 'rgba(0, 123, 255, 0.8)';
+            this.ctx.lineWidth = 1 / this.camera.zoom;
+            this.ctx.setLineDash([5 / this.camera.zoom, 5 / this.camera.zoom]);
+            this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            this.ctx.restore();
+            this.drawResizeHandles(bounds);
+        }
+    }
+
+    drawResizeHandles(bounds) {
+        const handleSize = 8 / this.camera.zoom;
+        const handles = this.getResizeHandles(bounds);
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 123, 255, 1)';
+        Object.values(handles).forEach(handle => {
+            this.ctx.fillRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+        });
+        this.ctx.restore();
+    }
+
+    updateStrokesCanvasSize() {
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        if (!this.strokesCanvas) return;
+        if (this.strokesCanvas.width !== w || this.strokesCanvas.height !== h) {
+            this.strokesCanvas.width = w;
+            this.strokesCanvas.height = h;
+        }
+    }
+
+    drawStrokes() {
+        const sc = this.strokesCanvas;
+        const sctx = this.strokesCtx;
+        if (!sctx) return;
+        sctx.clearRect(0, 0, sc.width, sc.height);
+
+        if (!this.freehandStrokes || this.freehandStrokes.length === 0) return;
+        this.freehandStrokes.forEach(stroke => {
+            if (!stroke.points || stroke.points.length === 0) return;
+            const pts = stroke.points.map(p => ({ x: Math.round(p.x * this.camera.zoom + this.camera.x), y: Math.round(p.y * this.camera.zoom + this.camera.y) }));
+            sctx.save();
+            
+            // Highlight selected strokes
+            if (this.selectedStrokes.includes(stroke)) {
+                 sctx.shadowColor = 'blue';
+                 sctx.shadowBlur = 5;
+            }
+
+            if (stroke.tool === 'eraser') {
+                sctx.globalCompositeOperation = 'destination-out';
+                sctx.strokeStyle = 'rgba(0,0,0,1)';
+            } else {
+                sctx.globalCompositeOperation = 'source-over';
+                sctx.strokeStyle = stroke.color || (this.themeColors && this.themeColors.text) || '#000000';
+            }
+            sctx.lineWidth = (stroke.width || this.penThickness || 4);
+            sctx.lineCap = 'round';
+            sctx.lineJoin = 'round';
+            sctx.beginPath();
+            sctx.moveTo(pts[0].x, pts[0].y);
+            for (let i = 1; i < pts.length; i++) sctx.lineTo(pts[i].x, pts[i].y);
+            sctx.stroke();
+            sctx.restore();
+        });
+    }
+
+    getResizeHandles(bounds) {
+        if (!bounds) return {};
+        return {
+            'top-left': { x: bounds.x, y: bounds.y },
+            'top-right': { x: bounds.x + bounds.width, y: bounds.y },
+            'bottom-left': { x: bounds.x, y: bounds.y + bounds.height },
+            'bottom-right': { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
+        };
+    }
+
+    getResizeHandleAt(x, y) {
+        if (!this.selectionBounds) return null;
+        const handles = this.getResizeHandles(this.selectionBounds);
+        const handleSize = 10 / this.camera.zoom;
+
+        for (const [pos, handle] of Object.entries(handles)) {
+            if (x >= handle.x - handleSize / 2 && x <= handle.x + handleSize / 2 &&
+                y >= handle.y - handleSize / 2 && y <= handle.y + handleSize / 2) {
+                return pos;
+            }
+        }
+        return null;
+    }
+
+    resizeSelection(pos) {
+        if (!this.isResizing || !this.selectionBounds || !this.selectionBounds.original) return;
+
+        const orig = this.selectionBounds.original;
+        let scaleX = 1, scaleY = 1;
+
+        if (orig.width > 0) {
+            if (this.resizeHandle.includes('right')) scaleX = (pos.x - orig.x) / orig.width;
+            if (this.resizeHandle.includes('left')) scaleX = (orig.x + orig.width - pos.x) / orig.width;
+        }
+
+        if (orig.height > 0) {
+            if (this.resizeHandle.includes('bottom')) scaleY = (pos.y - orig.y) / orig.height;
+            if (this.resizeHandle.includes('top')) scaleY = (orig.y + orig.height - pos.y) / orig.height;
+        }
+
+        const anchor = {
+            x: this.resizeHandle.includes('left') ? orig.x + orig.width : orig.x,
+            y: this.resizeHandle.includes('top') ? orig.y + orig.height : orig.y
+        };
+
+        this.selectedNodes.forEach(node => {
+            const relX = (node.original.x - anchor.x) * scaleX;
+            const relY = (node.original.y - anchor.y) * scaleY;
+            node.x = anchor.x + relX;
+            node.y = anchor.y + relY;
+        });
+        
+        // Note: Resizing strokes is complex, omitted for simplicity to prevent distortion
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const zoomAmount = e.deltaY > 0 ? 0.9 : 1.1;
+        this.zoom(zoomAmount, e.clientX, e.clientY);
+    }
+
+    zoom(factor, clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = clientX ? clientX - rect.left : this.canvas.width / 2;
+        const mouseY = clientY ? clientY - rect.top : this.canvas.height / 2;
+
+        const worldMouseX = (mouseX - this.camera.x) / this.camera.zoom;
+        const worldMouseY = (mouseY - this.camera.y) / this.camera.zoom;
+
+        const newZoom = Math.max(0.1, Math.min(5, this.camera.zoom * factor));
+        this.camera.x = mouseX - worldMouseX * newZoom;
+        this.camera.y = mouseY - worldMouseY * newZoom;
+        this.camera.zoom = newZoom;
+
+        this.updateZoomDisplay();
+        this.queueRender();
+    }
+
+    resetZoom() {
+        this.camera.x = 0;
+        this.camera.y = 0;
+        this.camera.zoom = 1;
+        this.updateZoomDisplay();
+        this.queueRender();
+    }
+
+    updateZoomDisplay() {
+        document.getElementById('zoomLevel').textContent = `${Math.round(this.camera.zoom * 100)}%`;
+    }
+
+    initTheme() {
+        const saved = localStorage.getItem('scc-theme');
+        const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        this.theme = saved || (prefersDark ? 'dark' : 'light');
+        document.documentElement.setAttribute('data-color-scheme', this.theme);
+        const label = document.getElementById('themeToggleLabel');
+        if (label) label.textContent = this.theme === 'dark' ? 'Day' : 'Night';
+        this.buildThemeColors();
+    }
+
+    toggleTheme() {
+        this.theme = this.theme === 'dark' ? 'light' : 'dark';
+        document.documentElement.setAttribute('data-color-scheme', this.theme);
+        localStorage.setItem('scc-theme', this.theme);
+        const label = document.getElementById('themeToggleLabel');
+        if (label) label.textContent = this.theme === 'dark' ? 'Day' : 'Night';
+        this.buildThemeColors();
+        this.queueRender();
+        this.showStatus(`${this.theme === 'dark' ? 'Night' : 'Day'} mode enabled`, 'info');
+    }
+
+    buildThemeColors() {
+        const s = getComputedStyle(document.documentElement);
+        const read = (name) => s.getPropertyValue(name).trim() || null;
+        this.themeColors = {
+            primary: read('--color-primary') || '#1fb8cd',
+            primaryText: read('--color-btn-primary-text') || '#FFFFFF',
+            nodeMaterialFill: read('--color-success') || '#1fb8cd',
+            nodeActivityFill: read('--color-warning') || '#ffc185',
+            nodeMaterialStroke: read('--color-primary') || '#127681',
+            nodeActivityStroke: read('--color-error') || '#b4413c',
+            text: read('--color-text') || '#13343b',
+            textSecondary: read('--color-text-secondary') || '#626c71',
+            grid: read('--color-border') || 'rgba(0,0,0,0.08)',
+            arrow: read('--color-info') || '#626c71',
+            error: read('--color-error') || '#c0152f',
+            canvasSurface: read('--color-surface') || '#ffffff'
+        };
+        this.penColor = this.themeColors.text || '#000000';
+        if (!this.copySettings.backgroundColor) this.copySettings.backgroundColor = this.themeColors.canvasSurface;
+    }
+
+    getThemeColorsForScheme(scheme = 'light') {
+        const el = document.documentElement;
+        const prev = el.getAttribute('data-color-scheme');
+        try {
+            el.setAttribute('data-color-scheme', scheme);
+            const s = getComputedStyle(document.documentElement);
+            const read = (name) => s.getPropertyValue(name).trim() || null;
+            const colors = {
+                primary: read('--color-primary') || '#1fb8cd',
+                primaryText: read('--color-btn-primary-text') || '#FFFFFF',
+                nodeMaterialFill: read('--color-success') || '#1fb8cd',
+                nodeActivityFill: read('--color-warning') || '#ffc185',
+                nodeMaterialStroke: read('--color-primary') || '#127681',
+                nodeActivityStroke: read('--color-error') || '#b4413c',
+                text: read('--color-text') || '#13343b',
+                textSecondary: read('--color-text-secondary') || '#626c71',
+                grid: read('--color-border') || 'rgba(0,0,0,0.08)',
+                arrow: read('--color-info') || '#626c71',
+                canvasSurface: read('--color-surface') || '#ffffff'
+            };
+            return colors;
+        } finally {
+            if (prev) el.setAttribute('data-color-scheme', prev);
+            else el.removeAttribute('data-color-scheme');
         }
     }
 
-    handleMouseUp(e) {
-        if (this._currentStroke) {
-            this._currentStroke = null;
-            this.saveState();
-            this.queueRender();
+    // Replaces the diagram, or with append adds the fragment beside the selection (or at the
+    // cursor), reusing matching materials and feeding it from a single selected node.
+    generateFromNL(append = false) {
+        const input = document.getElementById('nlInput').value.trim();
+        if (!input) {
+            this.showStatus('Please enter a description first!', 'warning');
             return;
         }
 
-        const wasInteracting = this.isPanning || this.isDraggingElement || this.isResizing || this.isSelecting;
-        this.isPanning = false;
-        this.isDraggingElement = false;
-        this.isResizing = false;
-
-        if (this.isSelecting) {
-            this.isSelecting = false;
-            this.selectNodesInRect();
-            this.selectionRect = null;
-            this.queueRender();
-        }
-
-        if (wasInteracting && (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0)) {
-            this.saveState();
+        const result = this.nlpParser.parse(input);
+        if (result.steps.length === 0 && result.tokens.length === 0) {
+            this.showStatus('Could not understand the description. Please try different wording.', 'error');
+            return;
         }
 
-        if (this.currentTool === 'pan') {
-            this.setTool('select');
+        const existing = append ? this.nodes.slice() : [];
+        const selection = append ? this.selectedNodes.filter(n => n.type !== 'textbox') : [];
+        const target = selection.length > 0 ? this.getSelectionBounds() : null;
+        if (!append) {
+            this.nodes = [];
+            this.connections = [];
+            this.freehandStrokes = [];
+            this.nodeCounter = 0;
         }
-
-        this.updateDragStatus('Ready');
-        setTimeout(() => this.updateCanvasCursor(), 0);
-        this.updateCanvasCursor();
-    }
-
-    // Updated to include strokes in selection
-    selectNodesInRect() {
-        if (!this.selectionRect) return;
         this.selectedNodes = [];
         this.selectedStrokes = [];
-        const x1 = Math.min(this.selectionRect.startX, this.selectionRect.endX);
-        const y1 = Math.min(this.selectionRect.startY, this.selectionRect.endY);
-        const x2 = Math.max(this.selectionRect.startX, this.selectionRect.endX);
-        const y2 = Math.max(this.selectionRect.startY, this.selectionRect.endY);
+        this.connectingFrom = null;
 
-        this.nodes.forEach(node => {
-            if (node.x > x1 && node.x < x2 && node.y > y1 && node.y < y2) {
-                this.selectedNodes.push(node);
-            }
-        });
+        if (result.steps.length > 0) {
+            this.buildDiagramFromNetwork(result.steps, existing);
+        } else {
+            this.buildDiagramFromTokens(result.tokens, existing);
+        }
 
-        // Check strokes
-        this.freehandStrokes.forEach(stroke => {
-             // Simple check: if any point is in rect
-             const inRect = stroke.points.some(p => p.x > x1 && p.x < x2 && p.y > y1 && p.y < y2);
-             if (inRect) {
-                 this.selectedStrokes.push(stroke);
-             }
-        });
+        const kept = new Set(existing);
+        const added = this.nodes.filter(n => !kept.has(n));
+        if (append) {
+            this.placeFragment(added, target);
+            if (selection.length === 1) this.connectFragment(selection[0], added);
+            this.selectedNodes = added;
+        }
 
-        this.updateSelectionBounds();
+        this.saveState(append ? 'Added from description' : 'Generated from description');
+        this.queueRender();
+        const sentences = `${result.sentences} sentence${result.sentences === 1 ? '' : 's'}`;
+        let built = `Generated ${this.describeItems(this.nodes.length)} from ${sentences}.`;
+        if (append) {
+            const ids = new Set(added.map(n => n.id));
+            const reused = existing.filter(n => this.connections.some(c =>
+                (c.from === n.id && ids.has(c.to)) || (c.to === n.id && ids.has(c.from))));
+            built = `Added ${this.describeItems(added.length)} from ${sentences}${reused.length > 0 ? `, linked to ${this.describeItems(reused.length)} already on the diagram` : ''}.`;
+        }
+        if (result.unparsed.length > 0) {
+            const phrases = result.unparsed.map(phrase => `"${phrase.length > 50 ? `${phrase.slice(0, 47)}…` : phrase}"`).join(', ');
+            this.showStatus(`${built} Not understood: ${phrases}`, 'warning');
+        } else {
+            this.showStatus(built, 'success');
+        }
+        document.getElementById('nlInput').value = '';
     }
 
-    handleRightClick(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        this.isPanning = false;
-        this.isDraggingElement = false;
-        this.isResizing = false;
+    loadVocabulary() {
+        try {
+            this.nlpParser.setVocabulary(JSON.parse(localStorage.getItem('scc-nlp-vocabulary')) || []);
+        } catch (e) {
+            this.nlpParser.setVocabulary([]);
+        }
+    }
 
-        if (this.isPanning) return;
+    openVocabularyModal() {
+        const modal = document.getElementById('vocabularyModal');
+        if (!modal) return;
+        const rows = document.getElementById('vocabularyRows');
+        rows.innerHTML = '';
+        this.nlpParser.vocabulary.forEach(entry => this.addVocabularyRow(entry));
+        if (this.nlpParser.vocabulary.length === 0) this.addVocabularyRow();
+        modal.classList.remove('hidden');
+    }
 
-        const pos = this.getMousePos(e);
-        const clickedNode = this.getNodeAt(pos.x, pos.y);
-        const clickedConn = this.getConnectionAt(pos.x, pos.y);
+    hideVocabularyModal() {
+        const modal = document.getElementById('vocabularyModal');
+        if (modal) modal.classList.add('hidden');
+    }
 
-        if (clickedNode) {
-            if (!this.selectedNodes.includes(clickedNode)) this.selectedNodes = [clickedNode];
-            this.contextMenuNode = clickedNode;
-            this.contextMenuConnection = null;
-            this.selectedConnection = null;
-            this.showContextMenu(e.clientX, e.clientY);
-            this.queueRender();
-        } else if (clickedConn) {
-            this.selectedNodes = [];
-            this.selectedConnection = clickedConn;
-            this.contextMenuConnection = clickedConn;
-            this.contextMenuNode = null;
-            this.showContextMenu(e.clientX, e.clientY);
-            this.queueRender();
-        } else {
-            this.selectedNodes = [];
-            this.contextMenuNode = null;
-            this.contextMenuConnection = null;
-            this.selectedConnection = null;
-            this.showContextMenu(e.clientX, e.clientY);
-        }
-        this.updateCanvasCursor();
+    addVocabularyRow(entry = { term: '', type: 'activity', label: '' }) {
+        const rows = document.getElementById('vocabularyRows');
+        if (!rows) return null;
+        const row = document.createElement('tr');
+        const term = document.createElement('input');
+        term.className = 'form-control';
+        term.dataset.field = 'term';
+        term.placeholder = 'e.g. cross-dock';
+        term.value = entry.term;
+        const type = document.createElement('select');
+        type.className = 'form-control';
+        type.dataset.field = 'type';
+        type.innerHTML = '<option value="activity">Activity</option><option value="material">Material</option>';
+        type.value = entry.type;
+        const label = document.createElement('input');
+        label.className = 'form-control';
+        label.dataset.field = 'label';
+        label.placeholder = 'Same as term';
+        label.value = entry.label;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn--secondary btn--sm';
+        removeBtn.dataset.action = 'remove';
+        removeBtn.title = 'Remove this term';
+        removeBtn.textContent = '✕';
+        [term, type, label, removeBtn].forEach(control => {
+            const cell = document.createElement('td');
+            cell.appendChild(control);
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+        return row;
     }
 
-    handleDoubleClick(e) {
-        e.preventDefault();
-        e.stopPropagation();
-        const pos = this.getMousePos(e);
-        const clickedNode = this.getNodeAt(pos.x, pos.y);
-        const clickedConn = this.getConnectionAt(pos.x, pos.y);
+    readVocabularyRows() {
+        const rows = document.querySelectorAll('#vocabularyRows tr');
+        return NLPParser.normalizeVocabulary(Array.from(rows).map(row => ({
+            term: row.querySelector('[data-field="term"]').value,
+            type: row.querySelector('[data-field="type"]').value,
+            label: row.querySelector('[data-field="label"]').value
+        })));
+    }
 
-        if (clickedNode) {
-            if (clickedNode.type === 'textbox') this.enterTextEditMode(clickedNode);
-            else this.enterLabelEditMode(clickedNode);
-            return;
-        }
+    saveVocabulary() {
+        const entries = this.readVocabularyRows();
+        this.nlpParser.setVocabulary(entries);
+        localStorage.setItem('scc-nlp-vocabulary', JSON.stringify(entries));
+        this.hideVocabularyModal();
+        this.showStatus(`Vocabulary saved (${entries.length} term${entries.length === 1 ? '' : 's'})`, 'success');
+    }
 
-        if (clickedConn) {
-            this.enterConnectionEditMode(clickedConn);
+    exportVocabulary() {
+        const entries = this.readVocabularyRows();
+        if (entries.length === 0) {
+            this.showStatus('Nothing to export yet', 'warning');
             return;
         }
+        this.downloadBlob(new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' }), 'supply-chain-vocabulary.json');
+        this.showStatus('Vocabulary exported!', 'success');
     }
 
-    addNode(type, x, y, label = null) {
-        const defaultLabels = { 
-            material: `Material ${this.nodeCounter + 1}`, 
-            activity: `Activity ${this.nodeCounter + 1}`, 
-            textbox: 'Click to edit text' 
-        };
-        const node = {
-            id: `node_${++this.nodeCounter}`, 
-            type, 
-            shape: this.getNodeShape(type), 
-            label: label || defaultLabels[type], 
-            x, 
-            y
+    // Imported terms join the editor's rows, replacing rows with the same term; Save keeps them.
+    importVocabulary(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let imported;
+            try {
+                const data = JSON.parse(e.target.result);
+                imported = NLPParser.normalizeVocabulary(Array.isArray(data) ? data : data.vocabulary);
+            } catch (error) {
+                this.showStatus('Could not read the vocabulary. Expected a JSON list of terms.', 'error');
+                return;
+            }
+            const merged = NLPParser.normalizeVocabulary([...this.readVocabularyRows(), ...imported]);
+            document.getElementById('vocabularyRows').innerHTML = '';
+            merged.forEach(entry => this.addVocabularyRow(entry));
+            this.showStatus(`Imported ${imported.length} term${imported.length === 1 ? '' : 's'}. Save to keep them.`, 'info');
         };
-        if (type === 'textbox') { 
-            node.width = 120; 
-            node.height = 40; 
-            node.fontSize = 12; 
-            const dims = this.computeTextBoxDimensions(node.label, node.fontSize);
-            node.width = dims.width;
-            node.height = dims.height;
-        }
-        this.nodes.push(node);
-        this.selectedNodes = [node];
-        this.queueRender();
-        return node;
-    }
-
-    getNodeShape(type) {
-        const shapes = { material: 'triangle', activity: 'circle', textbox: 'rectangle' };
-        return shapes[type] || 'circle';
+        reader.readAsText(file);
     }
 
-    createConnection(fromNode, toNode) {
-        if (!this.canConnect(fromNode, toNode)) {
-            this.showStatus(`Invalid connection! ${fromNode.type} cannot connect to ${toNode.type}`, 'error');
-            return false;
-        }
+    // One node per material and location, per transformation activity and location, and per
+    // movement activity, material and source, so later sentences extend earlier ones.
+    buildDiagramFromNetwork(steps, existing = []) {
+        const materials = new Map(), activities = new Map(), links = new Set();
+        const label = material => material.location ? `${material.name}\nat ${material.location}` : material.name;
+        // Materials already on the diagram are found by name and location, but never relabelled.
+        existing.filter(n => n.type === 'material').forEach(n => {
+            const key = this.getMaterialKey(n);
+            if (!materials.has(key)) materials.set(key, n);
+        });
+        const kept = new Set(existing);
+        const materialNode = (material, arriving = false) => {
+            const name = material.name.toLowerCase(), location = material.location.toLowerCase();
+            let key = `${name}@${location}`;
+            if (!materials.has(key)) {
+                // A name mentioned without a location is the same material as its only placed twin,
+                // and a placed mention claims an earlier unplaced one unless it is arriving there.
+                const twins = [...materials.keys()].filter(k => k.startsWith(`${name}@`));
+                if (!location && twins.length === 1) key = twins[0];
+                else if (location && !arriving && materials.has(`${name}@`) && !kept.has(materials.get(`${name}@`))) {
+                    const node = materials.get(`${name}@`);
+                    materials.delete(`${name}@`);
+                    node.label = label(material);
+                    node.attributes.location = material.location;
+                    materials.set(key, node);
+                }
+            }
+            if (!materials.has(key)) {
+                const node = this.addNode('material', 0, 0, label(material));
+                node.attributes.location = material.location;
+                materials.set(key, node);
+            }
+            return materials.get(key);
+        };
+        const activityNode = (key, text) => {
+            if (!activities.has(key)) activities.set(key, this.addNode('activity', 0, 0, text));
+            return activities.get(key);
+        };
+        const link = (from, to) => {
+            const key = `${from.id}>${to.id}`;
+            if (links.has(key) || !this.canConnect(from, to)) return;
+            links.add(key);
+            this.createConnectionDirect(from, to);
+        };
 
-        const existing = this.connections.find(c => 
-            (c.from === fromNode.id && c.to === toNode.id) || 
-            (c.from === toNode.id && c.to === fromNode.id)
-        );
-        if (existing) {
-            this.showStatus('Connection already exists!', 'warning');
-            return false;
-        }
+        // Keyword chains continue from whatever the previous step ended in, alternating types the
+        // way token-only descriptions do.
+        let previous = [];
+        const chain = tokens => tokens.forEach(token => {
+            if (previous.length > 0 && previous[0].type === token.type) return;
+            const labels = token.quantity > 1 ? Array.from({ length: token.quantity }, (_, i) => `${token.label} ${i + 1}`) : [token.label];
+            const created = labels.map(text => token.type === 'material'
+                ? materialNode({ name: text, location: '' })
+                : activityNode(`${text.toLowerCase()}@`, text));
+            previous.forEach(from => created.forEach(to => link(from, to)));
+            previous = created;
+        });
 
-        this.saveState();
-        this.connections.push({ from: fromNode.id, to: toNode.id, label: '' });
-        this.showStatus(`Connected ${fromNode.label} → ${toNode.label}`, 'success');
-        this.connectingFrom = null;
-        return true;
+        steps.forEach(step => {
+            if (step.kind === 'chain') {
+                if (previous.length > 0 && previous[0].type === step.tokens[0].type) previous = [];
+                chain(step.tokens);
+                return;
+            }
+            if (step.kind === 'transform') {
+                const activity = activityNode(`${step.activity.toLowerCase()}@${step.location.toLowerCase()}`, step.activity);
+                step.inputs.forEach(material => link(materialNode(material), activity));
+                previous = step.outputs.map(material => materialNode(material));
+                previous.forEach(output => link(activity, output));
+                return;
+            }
+            previous = [];
+            step.materials.forEach(material => {
+                const source = materialNode(material);
+                const activity = activityNode(`${step.activity.toLowerCase()}|${material.name.toLowerCase()}|${material.location.toLowerCase()}`, step.activity);
+                link(source, activity);
+                step.destinations.forEach(destination => {
+                    const arrived = materialNode({ name: material.name, location: destination }, true);
+                    link(activity, arrived);
+                    previous.push(arrived);
+                });
+            });
+        });
+        this.layoutFlowNodes(this.nodes.filter(n => !kept.has(n)));
+        this.selectedNodes = [];
     }
 
-    canConnect(nodeA, nodeB) {
-        if (nodeA.id === nodeB.id) return false;
-        if (nodeA.type === 'textbox' || nodeB.type === 'textbox') return true;
-        return nodeA.type !== nodeB.type;
+    // "name@location" in lower case, from the location attribute or a generated "Name\nat Location" label.
+    getMaterialKey(node) {
+        const [name, second = ''] = String(node.label || '').split('\n');
+        const placed = second.match(/^at\s+(.+)$/i);
+        const location = (node.attributes && node.attributes.location) || (placed ? placed[1] : '');
+        return `${name.trim().toLowerCase()}@${String(location).trim().toLowerCase()}`;
     }
 
-    getNodeAt(x, y) {
-        for (let i = this.nodes.length - 1; i >= 0; i--) {
-            const node = this.nodes[i];
-            if (node.type === 'textbox') {
-                if (x >= node.x - node.width / 2 && x <= node.x + node.width / 2 && 
-                    y >= node.y - node.height / 2 && y <= node.y + node.height / 2) return node;
-            } else {
-                const dist = Math.sqrt((x - node.x) ** 2 + (y - node.y) ** 2);
-                if (dist <= 32) return node;
-            }
+    // Moves freshly generated nodes to the right of the target bounds, or centres them on the cursor,
+    // then steps them down past any other node they would cover.
+    placeFragment(nodes, target) {
+        if (nodes.length === 0) return;
+        const bounds = this.getContentBounds({ nodes }, 20);
+        const dx = target ? target.x + target.width + 150 - bounds.x : this.mousePos.x - (bounds.x + bounds.width / 2);
+        let dy = (target ? target.y + target.height / 2 : this.mousePos.y) - (bounds.y + bounds.height / 2);
+        const fresh = new Set(nodes);
+        const others = this.nodes.filter(n => !fresh.has(n)).map(n => this.getContentBounds({ nodes: [n] }));
+        const covers = b => b.x < bounds.x + dx + bounds.width && bounds.x + dx < b.x + b.width &&
+            b.y < bounds.y + dy + bounds.height && bounds.y + dy < b.y + b.height;
+        for (let blocker = others.find(covers); blocker; blocker = others.find(covers)) {
+            dy = blocker.y + blocker.height - bounds.y;
         }
-        return null;
+        nodes.forEach(n => {
+            n.x = Math.round(n.x + dx);
+            n.y = Math.round(n.y + dy);
+        });
     }
 
-    getConnectionAt(x, y) {
-        return this.connections.find(conn => {
-            const from = this.nodes.find(n => n.id === conn.from);
-            const to = this.nodes.find(n => n.id === conn.to);
-            if (!from || !to) return false;
-            return this.distanceToLine(x, y, from.x, from.y, to.x, to.y) <= 10;
+    // The selected node feeds the fragment's starting nodes; a start of its own type is fed
+    // through the nodes it leads to instead.
+    connectFragment(anchor, nodes) {
+        const ids = new Set(nodes.map(n => n.id));
+        const starts = nodes.filter(n => !this.connections.some(c => c.to === n.id));
+        const linked = new Set(this.connections.filter(c => c.from === anchor.id).map(c => c.to));
+        const link = node => {
+            if (linked.has(node.id) || !this.canConnect(anchor, node)) return;
+            linked.add(node.id);
+            this.createConnectionDirect(anchor, node);
+        };
+        starts.forEach(start => {
+            if (start.type !== anchor.type) return link(start);
+            this.connections
+                .filter(c => c.from === start.id && ids.has(c.to))
+                .forEach(c => link(this.nodes.find(n => n.id === c.to)));
         });
     }
 
-    distanceToLine(px, py, x1, y1, x2, y2) {
-        const dx = x2 - x1, dy = y2 - y1;
-        const lenSq = dx * dx + dy * dy;
-        if (lenSq === 0) return Math.sqrt((px - x1) ** 2 + (py - y1) ** 2);
-        let t = ((px - x1) * dx + (py - y1) * dy) / lenSq;
-        t = Math.max(0, Math.min(1, t));
-        const projX = x1 + t * dx;
-        const projY = y1 + t * dy;
-        return Math.sqrt((px - projX) ** 2 + (py - projY) ** 2);
-    }
+    // Materials already on the diagram are reused by name and location, as in buildDiagramFromNetwork.
+    buildDiagramFromTokens(tokens, existing = []) {
+        const materials = new Map();
+        existing.filter(n => n.type === 'material').forEach(n => {
+            const key = this.getMaterialKey(n);
+            if (!materials.has(key)) materials.set(key, n);
+        });
+        const findMaterial = label => {
+            const name = label.toLowerCase();
+            const twins = [...materials.keys()].filter(k => k.startsWith(`${name}@`));
+            return materials.get(`${name}@`) || (twins.length === 1 ? materials.get(twins[0]) : null);
+        };
+        let lastNodes = [];
+        let lastNodeType = null;
+        let currentX = 150;
+        const xIncrement = 200;
+        const yStart = 250;
+        const ySpacing = 120;
 
-    deleteNode(node, shouldRender = true) {
-        this.nodes = this.nodes.filter(n => n.id !== node.id);
-        this.connections = this.connections.filter(c => c.from !== node.id && c.to !== node.id);
-        if (shouldRender) {
-            this.showStatus(`Deleted ${node.label}`, 'success');
-            this.queueRender();
+        for (const token of tokens) {
+            if (lastNodeType && token.type === lastNodeType) {
+                console.warn(`Skipping token of type '${token.type}' to enforce alternating pattern.`);
+                continue;
+            }
+
+            const newNodes = [];
+            const yOffset = (token.quantity - 1) * ySpacing / 2;
+
+            for (let i = 0; i < token.quantity; i++) {
+                const yPos = yStart + (i * ySpacing) - yOffset;
+                const label = token.quantity > 1 ? `${token.label} ${i + 1}` : token.label;
+                const newNode = (token.type === 'material' && findMaterial(label)) || this.addNode(token.type, currentX, yPos, label);
+                newNodes.push(newNode);
+            }
+
+            if (lastNodes.length > 0) {
+                for (const fromNode of lastNodes) {
+                    for (const toNode of newNodes) {
+                         if (this.canConnect(fromNode, toNode)) {
+                            this.createConnectionDirect(fromNode, toNode);
+                         }
+                    }
+                }
+            }
+
+            lastNodes = newNodes;
+            lastNodeType = token.type;
+            currentX += xIncrement;
         }
     }
 
-    deleteConnection(connection) {
-        this.connections = this.connections.filter(c => c !== connection);
-        this.showStatus(`Deleted connection`, 'success');
-        this.queueRender();
+    createConnectionDirect(fromNode, toNode) {
+        this.connections.push({ from: fromNode.id, to: toNode.id, label: '' });
     }
 
-    queueRender() {
-        if (!this.isRendering) {
-            this.isRendering = true;
-            requestAnimationFrame(() => { 
-                this.render(); 
-                this.isRendering = false; 
-            });
-        }
+    setConnectionRouting(conn, routing) {
+        if ((conn.routing || 'straight') === routing) return;
+        conn.routing = routing;
+        const names = { straight: 'straight', orthogonal: 'elbow', curved: 'curved' };
+        this.saveState(`Changed connector to ${names[routing]}`);
+        this.queueRender();
     }
 
-    render() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.save();
-        this.ctx.translate(this.camera.x, this.camera.y);
-        this.ctx.scale(this.camera.zoom, this.camera.zoom);
-
-        this.drawGrid();
-        this.drawConnections();
-        this.drawNodes();
-        this.drawConnectionPreview();
-        this.drawSelectionBounds();
-        this.drawSelectionRect();
+    showContextMenu(x, y) {
+        const menu = document.getElementById('contextMenu');
+        const menuWidth = 200, menuHeight = 200;
+        const vpWidth = window.innerWidth, vpHeight = window.innerHeight;
 
-        this.ctx.restore();
-        this.updateStrokesCanvasSize();
-        this.drawStrokes();
-        this.ctx.drawImage(this.strokesCanvas, 0, 0);
-    }
+        menu.style.left = `${Math.min(x, vpWidth - menuWidth)}px`;
+        menu.style.top = `${Math.min(y, vpHeight - menuHeight)}px`;
+        menu.classList.remove('hidden');
 
-    drawGrid() {
-        this.ctx.save();
-        this.ctx.strokeStyle = this.themeColors && this.themeColors.grid ? this.themeColors.grid : 'rgba(0, 0, 0, 0.1)';
-        this.ctx.lineWidth = 1 / this.camera.zoom;
+        const singleItems = menu.querySelectorAll('.single-node-item');
+        const multiItems = menu.querySelectorAll('.multi-node-item');
+        const copyForExcel = document.getElementById('copyForExcel');
+        const copySelection = document.getElementById('copySelection');
+        const pasteSelection = document.getElementById('pasteSelection');
+        const deleteConnection = document.getElementById('deleteConnection');
 
-        const gridSize = 20;
-        const left = -this.camera.x / this.camera.zoom;
-        const top = -this.camera.y / this.camera.zoom;
-        const right = (this.canvas.width - this.camera.x) / this.camera.zoom;
-        const bottom = (this.canvas.height - this.camera.y) / this.camera.zoom;
+        if (this.selectedNodes.length > 1) {
+            singleItems.forEach(item => item.style.display = 'none');
+            multiItems.forEach(item => item.style.display = 'block');
+            if (copyForExcel) copyForExcel.style.display = 'block';
+            if (copySelection) copySelection.style.display = 'block';
+            if (deleteConnection) deleteConnection.style.display = 'none';
+        } else if (this.selectedNodes.length === 1) {
+            singleItems.forEach(item => item.style.display = 'block');
+            multiItems.forEach(item => {
+                if (item.id === 'copyForExcel') {
+                    item.style.display = 'block';
+                } else {
+                    item.style.display = 'none';
+                }
+            });
 
-        const startX = Math.floor(left / gridSize) * gridSize;
-        const startY = Math.floor(top / gridSize) * gridSize;
+            if (copySelection) copySelection.style.display = 'block';
+            if (deleteConnection) deleteConnection.style.display = 'none';
 
-        for (let x = startX; x < right; x += gridSize) {
-            this.ctx.beginPath(); 
-            this.ctx.moveTo(x, top); 
-            this.ctx.lineTo(x, bottom); 
-            this.ctx.stroke();
+            const matItem = document.getElementById('addConnectedMaterial');
+            const actItem = document.getElementById('addConnectedActivity');
+            if (this.contextMenuNode) {
+                matItem.style.display = this.contextMenuNode.type === 'activity' ? 'block' : 'none';
+                actItem.style.display = this.contextMenuNode.type === 'material' ? 'block' : 'none';
+            }
+        } else {
+            singleItems.forEach(item => item.style.display = 'none');
+            multiItems.forEach(item => item.style.display = 'none');
+            if (copyForExcel) copyForExcel.style.display = 'none';
+            if (copySelection) copySelection.style.display = 'none';
+            if (deleteConnection) deleteConnection.style.display = 'none';
+            const clip = this.internalClipboard || this.stateManager.clipboard;
+            if (pasteSelection) {
+                pasteSelection.style.display = 'block';
+                if (clip && clip.nodes && clip.nodes.length > 0) pasteSelection.classList.remove('disabled');
+                else pasteSelection.classList.add('disabled');
+            }
         }
 
-        for (let y = startY; y < bottom; y += gridSize) {
-            this.ctx.beginPath(); 
-            this.ctx.moveTo(left, y); 
-            this.ctx.lineTo(right, y); 
-            this.ctx.stroke();
+        if (this.contextMenuConnection) {
+            singleItems.forEach(item => item.style.display = 'none');
+            multiItems.forEach(item => item.style.display = 'none');
+            if (copySelection) copySelection.style.display = 'none';
+            if (copyForExcel) copyForExcel.style.display = 'none';
+            if (deleteConnection) deleteConnection.style.display = 'block';
+            if (pasteSelection) pasteSelection.style.display = 'none';
         }
 
-        this.ctx.restore();
-    }
+        const exportSelectionSvg = document.getElementById('exportSelectionSvg');
+        if (exportSelectionSvg) {
+            exportSelectionSvg.style.display = this.selectedNodes.length > 0 && !this.contextMenuConnection && !this.contextMenuLane ? 'block' : 'none';
+        }
 
-    drawSelectionRect() {
-        if (this.isSelecting && this.selectionRect) {
-            this.ctx.save();
-            this.ctx.fillStyle = 'rgba(0, 123, 255, 0.2)';
-            this.ctx.strokeStyle = 'rgba(0, 123, 255, 0.8)';
-            this.ctx.lineWidth = 1 / this.camera.zoom;
+        menu.querySelectorAll('.connection-item').forEach(item => {
+            item.style.display = this.contextMenuConnection ? 'block' : 'none';
+            if (item.dataset.routing) {
+                item.classList.toggle('checked', !!this.contextMenuConnection && (this.contextMenuConnection.routing || 'straight') === item.dataset.routing);
+            }
+        });
 
-            const { startX, startY, endX, endY } = this.selectionRect;
-            this.ctx.fillRect(startX, startY, endX - startX, endY - startY);
-            this.ctx.strokeRect(startX, startY, endX - startX, endY - startY);
-            this.ctx.restore();
+        const laneItems = menu.querySelectorAll('.lane-item');
+        laneItems.forEach(item => item.style.display = this.contextMenuLane ? 'block' : 'none');
+        if (this.contextMenuLane) {
+            singleItems.forEach(item => item.style.display = 'none');
+            multiItems.forEach(item => item.style.display = 'none');
+            if (copySelection) copySelection.style.display = 'none';
+            if (copyForExcel) copyForExcel.style.display = 'none';
+            if (deleteConnection) deleteConnection.style.display = 'none';
+            if (pasteSelection) pasteSelection.style.display = 'none';
         }
     }
 
-    drawConnectionPreview() {
-        if (this.currentTool === 'connect' && this.connectingFrom) {
-            this.ctx.save();
-            this.ctx.strokeStyle = this.themeColors.primary || '#007bff';
-            this.ctx.lineWidth = 2 / this.camera.zoom;
-            this.ctx.setLineDash([5 / this.camera.zoom, 5 / this.camera.zoom]);
-            this.ctx.beginPath();
-            this.ctx.moveTo(this.connectingFrom.x, this.connectingFrom.y);
-            this.ctx.lineTo(this.mousePos.x, this.mousePos.y);
-            this.ctx.stroke();
-            this.ctx.restore();
-        }
+    hideContextMenu() {
+        document.getElementById('contextMenu').classList.add('hidden');
+        this.updateCanvasCursor();
     }
 
-    drawNodes() {
-        this.nodes.forEach(node => {
-            this.ctx.save();
-            const isSelected = this.selectedNodes.includes(node);
-            const isConnecting = this.connectingFrom === node;
-
-            if (node.type === 'textbox') this.drawTextBox(node, isSelected);
-            else this.drawRegularNode(node, isSelected, isConnecting);
-
-            this.ctx.restore();
-        });
+    addConnectedMaterial() {
+        if (!this.contextMenuNode) return;
+        const base = this.contextMenuNode;
+        const newNode = this.addNode('material', base.x + 150, base.y);
+        if (base.type === 'activity') this.createConnection(base, newNode, false);
+        this.saveState(`Added ${newNode.label}`);
+        this.hideContextMenu();
     }
 
-    drawTextBox(node, isSelected) {
-        this.ctx.strokeStyle = this.themeColors.text || '#000000';
-        this.ctx.lineWidth = (isSelected ? 3 : 2) / this.camera.zoom;
-        if (isSelected) { 
-            this.ctx.shadowColor = this.themeColors.text || '#000000'; 
-            this.ctx.shadowBlur = 10; 
-        }
-        this.ctx.strokeRect(node.x - node.width / 2, node.y - node.height / 2, node.width, node.height);
-        this.ctx.shadowBlur = 0;
-        this.ctx.fillStyle = this.themeColors.text || '#000000';
-        this.ctx.font = `${node.fontSize}px -apple-system, BlinkMacSystemFont, system-ui, sans-serif`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-
-        const lines = this.wrapText(node.label, node.width - 10);
-        const lineHeight = node.fontSize + 2;
-        const startY = node.y - (lines.length - 1) * lineHeight / 2;
-        lines.forEach((line, index) => this.ctx.fillText(line, node.x, startY + index * lineHeight));
+    addConnectedActivity() {
+        if (!this.contextMenuNode) return;
+        const base = this.contextMenuNode;
+        const newNode = this.addNode('activity', base.x + 150, base.y);
+        if (base.type === 'material') this.createConnection(base, newNode, false);
+        this.saveState(`Added ${newNode.label}`);
+        this.hideContextMenu();
     }
 
-    drawRegularNode(node, isSelected, isConnecting) {
-        const matFill = this.themeColors.nodeMaterialFill || '#1fb8cd';
-        const actFill = this.themeColors.nodeActivityFill || '#ffc185';
-        const matStroke = this.themeColors.nodeMaterialStroke || '#127681';
-        const actStroke = this.themeColors.nodeActivityStroke || '#b4413c';
-        this.ctx.fillStyle = node.type === 'material' ? (isSelected || isConnecting ? matFill : matFill) : (isSelected || isConnecting ? actFill : actFill);
-        this.ctx.strokeStyle = node.type === 'material' ? matStroke : actStroke;
-        this.ctx.lineWidth = (isSelected || isConnecting ? 3 : 2) / this.camera.zoom;
-
-        if (isSelected || isConnecting) { 
-            this.ctx.shadowColor = this.ctx.fillStyle; 
-            this.ctx.shadowBlur = 10; 
+    editLabel() {
+        if (this.contextMenuNode) {
+            this.enterLabelEditMode(this.contextMenuNode);
+            this.hideContextMenu();
+            return;
+        }
+        if (this.contextMenuConnection) {
+            this.enterConnectionEditMode(this.contextMenuConnection);
+            this.hideContextMenu();
+            return;
         }
-
-        this.ctx.beginPath();
-        if (node.shape === 'triangle') this.drawTriangle(node.x, node.y, 32);
-        else this.drawCircle(node.x, node.y, 25);
-        this.ctx.fill();
-        this.ctx.stroke();
-        this.ctx.shadowBlur = 0;
-
-        this.ctx.fillStyle = this.themeColors.text || '#13343b';
-        this.ctx.font = '12px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-
-        const lines = this.wrapText(node.label, 100);
-        const lineHeight = 14;
-        const startY = node.y + 40;
-        lines.forEach((line, index) => this.ctx.fillText(line, node.x, startY + index * lineHeight));
     }
 
-    wrapText(text, maxWidth) {
-        const manualLines = text.split('\n');
-        const finalLines = [];
-
-        manualLines.forEach(manualLine => {
-            const words = manualLine.split(' ');
-            let currentLine = words[0] || '';
-
-            for (let i = 1; i < words.length; i++) {
-                const testLine = currentLine + ' ' + words[i];
-                if (this.ctx.measureText(testLine).width > maxWidth && currentLine !== '') {
-                    finalLines.push(currentLine);
-                    currentLine = words[i];
-                } else {
-                    currentLine = testLine;
+    saveEdit() {
+        if (this.editingNode) {
+            const input = document.getElementById('editInput');
+            const newContent = input.value.trim();
+            const finalContent = newContent === '' ? 'Click to edit text' : newContent;
+            if (this.editingNode.type === 'textbox') {
+                const fontSize = this.editingNode.fontSize || 12;
+                const dims = this.computeTextBoxDimensions(finalContent, fontSize);
+                this.editingNode.label = finalContent;
+                this.editingNode.width = dims.width;
+                this.editingNode.height = dims.height;
+                this.saveState('Edited text');
+                this.showStatus(`Updated content`, 'success');
+                this.queueRender();
+            } else {
+                if (finalContent) {
+                    this.editingNode.label = finalContent;
+                    this.saveState('Renamed node');
+                    this.showStatus(`Updated content`, 'success');
+                    this.queueRender();
                 }
             }
-            finalLines.push(currentLine);
-        });
-        
-        return finalLines;
-    }
-
-    drawConnections() {
-        this.connections.forEach(conn => {
-            const from = this.nodes.find(n => n.id === conn.from);
-            const to = this.nodes.find(n => n.id === conn.to);
-            if (!from || !to) return;
-
-            const angle = Math.atan2(to.y - from.y, to.x - from.x);
-            const nodeRadius = 30;
-            const adjFromX = from.x + nodeRadius * Math.cos(angle);
-            const adjFromY = from.y + nodeRadius * Math.sin(angle);
-            const adjToX = to.x - nodeRadius * Math.cos(angle);
-            const adjToY = to.y - nodeRadius * Math.sin(angle);
-
-            if (this.selectedConnection && this.selectedConnection.from === conn.from && this.selectedConnection.to === conn.to) {
-                this.ctx.save();
-                this.ctx.strokeStyle = this.themeColors.primary || '#007bff';
-                this.ctx.lineWidth = 4 / this.camera.zoom;
-                this.ctx.lineCap = 'round';
-                this.ctx.beginPath();
-                this.ctx.moveTo(adjFromX, adjFromY);
-                this.ctx.lineTo(adjToX, adjToY);
-                this.ctx.stroke();
-
-                const headLength = 12 / this.camera.zoom;
-                this.ctx.fillStyle = this.themeColors.primary || '#007bff';
-                this.ctx.beginPath();
-                this.ctx.moveTo(adjToX, adjToY);
-                this.ctx.lineTo(
-                    adjToX - headLength * Math.cos(angle - Math.PI / 6),
-                    adjToY - headLength * Math.sin(angle - Math.PI / 6)
-                );
-                this.ctx.lineTo(
-                    adjToX - headLength * Math.cos(angle + Math.PI / 6),
-                    adjToY - headLength * Math.sin(angle + Math.PI / 6)
-                );
-                this.ctx.closePath();
-                this.ctx.fill();
-                this.ctx.restore();
-            } else {
-                this.drawArrow(from.x, from.y, to.x, to.y);
+            if (this._editInputHandler) {
+                input.removeEventListener('input', this._editInputHandler);
+                this._editInputHandler = null;
             }
-
-            if (conn.label) {
-                const midX = (adjFromX + adjToX) / 2;
-                const midY = (adjFromY + adjToY) / 2;
-                this.ctx.save();
-                this.ctx.translate(midX, midY);
-                this.ctx.rotate(angle);
-                this.ctx.fillStyle = this.themeColors.textSecondary || this.themeColors.text || '#626c71';
-                this.ctx.font = '12px -apple-system, BlinkMacSystemFont, system-ui, sans-serif';
-                this.ctx.textAlign = 'center';
-                this.ctx.textBaseline = 'bottom';
-                this.ctx.fillText(conn.label, 0, -8);
-                this.ctx.restore();
+        }
+        else if (this.editingConnection) {
+            const input = document.getElementById('editInput');
+            const newContent = input.value.trim();
+            this.editingConnection.label = newContent;
+            this.saveState('Edited connection label');
+            this.showStatus('Updated connection label', 'success');
+            this.queueRender();
+        }
+        else if (this.editingLane) {
+            const newName = document.getElementById('editInput').value.trim();
+            if (newName && newName !== this.editingLane.name) {
+                this.editingLane.name = newName;
+                this.saveState(`Renamed lane to ${newName}`);
+                this.showStatus('Updated location name', 'success');
+                this.queueRender();
             }
-        });
+        }
+        this.cancelEdit();
     }
 
-    drawTriangle(x, y, size) {
-        const h = size * Math.sqrt(3) / 2;
-        this.ctx.moveTo(x, y - h / 2);
-        this.ctx.lineTo(x - size / 2, y + h / 2);
-        this.ctx.lineTo(x + size / 2, y + h / 2);
-        this.ctx.closePath();
+    cancelEdit() {
+        const input = document.getElementById('editInput');
+        if (this._editInputHandler && input) {
+            input.removeEventListener('input', this._editInputHandler);
+            this._editInputHandler = null;
+        }
+        const modal = document.getElementById('editModal');
+        const modalContent = modal ? modal.querySelector('.modal-content') : null;
+        if (modalContent) modalContent.style.minWidth = '';
+        document.getElementById('editModal').classList.add('hidden');
+        this.editingNode = null;
+        this.editingConnection = null;
+        this.editingLane = null;
     }
 
-    drawCircle(x, y, radius) {
-        this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    deleteSelectedNode() {
+        if (this.contextMenuNode) {
+            this.deleteNode(this.contextMenuNode);
+            this.saveState(`Deleted ${this.contextMenuNode.label}`);
+            this.selectedNodes = this.selectedNodes.filter(n => n.id !== this.contextMenuNode.id);
+        }
+        this.contextMenuNode = null;
+        this.hideContextMenu();
     }
 
-    drawArrow(fromX, fromY, toX, toY) {
-        const headLength = 12 / this.camera.zoom;
-        const angle = Math.atan2(toY - fromY, toX - fromX);
-        const nodeRadius = 30;
-
-        const adjFromX = fromX + nodeRadius * Math.cos(angle);
-        const adjFromY = fromY + nodeRadius * Math.sin(angle);
-        const adjToX = toX - nodeRadius * Math.cos(angle);
-        const adjToY = toY - nodeRadius * Math.sin(angle);
-
-        this.ctx.save();
-        this.ctx.strokeStyle = this.themeColors.arrow || '#626c71';
-        this.ctx.lineWidth = 2 / this.camera.zoom;
-        this.ctx.beginPath();
-        this.ctx.moveTo(adjFromX, adjFromY);
-        this.ctx.lineTo(adjToX, adjToY);
-        this.ctx.stroke();
-
-        this.ctx.fillStyle = this.themeColors.arrow || '#626c71';
-        this.ctx.beginPath();
-        this.ctx.moveTo(adjToX, adjToY);
-        this.ctx.lineTo(adjToX - headLength * Math.cos(angle - Math.PI / 6), adjToY - headLength * Math.sin(angle - Math.PI / 6));
-        this.ctx.lineTo(adjToX - headLength * Math.cos(angle + Math.PI / 6), adjToY - headLength * Math.sin(angle + Math.PI / 6));
-        this.ctx.closePath();
-        this.ctx.fill();
-        this.ctx.restore();
+    deleteConnectionFromContext() {
+        if (this.contextMenuConnection) {
+            this.deleteConnection(this.contextMenuConnection);
+            this.saveState('Deleted connection');
+            if (this.selectedConnection && this.selectedConnection === this.contextMenuConnection) this.selectedConnection = null;
+            this.contextMenuConnection = null;
+        }
+        this.hideContextMenu();
     }
 
-    // Updated calculateSelectionBounds to include strokes
-    calculateSelectionBounds() {
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        const padding = 20;
+    duplicateSelection() {
+        if (this.selectedNodes.length === 0) return;
 
-        if (this.selectedNodes.length === 0 && this.selectedStrokes.length === 0) return null;
+        const newNodes = [];
+        const idMap = {};
 
         this.selectedNodes.forEach(node => {
-            minX = Math.min(minX, node.x);
-            minY = Math.min(minY, node.y);
-            maxX = Math.max(maxX, node.x);
-            maxY = Math.max(maxY, node.y);
+            const newNode = JSON.parse(JSON.stringify(node));
+            newNode.id = `node_${++this.nodeCounter}`;
+            newNode.x += 20;
+            newNode.y += 20;
+            this.nodes.push(newNode);
+            newNodes.push(newNode);
+            idMap[node.id] = newNode.id;
         });
 
-        this.selectedStrokes.forEach(stroke => {
-            stroke.points.forEach(p => {
-                minX = Math.min(minX, p.x);
-                minY = Math.min(minY, p.y);
-                maxX = Math.max(maxX, p.x);
-                maxY = Math.max(maxY, p.y);
-            });
+        this.connections.forEach(conn => {
+            if (idMap[conn.from] && idMap[conn.to]) {
+                this.connections.push({ ...conn, from: idMap[conn.from], to: idMap[conn.to], label: conn.label || '' });
+            }
         });
 
-        return {
-            x: minX - padding,
-            y: minY - padding,
-            width: (maxX - minX) + 2 * padding,
-            height: (maxY - minY) + 2 * padding
-        };
+        this.selectedNodes = newNodes;
+        this.saveState(`Duplicated ${this.describeItems(newNodes.length)}`);
+        this.hideContextMenu();
+        this.queueRender();
     }
 
-    updateSelectionBounds() {
-        if (this.selectedNodes.length > 0 || this.selectedStrokes.length > 0) {
-            this.selectionBounds = this.calculateSelectionBounds();
-        } else {
-            this.selectionBounds = null;
+    copySelectionToClipboard() {
+        if (this.selectedNodes.length === 0) {
+            this.showStatus('Nothing selected to copy', 'warning');
+            return;
         }
+        const nodesCopy = JSON.parse(JSON.stringify(this.selectedNodes));
+        const selectedIds = new Set(this.selectedNodes.map(n => n.id));
+        const connsCopy = this.connections.filter(c => selectedIds.has(c.from) && selectedIds.has(c.to)).map(c => JSON.parse(JSON.stringify(c)));
+        const clip = { nodes: nodesCopy, connections: connsCopy };
+        this.stateManager.clipboard = clip;
+        this.internalClipboard = clip;
+        this.showStatus(`Copied ${nodesCopy.length} element(s) to clipboard`, 'success');
     }
 
-    drawSelectionBounds() {
-        if (this.selectionBounds) {
-            const bounds = this.selectionBounds;
-            this.ctx.save();
-            this.ctx.strokeStyle = 'rgba(0, 123, 255, 0.8)';
-            this.ctx.lineWidth = 1 / this.camera.zoom;
-            this.ctx.setLineDash([5 / this.camera.zoom, 5 / this.camera.zoom]);
-            this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
-            this.ctx.restore();
-            this.drawResizeHandles(bounds);
+    pasteFromClipboard() {
+        const clip = this.internalClipboard || this.stateManager.clipboard;
+        if (!clip || !clip.nodes || clip.nodes.length === 0) {
+            this.showStatus('Clipboard is empty', 'warning');
+            return;
         }
-    }
 
-    drawResizeHandles(bounds) {
-        const handleSize = 8 / this.camera.zoom;
-        const handles = this.getResizeHandles(bounds);
+        const idMap = {};
+        const newNodes = [];
+        const offsetX = 20, offsetY = 20;
 
-        this.ctx.save();
-        this.ctx.fillStyle = 'rgba(0, 123, 255, 1)';
-        Object.values(handles).forEach(handle => {
-            this.ctx.fillRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+        clip.nodes.forEach(orig => {
+            const newId = `node_${++this.nodeCounter}`;
+            idMap[orig.id] = newId;
+            const newNode = JSON.parse(JSON.stringify(orig));
+            newNode.id = newId;
+            newNode.x = (orig.x || 0) + offsetX;
+            newNode.y = (orig.y || 0) + offsetY;
+            this.nodes.push(newNode);
+            newNodes.push(newNode);
         });
-        this.ctx.restore();
-    }
 
-    updateStrokesCanvasSize() {
-        const w = this.canvas.width;
-        const h = this.canvas.height;
-        if (!this.strokesCanvas) return;
-        if (this.strokesCanvas.width !== w || this.strokesCanvas.height !== h) {
-            this.strokesCanvas.width = w;
-            this.strokesCanvas.height = h;
+        if (clip.connections && clip.connections.length > 0) {
+            clip.connections.forEach(c => {
+                const fromNew = idMap[c.from];
+                const toNew = idMap[c.to];
+                if (fromNew && toNew) {
+                    this.connections.push({ ...c, from: fromNew, to: toNew, label: c.label || '' });
+                }
+            });
         }
+
+        this.selectedNodes = newNodes;
+        this.queueRender();
+        this.showStatus(`Pasted ${newNodes.length} element(s)`, 'success');
+        this.saveState(`Pasted ${this.describeItems(newNodes.length)}`);
     }
 
-    drawStrokes() {
-        const sc = this.strokesCanvas;
-        const sctx = this.strokesCtx;
-        if (!sctx) return;
-        sctx.clearRect(0, 0, sc.width, sc.height);
+    deleteSelection() {
+        this.deleteSelected();
+        this.hideContextMenu();
+    }
 
-        if (!this.freehandStrokes || this.freehandStrokes.length === 0) return;
-        this.freehandStrokes.forEach(stroke => {
-            if (!stroke.points || stroke.points.length === 0) return;
-            const pts = stroke.points.map(p => ({ x: Math.round(p.x * this.camera.zoom + this.camera.x), y: Math.round(p.y * this.camera.zoom + this.camera.y) }));
-            sctx.save();
-            
-            // Highlight selected strokes
-            if (this.selectedStrokes.includes(stroke)) {
-                 sctx.shadowColor = 'blue';
-                 sctx.shadowBlur = 5;
+    loadExample() {
+        this.nodes = [];
+        this.connections = [];
+        this.selectedNodes = [];
+        this.freehandStrokes = [];
+        this.selectedStrokes = [];
+        this.locations = JSON.parse(JSON.stringify(this.sampleData.locations));
+        this.laneOrientation = 'vertical';
+        this.selectedLane = null;
+        this.updateLaneControls();
+        this.nodeCounter = 0;
+
+        this.sampleData.nodes.forEach(nodeData => {
+            const node = JSON.parse(JSON.stringify(nodeData));
+            if (node.type === 'textbox') { 
+                node.width = 120; 
+                node.height = 40; 
+                node.fontSize = 12; 
             }
+            this.nodes.push(node);
+            this.nodeCounter++;
+        });
 
-            if (stroke.tool === 'eraser') {
-                sctx.globalCompositeOperation = 'destination-out';
-                sctx.strokeStyle = 'rgba(0,0,0,1)';
-            } else {
-                sctx.globalCompositeOperation = 'source-over';
-                sctx.strokeStyle = stroke.color || (this.themeColors && this.themeColors.text) || '#000000';
+        this.connections = [...this.sampleData.connections];
+        this.nodes.forEach(n => {
+            if (n.type === 'textbox') {
+                n.fontSize = n.fontSize || 12;
+                const dims = this.computeTextBoxDimensions(n.label || 'Click to edit text', n.fontSize);
+                n.width = dims.width;
+                n.height = dims.height;
             }
-            sctx.lineWidth = (stroke.width || this.penThickness || 4);
-            sctx.lineCap = 'round';
-            sctx.lineJoin = 'round';
-            sctx.beginPath();
-            sctx.moveTo(pts[0].x, pts[0].y);
-            for (let i = 1; i < pts.length; i++) sctx.lineTo(pts[i].x, pts[i].y);
-            sctx.stroke();
-            sctx.restore();
+            this.normalizeNodeAttributes(n);
         });
+        this.saveState('Loaded simple diagram');
+        this.resetZoom();
+        this.showStatus('Sample supply chain loaded!', 'success');
     }
 
-    getResizeHandles(bounds) {
-        if (!bounds) return {};
-        return {
-            'top-left': { x: bounds.x, y: bounds.y },
-            'top-right': { x: bounds.x + bounds.width, y: bounds.y },
-            'bottom-left': { x: bounds.x, y: bounds.y + bounds.height },
-            'bottom-right': { x: bounds.x + bounds.width, y: bounds.y + bounds.height }
-        };
+    openTemplateModal() {
+        const modal = document.getElementById('templateModal');
+        if (!modal) return;
+        this.renderTemplateGallery();
+        modal.classList.remove('hidden');
+    }
+
+    hideTemplateModal() {
+        const modal = document.getElementById('templateModal');
+        if (modal) modal.classList.add('hidden');
     }
 
-    getResizeHandleAt(x, y) {
-        if (!this.selectionBounds) return null;
-        const handles = this.getResizeHandles(this.selectionBounds);
-        const handleSize = 10 / this.camera.zoom;
+    renderTemplateGallery() {
+        const builtIn = document.getElementById('templateList');
+        const saved = document.getElementById('userTemplateList');
+        if (!builtIn || !saved) return;
+        const siteNames = { suppliers: 'suppliers', plants: 'plants', dcs: 'DCs' };
+        const item = (id, name, detail, actions) => {
+            const row = document.createElement('div');
+            row.className = 'template-item';
+            row.dataset.id = id;
+            const info = document.createElement('div');
+            info.className = 'template-info';
+            const title = document.createElement('div');
+            title.className = 'template-name';
+            title.textContent = name;
+            const meta = document.createElement('small');
+            meta.textContent = detail;
+            info.append(title, meta);
+            row.appendChild(info);
+            actions.forEach(([action, text, tip]) => {
+                const button = document.createElement('button');
+                button.className = `btn ${action === 'insert' ? 'btn--primary' : 'btn--secondary'} btn--sm`;
+                button.dataset.action = action;
+                button.textContent = text;
+                if (tip) button.title = tip;
+                row.appendChild(button);
+            });
+            return row;
+        };
 
-        for (const [pos, handle] of Object.entries(handles)) {
-            if (x >= handle.x - handleSize / 2 && x <= handle.x + handleSize / 2 &&
-                y >= handle.y - handleSize / 2 && y <= handle.y + handleSize / 2) {
-                return pos;
-            }
+        builtIn.innerHTML = '';
+        SUPPLY_CHAIN_ARCHETYPES.forEach(archetype => {
+            const uses = archetype.uses.map(key => siteNames[key]).join(', ');
+            builtIn.appendChild(item(archetype.id, archetype.name, `${archetype.description} Uses ${uses}.`, [['insert', 'Insert']]));
+        });
+
+        saved.innerHTML = '';
+        const templates = this.loadUserTemplates();
+        if (templates.length === 0) {
+            saved.innerHTML = '<div class="template-empty">Select part of a diagram and save it here to reuse it.</div>';
         }
-        return null;
+        templates.forEach((template, i) => {
+            saved.appendChild(item(`user:${i}`, template.name, this.describeItems(template.nodes.length), [
+                ['insert', 'Insert'],
+                ['export', 'Export', 'Download as a file to share'],
+                ['delete', '✕', 'Forget this template']
+            ]));
+        });
     }
 
-    resizeSelection(pos) {
-        if (!this.isResizing || !this.selectionBounds || !this.selectionBounds.original) return;
+    handleTemplateListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        const row = e.target.closest('.template-item');
+        if (!button || !row) return;
+        const id = row.dataset.id;
+        if (!id.startsWith('user:')) {
+            const archetype = SUPPLY_CHAIN_ARCHETYPES.find(a => a.id === id);
+            const builder = new TemplateBuilder();
+            archetype.build(builder, this.getTemplateCounts());
+            this.insertTemplate(builder, archetype.name, true);
+            return;
+        }
+        const templates = this.loadUserTemplates();
+        const index = parseInt(id.slice(5), 10);
+        const template = templates[index];
+        if (!template) return;
+        if (button.dataset.action === 'insert') {
+            this.insertTemplate(template, template.name, false);
+        } else if (button.dataset.action === 'export') {
+            const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'template';
+            const data = { name: template.name, nodes: template.nodes, connections: template.connections };
+            this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `template-${slug}.json`);
+        } else if (button.dataset.action === 'delete') {
+            templates.splice(index, 1);
+            if (this.storeUserTemplates(templates)) this.renderTemplateGallery();
+        }
+    }
 
-        const orig = this.selectionBounds.original;
-        let scaleX = 1, scaleY = 1;
+    getTemplateCounts() {
+        const count = id => {
+            const value = parseInt((document.getElementById(id) || {}).value, 10);
+            return Math.min(8, Math.max(1, value || 1));
+        };
+        return { suppliers: count('templateSuppliers'), plants: count('templatePlants'), dcs: count('templateDcs') };
+    }
 
-        if (orig.width > 0) {
-            if (this.resizeHandle.includes('right')) scaleX = (pos.x - orig.x) / orig.width;
-            if (this.resizeHandle.includes('left')) scaleX = (orig.x + orig.width - pos.x) / orig.width;
-        }
+    // Adds a copy of the template's nodes and flows beside the current diagram. Archetypes come
+    // without positions and are laid out first; saved templates keep their own arrangement.
+    insertTemplate(template, name, layout) {
+        const existing = this.nodes.slice();
+        const idMap = {};
+        const added = template.nodes.map(orig => {
+            const node = JSON.parse(JSON.stringify(orig));
+            node.id = `node_${++this.nodeCounter}`;
+            idMap[orig.id] = node.id;
+            // Imported templates may still name a lane of the diagram they came from.
+            delete node.locationId;
+            node.shape = node.shape || this.getNodeShape(node.type);
+            node.x = node.x || 0;
+            node.y = node.y || 0;
+            if (node.type === 'textbox') {
+                node.fontSize = node.fontSize || 12;
+                const dims = this.computeTextBoxDimensions(node.label || 'Click to edit text', node.fontSize);
+                node.width = dims.width;
+                node.height = dims.height;
+            }
+            this.normalizeNodeAttributes(node);
+            this.nodes.push(node);
+            return node;
+        });
+        (template.connections || []).forEach(c => {
+            if (idMap[c.from] && idMap[c.to]) this.connections.push({ ...JSON.parse(JSON.stringify(c)), from: idMap[c.from], to: idMap[c.to], label: c.label || '' });
+        });
 
-        if (orig.height > 0) {
-            if (this.resizeHandle.includes('bottom')) scaleY = (pos.y - orig.y) / orig.height;
-            if (this.resizeHandle.includes('top')) scaleY = (orig.y + orig.height - pos.y) / orig.height;
+        if (layout) this.layoutFlowNodes(added);
+        if (existing.length > 0) this.placeFragment(added, this.getContentBounds({ nodes: existing }));
+        this.selectedNodes = added;
+        this.selectedStrokes = [];
+        this.hideTemplateModal();
+        this.saveState(`Inserted ${name}`);
+        this.queueRender();
+        this.showStatus(`Inserted ${name} (${this.describeItems(added.length)})`, 'success');
+    }
+
+    loadUserTemplates() {
+        try {
+            const templates = JSON.parse(localStorage.getItem('scc-templates')) || [];
+            return Array.isArray(templates) ? templates.filter(t => t && Array.isArray(t.nodes)) : [];
+        } catch (e) {
+            return [];
         }
+    }
 
-        const anchor = {
-            x: this.resizeHandle.includes('left') ? orig.x + orig.width : orig.x,
-            y: this.resizeHandle.includes('top') ? orig.y + orig.height : orig.y
-        };
+    storeUserTemplates(templates) {
+        try {
+            localStorage.setItem('scc-templates', JSON.stringify(templates));
+            return true;
+        } catch (e) {
+            this.showStatus('Browser storage is full. Export or delete some templates first.', 'error');
+            return false;
+        }
+    }
 
-        this.selectedNodes.forEach(node => {
-            const relX = (node.original.x - anchor.x) * scaleX;
-            const relY = (node.original.y - anchor.y) * scaleY;
-            node.x = anchor.x + relX;
-            node.y = anchor.y + relY;
+    // Keeps the selected nodes, and the flows between them, under the given name. Positions are
+    // stored relative to the selection so the template can be inserted anywhere.
+    saveSelectionAsTemplate() {
+        const input = document.getElementById('templateName');
+        if (this.selectedNodes.length === 0) {
+            this.showStatus('Select the nodes to save as a template first', 'warning');
+            return;
+        }
+        const name = (input && input.value.trim()) || `Template ${this.loadUserTemplates().length + 1}`;
+        const bounds = this.getContentBounds({ nodes: this.selectedNodes });
+        const ids = new Set(this.selectedNodes.map(n => n.id));
+        const nodes = this.selectedNodes.map(node => {
+            const copy = JSON.parse(JSON.stringify(node));
+            TRANSIENT_KEYS.forEach(key => delete copy[key]);
+            // Lane ids mean nothing outside this diagram; materials keep their location attribute.
+            delete copy.locationId;
+            copy.x = Math.round(node.x - bounds.x + 100);
+            copy.y = Math.round(node.y - bounds.y + 100);
+            return copy;
         });
-        
-        // Note: Resizing strokes is complex, omitted for simplicity to prevent distortion
+        const connections = this.connections.filter(c => ids.has(c.from) && ids.has(c.to)).map(c => JSON.parse(JSON.stringify(c)));
+        this.addUserTemplate({ name, nodes, connections });
+        if (input) input.value = '';
     }
 
-    handleWheel(e) {
-        e.preventDefault();
-        const zoomAmount = e.deltaY > 0 ? 0.9 : 1.1;
-        this.zoom(zoomAmount, e.clientX, e.clientY);
+    // A template with the same name is replaced.
+    addUserTemplate(template) {
+        const templates = this.loadUserTemplates().filter(t => t.name.toLowerCase() !== template.name.toLowerCase());
+        templates.push(template);
+        if (!this.storeUserTemplates(templates)) return;
+        this.renderTemplateGallery();
+        this.showStatus(`Saved template "${template.name}" (${this.describeItems(template.nodes.length)})`, 'success');
     }
 
-    zoom(factor, clientX, clientY) {
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = clientX ? clientX - rect.left : this.canvas.width / 2;
-        const mouseY = clientY ? clientY - rect.top : this.canvas.height / 2;
+    importTemplate(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (error) {
+                data = null;
+            }
+            if (!data || !Array.isArray(data.nodes) || data.nodes.length === 0) {
+                this.showStatus('Could not read the template. Expected a JSON file with nodes.', 'error');
+                return;
+            }
+            const name = String(data.name || file.name.replace(/\.json$/i, '').replace(/^template-/, ''));
+            this.addUserTemplate({ name, nodes: data.nodes, connections: Array.isArray(data.connections) ? data.connections : [] });
+        };
+        reader.readAsText(file);
+    }
 
-        const worldMouseX = (mouseX - this.camera.x) / this.camera.zoom;
-        const worldMouseY = (mouseY - this.camera.y) / this.camera.zoom;
+    // Updated clear() to remove strokes
+    clear() {
+        this.nodes = [];
+        this.connections = [];
+        this.selectedNodes = [];
+        this.freehandStrokes = []; // FIX: Clear strokes
+        this.selectedStrokes = [];
+        this.locations = [];
+        this.selectedLane = null;
+        this.nodeCounter = 0;
+        this.saveState('Cleared canvas');
+        this.resetZoom();
+        this.showStatus('Canvas cleared!', 'info');
+    }
 
-        const newZoom = Math.max(0.1, Math.min(5, this.camera.zoom * factor));
-        this.camera.x = mouseX - worldMouseX * newZoom;
-        this.camera.y = mouseY - worldMouseY * newZoom;
-        this.camera.zoom = newZoom;
+    // Updated save() to include strokes
+    save() {
+        const data = { 
+            nodes: this.nodes, 
+            connections: this.connections, 
+            freehandStrokes: this.freehandStrokes, // FIX: Save strokes
+            locations: this.locations,
+            laneOrientation: this.laneOrientation,
+            timestamp: new Date().toISOString(), 
+            version: '4.0' 
+        };
+        const dataStr = JSON.stringify(data, null, 2);
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
 
-        this.updateZoomDisplay();
-        this.queueRender();
+        const link = document.createElement('a');
+        link.setAttribute('href', dataUri);
+        link.setAttribute('download', `supply-chain-diagram-${new Date().toISOString().split('T')[0]}.json`);
+        link.click();
+        this.showStatus('Diagram saved!', 'success');
     }
 
-    resetZoom() {
-        this.camera.x = 0;
-        this.camera.y = 0;
-        this.camera.zoom = 1;
-        this.updateZoomDisplay();
-        this.queueRender();
+    // Updated load() to read strokes
+    load() {
+        document.getElementById('fileInput').click();
     }
 
-    updateZoomDisplay() {
-        document.getElementById('zoomLevel').textContent = `${Math.round(this.camera.zoom * 100)}%`;
+    handleFileLoad(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = '';
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'xlsx') {
+            file.arrayBuffer()
+                .then(buffer => XlsxWorkbook.read(buffer))
+                .then(sheets => this.importSheets(sheets, file.name))
+                .catch(error => {
+                    console.error('Workbook import failed:', error);
+                    this.showStatus('Could not read the workbook. Is it a valid .xlsx file?', 'error');
+                });
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            if (extension === 'csv' || extension === 'tsv' || extension === 'txt') {
+                this.importSheets([{ name: file.name, rows: CsvTable.parse(e.target.result) }], file.name);
+                return;
+            }
+            if (extension === 'drawio' || extension === 'xml') {
+                this.importDrawio(e.target.result, file.name);
+                return;
+            }
+            if (['mmd', 'mermaid', 'md', 'markdown', 'dot', 'gv'].includes(extension)) {
+                this.importDiagramText(e.target.result, file.name);
+                return;
+            }
+            try {
+                const data = JSON.parse(e.target.result);
+                this.applyDiagramData(data);
+                this.saveState(`Loaded ${file.name}`);
+                this.resetZoom();
+                this.showStatus('Diagram loaded successfully!', 'success');
+            } catch (error) {
+                this.showStatus('Error loading file! Please check file format.', 'error');
+            }
+        };
+        reader.readAsText(file);
     }
 
-    initTheme() {
-        const saved = localStorage.getItem('scc-theme');
-        const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-        this.theme = saved || (prefersDark ? 'dark' : 'light');
-        document.documentElement.setAttribute('data-color-scheme', this.theme);
-        const label = document.getElementById('themeToggleLabel');
-        if (label) label.textContent = this.theme === 'dark' ? 'Day' : 'Night';
-        this.buildThemeColors();
+    // Maps a header row onto the columns we know, accepting the usual spreadsheet spellings.
+    getTableColumns(header, aliases) {
+        const normalized = header.map(h => String(h || '').trim().toLowerCase().replace(/[\s.-]+/g, '_'));
+        const columns = {};
+        Object.entries(aliases).forEach(([key, names]) => {
+            columns[key] = normalized.findIndex(h => names.includes(h));
+        });
+        return columns;
     }
 
-    toggleTheme() {
-        this.theme = this.theme === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-color-scheme', this.theme);
-        localStorage.setItem('scc-theme', this.theme);
-        const label = document.getElementById('themeToggleLabel');
-        if (label) label.textContent = this.theme === 'dark' ? 'Day' : 'Night';
-        this.buildThemeColors();
-        this.queueRender();
-        this.showStatus(`${this.theme === 'dark' ? 'Night' : 'Day'} mode enabled`, 'info');
+    parseNodeType(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text) return null;
+        if (['m', 'mat', 'material', 'materials', 'item', 'part', 'product', 'sku'].includes(text)) return 'material';
+        if (['a', 'act', 'activity', 'activities', 'process', 'operation', 'step'].includes(text)) return 'activity';
+        return undefined;
     }
 
-    buildThemeColors() {
-        const s = getComputedStyle(document.documentElement);
-        const read = (name) => s.getPropertyValue(name).trim() || null;
-        this.themeColors = {
-            primary: read('--color-primary') || '#1fb8cd',
-            primaryText: read('--color-btn-primary-text') || '#FFFFFF',
-            nodeMaterialFill: read('--color-success') || '#1fb8cd',
-            nodeActivityFill: read('--color-warning') || '#ffc185',
-            nodeMaterialStroke: read('--color-primary') || '#127681',
-            nodeActivityStroke: read('--color-error') || '#b4413c',
-            text: read('--color-text') || '#13343b',
-            textSecondary: read('--color-text-secondary') || '#626c71',
-            grid: read('--color-border') || 'rgba(0,0,0,0.08)',
-            arrow: read('--color-info') || '#626c71',
-            canvasSurface: read('--color-surface') || '#ffffff'
+    importSheets(sheets, fileName) {
+        const usable = sheets.filter(sheet => sheet.rows.some(row => row.some(cell => String(cell).trim())));
+        // A lone CSV of the Nodes table is recognised by its header rather than its name.
+        const isNodeTable = sheet => {
+            const header = (sheet.rows[0] || []).map(h => String(h).trim().toLowerCase());
+            return sheet.name.toLowerCase() === 'nodes' || (header.includes('type') && header.includes('label') && !header.includes('from'));
         };
-        this.penColor = this.themeColors.text || '#000000';
-        if (!this.copySettings.backgroundColor) this.copySettings.backgroundColor = this.themeColors.canvasSurface;
+        if (usable.some(isNodeTable)) {
+            this.importDiagramTables(usable.map(sheet => isNodeTable(sheet) ? { ...sheet, name: 'Nodes' } : sheet), fileName);
+            return;
+        }
+        const flows = usable.find(sheet => /^(flows|edges|connections)$/i.test(sheet.name)) || usable[0];
+        if (!flows) {
+            this.showStatus(`${fileName} is empty`, 'warning');
+            return;
+        }
+        this.importEdgeList(flows.rows, fileName);
     }
 
-    getThemeColorsForScheme(scheme = 'light') {
-        const el = document.documentElement;
-        const prev = el.getAttribute('data-color-scheme');
-        try {
-            el.setAttribute('data-color-scheme', scheme);
-            const s = getComputedStyle(document.documentElement);
-            const read = (name) => s.getPropertyValue(name).trim() || null;
-            const colors = {
-                primary: read('--color-primary') || '#1fb8cd',
-                primaryText: read('--color-btn-primary-text') || '#FFFFFF',
-                nodeMaterialFill: read('--color-success') || '#1fb8cd',
-                nodeActivityFill: read('--color-warning') || '#ffc185',
-                nodeMaterialStroke: read('--color-primary') || '#127681',
-                nodeActivityStroke: read('--color-error') || '#b4413c',
-                text: read('--color-text') || '#13343b',
-                textSecondary: read('--color-text-secondary') || '#626c71',
-                grid: read('--color-border') || 'rgba(0,0,0,0.08)',
-                arrow: read('--color-info') || '#626c71',
-                canvasSurface: read('--color-surface') || '#ffffff'
+    // Rebuilds a diagram from the Nodes / Flows / Locations tables written by getDiagramTables.
+    importDiagramTables(sheets, fileName) {
+        const camel = key => key.replace(/_([a-z0-9])/g, (_, ch) => ch.toUpperCase());
+        const find = name => sheets.find(sheet => sheet.name.toLowerCase() === name);
+        const nodeSheet = find('nodes'), flowSheet = find('flows'), locationSheet = find('locations');
+        const schemaKeys = new Set(Object.values(NODE_ATTRIBUTE_FIELDS).flat().map(f => f.key));
+        const numberKeys = new Set(Object.values(NODE_ATTRIBUTE_FIELDS).flat().filter(f => f.type === 'number').map(f => f.key));
+        const flowNumberKeys = new Set(Object.values(CONNECTION_ATTRIBUTE_FIELDS).flat().filter(f => f.type === 'number').map(f => f.key));
+        const toNumber = value => {
+            const text = String(value).trim();
+            return text !== '' && !isNaN(Number(text)) ? Number(text) : null;
+        };
+        const rejected = [];
+
+        const nodes = [];
+        const nodeCore = ['id', 'type', 'label', 'x', 'y', 'location_id', 'width', 'height', 'font_size', ...INVENTORY_POLICY_COLUMNS.map(p => p.column)];
+        const nodeHeader = (nodeSheet.rows[0] || []).map(h => String(h).trim().toLowerCase());
+        const nodeColumn = name => nodeHeader.indexOf(name);
+        nodeSheet.rows.slice(1).forEach((row, index) => {
+            if (!row.some(value => String(value).trim())) return;
+            const get = name => nodeColumn(name) === -1 ? '' : String(row[nodeColumn(name)] === undefined ? '' : row[nodeColumn(name)]).trim();
+            const rawType = get('type').toLowerCase();
+            const type = rawType === 'textbox' ? 'textbox' : this.parseNodeType(rawType);
+            if (!type) return rejected.push({ sheet: 'Nodes', rowNumber: index + 2, reason: `unknown node type "${get('type')}"` });
+            const node = {
+                id: get('id') || `node_import_${index + 1}`, type, shape: this.getNodeShape(type),
+                label: get('label') || (type === 'material' ? 'Material' : type === 'activity' ? 'Activity' : 'Click to edit text'),
+                x: toNumber(get('x')), y: toNumber(get('y'))
             };
-            return colors;
-        } finally {
-            if (prev) el.setAttribute('data-color-scheme', prev);
-            else el.removeAttribute('data-color-scheme');
+            if (nodes.some(n => n.id === node.id)) return rejected.push({ sheet: 'Nodes', rowNumber: index + 2, reason: `duplicate node id ${node.id}` });
+            if (get('location_id')) node.locationId = get('location_id');
+            if (type === 'textbox') {
+                node.fontSize = toNumber(get('font_size')) || 12;
+            } else {
+                node.attributes = {};
+                const ownKeys = NODE_ATTRIBUTE_FIELDS[type].map(f => f.key);
+                nodeHeader.forEach((column, c) => {
+                    if (!column || nodeCore.includes(column)) return;
+                    const key = camel(column);
+                    const value = String(row[c] === undefined ? '' : row[c]).trim();
+                    // Columns of the other node type stay empty; unknown columns only travel when filled.
+                    if (!ownKeys.includes(key) && (schemaKeys.has(key) || value === '')) return;
+                    node.attributes[key] = numberKeys.has(key) ? toNumber(value) : value;
+                });
+            }
+            nodes.push(node);
+        });
+
+        const connections = [];
+        if (flowSheet) {
+            const flowCore = ['from', 'to', 'from_type', 'to_type', 'label', 'routing', 'from_id', 'to_id'];
+            const header = (flowSheet.rows[0] || []).map(h => String(h).trim().toLowerCase());
+            const byId = new Map(nodes.map(n => [n.id, n]));
+            flowSheet.rows.slice(1).forEach((row, index) => {
+                if (!row.some(value => String(value).trim())) return;
+                const rowNumber = index + 2;
+                const get = name => header.indexOf(name) === -1 ? '' : String(row[header.indexOf(name)] === undefined ? '' : row[header.indexOf(name)]).trim();
+                const resolve = (id, label) => {
+                    if (id && byId.has(id)) return byId.get(id);
+                    const matches = nodes.filter(n => n.label.toLowerCase() === label.toLowerCase());
+                    return matches.length === 1 ? matches[0] : null;
+                };
+                const from = resolve(get('from_id'), get('from')), to = resolve(get('to_id'), get('to'));
+                if (!from || !to) return rejected.push({ sheet: 'Flows', rowNumber, reason: `flow ${get('from')} → ${get('to')} does not match a node on the Nodes sheet` });
+                if (!this.canConnect(from, to)) return rejected.push({ sheet: 'Flows', rowNumber, reason: `${from.label} → ${to.label} does not alternate between material and activity` });
+                const conn = { from: from.id, to: to.id, label: get('label') };
+                if (['orthogonal', 'curved'].includes(get('routing'))) conn.routing = get('routing');
+                header.forEach((column, c) => {
+                    if (!column || flowCore.includes(column)) return;
+                    const key = camel(column), value = String(row[c] === undefined ? '' : row[c]).trim();
+                    if (value === '') return;
+                    if (!flowNumberKeys.has(key)) conn[key] = value;
+                    else if (toNumber(value) !== null) conn[key] = toNumber(value);
+                });
+                connections.push(conn);
+            });
         }
-    }
 
-    generateFromNL() {
-        const input = document.getElementById('nlInput').value.trim();
-        if (!input) {
-            this.showStatus('Please enter a description first!', 'warning');
+        let laneOrientation = 'vertical';
+        const locations = [];
+        if (locationSheet) {
+            const header = (locationSheet.rows[0] || []).map(h => String(h).trim().toLowerCase());
+            locationSheet.rows.slice(1).forEach((row, index) => {
+                const get = name => header.indexOf(name) === -1 ? '' : String(row[header.indexOf(name)] === undefined ? '' : row[header.indexOf(name)]).trim();
+                if (!get('name') && !get('id')) return;
+                const lane = {
+                    id: get('id') || `lane_import_${index + 1}`, name: get('name') || 'Location',
+                    kind: LOCATION_KINDS.some(k => k.value === get('kind')) ? get('kind') : 'other',
+                    x: toNumber(get('x')), y: toNumber(get('y')), width: toNumber(get('width')), height: toNumber(get('height'))
+                };
+                if ([lane.x, lane.y, lane.width, lane.height].some(v => v === null)) {
+                    return rejected.push({ sheet: 'Locations', rowNumber: index + 2, reason: `location ${lane.name} has no position or size` });
+                }
+                if (get('orientation') === 'horizontal') laneOrientation = 'horizontal';
+                locations.push(lane);
+            });
+        }
+
+        if (nodes.length === 0) {
+            this.showImportReport(fileName, 'The Nodes sheet has no usable rows.', rejected);
             return;
         }
+        const unplaced = nodes.filter(n => n.x === null || n.y === null);
+        unplaced.forEach(n => { n.x = 0; n.y = 0; });
+        this.applyDiagramData({ nodes, connections, locations, laneOrientation });
+        if (unplaced.length > 0) this.applyLayeredLayout(this.nodes.filter(n => n.type !== 'textbox'), true);
+        this.saveState(`Imported ${fileName}`);
+        this.resetZoom();
 
-        this.saveState();
-        this.nodes = [];
-        this.connections = [];
-        this.selectedNodes = [];
-        this.selectedStrokes = [];
-        this.freehandStrokes = [];
-        this.connectingFrom = null;
-        this.nodeCounter = 0;
+        const summary = `Imported ${this.describeItems(nodes.length)}, ${connections.length} flow${connections.length === 1 ? '' : 's'} and ${locations.length} location${locations.length === 1 ? '' : 's'} from ${fileName}.`;
+        if (rejected.length > 0) this.showImportReport(fileName, summary, rejected);
+        else this.showStatus(summary, 'success');
+    }
 
-        const result = this.nlpParser.parse(input);
-        if (!result || result.length === 0) {
-            this.showStatus('Could not understand the description. Please try different wording.', 'error');
-            this.undo();
+    // Builds a fresh diagram from an edge list. Rows are checked against canConnect; node types
+    // come from the type columns, else from the node on the other end, else from the name.
+    importEdgeList(rows, fileName) {
+        const columns = this.getTableColumns(rows[0] || [], {
+            from: ['from', 'source', 'from_node', 'from_name', 'upstream'],
+            to: ['to', 'target', 'to_node', 'to_name', 'downstream'],
+            fromType: ['from_type', 'source_type', 'upstream_type'],
+            toType: ['to_type', 'target_type', 'downstream_type'],
+            label: ['label', 'flow', 'flow_label', 'description']
+        });
+        if (columns.from === -1 || columns.to === -1) {
+            this.showStatus('The first row needs "from" and "to" column headers', 'error');
             return;
         }
 
-        if (result[0].source && result[0].destination) {
-            this.buildDiagramFromSteps(result);
-        } else {
-            this.buildDiagramFromTokens(result);
+        const cell = (row, index) => index === -1 ? '' : String(row[index] === undefined ? '' : row[index]).trim();
+        const named = new Map();
+        const flows = [];
+        const rejected = [];
+        const getNode = name => {
+            const key = name.toLowerCase();
+            if (!named.has(key)) named.set(key, { id: key, name, type: null });
+            return named.get(key);
+        };
+
+        rows.slice(1).forEach((row, index) => {
+            const rowNumber = index + 2;
+            if (!row.some(value => String(value).trim())) return;
+            const fromName = cell(row, columns.from), toName = cell(row, columns.to);
+            if (!fromName || !toName) return rejected.push({ rowNumber, reason: 'missing from or to' });
+            if (fromName.toLowerCase() === toName.toLowerCase()) return rejected.push({ rowNumber, reason: `${fromName} connects to itself` });
+
+            const fromType = this.parseNodeType(cell(row, columns.fromType));
+            const toType = this.parseNodeType(cell(row, columns.toType));
+            if (fromType === undefined || toType === undefined) {
+                const bad = fromType === undefined ? cell(row, columns.fromType) : cell(row, columns.toType);
+                return rejected.push({ rowNumber, reason: `unknown type "${bad}" (use material or activity)` });
+            }
+            const from = getNode(fromName), to = getNode(toName);
+            const conflict = [[from, fromType], [to, toType]].find(([node, type]) => type && node.type && node.type !== type);
+            if (conflict) return rejected.push({ rowNumber, reason: `${conflict[0].name} was already imported as ${conflict[0].type === 'material' ? 'a material' : 'an activity'}` });
+            if (fromType) from.type = fromType;
+            if (toType) to.type = toType;
+            if (flows.some(f => f.from === from && f.to === to)) return rejected.push({ rowNumber, reason: `duplicate flow ${fromName} → ${toName}` });
+            flows.push({ rowNumber, from, to, label: cell(row, columns.label) });
+        });
+
+        this.buildImportedDiagram([...named.values()], flows, rejected, fileName);
+    }
+
+    // Replaces the diagram with a Mermaid flowchart or DOT graph. Markdown is searched for the
+    // first fenced mermaid or dot block, so a README can be loaded as it is.
+    importDiagramText(source, fileName) {
+        const fence = /```\s*(mermaid|dot|graphviz|gv)\b[^\n]*\n([\s\S]*?)```/i.exec(source);
+        const text = fence ? fence[2] : source;
+        const uncommented = text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^\s*(\/\/|#).*$/gm, '');
+        const isDot = fence ? !/^mermaid$/i.test(fence[1]) : /^\s*(strict\s+)?(di)?graph\s*(\w+|"[^"]*")?\s*\{/i.test(uncommented);
+        let graph;
+        try {
+            graph = isDot ? DotGraph.parse(text) : MermaidFlowchart.parse(text);
+        } catch (error) {
+            this.showStatus(`Could not read ${fileName} as ${isDot ? 'DOT' : 'Mermaid'}: ${error.message}`, 'error');
+            return;
         }
 
-        this.queueRender();
-        this.showStatus('Diagram generated from description!', 'success');
-        document.getElementById('nlInput').value = '';
+        const connected = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+        const entries = new Map(graph.nodes.map(node => {
+            // Plain boxes are ambiguous: on their own they are notes, in the flow they take a type from their neighbours.
+            const type = node.shape === 'box' ? (connected.has(node.id) ? null : 'textbox') : node.shape;
+            return [node.id, { id: node.id, name: node.label || node.id, type, standalone: true }];
+        }));
+        const rejected = graph.problems.map(problem => ({ rowNumber: problem.line, reason: problem.reason }));
+        const flows = [];
+        graph.edges.forEach(edge => {
+            const from = entries.get(edge.from), to = entries.get(edge.to);
+            if (edge.from === edge.to) return rejected.push({ rowNumber: edge.line, reason: `${from.name} connects to itself` });
+            if (flows.some(f => f.from === from && f.to === to)) return rejected.push({ rowNumber: edge.line, reason: `duplicate flow ${from.name} → ${to.name}` });
+            flows.push({ rowNumber: edge.line, from, to, label: edge.label });
+        });
+        this.buildImportedDiagram([...entries.values()], flows, rejected, fileName, 'line');
+    }
+
+    importDrawio(text, fileName) {
+        DrawioFile.read(text)
+            .then(page => this.applyDrawioPage(page, fileName))
+            .catch(error => {
+                console.error('draw.io import failed:', error);
+                this.showStatus(`Could not read ${fileName}: ${error.message}`, 'error');
+            });
     }
 
-    buildDiagramFromSteps(steps) {
-        let lastNode = null;
-        let currentX = 150;
-        const xIncrement = 250;
-        const yPos = 250;
+    // Triangles become materials, ellipses activities, rectangles and text text boxes, and
+    // swimlanes location lanes. Everything else is listed in the import report.
+    applyDrawioPage(page, fileName) {
+        const skipped = [];
+        const nodes = [];
+        const connections = [];
+        const locations = [];
+        const nodeOf = new Map();
+        const edgeLabels = new Map();
+        const types = { triangle: 'material', ellipse: 'activity', doubleEllipse: 'activity', rectangle: 'textbox', rect: 'textbox', text: 'textbox', label: 'textbox' };
+        const defaultLabels = { material: 'Material', activity: 'Activity' };
+        let horizontalLanes = 0;
+
+        page.cells.forEach(cell => {
+            if (cell.vertex && cell.style.name === 'edgeLabel') edgeLabels.set(cell.parent, DrawioFile.cellText(cell));
+        });
+        page.cells.filter(cell => cell.vertex && cell.style.name !== 'edgeLabel' && cell.style.name !== 'group').forEach(cell => {
+            const label = DrawioFile.cellText(cell);
+            const name = label ? `"${label.replace(/\s+/g, ' ')}"` : `Cell ${cell.id}`;
+            const shape = cell.style.shape || cell.style.name || 'rectangle';
+            const bounds = cell.bounds;
+            if (!bounds) return skipped.push({ reason: `${name} has no position` });
+            if (shape === 'swimlane') {
+                const kind = LOCATION_KINDS.some(k => k.value === cell.style.locationKind) ? cell.style.locationKind : 'other';
+                locations.push({ id: `loc_${Date.now()}_${locations.length + 1}`, name: label || this.getLaneKindLabel(kind), kind, ...bounds });
+                if (cell.style.horizontal === '0') horizontalLanes++;
+                return;
+            }
+            const type = types[shape];
+            if (!type) return skipped.push({ reason: `${name} is a ${shape} shape, which has no matching node type` });
+            if (type === 'textbox' && !label) return skipped.push({ reason: `An empty ${shape} was left out` });
+            const node = { id: `node_${nodes.length + 1}`, type, shape: this.getNodeShape(type), label: type === 'textbox' ? label : label.replace(/\s*\n\s*/g, ' ') || defaultLabels[type], x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+            if (type === 'textbox') node.fontSize = Number(cell.style.fontSize) || 12;
+            nodeOf.set(cell.id, node);
+            nodes.push(node);
+        });
 
-        for (const step of steps) {
-            const sourceLabel = `${step.material}\nat ${step.source}`;
-            const sourceNode = this.addNode('material', currentX, yPos, sourceLabel);
+        page.cells.filter(cell => cell.edge).forEach(cell => {
+            const from = nodeOf.get(cell.source), to = nodeOf.get(cell.target);
+            const label = (DrawioFile.cellText(cell) || edgeLabels.get(cell.id) || '').replace(/\s*\n\s*/g, ' ');
+            const name = label ? `Connector "${label}"` : 'A connector';
+            if (!from || !to) return skipped.push({ reason: `${name} is not attached to imported shapes at both ends` });
+            if (from === to) return skipped.push({ reason: `${name} loops from ${from.label} back to itself` });
+            if (!this.canConnect(from, to)) return skipped.push({ reason: `${name} joins ${from.label} and ${to.label}, which are both ${from.type === 'material' ? 'materials' : 'activities'}` });
+            if (connections.some(c => c.from === from.id && c.to === to.id)) return skipped.push({ reason: `${name} repeats the flow ${from.label} → ${to.label}` });
+            const connection = { from: from.id, to: to.id, label };
+            if (cell.style.curved === '1') connection.routing = 'curved';
+            else if (/^(orthogonal|elbow|entityRelation)EdgeStyle$/.test(cell.style.edgeStyle || '')) connection.routing = 'orthogonal';
+            connections.push(connection);
+        });
+        if (page.pages > 1) skipped.push({ reason: `Only the first page${page.name ? ` (${page.name})` : ''} was imported; ${page.pages - 1} other page${page.pages === 2 ? ' was' : 's were'} left out` });
 
-            if (lastNode) {
-                this.createConnectionDirect(lastNode, sourceNode);
-            }
+        if (nodes.length === 0) {
+            this.showImportReport(fileName, 'No shapes could be imported.', skipped, 'item');
+            return;
+        }
+        this.applyDiagramData({ nodes, connections, locations, laneOrientation: horizontalLanes > locations.length / 2 ? 'horizontal' : 'vertical' });
+        this.saveState(`Imported ${fileName}`);
+        this.resetZoom();
 
-            currentX += xIncrement;
-            const activityNode = this.addNode('activity', currentX, yPos, step.activity);
-            this.createConnectionDirect(sourceNode, activityNode);
+        const summary = `Imported ${this.describeItems(nodes.length)}, ${connections.length} flow${connections.length === 1 ? '' : 's'} and ${locations.length} location${locations.length === 1 ? '' : 's'} from ${fileName}.`;
+        if (skipped.length > 0) this.showImportReport(fileName, summary, skipped, 'item');
+        else this.showStatus(summary, 'success');
+    }
 
-            currentX += xIncrement;
-            const destLabel = `${step.material}\nat ${step.destination}`;
-            const destNode = this.addNode('material', currentX, yPos, destLabel);
-            this.createConnectionDirect(activityNode, destNode);
+    // Shared by the edge-list and text imports. Entries are { name, type } with type material,
+    // activity, textbox or null; flows are { rowNumber, from, to, label } between entries.
+    // Standalone entries are kept even when none of their flows survive.
+    buildImportedDiagram(entries, flows, rejected, fileName, unit = 'row') {
+        const typed = entries.filter(entry => entry.type !== 'textbox');
+        this.inferImportedTypes(typed, flows.filter(flow => typed.includes(flow.from) && typed.includes(flow.to)));
+
+        const nodes = [];
+        const connections = [];
+        const idOf = new Map();
+        const addNode = entry => {
+            if (idOf.has(entry)) return;
+            const node = { id: `node_${nodes.length + 1}`, type: entry.type, shape: this.getNodeShape(entry.type), label: entry.name, x: 0, y: 0 };
+            if (entry.type === 'textbox') node.fontSize = 12;
+            idOf.set(entry, node.id);
+            nodes.push(node);
+        };
+        entries.filter(entry => entry.standalone).forEach(addNode);
+        flows.forEach(flow => {
+            if (!this.canConnect(flow.from, flow.to)) {
+                const kind = flow.from.type === 'material' ? 'materials' : 'activities';
+                rejected.push({ rowNumber: flow.rowNumber, reason: `${flow.from.name} and ${flow.to.name} are both ${kind}; flows must alternate between materials and activities` });
+                return;
+            }
+            [flow.from, flow.to].forEach(addNode);
+            connections.push({ from: idOf.get(flow.from), to: idOf.get(flow.to), label: flow.label });
+        });
+        rejected.sort((a, b) => a.rowNumber - b.rowNumber);
 
-            lastNode = destNode;
+        if (nodes.length === 0) {
+            this.showImportReport(fileName, 'No flows could be imported.', rejected, unit);
+            return;
         }
+        this.applyDiagramData({ nodes, connections, nodeCounter: nodes.length });
+        const laidOut = this.nodes.filter(n => n.type !== 'textbox');
+        this.layoutFlowNodes(laidOut);
+        // Text boxes are not part of the flow, so they go in a row underneath it.
+        let x = 100;
+        const y = laidOut.length > 0 ? Math.max(...laidOut.map(n => n.y)) + 120 : 100;
+        this.nodes.filter(n => n.type === 'textbox').forEach(n => {
+            n.x = x + n.width / 2;
+            n.y = y + n.height / 2;
+            x += n.width + 40;
+        });
+        this.saveState(`Imported ${fileName}`);
+        this.resetZoom();
+
+        const summary = `Imported ${this.describeItems(nodes.length)} and ${connections.length} flow${connections.length === 1 ? '' : 's'} from ${fileName}.`;
+        if (rejected.length > 0) this.showImportReport(fileName, summary, rejected, unit);
+        else this.showStatus(summary, 'success');
     }
 
-    buildDiagramFromTokens(tokens) {
-        let lastNodes = [];
-        let lastNodeType = null;
-        let currentX = 150;
-        const xIncrement = 200;
-        const yStart = 250;
-        const ySpacing = 120;
+    // Layered layout for freshly built diagrams. Layout keeps the old origin, so the result is
+    // moved into the top-left of the default view.
+    layoutFlowNodes(nodes) {
+        if (nodes.length === 0) return;
+        this.applyLayeredLayout(nodes, true);
+        const left = Math.min(...nodes.map(n => n.x)), top = Math.min(...nodes.map(n => n.y));
+        nodes.forEach(n => { n.x += 100 - left; n.y += 100 - top; });
+    }
 
-        for (const token of tokens) {
-            if (lastNodeType && token.type === lastNodeType) {
-                console.warn(`Skipping token of type '${token.type}' to enforce alternating pattern.`);
-                continue;
+    // Untyped names take the opposite type of a typed neighbour; isolated groups fall back to
+    // the activity vocabulary of the description parser, then to material.
+    inferImportedTypes(entries, flows) {
+        const neighbours = new Map(entries.map(entry => [entry, []]));
+        flows.forEach(flow => {
+            neighbours.get(flow.from).push(flow.to);
+            neighbours.get(flow.to).push(flow.from);
+        });
+        const opposite = type => type === 'material' ? 'activity' : 'material';
+        const spread = start => {
+            const queue = [start];
+            while (queue.length) {
+                const entry = queue.shift();
+                neighbours.get(entry).forEach(next => {
+                    if (next.type) return;
+                    next.type = opposite(entry.type);
+                    queue.push(next);
+                });
             }
+        };
+        entries.filter(entry => entry.type).forEach(spread);
+        entries.filter(entry => !entry.type).forEach(entry => {
+            if (entry.type) return;
+            const name = entry.name.toLowerCase();
+            entry.type = this.nlpParser.activityKeywords.some(keyword => name.includes(keyword)) ? 'activity' : 'material';
+            spread(entry);
+        });
+    }
 
-            const newNodes = [];
-            const yOffset = (token.quantity - 1) * ySpacing / 2;
+    showImportReport(fileName, summary, rejected, unit = 'row') {
+        const modal = document.getElementById('importReportModal');
+        const list = document.getElementById('importRejectedList');
+        if (!modal || !list) return;
+        document.getElementById('importSummary').textContent = rejected.length > 0
+            ? `${summary} ${rejected.length} ${unit}${rejected.length === 1 ? ' was' : 's were'} skipped:`
+            : summary;
+        list.innerHTML = '';
+        rejected.forEach(item => {
+            const li = document.createElement('li');
+            if (item.rowNumber === undefined) li.textContent = item.reason;
+            else li.textContent = `${item.sheet ? `${item.sheet} row` : unit[0].toUpperCase() + unit.slice(1)} ${item.rowNumber}: ${item.reason}`;
+            list.appendChild(li);
+        });
+        modal.classList.remove('hidden');
+        this.showStatus(`${fileName}: ${rejected.length} ${unit}(s) skipped`, rejected.length > 0 ? 'warning' : 'info');
+    }
 
-            for (let i = 0; i < token.quantity; i++) {
-                const yPos = yStart + (i * ySpacing) - yOffset;
-                const label = token.quantity > 1 ? `${token.label} ${i + 1}` : token.label;
-                const newNode = this.addNode(token.type, currentX, yPos, label);
-                newNodes.push(newNode);
+    // Replaces the model with saved diagram data (file load or session restore).
+    applyDiagramData(data) {
+        this.nodes = data.nodes || [];
+        this.connections = data.connections || [];
+        this.freehandStrokes = data.freehandStrokes || []; // FIX: Load strokes
+        this.locations = data.locations || [];
+        this.laneOrientation = data.laneOrientation || 'vertical';
+        this.selectedLane = null;
+        this.updateLaneControls();
+
+        let maxId = 0;
+        this.nodes.forEach(node => {
+            if (node.id && node.id.startsWith('node_')) {
+                const num = parseInt(node.id.split('_')[1], 10);
+                if (!isNaN(num) && num > maxId) {
+                    maxId = num;
+                }
             }
+        });
+        this.nodeCounter = Math.max(maxId, data.nodeCounter || 0);
 
-            if (lastNodes.length > 0) {
-                for (const fromNode of lastNodes) {
-                    for (const toNode of newNodes) {
-                         if (this.canConnect(fromNode, toNode)) {
-                            this.createConnectionDirect(fromNode, toNode);
-                         }
-                    }
-                }
+        this.nodes.forEach(n => {
+            if (n.type === 'textbox') {
+                n.fontSize = n.fontSize || 12;
+                const dims = this.computeTextBoxDimensions(n.label || 'Click to edit text', n.fontSize);
+                n.width = dims.width;
+                n.height = dims.height;
             }
+            this.normalizeNodeAttributes(n);
+        });
+        this.selectedNodes = [];
+        this.selectedStrokes = [];
+        this.selectedConnection = null;
+        this.selectionBounds = null;
+        this.connectingFrom = null;
+    }
 
-            lastNodes = newNodes;
-            lastNodeType = token.type;
-            currentX += xIncrement;
-        }
+    openPngExportModal() {
+        const modal = document.getElementById('pngExportModal');
+        if (!modal) return;
+        let saved = {};
+        try { saved = JSON.parse(localStorage.getItem('scc-png-export')) || {}; } catch (e) { saved = {}; }
+        const hasSelection = this.selectedNodes.length > 0 || this.selectedStrokes.length > 0;
+
+        const scope = document.getElementById('pngScope');
+        scope.querySelector('option[value="selection"]').disabled = !hasSelection;
+        scope.value = hasSelection && saved.area === 'selection' ? 'selection' : (saved.area === 'view' ? 'view' : 'content');
+        document.getElementById('pngScale').value = String(saved.scale || 2);
+        document.getElementById('pngBackground').value = saved.background || 'solid';
+        document.getElementById('pngGrid').checked = !!saved.grid;
+        document.getElementById('pngStrokes').checked = saved.strokes !== false;
+        modal.classList.remove('hidden');
     }
 
-    createConnectionDirect(fromNode, toNode) {
-        this.connections.push({ from: fromNode.id, to: toNode.id, label: '' });
+    hidePngExportModal() {
+        const modal = document.getElementById('pngExportModal');
+        if (modal) modal.classList.add('hidden');
     }
 
-    showContextMenu(x, y) {
-        const menu = document.getElementById('contextMenu');
-        const menuWidth = 200, menuHeight = 200;
-        const vpWidth = window.innerWidth, vpHeight = window.innerHeight;
+    readPngExportOptions() {
+        const options = {
+            area: document.getElementById('pngScope').value,
+            scale: Math.min(4, Math.max(1, parseInt(document.getElementById('pngScale').value) || 2)),
+            background: document.getElementById('pngBackground').value,
+            grid: document.getElementById('pngGrid').checked,
+            strokes: document.getElementById('pngStrokes').checked
+        };
+        localStorage.setItem('scc-png-export', JSON.stringify(options));
+        return options;
+    }
 
-        menu.style.left = `${Math.min(x, vpWidth - menuWidth)}px`;
-        menu.style.top = `${Math.min(y, vpHeight - menuHeight)}px`;
-        menu.classList.remove('hidden');
+    // World-space rectangle currently visible on screen.
+    getViewBounds() {
+        return {
+            x: -this.camera.x / this.camera.zoom,
+            y: -this.camera.y / this.camera.zoom,
+            width: this.canvas.width / this.camera.zoom,
+            height: this.canvas.height / this.camera.zoom
+        };
+    }
 
-        const singleItems = menu.querySelectorAll('.single-node-item');
-        const multiItems = menu.querySelectorAll('.multi-node-item');
-        const copyForExcel = document.getElementById('copyForExcel');
-        const copySelection = document.getElementById('copySelection');
-        const pasteSelection = document.getElementById('pasteSelection');
-        const deleteConnection = document.getElementById('deleteConnection');
+    exportPNG(options = {}) {
+        const { area = 'content', scale = 2, background = 'solid', grid = false, strokes = true } = options;
+        const scope = this.getExportScope(area === 'selection');
+        if (!scope) {
+            this.showStatus(area === 'selection' ? 'No elements selected to export' : 'Nothing to export yet', 'warning');
+            return;
+        }
 
-        if (this.selectedNodes.length > 1) {
-            singleItems.forEach(item => item.style.display = 'none');
-            multiItems.forEach(item => item.style.display = 'block');
-            if (copyForExcel) copyForExcel.style.display = 'block';
-            if (copySelection) copySelection.style.display = 'block';
-            if (deleteConnection) deleteConnection.style.display = 'none';
-        } else if (this.selectedNodes.length === 1) {
-            singleItems.forEach(item => item.style.display = 'block');
-            multiItems.forEach(item => {
-                if (item.id === 'copyForExcel') {
-                    item.style.display = 'block';
-                } else {
-                    item.style.display = 'none';
-                }
-            });
+        // The view keeps the on-screen zoom; the other areas are drawn at 1:1 world units.
+        const bounds = area === 'view' ? this.getViewBounds() : this.getContentBounds(scope, 20);
+        let pixelsPerUnit = scale * (area === 'view' ? this.camera.zoom : 1);
+        const maxSide = 16384;
+        const largest = Math.max(bounds.width, bounds.height) * pixelsPerUnit;
+        if (largest > maxSide) pixelsPerUnit *= maxSide / largest;
 
-            if (copySelection) copySelection.style.display = 'block';
-            if (deleteConnection) deleteConnection.style.display = 'none';
+        const exportColors = this.getThemeColorsForScheme('light') || this.themeColors || {};
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = Math.max(1, Math.floor(bounds.width * pixelsPerUnit));
+        tempCanvas.height = Math.max(1, Math.floor(bounds.height * pixelsPerUnit));
+        const tctx = tempCanvas.getContext('2d');
 
-            const matItem = document.getElementById('addConnectedMaterial');
-            const actItem = document.getElementById('addConnectedActivity');
-            if (this.contextMenuNode) {
-                matItem.style.display = this.contextMenuNode.type === 'activity' ? 'block' : 'none';
-                actItem.style.display = this.contextMenuNode.type === 'material' ? 'block' : 'none';
-            }
-        } else {
-            singleItems.forEach(item => item.style.display = 'none');
-            multiItems.forEach(item => item.style.display = 'none');
-            if (copyForExcel) copyForExcel.style.display = 'none';
-            if (copySelection) copySelection.style.display = 'none';
-            if (deleteConnection) deleteConnection.style.display = 'none';
-            const clip = this.internalClipboard || this.stateManager.clipboard;
-            if (pasteSelection) {
-                pasteSelection.style.display = 'block';
-                if (clip && clip.nodes && clip.nodes.length > 0) pasteSelection.classList.remove('disabled');
-                else pasteSelection.classList.add('disabled');
-            }
+        if (background === 'solid') {
+            tctx.fillStyle = exportColors.canvasSurface || '#ffffff';
+            tctx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
         }
+        tctx.scale(pixelsPerUnit, pixelsPerUnit);
+        tctx.translate(-bounds.x, -bounds.y);
+        this.drawExportScene(tctx, scope, exportColors, { grid, strokes, area: bounds });
 
-        if (this.contextMenuConnection) {
-            singleItems.forEach(item => item.style.display = 'none');
-            multiItems.forEach(item => item.style.display = 'none');
-            if (copySelection) copySelection.style.display = 'none';
-            if (copyForExcel) copyForExcel.style.display = 'none';
-            if (deleteConnection) deleteConnection.style.display = 'block';
-            if (pasteSelection) pasteSelection.style.display = 'none';
-        }
+        tempCanvas.toBlob(blob => {
+            if (!blob) {
+                this.showStatus('Failed to export PNG', 'error');
+                return;
+            }
+            this.downloadBlob(blob, this.getExportFileName('png'));
+            this.showStatus(`Diagram exported as PNG (${tempCanvas.width}×${tempCanvas.height})!`, 'success');
+        }, 'image/png', 1.0);
     }
 
-    hideContextMenu() {
-        document.getElementById('contextMenu').classList.add('hidden');
-        this.updateCanvasCursor();
+    // Draws an export scope onto a context already transformed to world coordinates.
+    drawExportScene(ctx, scope, colors, options = {}) {
+        if (options.grid) this.drawGridForExport(ctx, colors, options.area);
+        if (scope.lanes.length > 0) this.drawLanesForExport(ctx, colors);
+
+        const obstacles = this.getRouteObstacles();
+        scope.connections.forEach(conn => {
+            const fromNode = this.nodes.find(n => n.id === conn.from);
+            const toNode = this.nodes.find(n => n.id === conn.to);
+            if (fromNode && toNode) this.drawConnectionForExport(ctx, fromNode, toNode, conn, colors, obstacles);
+        });
+        scope.nodes.forEach(node => this.drawNodeForExport(ctx, node, colors));
+
+        if (options.strokes && scope.strokes.length > 0) this.drawStrokesForExport(ctx, scope.strokes, colors);
     }
 
-    addConnectedMaterial() {
-        if (!this.contextMenuNode) return;
-        this.saveState();
-        const base = this.contextMenuNode;
-        const newNode = this.addNode('material', base.x + 150, base.y);
-        if (base.type === 'activity') this.createConnection(base, newNode);
-        this.hideContextMenu();
+    // Strokes go through their own layer, as on screen, so the eraser only removes ink.
+    drawStrokesForExport(ctx, strokes, colors = null) {
+        const theme = colors || this.themeColors || {};
+        const layer = document.createElement('canvas');
+        layer.width = ctx.canvas.width;
+        layer.height = ctx.canvas.height;
+        const lctx = layer.getContext('2d');
+        lctx.setTransform(ctx.getTransform());
+        lctx.lineCap = 'round';
+        lctx.lineJoin = 'round';
+
+        strokes.forEach(stroke => {
+            if (!stroke.points || stroke.points.length === 0) return;
+            lctx.globalCompositeOperation = stroke.tool === 'eraser' ? 'destination-out' : 'source-over';
+            lctx.strokeStyle = stroke.tool === 'eraser' ? 'rgba(0,0,0,1)' : (stroke.color || theme.text || '#000000');
+            lctx.lineWidth = stroke.width || this.penThickness || 4;
+            lctx.beginPath();
+            lctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+            stroke.points.forEach(p => lctx.lineTo(p.x, p.y));
+            lctx.stroke();
+        });
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(layer, 0, 0);
+        ctx.restore();
     }
 
-    addConnectedActivity() {
-        if (!this.contextMenuNode) return;
-        this.saveState();
-        const base = this.contextMenuNode;
-        const newNode = this.addNode('activity', base.x + 150, base.y);
-        if (base.type === 'material') this.createConnection(base, newNode);
-        this.hideContextMenu();
+    openPdfExportModal() {
+        const modal = document.getElementById('pdfExportModal');
+        if (!modal) return;
+        let saved = {};
+        try { saved = JSON.parse(localStorage.getItem('scc-pdf-export')) || {}; } catch (e) { saved = {}; }
+        document.getElementById('pdfPaper').value = saved.paper || 'a4';
+        document.getElementById('pdfOrientation').value = saved.orientation || 'landscape';
+        document.getElementById('pdfFit').checked = !!saved.fit;
+        document.getElementById('pdfTitle').value = saved.title || 'Supply Chain Network';
+        document.getElementById('pdfAuthor').value = saved.author || '';
+        document.getElementById('pdfRevision').value = saved.revision || 'A';
+        document.getElementById('pdfDate').value = new Date().toISOString().split('T')[0];
+        modal.classList.remove('hidden');
     }
 
-    editLabel() {
-        if (this.contextMenuNode) {
-            this.enterLabelEditMode(this.contextMenuNode);
-            this.hideContextMenu();
-            return;
-        }
-        if (this.contextMenuConnection) {
-            this.enterConnectionEditMode(this.contextMenuConnection);
-            this.hideContextMenu();
-            return;
-        }
+    hidePdfExportModal() {
+        const modal = document.getElementById('pdfExportModal');
+        if (modal) modal.classList.add('hidden');
     }
 
-    saveEdit() {
-        if (this.editingNode) {
-            const input = document.getElementById('editInput');
-            const newContent = input.value.trim();
-            const finalContent = newContent === '' ? 'Click to edit text' : newContent;
-            if (this.editingNode.type === 'textbox') {
-                const fontSize = this.editingNode.fontSize || 12;
-                const dims = this.computeTextBoxDimensions(finalContent, fontSize);
-                this.saveState();
-                this.editingNode.label = finalContent;
-                this.editingNode.width = dims.width;
-                this.editingNode.height = dims.height;
-                this.showStatus(`Updated content`, 'success');
-                this.queueRender();
-            } else {
-                if (finalContent) {
-                    this.saveState();
-                    this.editingNode.label = finalContent;
-                    this.showStatus(`Updated content`, 'success');
-                    this.queueRender();
-                }
-            }
-            if (this._editInputHandler) {
-                input.removeEventListener('input', this._editInputHandler);
-                this._editInputHandler = null;
-            }
+    readPdfExportOptions() {
+        const options = {
+            paper: document.getElementById('pdfPaper').value,
+            orientation: document.getElementById('pdfOrientation').value,
+            fit: document.getElementById('pdfFit').checked,
+            title: document.getElementById('pdfTitle').value.trim(),
+            author: document.getElementById('pdfAuthor').value.trim(),
+            revision: document.getElementById('pdfRevision').value.trim(),
+            date: document.getElementById('pdfDate').value
+        };
+        const { date, ...remembered } = options;
+        localStorage.setItem('scc-pdf-export', JSON.stringify(remembered));
+        return options;
+    }
+
+    // Tiles the diagram at print size (96 px per inch) across as many sheets as it needs, or scales
+    // it onto one sheet. Adjacent sheets share a strip of PDF_OVERLAP points for gluing.
+    exportPDF(options = {}) {
+        const scope = this.getExportScope(false);
+        if (!scope) {
+            this.showStatus('Nothing to export yet', 'warning');
+            return;
         }
-        else if (this.editingConnection) {
-            const input = document.getElementById('editInput');
-            const newContent = input.value.trim();
-            this.saveState();
-            this.editingConnection.label = newContent;
-            this.showStatus('Updated connection label', 'success');
-            this.queueRender();
+        const paper = PDF_PAPER_SIZES[options.paper] || PDF_PAPER_SIZES.a4;
+        const [pageWidth, pageHeight] = options.orientation === 'portrait'
+            ? [Math.min(...paper), Math.max(...paper)] : [Math.max(...paper), Math.min(...paper)];
+        const margin = 28, titleHeight = 46, gap = 8;
+        const area = { x: margin, y: margin, width: pageWidth - margin * 2, height: pageHeight - margin * 2 - titleHeight - gap };
+
+        const bounds = this.getContentBounds(scope, 10);
+        const scale = options.fit ? Math.min(area.width / bounds.width, area.height / bounds.height, 1.5) : 0.75;
+        const step = { x: area.width - PDF_OVERLAP, y: area.height - PDF_OVERLAP };
+        const columns = options.fit ? 1 : Math.max(1, Math.ceil((bounds.width * scale - PDF_OVERLAP) / step.x));
+        const rows = options.fit ? 1 : Math.max(1, Math.ceil((bounds.height * scale - PDF_OVERLAP) / step.y));
+
+        const doc = new PdfDocument();
+        const colors = this.getThemeColorsForScheme('light') || {};
+        const measure = this.getMeasureContext();
+        const runs = this.getVisibleStrokeRuns(scope.strokes);
+        const total = rows * columns;
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const originX = bounds.x + column * step.x / scale;
+                const originY = bounds.y + row * step.y / scale;
+                const page = new PdfCanvasContext(doc, measure, [1, 0, 0, -1, 0, pageHeight]);
+                const scene = new PdfCanvasContext(doc, measure,
+                    [scale, 0, 0, -scale, area.x - originX * scale, pageHeight - area.y + originY * scale]);
+
+                this.drawExportScene(scene, scope, colors, { strokes: false });
+                runs.forEach(run => {
+                    scene.save();
+                    scene.strokeStyle = run.color || colors.text || '#000000';
+                    scene.lineWidth = run.width;
+                    scene.lineCap = 'round';
+                    scene.lineJoin = 'round';
+                    scene.beginPath();
+                    scene.moveTo(run.points[0].x, run.points[0].y);
+                    run.points.forEach(p => scene.lineTo(p.x, p.y));
+                    scene.stroke();
+                    scene.restore();
+                });
+                page.pushClip(area.x, area.y, area.width, area.height);
+                page.ops.push(scene.toString());
+                page.popClip();
+
+                if (total > 1) this.drawPdfOverlapMarks(page, area, row, column, rows, columns);
+                this.drawPdfTitleBlock(page, { x: margin, y: pageHeight - margin - titleHeight, width: area.width, height: titleHeight },
+                    options, `${row * columns + column + 1} of ${total}`);
+                doc.addPage(pageWidth, pageHeight, page.toString());
+            }
         }
-        this.cancelEdit();
+
+        const slug = (options.title || '').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+        const fileName = slug ? `${slug}.pdf` : this.getExportFileName('pdf');
+        this.downloadBlob(doc.toBlob(), fileName);
+        this.showStatus(`Diagram exported as PDF (${total} page${total === 1 ? '' : 's'})!`, 'success');
     }
 
-    cancelEdit() {
-        const input = document.getElementById('editInput');
-        if (this._editInputHandler && input) {
-            input.removeEventListener('input', this._editInputHandler);
-            this._editInputHandler = null;
-        }
-        const modal = document.getElementById('editModal');
-        const modalContent = modal ? modal.querySelector('.modal-content') : null;
-        if (modalContent) modalContent.style.minWidth = '';
-        document.getElementById('editModal').classList.add('hidden');
-        this.editingNode = null;
-        this.editingConnection = null;
+    // Dashed lines show where the neighbouring sheet's content starts; corner ticks mark the trim.
+    drawPdfOverlapMarks(ctx, area, row, column, rows, columns) {
+        const right = area.x + area.width, bottom = area.y + area.height;
+        ctx.save();
+        ctx.strokeStyle = '#9aa5a8';
+        ctx.fillStyle = '#9aa5a8';
+        ctx.lineWidth = 0.5;
+        ctx.font = '7px Arial, sans-serif';
+        ctx.setLineDash([3, 3]);
+        const line = (x1, y1, x2, y2) => { ctx.beginPath(); ctx.moveTo(x1, y1); ctx.lineTo(x2, y2); ctx.stroke(); };
+        if (column > 0) line(area.x + PDF_OVERLAP, area.y, area.x + PDF_OVERLAP, bottom);
+        if (column < columns - 1) line(right - PDF_OVERLAP, area.y, right - PDF_OVERLAP, bottom);
+        if (row > 0) line(area.x, area.y + PDF_OVERLAP, right, area.y + PDF_OVERLAP);
+        if (row < rows - 1) line(area.x, bottom - PDF_OVERLAP, right, bottom - PDF_OVERLAP);
+
+        ctx.setLineDash([]);
+        const tick = 8;
+        [[area.x, area.y, -1, -1], [right, area.y, 1, -1], [area.x, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, sx, sy]) => {
+            line(x + sx * 2, y, x + sx * (tick + 2), y);
+            line(x, y + sy * 2, x, y + sy * (tick + 2));
+        });
+
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(`Row ${row + 1} of ${rows}, column ${column + 1} of ${columns}`, area.x + tick + 4, area.y - 2);
+        ctx.restore();
     }
 
-    deleteSelectedNode() {
-        if (this.contextMenuNode) {
-            this.saveState();
-            this.deleteNode(this.contextMenuNode);
-            this.selectedNodes = this.selectedNodes.filter(n => n.id !== this.contextMenuNode.id);
-        }
-        this.contextMenuNode = null;
-        this.hideContextMenu();
+    drawPdfTitleBlock(ctx, box, options, sheet) {
+        const cells = [
+            { caption: 'Diagram', value: options.title || 'Supply Chain Network', width: 0.4 },
+            { caption: 'Author', value: options.author || '—', width: 0.2 },
+            { caption: 'Date', value: options.date || new Date().toISOString().split('T')[0], width: 0.14 },
+            { caption: 'Revision', value: options.revision || '—', width: 0.1 },
+            { caption: 'Sheet', value: sheet, width: 0.16 }
+        ];
+        ctx.save();
+        ctx.strokeStyle = '#13343b';
+        ctx.lineWidth = 0.75;
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.textAlign = 'left';
+        let x = box.x;
+        cells.forEach((cell, i) => {
+            const width = box.width * cell.width;
+            if (i > 0) {
+                ctx.beginPath();
+                ctx.moveTo(x, box.y);
+                ctx.lineTo(x, box.y + box.height);
+                ctx.stroke();
+            }
+            ctx.fillStyle = '#626c71';
+            ctx.font = '7px Arial, sans-serif';
+            ctx.textBaseline = 'top';
+            ctx.fillText(cell.caption.toUpperCase(), x + 6, box.y + 6);
+            ctx.fillStyle = '#13343b';
+            ctx.font = i === 0 ? 'bold 13px Arial, sans-serif' : '10px Arial, sans-serif';
+            ctx.textBaseline = 'bottom';
+            let value = cell.value;
+            while (value.length > 1 && ctx.measureText(value).width > width - 12) value = value.slice(0, -2) + '…';
+            ctx.fillText(value, x + 6, box.y + box.height - 8);
+            x += width;
+        });
+        ctx.restore();
     }
 
-    deleteConnectionFromContext() {
-        if (this.contextMenuConnection) {
-            this.saveState();
-            this.deleteConnection(this.contextMenuConnection);
-            if (this.selectedConnection && this.selectedConnection === this.contextMenuConnection) this.selectedConnection = null;
-            this.contextMenuConnection = null;
-        }
-        this.hideContextMenu();
+    // Vector formats have no destination-out, so eraser strokes are applied by cutting
+    // earlier pen strokes wherever an eraser passed over them.
+    getVisibleStrokeRuns(strokes) {
+        const runs = [];
+        strokes.forEach((stroke, index) => {
+            if (stroke.tool === 'eraser' || !stroke.points || stroke.points.length === 0) return;
+            const erasers = strokes.slice(index + 1).filter(s => s.tool === 'eraser' && s.points && s.points.length);
+            const erased = p => erasers.some(eraser => {
+                const reach = (eraser.width || this.penThickness || 4) / 2;
+                return eraser.points.some(q => (p.x - q.x) ** 2 + (p.y - q.y) ** 2 <= reach * reach);
+            });
+            let run = null;
+            stroke.points.forEach(p => {
+                if (erased(p)) {
+                    run = null;
+                    return;
+                }
+                if (!run) {
+                    run = { color: stroke.color, width: stroke.width || this.penThickness || 4, points: [] };
+                    runs.push(run);
+                }
+                run.points.push(p);
+            });
+        });
+        return runs;
     }
 
-    duplicateSelection() {
-        if (this.selectedNodes.length === 0) return;
-        this.saveState();
-
-        const newNodes = [];
-        const idMap = {};
+    // Flat Nodes / Flows / Locations tables. Flows name their endpoints by label so the sheet
+    // doubles as an edge list; from_id / to_id keep duplicate labels apart on re-import.
+    getDiagramTables() {
+        const snake = key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+        const schemaKeys = [...new Set(Object.values(NODE_ATTRIBUTE_FIELDS).flat().map(field => field.key))];
+        const extraKeys = [...new Set(this.nodes.flatMap(n => Object.keys(n.attributes || {})))].filter(key => !schemaKeys.includes(key)).sort();
+        const attributeKeys = [...schemaKeys, ...extraKeys];
+        const nodeRows = [['id', 'type', 'label', 'x', 'y', 'location_id', 'width', 'height', 'font_size', ...attributeKeys.map(snake), ...INVENTORY_POLICY_COLUMNS.map(p => p.column)]];
+        this.nodes.forEach(n => {
+            const attributes = n.attributes || {};
+            const policy = n.type === 'material' ? this.getInventoryPolicy(n) : {};
+            nodeRows.push([
+                n.id, n.type, n.label, Math.round(n.x), Math.round(n.y), n.locationId || '',
+                n.type === 'textbox' ? n.width : '', n.type === 'textbox' ? n.height : '', n.type === 'textbox' ? n.fontSize : '',
+                ...attributeKeys.map(key => attributes[key] === null || attributes[key] === undefined ? '' : attributes[key]),
+                ...INVENTORY_POLICY_COLUMNS.map(({ key }) => typeof policy[key] === 'number' ? Math.round(policy[key] * 100) / 100 : '')
+            ]);
+        });
 
-        this.selectedNodes.forEach(node => {
-            const newNode = JSON.parse(JSON.stringify(node));
-            newNode.id = `node_${++this.nodeCounter}`;
-            newNode.x += 20;
-            newNode.y += 20;
-            this.nodes.push(newNode);
-            newNodes.push(newNode);
-            idMap[node.id] = newNode.id;
+        const coreFlowKeys = ['from', 'to', 'label', 'routing'];
+        const flowKeys = [...new Set(this.connections.flatMap(c => Object.keys(c)))].filter(key => !coreFlowKeys.includes(key)).sort();
+        const byId = new Map(this.nodes.map(n => [n.id, n]));
+        const flowRows = [['from', 'to', 'from_type', 'to_type', 'label', 'routing', 'from_id', 'to_id', ...flowKeys.map(snake)]];
+        this.connections.forEach(c => {
+            const from = byId.get(c.from), to = byId.get(c.to);
+            if (!from || !to) return;
+            flowRows.push([from.label, to.label, from.type, to.type, c.label || '', c.routing || 'straight', c.from, c.to,
+                ...flowKeys.map(key => c[key] === null || c[key] === undefined ? '' : c[key])]);
         });
 
-        this.connections.forEach(conn => {
-            if (idMap[conn.from] && idMap[conn.to]) {
-                this.connections.push({ from: idMap[conn.from], to: idMap[conn.to], label: conn.label || '' });
-            }
+        const locationRows = [['id', 'name', 'kind', 'x', 'y', 'width', 'height', 'orientation']];
+        this.locations.forEach(lane => {
+            locationRows.push([lane.id, lane.name, lane.kind, Math.round(lane.x), Math.round(lane.y), Math.round(lane.width), Math.round(lane.height), this.laneOrientation]);
         });
 
-        this.selectedNodes = newNodes;
-        this.hideContextMenu();
-        this.queueRender();
+        return [
+            { name: 'Nodes', rows: nodeRows },
+            { name: 'Flows', rows: flowRows },
+            { name: 'Locations', rows: locationRows }
+        ];
     }
 
-    copySelectionToClipboard() {
-        if (this.selectedNodes.length === 0) {
-            this.showStatus('Nothing selected to copy', 'warning');
-            return;
-        }
-        const nodesCopy = JSON.parse(JSON.stringify(this.selectedNodes));
-        const selectedIds = new Set(this.selectedNodes.map(n => n.id));
-        const connsCopy = this.connections.filter(c => selectedIds.has(c.from) && selectedIds.has(c.to)).map(c => JSON.parse(JSON.stringify(c)));
-        const clip = { nodes: nodesCopy, connections: connsCopy };
-        this.stateManager.clipboard = clip;
-        this.internalClipboard = clip;
-        this.showStatus(`Copied ${nodesCopy.length} element(s) to clipboard`, 'success');
+    openDataExportModal() {
+        const modal = document.getElementById('dataExportModal');
+        if (!modal) return;
+        this.updateDataExportControls();
+        modal.classList.remove('hidden');
     }
 
-    pasteFromClipboard() {
-        const clip = this.internalClipboard || this.stateManager.clipboard;
-        if (!clip || !clip.nodes || clip.nodes.length === 0) {
-            this.showStatus('Clipboard is empty', 'warning');
+    hideDataExportModal() {
+        const modal = document.getElementById('dataExportModal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    updateDataExportControls() {
+        const format = document.getElementById('dataExportFormat');
+        const table = document.getElementById('dataExportTable');
+        if (format && table) table.closest('.form-group').style.display = format.value === 'csv' ? '' : 'none';
+    }
+
+    exportData(format, tableName) {
+        if (this.nodes.length === 0) {
+            this.showStatus('Nothing to export yet', 'warning');
             return;
         }
+        const tables = this.getDiagramTables();
+        if (format === 'csv') {
+            const table = tables.find(t => t.name === tableName) || tables[1];
+            // The BOM makes Excel open the file as UTF-8.
+            const blob = new Blob(['\uFEFF' + CsvTable.stringify(table.rows)], { type: 'text/csv;charset=utf-8' });
+            this.downloadBlob(blob, this.getExportFileName(`${table.name.toLowerCase()}.csv`));
+            this.showStatus(`${table.name} exported as CSV (${table.rows.length - 1} rows)`, 'success');
+            return;
+        }
+        this.downloadBlob(XlsxWorkbook.write(tables), this.getExportFileName('xlsx'));
+        this.showStatus('Diagram exported as Excel workbook!', 'success');
+    }
 
-        this.saveState();
-        const idMap = {};
-        const newNodes = [];
-        const offsetX = 20, offsetY = 20;
-
-        clip.nodes.forEach(orig => {
-            const newId = `node_${++this.nodeCounter}`;
-            idMap[orig.id] = newId;
-            const newNode = JSON.parse(JSON.stringify(orig));
-            newNode.id = newId;
-            newNode.x = (orig.x || 0) + offsetX;
-            newNode.y = (orig.y || 0) + offsetY;
-            this.nodes.push(newNode);
-            newNodes.push(newNode);
+    // Nodes and connections with ids both Mermaid and DOT accept unquoted where possible.
+    getDiagramGraph() {
+        const reserved = ['end', 'graph', 'flowchart', 'subgraph', 'style', 'class', 'classdef', 'click', 'linkstyle', 'direction',
+            'node', 'edge', 'digraph', 'strict'];
+        const ids = new Map();
+        const used = new Set();
+        this.nodes.forEach((node, index) => {
+            let id = String(node.id);
+            if (!/^[A-Za-z_]\w*$/.test(id) || reserved.includes(id.toLowerCase()) || used.has(id)) id = `n${index + 1}`;
+            while (used.has(id)) id += '_';
+            used.add(id);
+            ids.set(node.id, id);
         });
+        return {
+            nodes: this.nodes.map(node => ({ id: ids.get(node.id), label: node.label || '', kind: node.type })),
+            edges: this.connections
+                .filter(conn => ids.has(conn.from) && ids.has(conn.to))
+                .map(conn => ({ from: ids.get(conn.from), to: ids.get(conn.to), label: conn.label || '' }))
+        };
+    }
 
-        if (clip.connections && clip.connections.length > 0) {
-            clip.connections.forEach(c => {
-                const fromNew = idMap[c.from];
-                const toNew = idMap[c.to];
-                if (fromNew && toNew) {
-                    this.connections.push({ from: fromNew, to: toNew, label: c.label || '' });
-                }
-            });
-        }
+    getDiagramText(format) {
+        const graph = this.getDiagramGraph();
+        return format === 'dot' ? DotGraph.stringify(graph) : MermaidFlowchart.stringify(graph);
+    }
 
-        this.selectedNodes = newNodes;
-        this.queueRender();
-        this.showStatus(`Pasted ${newNodes.length} element(s)`, 'success');
-        this.saveState();
+    openDiagramTextModal() {
+        const modal = document.getElementById('diagramTextModal');
+        if (!modal) return;
+        this.updateDiagramText();
+        modal.classList.remove('hidden');
     }
 
-    deleteSelection() {
-        this.deleteSelected();
-        this.hideContextMenu();
+    hideDiagramTextModal() {
+        const modal = document.getElementById('diagramTextModal');
+        if (modal) modal.classList.add('hidden');
     }
 
-    loadExample() {
-        this.saveState();
-        this.nodes = [];
-        this.connections = [];
-        this.selectedNodes = [];
-        this.freehandStrokes = [];
-        this.selectedStrokes = [];
-        this.nodeCounter = 0;
+    updateDiagramText() {
+        const format = document.getElementById('diagramTextFormat');
+        const text = document.getElementById('diagramText');
+        if (format && text) text.value = this.nodes.length > 0 ? this.getDiagramText(format.value) : '';
+    }
 
-        this.sampleData.nodes.forEach(nodeData => {
-            const node = { ...nodeData };
-            if (node.type === 'textbox') { 
-                node.width = 120; 
-                node.height = 40; 
-                node.fontSize = 12; 
-            }
-            this.nodes.push(node);
-            this.nodeCounter++;
-        });
+    copyDiagramText() {
+        const text = document.getElementById('diagramText');
+        if (!text || !text.value.trim()) return;
+        const fallback = () => {
+            text.select();
+            this.showStatus(document.execCommand('copy') ? 'Copied to clipboard' : 'Select the text and copy it manually', 'info');
+        };
+        if (!navigator.clipboard) return fallback();
+        navigator.clipboard.writeText(text.value)
+            .then(() => this.showStatus('Copied to clipboard', 'success'))
+            .catch(fallback);
+    }
 
-        this.connections = [...this.sampleData.connections];
-        this.nodes.forEach(n => {
-            if (n.type === 'textbox') {
-                n.fontSize = n.fontSize || 12;
-                const dims = this.computeTextBoxDimensions(n.label || 'Click to edit text', n.fontSize);
-                n.width = dims.width;
-                n.height = dims.height;
+    downloadDiagramText() {
+        const format = document.getElementById('diagramTextFormat').value;
+        const text = document.getElementById('diagramText').value;
+        if (!text.trim()) {
+            this.showStatus('Nothing to export yet', 'warning');
+            return;
+        }
+        this.downloadBlob(new Blob([text], { type: 'text/plain;charset=utf-8' }), this.getExportFileName(format === 'dot' ? 'dot' : 'mmd'));
+        this.showStatus(`Diagram exported as ${format === 'dot' ? 'Graphviz DOT' : 'Mermaid'}!`, 'success');
+    }
+
+    exportDrawio() {
+        if (this.nodes.length === 0) {
+            this.showStatus('Nothing to export yet', 'warning');
+            return;
+        }
+        const html = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
+        const below = 'verticalLabelPosition=bottom;verticalAlign=top;labelPosition=center;align=center;whiteSpace=wrap;html=1;strokeWidth=2;';
+        const cells = [];
+        const laneCells = new Map();
+        this.locations.forEach((lane, index) => {
+            const id = `lane_${index + 1}`;
+            laneCells.set(lane, { id, x: lane.x, y: lane.y });
+            cells.push({
+                id, vertex: true, value: html(lane.name),
+                style: `swimlane;startSize=${LANE_HEADER_SIZE};horizontal=${this.laneOrientation === 'horizontal' ? 0 : 1};html=1;fillColor=none;locationKind=${lane.kind};`,
+                geometry: { x: lane.x, y: lane.y, width: lane.width, height: lane.height }
+            });
+        });
+        const ids = new Map();
+        this.nodes.forEach((node, index) => {
+            let size, style;
+            if (node.type === 'textbox') {
+                size = { width: node.width, height: node.height };
+                style = `rounded=0;whiteSpace=wrap;html=1;fillColor=none;strokeWidth=2;fontSize=${node.fontSize || 12};`;
+            } else if (node.type === 'material') {
+                size = { width: 32, height: 28 };
+                style = `triangle;direction=north;fillColor=#1fb8cd;strokeColor=#127681;${below}`;
+            } else {
+                size = { width: 50, height: 50 };
+                style = `ellipse;aspect=fixed;fillColor=#ffc185;strokeColor=#b4413c;${below}`;
             }
+            // Nodes inside a lane become its children, so moving the lane in draw.io moves them too.
+            const lane = laneCells.get(this.getLaneAt(node.x, node.y));
+            const id = `cell_${index + 1}`;
+            ids.set(node.id, id);
+            cells.push({
+                id, vertex: true, value: html(node.label || ''), style, parent: lane ? lane.id : '1',
+                geometry: { x: node.x - size.width / 2 - (lane ? lane.x : 0), y: node.y - size.height / 2 - (lane ? lane.y : 0), ...size }
+            });
         });
-        this.resetZoom();
-        this.showStatus('Sample supply chain loaded!', 'success');
+        const edgeStyles = { orthogonal: 'edgeStyle=orthogonalEdgeStyle;', curved: 'edgeStyle=orthogonalEdgeStyle;curved=1;' };
+        this.connections.forEach((conn, index) => {
+            if (!ids.has(conn.from) || !ids.has(conn.to)) return;
+            cells.push({
+                id: `flow_${index + 1}`, edge: true, value: html(conn.label || ''), source: ids.get(conn.from), target: ids.get(conn.to),
+                style: `${edgeStyles[conn.routing] || 'edgeStyle=none;'}endArrow=classic;html=1;rounded=0;strokeWidth=2;`
+            });
+        });
+        const blob = new Blob([DrawioFile.write(cells, 'Supply chain')], { type: 'application/xml' });
+        this.downloadBlob(blob, this.getExportFileName('drawio'));
+        this.showStatus(this.freehandStrokes.length > 0 ? 'Diagram exported for draw.io (freehand strokes are not included)' : 'Diagram exported for draw.io!', 'success');
     }
 
-    // Updated clear() to remove strokes
-    clear() {
-        this.saveState();
-        this.nodes = [];
-        this.connections = [];
-        this.selectedNodes = [];
-        this.freehandStrokes = []; // FIX: Clear strokes
-        this.selectedStrokes = [];
-        this.nodeCounter = 0;
-        this.resetZoom();
-        this.showStatus('Canvas cleared!', 'info');
+    getExportFileName(extension) {
+        return `supply-chain-diagram-${new Date().toISOString().split('T')[0]}.${extension}`;
     }
 
-    // Updated save() to include strokes
-    save() {
-        const data = { 
-            nodes: this.nodes, 
-            connections: this.connections, 
-            freehandStrokes: this.freehandStrokes, // FIX: Save strokes
-            timestamp: new Date().toISOString(), 
-            version: '4.0' 
-        };
-        const dataStr = JSON.stringify(data, null, 2);
-        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
-
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
         const link = document.createElement('a');
-        link.setAttribute('href', dataUri);
-        link.setAttribute('download', `supply-chain-diagram-${new Date().toISOString().split('T')[0]}.json`);
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
         link.click();
-        this.showStatus('Diagram saved!', 'success');
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
 
-    // Updated load() to read strokes
-    load() {
-        document.getElementById('fileInput').click();
+    // What an export covers: everything, or the selected nodes with the connections between them.
+    getExportScope(selectionOnly) {
+        if (selectionOnly) {
+            if (this.selectedNodes.length === 0 && this.selectedStrokes.length === 0) return null;
+            const ids = new Set(this.selectedNodes.map(n => n.id));
+            return {
+                nodes: [...this.selectedNodes],
+                connections: this.connections.filter(c => ids.has(c.from) && ids.has(c.to)),
+                strokes: this.freehandStrokes.filter(s => this.selectedStrokes.includes(s)),
+                lanes: []
+            };
+        }
+        if (this.nodes.length === 0 && this.freehandStrokes.length === 0 && this.locations.length === 0) return null;
+        return { nodes: [...this.nodes], connections: [...this.connections], strokes: [...this.freehandStrokes], lanes: [...this.locations] };
     }
 
-    handleFileLoad(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                this.saveState();
-                const data = JSON.parse(e.target.result);
-                this.nodes = data.nodes || [];
-                this.connections = data.connections || [];
-                this.freehandStrokes = data.freehandStrokes || []; // FIX: Load strokes
-                
-                let maxId = 0;
-                this.nodes.forEach(node => {
-                    if (node.id && node.id.startsWith('node_')) {
-                        const num = parseInt(node.id.split('_')[1], 10);
-                        if (!isNaN(num) && num > maxId) {
-                            maxId = num;
-                        }
-                    }
-                });
-                this.nodeCounter = maxId;
-
-                this.nodes.forEach(n => {
-                    if (n.type === 'textbox') {
-                        n.fontSize = n.fontSize || 12;
-                        const dims = this.computeTextBoxDimensions(n.label || 'Click to edit text', n.fontSize);
-                        n.width = dims.width;
-                        n.height = dims.height;
-                    }
-                });
-                this.selectedNodes = [];
-                this.selectedStrokes = [];
-                this.resetZoom();
-                this.showStatus('Diagram loaded successfully!', 'success');
-            } catch (error) {
-                this.showStatus('Error loading file! Please check file format.', 'error');
-            }
+    getContentBounds(scope, padding = 0) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const include = (x1, y1, x2, y2) => {
+            minX = Math.min(minX, x1); minY = Math.min(minY, y1);
+            maxX = Math.max(maxX, x2); maxY = Math.max(maxY, y2);
         };
-        reader.readAsText(file);
-        e.target.value = '';
-    }
-
-    exportPNG() {
-        const exportColors = this.getThemeColorsForScheme('light') || this.themeColors || {};
-
-        const scaleFactor = 2;
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = Math.max(1, Math.floor(this.canvas.width * scaleFactor));
-        tempCanvas.height = Math.max(1, Math.floor(this.canvas.height * scaleFactor));
-        const tctx = tempCanvas.getContext('2d');
+        const measure = this.getMeasureContext();
+        measure.font = '12px Arial, sans-serif';
 
-        tctx.scale(scaleFactor, scaleFactor);
-
-        tctx.fillStyle = exportColors.canvasSurface || '#ffffff';
-        tctx.fillRect(0, 0, tempCanvas.width / scaleFactor, tempCanvas.height / scaleFactor);
+        (scope.nodes || []).forEach(node => {
+            if (node.type === 'textbox') {
+                include(node.x - node.width / 2, node.y - node.height / 2, node.x + node.width / 2, node.y + node.height / 2);
+                return;
+            }
+            const radius = node.shape === 'circle' ? 25 : 32;
+            const lines = this.wrapTextForExport(measure, node.label || '', 100);
+            const labelWidth = Math.max(...lines.map(line => measure.measureText(line).width));
+            const half = Math.max(radius, labelWidth / 2);
+            include(node.x - half, node.y - radius, node.x + half, node.y + 40 + lines.length * 14);
+        });
+        (scope.lanes || []).forEach(lane => include(lane.x, lane.y, lane.x + lane.width, lane.y + lane.height));
+        (scope.strokes || []).forEach(stroke => {
+            const half = (stroke.width || this.penThickness || 4) / 2;
+            (stroke.points || []).forEach(p => include(p.x - half, p.y - half, p.x + half, p.y + half));
+        });
+        if (scope.connections && scope.connections.length) {
+            const obstacles = this.getRouteObstacles();
+            scope.connections.forEach(conn => {
+                const from = this.nodes.find(n => n.id === conn.from);
+                const to = this.nodes.find(n => n.id === conn.to);
+                if (!from || !to) return;
+                this.getConnectionPath(conn, from, to, obstacles).points.forEach(p => include(p.x, p.y, p.x, p.y));
+            });
+        }
 
-        tctx.translate(this.camera.x, this.camera.y);
-        tctx.scale(this.camera.zoom, this.camera.zoom);
+        if (minX === Infinity) return null;
+        return { x: minX - padding, y: minY - padding, width: maxX - minX + padding * 2, height: maxY - minY + padding * 2 };
+    }
 
-        this.drawGridForExport(tctx, exportColors);
+    getMeasureContext() {
+        if (!this._measureCtx) this._measureCtx = document.createElement('canvas').getContext('2d');
+        return this._measureCtx;
+    }
 
-        this.connections.forEach(conn => {
-            const fromNode = this.nodes.find(n => n.id === conn.from);
-            const toNode = this.nodes.find(n => n.id === conn.to);
-            if (fromNode && toNode) this.drawConnectionForExport(tctx, fromNode, toNode, exportColors);
-        });
+    exportSVG(selectionOnly = false) {
+        const scope = this.getExportScope(selectionOnly);
+        if (!scope) {
+            this.showStatus(selectionOnly ? 'No elements selected to export' : 'Nothing to export yet', 'warning');
+            return;
+        }
+        this.hideContextMenu();
+        const svg = this.buildSvg(scope, this.getThemeColorsForScheme('light') || {});
+        this.downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), this.getExportFileName('svg'));
+        this.showStatus(selectionOnly ? 'Selection exported as SVG!' : 'Diagram exported as SVG!', 'success');
+    }
 
-        this.nodes.forEach(node => this.drawNodeForExport(tctx, node, exportColors));
+    buildSvg(scope, colors, padding = 20) {
+        const bounds = this.getContentBounds(scope, padding);
+        const ctx = new SvgCanvasContext(this.getMeasureContext());
+        ctx.fillStyle = colors.canvasSurface || '#ffffff';
+        ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        // Strokes are written separately as masked polylines; the canvas layer trick has no SVG equivalent.
+        this.drawExportScene(ctx, scope, colors, { strokes: false });
+
+        const box = [bounds.x, bounds.y, bounds.width, bounds.height].map(v => ctx.num(v));
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${box[2]}" height="${box[3]}" viewBox="${box.join(' ')}">`,
+            '<title>Supply chain diagram</title>',
+            ctx.toString(),
+            this.buildSvgStrokes(scope.strokes, colors, bounds, ctx),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
 
-        // Note: Freehand strokes are not currently included in PNG export (omitted for simplicity as per original code logic)
-        
-        tempCanvas.toBlob(blob => {
-            if (!blob) {
-                this.showStatus('Failed to export PNG', 'error');
+    // Eraser strokes only remove ink drawn before them, so each one wraps everything so far in a mask.
+    buildSvgStrokes(strokes, colors, bounds, ctx) {
+        // A lone point is repeated so single taps still show up as a round dot.
+        const points = stroke => (stroke.points.length === 1 ? [stroke.points[0], stroke.points[0]] : stroke.points)
+            .map(p => `${ctx.num(p.x)},${ctx.num(p.y)}`).join(' ');
+        const attributes = stroke => `fill="none" stroke-width="${stroke.width || this.penThickness || 4}" stroke-linecap="round" stroke-linejoin="round"`;
+        const area = `x="${ctx.num(bounds.x)}" y="${ctx.num(bounds.y)}" width="${ctx.num(bounds.width)}" height="${ctx.num(bounds.height)}"`;
+        const masks = [];
+        let ink = '';
+        strokes.forEach(stroke => {
+            if (!stroke.points || stroke.points.length === 0) return;
+            if (stroke.tool === 'eraser') {
+                if (!ink) return;
+                const id = `inkMask${masks.length + 1}`;
+                masks.push(`<mask id="${id}" maskUnits="userSpaceOnUse" ${area}><rect ${area} fill="#ffffff"/>` +
+                    `<polyline points="${points(stroke)}" stroke="#000000" ${attributes(stroke)}/></mask>`);
+                ink = `<g mask="url(#${id})">${ink}</g>`;
                 return;
             }
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `supply-chain-diagram-${new Date().toISOString().split('T')[0]}.png`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-            this.showStatus('Diagram exported as PNG!', 'success');
-        }, 'image/png', 1.0);
+            ink += `<polyline points="${points(stroke)}"${ctx.paint('stroke', stroke.color || colors.text || '#000000')} ${attributes(stroke)}/>`;
+        });
+        if (!ink) return '';
+        return `${masks.length ? `<defs>${masks.join('')}</defs>\n` : ''}<g class="freehand">${ink}</g>`;
     }
 
-    drawGridForExport(ctx, colors = null) {
+    drawGridForExport(ctx, colors = null, area = this.getViewBounds()) {
         const theme = colors || this.themeColors || {};
         ctx.save();
         ctx.strokeStyle = theme.grid || (this.themeColors && this.themeColors.grid) || 'rgba(0, 0, 0, 0.08)';
         ctx.lineWidth = 1;
 
         const gridSize = 20;
-        const left = -this.camera.x / this.camera.zoom;
-        const top = -this.camera.y / this.camera.zoom;
-        const right = (this.canvas.width - this.camera.x) / this.camera.zoom;
-        const bottom = (this.canvas.height - this.camera.y) / this.camera.zoom;
+        const left = area.x;
+        const top = area.y;
+        const right = area.x + area.width;
+        const bottom = area.y + area.height;
 
         const startX = Math.floor(left / gridSize) * gridSize;
         const startY = Math.floor(top / gridSize) * gridSize;
@@ -2276,38 +8505,7 @@ class SupplyChainCanvas {
 
     getSelectionBounds() {
         if (this.selectedNodes.length === 0) return null;
-        
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
-        
-        this.selectedNodes.forEach(node => {
-            if (node.type === 'textbox') {
-                const halfWidth = node.width / 2;
-                const halfHeight = node.height / 2;
-                minX = Math.min(minX, node.x - halfWidth);
-                minY = Math.min(minY, node.y - halfHeight);
-                maxX = Math.max(maxX, node.x + halfWidth);
-                maxY = Math.max(maxY, node.y + halfHeight);
-            } else {
-                const radius = node.shape === 'circle' ? 25 : 32;
-                minX = Math.min(minX, node.x - radius);
-                minY = Math.min(minY, node.y - radius);
-                maxX = Math.max(maxX, node.x + radius);
-                maxY = Math.max(maxY, node.y + radius);
-                
-                const labelY = node.y + 40;
-                const labelHeight = 20;
-                minY = Math.min(minY, labelY - labelHeight / 2);
-                maxY = Math.max(maxY, labelY + labelHeight / 2);
-            }
-        });
-        
-        return {
-            x: minX,
-            y: minY,
-            width: maxX - minX,
-            height: maxY - minY
-        };
+        return this.getContentBounds({ nodes: this.selectedNodes });
     }
 
     copySelectionForExcel() {
@@ -2338,6 +8536,7 @@ class SupplyChainCanvas {
         
         tempCtx.translate(padding - bounds.x, padding - bounds.y);
         
+        const obstacles = this.getRouteObstacles();
         this.connections.forEach(conn => {
             const fromNode = this.nodes.find(n => n.id === conn.from);
             const toNode = this.nodes.find(n => n.id === conn.to);
@@ -2345,7 +8544,7 @@ class SupplyChainCanvas {
             if (fromNode && toNode && 
                 this.selectedNodes.includes(fromNode) && 
                 this.selectedNodes.includes(toNode)) {
-                this.drawConnectionForExport(tempCtx, fromNode, toNode, conn, exportColors);
+                this.drawConnectionForExport(tempCtx, fromNode, toNode, conn, exportColors, obstacles);
             }
         });
         
@@ -2372,57 +8571,15 @@ class SupplyChainCanvas {
         }, 'image/png', 1.0);
     }
 
-    drawConnectionForExport(ctx, fromNode, toNode, conn, colors = null) {
-        const headLength = 12;
-        const angle = Math.atan2(toNode.y - fromNode.y, toNode.x - fromNode.x);
-        const nodeRadius = 30;
-        
-        const adjFromX = fromNode.x + nodeRadius * Math.cos(angle);
-        const adjFromY = fromNode.y + nodeRadius * Math.sin(angle);
-        const adjToX = toNode.x - nodeRadius * Math.cos(angle);
-        const adjToY = toNode.y - nodeRadius * Math.sin(angle);
-        
+    drawConnectionForExport(ctx, fromNode, toNode, conn, colors = null, obstacles = undefined) {
         const theme = colors || this.themeColors || {};
-        ctx.save();
-        ctx.strokeStyle = theme.arrow || (this.themeColors && this.themeColors.arrow) || '#626c71';
-        ctx.lineWidth = 2;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        
-        ctx.beginPath();
-        ctx.moveTo(adjFromX, adjFromY);
-        ctx.lineTo(adjToX, adjToY);
-        ctx.stroke();
-        
-        ctx.fillStyle = theme.arrow || (this.themeColors && this.themeColors.arrow) || '#626c71';
-        ctx.beginPath();
-        ctx.moveTo(adjToX, adjToY);
-        ctx.lineTo(
-            adjToX - headLength * Math.cos(angle - Math.PI / 6),
-            adjToY - headLength * Math.sin(angle - Math.PI / 6)
-        );
-        ctx.lineTo(
-            adjToX - headLength * Math.cos(angle + Math.PI / 6),
-            adjToY - headLength * Math.sin(angle + Math.PI / 6)
-        );
-        ctx.closePath();
-        ctx.fill();
+        const path = this.getConnectionPath(conn || {}, fromNode, toNode, obstacles);
+        this.strokeConnectionPath(ctx, path, theme.arrow || (this.themeColors && this.themeColors.arrow) || '#626c71', 2, 12);
 
         if (conn && conn.label) {
-            const midX = (adjFromX + adjToX) / 2;
-            const midY = (adjFromY + adjToY) / 2;
-            
-            ctx.translate(midX, midY);
-            ctx.rotate(angle);
-            
-            ctx.fillStyle = theme.text || (this.themeColors && this.themeColors.text) || '#000000';
-            ctx.font = '12px Arial, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'bottom';
-            ctx.fillText(conn.label, 0, -8);
+            this.drawConnectionLabel(ctx, path, conn.label,
+                theme.text || (this.themeColors && this.themeColors.text) || '#000000', '12px Arial, sans-serif');
         }
-        
-        ctx.restore();
     }
 
     drawNodeForExport(ctx, node, colors = null) {
@@ -2504,6 +8661,7 @@ class SupplyChainCanvas {
     }
 
     wrapTextForExport(ctx, text, maxWidth) {
+        if (text.includes('\n')) return text.split('\n').flatMap(line => this.wrapTextForExport(ctx, line, maxWidth));
         const words = text.split(' ');
         const lines = [];
         let currentLine = words[0] || '';
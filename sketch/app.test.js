@@ -0,0 +1,298 @@
+// Run with: node --test sketch/
+// Loads app.js without a browser; only the DOM-free classes and canvas methods are exercised.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, 'app.js'), 'utf8');
+const document = { addEventListener() {}, getElementById() { return null; } };
+const context = vm.createContext({ window: {}, document, console, setTimeout, clearTimeout, Blob, TextEncoder, TextDecoder });
+vm.runInContext(source, context);
+// Top-level classes and constants are globals of the context's script scope, so look them up by name.
+const app = new Proxy({}, { get: (target, name) => vm.runInContext(String(name), context) });
+
+test('history entries hold only the changed items and replay them on undo and redo', () => {
+    const manager = new app.StateManager();
+    const steel = { id: 'n1', type: 'material', label: 'Steel', x: 0, y: 0 };
+    const casting = { id: 'n2', type: 'activity', label: 'Casting', x: 200, y: 0 };
+    manager.saveState({ nodes: [steel, casting], connections: [], nodeCounter: 2 }, 'Start');
+    manager.saveState({ nodes: [steel, { ...casting, x: 300 }], connections: [{ from: 'n1', to: 'n2' }], nodeCounter: 2 }, 'Move and link');
+    const patch = manager.history[1].patch;
+    assert.strictEqual(Object.keys(patch.collections).sort().join(), 'connections,nodes');
+    assert.strictEqual(patch.collections.nodes.after.map(record => record.key).join(), 'n2');
+    assert.strictEqual(manager.saveState({ nodes: [steel, { ...casting, x: 300 }], connections: [{ from: 'n1', to: 'n2' }], nodeCounter: 2 }, 'Nothing'), false);
+
+    const undone = manager.undo();
+    assert.strictEqual(undone.nodes[0], steel);
+    assert.strictEqual(undone.nodes[1].x, 200);
+    assert.strictEqual(undone.connections.length, 0);
+    assert.strictEqual(manager.getRedoLabel(), 'Move and link');
+    const redone = manager.redo();
+    assert.strictEqual(redone.nodes[1].x, 300);
+    assert.strictEqual(redone.connections.length, 1);
+});
+
+test('trimmed history makes the oldest kept entry the new base', () => {
+    const manager = new app.StateManager({ maxHistorySize: 3 });
+    [0, 1, 2, 3, 4].forEach(x => manager.saveState({ nodes: [{ id: 'n1', type: 'material', label: 'Steel', x, y: 0 }], connections: [] }, `Move ${x}`));
+    assert.strictEqual(manager.history.map(entry => entry.label).join(), 'Move 2,Move 3,Move 4');
+    assert.strictEqual(manager.history[0].patch, null);
+    manager.undo();
+    assert.strictEqual(manager.undo().nodes[0].x, 2);
+    assert.strictEqual(manager.canUndo(), false);
+});
+
+test('hiding the page writes a pending autosave at once', () => {
+    const saved = [];
+    const canvas = Object.create(app.SupplyChainCanvas.prototype);
+    Object.assign(canvas, {
+        nodes: [{ id: 'node_1', type: 'material', label: 'Steel' }], connections: [], freehandStrokes: [], locations: [],
+        laneOrientation: 'vertical', nodeCounter: 1, camera: { x: 40, y: 0, zoom: 2 }, sessionId: null,
+        sessionStore: { put: session => saved.push(session) && Promise.resolve() }
+    });
+    canvas.scheduleAutosave();
+    canvas.flushAutosave();
+    assert.strictEqual(saved.length, 1);
+    assert.deepStrictEqual({ ...saved[0].data.camera }, { x: 40, y: 0, zoom: 2 });
+});
+
+test('CSV tables sniff the delimiter and keep quoted delimiters, quotes and line breaks', () => {
+    const rows = app.CsvTable.parse('\uFEFFfrom;to;label\r\nSteel;"Plant; A";"says ""hi""\nthere"\r\n');
+    assert.strictEqual(JSON.stringify(rows), JSON.stringify([['from', 'to', 'label'], ['Steel', 'Plant; A', 'says "hi"\nthere']]));
+    assert.strictEqual(JSON.stringify(app.CsvTable.parse('a\tb\n1\t2')), JSON.stringify([['a', 'b'], ['1', '2']]));
+});
+
+// A canvas with just the model state the diagram-building and validation methods touch.
+function createCanvas() {
+    const canvas = Object.create(app.SupplyChainCanvas.prototype);
+    Object.assign(canvas, {
+        nodes: [], connections: [], locations: [], nodeCounter: 0, selectedNodes: [],
+        laneOrientation: 'vertical', layeredLayout: new app.LayeredLayout(), nlpParser: new app.NLPParser(),
+        queueRender() {}
+    });
+    return canvas;
+}
+
+// Runs importDiagramTables and returns the diagram it would apply.
+function importTables(sheets) {
+    const canvas = createCanvas();
+    let imported = null;
+    Object.assign(canvas, { applyDiagramData(data) { imported = data; }, saveState() {}, resetZoom() {}, showStatus() {}, showImportReport() {} });
+    canvas.importDiagramTables(sheets, 'diagram.xlsx');
+    return imported;
+}
+
+test('CSV tables quote only the fields that need it and read back the same rows', () => {
+    const rows = [['from', 'to', 'label'], ['Steel', 'Plant; A', 'says "hi"\nthere']];
+    const text = app.CsvTable.stringify(rows);
+    assert.strictEqual(text, 'from,to,label\r\nSteel,Plant; A,"says ""hi""\nthere"\r\n');
+    assert.strictEqual(JSON.stringify(app.CsvTable.parse(text)), JSON.stringify(rows));
+});
+
+test('XLSX workbooks are stored ZIP archives that read back entry by entry', async () => {
+    const blob = app.XlsxWorkbook.write([{ name: 'Flows', rows: [['from', 'qty_per'], ['Steel & Co', 2.5]] }]);
+    const files = await app.ZipArchive.read(await blob.arrayBuffer());
+    assert.strictEqual([...files.keys()].join(), '[Content_Types].xml,_rels/.rels,xl/workbook.xml,xl/_rels/workbook.xml.rels,xl/styles.xml,xl/worksheets/sheet1.xml');
+    const text = name => new TextDecoder().decode(files.get(name));
+    assert.match(text('xl/workbook.xml'), /<sheet name="Flows" sheetId="1" r:id="rId1"\/>/);
+    assert.match(text('xl/worksheets/sheet1.xml'), /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Steel &amp; Co<\/t><\/is><\/c><c r="B2"><v>2.5<\/v><\/c>/);
+});
+
+test('diagram tables keep text flow attributes as text', () => {
+    const diagram = importTables([
+        { name: 'Nodes', rows: [['id', 'type', 'label', 'x', 'y'], ['n1', 'material', 'Steel', '0', '0'], ['n2', 'activity', 'Casting', '200', '0']] },
+        { name: 'Flows', rows: [['from', 'to', 'from_id', 'to_id', 'uom'], ['Steel', 'Casting', 'n1', 'n2', '10']] }
+    ]);
+    assert.strictEqual(diagram.nodes[1].x, 200);
+    assert.strictEqual(diagram.connections[0].uom, '10');
+});
+
+test('Mermaid flowcharts read back what they write, brackets and bars included', () => {
+    const graph = {
+        nodes: [{ id: 'n1', kind: 'material', label: 'Steel [coil] | grade "A"' }, { id: 'n2', kind: 'activity', label: 'Cut\n(slit)' }],
+        edges: [{ from: 'n1', to: 'n2', label: 'qty | 2 [kg]' }]
+    };
+    const parsed = app.MermaidFlowchart.parse(app.MermaidFlowchart.stringify(graph));
+    assert.strictEqual(JSON.stringify(parsed.nodes.map(({ id, shape, label }) => ({ id, shape, label }))), JSON.stringify([
+        { id: 'n1', shape: 'material', label: 'Steel [coil] | grade "A"' },
+        { id: 'n2', shape: 'activity', label: 'Cut\n(slit)' }
+    ]));
+    assert.strictEqual(JSON.stringify(parsed.edges.map(({ from, to, label }) => ({ from, to, label }))), JSON.stringify([{ from: 'n1', to: 'n2', label: 'qty | 2 [kg]' }]));
+    assert.strictEqual(parsed.problems.length, 0);
+});
+
+test('Mermaid chains and fan-outs become one edge per pair', () => {
+    const parsed = app.MermaidFlowchart.parse('graph TD\n    A[/Steel\\] --> B((Cut)) & C((Bend))\n    B -->|2 kg| D[Part]; C --> D\n    oops ->\n');
+    assert.strictEqual(parsed.edges.map(e => `${e.from}>${e.to}${e.label ? ` ${e.label}` : ''}`).join(), 'A>B,A>C,B>D 2 kg,C>D');
+    assert.strictEqual(parsed.nodes.map(n => `${n.id}:${n.shape}`).join(), 'A:material,B:activity,C:activity,D:box');
+    assert.strictEqual(parsed.problems.map(p => p.line).join(), '4');
+});
+
+test('DOT graphs apply node defaults, flatten subgraphs and unescape labels', () => {
+    const parsed = app.DotGraph.parse([
+        'digraph "Supply chain" {',
+        '    node [shape=circle];',
+        '    steel [label="Steel\\nCoil", shape=triangle];',
+        '    subgraph cluster_plant { cut; bend }',
+        '    steel -> { cut bend } [label="2 kg"];',
+        '}'
+    ].join('\n'));
+    assert.strictEqual(parsed.nodes.map(n => `${n.id}:${n.shape}:${n.label}`).join(), 'steel:material:Steel\nCoil,cut:activity:cut,bend:activity:bend');
+    assert.strictEqual(parsed.edges.map(e => `${e.from}>${e.to} ${e.label}`).join(), 'steel>cut 2 kg,steel>bend 2 kg');
+    const graph = { nodes: [{ id: 'node', kind: 'material', label: 'Say "hi"' }], edges: [] };
+    assert.strictEqual(app.DotGraph.parse(app.DotGraph.stringify(graph)).nodes[0].label, 'Say "hi"');
+});
+
+test('only cycles through production steps are reported as errors', () => {
+    const canvas = createCanvas();
+    const node = (id, type, label) => canvas.normalizeNodeAttributes({ id, type, label, x: 0, y: 0 });
+    canvas.nodes = [
+        node('m1', 'material', 'Pallet'), node('a1', 'activity', 'Shipping'), node('m2', 'material', 'Pallet at DC'), node('a2', 'activity', 'Return Transport'),
+        node('m3', 'material', 'Alloy'), node('a3', 'activity', 'Casting'), node('m4', 'material', 'Casting Scrap'), node('a4', 'activity', 'Remelting')
+    ];
+    canvas.connections = [['m1', 'a1'], ['a1', 'm2'], ['m2', 'a2'], ['a2', 'm1'], ['m3', 'a3'], ['a3', 'm4'], ['m4', 'a4'], ['a4', 'm3']]
+        .map(([from, to], i) => ({ id: `c${i}`, from, to }));
+    const cycles = canvas.validateDiagram()
+        .filter(issue => issue.check === 'cycle' || issue.check === 'loop')
+        .map(issue => `${issue.severity}: ${issue.message}`);
+    assert.deepStrictEqual([...cycles], [
+        'error: Cycle in the BOM: "Alloy" → "Casting" → "Casting Scrap" → "Remelting"',
+        'warning: Loop in the flow: "Pallet" → "Shipping" → "Pallet at DC" → "Return Transport"'
+    ]);
+});
+
+test('the indented BOM multiplies quantities, scrap and yield down the levels', () => {
+    const canvas = createCanvas();
+    const node = (id, type, label) => canvas.normalizeNodeAttributes({ id, type, label, x: 0, y: 0 });
+    canvas.nodes = [
+        node('bike', 'material', 'Bike'), node('assembly', 'activity', 'Assembly'), node('frame', 'material', 'Frame'),
+        node('wheel', 'material', 'Wheel'), node('welding', 'activity', 'Welding'), node('tube', 'material', 'Tube')
+    ];
+    canvas.connections = [
+        { from: 'frame', to: 'assembly', qtyPer: 1 }, { from: 'wheel', to: 'assembly', qtyPer: 2, scrapPct: 10 },
+        { from: 'assembly', to: 'bike' }, { from: 'tube', to: 'welding', qtyPer: 3 }, { from: 'welding', to: 'frame', yield: 2 }
+    ];
+    const rows = canvas.getBomExplosion(canvas.nodes[0]).map(row => `${row.level} ${row.node.label} ${Math.round(row.total * 100) / 100}${row.assumed ? ' assumed' : ''}`);
+    assert.strictEqual(rows.join(), '1 Frame 1 assumed,2 Tube 1.5,1 Wheel 2.2 assumed');
+});
+
+test('diagram tables bring numeric flow attributes back as numbers', () => {
+    const diagram = importTables([
+        { name: 'Nodes', rows: [['id', 'type', 'label', 'x', 'y'], ['n1', 'material', 'Steel', '0', '0'], ['n2', 'activity', 'Casting', '200', '0']] },
+        { name: 'Flows', rows: [['from', 'to', 'from_id', 'to_id', 'qty_per', 'scrap_pct', 'uom'], ['Steel', 'Casting', 'n1', 'n2', '2.5', 'n/a', '10']] }
+    ]);
+    assert.strictEqual(diagram.connections[0].qtyPer, 2.5);
+    assert.strictEqual(diagram.connections[0].scrapPct, undefined);
+    assert.strictEqual(diagram.connections[0].uom, '10');
+});
+
+test('the flow simulation repeats exactly for the same seed', () => {
+    const canvas = createCanvas();
+    const node = (id, type, label, attributes) => canvas.normalizeNodeAttributes({ id, type, label, x: 0, y: 0, attributes });
+    canvas.nodes = [
+        node('steel', 'material', 'Steel', {}), node('assembly', 'activity', 'Assembly', { duration: 1 }),
+        node('bike', 'material', 'Bike', { demand: 4, initialStock: 5 })
+    ];
+    canvas.connections = [{ from: 'steel', to: 'assembly', qtyPer: 2 }, { from: 'assembly', to: 'bike' }];
+    const model = canvas.getSimulationModel();
+    const run = seed => new app.FlowSimulation(model, { seed, days: 20 }).run();
+    const trace = result => result.snapshots.map(snap => `${snap.demand.get('bike') || 0}/${snap.served.get('bike') || 0}/${snap.stock.get('bike')}`).join(' ');
+    assert.strictEqual(trace(run(7)), trace(run(7)));
+    assert.notStrictEqual(trace(run(7)), trace(run(8)));
+    const result = run(7);
+    assert.ok(result.snapshots.every(snap => snap.stock.get('bike') >= 0));
+    assert.ok(result.jobs.filter(job => job.activityId === 'assembly').every(job => Math.abs(job.inputs[0] - 2 * job.quantity) < 1e-9));
+});
+
+test('the inventory policy gives safety stock, reorder point and EOQ', () => {
+    const round = value => Math.round(value * 100) / 100;
+    const policy = app.InventoryPolicy.compute({ demand: 10, demandStdDev: 3, leadTime: 4, serviceLevel: 95, orderCost: 50, holdingCost: 2 });
+    assert.deepStrictEqual([policy.z, policy.safetyStock, policy.reorderPoint, policy.eoq].map(round), [1.64, 9.87, 49.87, 427.2]);
+    const partial = app.InventoryPolicy.compute({ demand: 10, leadTime: 4 });
+    assert.deepStrictEqual([partial.z, partial.safetyStock, partial.reorderPoint, partial.eoq], [null, null, 40, null]);
+});
+
+function generate(text) {
+    const canvas = createCanvas();
+    const result = canvas.nlpParser.parse(text);
+    if (result.steps.length > 0) canvas.buildDiagramFromNetwork(result.steps);
+    else canvas.buildDiagramFromTokens(result.tokens);
+    const byId = new Map(canvas.nodes.map(n => [n.id, n.label.replace(/\n/g, ' ')]));
+    return { result, flows: canvas.connections.map(c => `${byId.get(c.from)} -> ${byId.get(c.to)}`) };
+}
+
+test('clauses read only as keywords are chained onto the structured steps', () => {
+    const { result, flows } = generate('Bike is made from steel at Plant A. Then it goes to distribution then customers. Blah blah.');
+    assert.deepStrictEqual(flows, [
+        'Steel at Plant A -> Production',
+        'Production -> Bike at Plant A',
+        'Bike at Plant A -> Distribution',
+        'Distribution -> Customers'
+    ]);
+    assert.deepStrictEqual([...result.unparsed], ['Blah blah']);
+});
+
+test('a material "being sent" keeps its name', () => {
+    const { flows } = generate('raw material being sent from supplier to plant via truck');
+    assert.deepStrictEqual(flows, ['Raw Material at Supplier -> Truck', 'Truck -> Raw Material at Plant']);
+});
+
+test('"then" inside a clause does not split it', () => {
+    const { result, flows } = generate('Bike is shipped from Plant A to DC North. It is then delivered to Store 5.');
+    assert.deepStrictEqual(flows, [
+        'Bike at Plant A -> Shipping',
+        'Shipping -> Bike at DC North',
+        'Bike at DC North -> Delivery',
+        'Delivery -> Bike at Store 5'
+    ]);
+    assert.deepStrictEqual([...result.unparsed], []);
+});
+
+test('appended keywords reuse materials already on the diagram', () => {
+    const canvas = createCanvas();
+    const raw = canvas.addNode('material', 0, 0, 'Raw Material');
+    const result = canvas.nlpParser.parse('raw material goes to assembly then components');
+    canvas.buildDiagramFromTokens(result.tokens, canvas.nodes.slice());
+    assert.deepStrictEqual(canvas.nodes.map(n => n.label), ['Raw Material', 'Assembly', 'Components']);
+    assert.strictEqual(canvas.connections[0].from, raw.id);
+});
+
+test('a chain of process keywords is not read as a movement to a location', () => {
+    const { flows } = generate('raw material goes to manufacturing then finished goods then distribution');
+    assert.deepStrictEqual(flows, [
+        'Raw Material -> Manufacturing',
+        'Manufacturing -> Finished Goods',
+        'Finished Goods -> Distribution'
+    ]);
+});
+
+test('generic movement verbs still move named materials between sites', () => {
+    const { flows } = generate('FG-1002 goes from Plant Pune to DC Delhi');
+    assert.deepStrictEqual(flows, ['FG-1002 at Plant Pune -> Transport', 'Transport -> FG-1002 at DC Delhi']);
+});
+
+test('every built-in template is one connected network without BOM cycles', () => {
+    [1, 3].forEach(sites => app.SUPPLY_CHAIN_ARCHETYPES.forEach(archetype => {
+        const builder = new app.TemplateBuilder();
+        archetype.build(builder, { suppliers: sites, plants: sites, dcs: sites });
+        const canvas = createCanvas();
+        canvas.nodes = builder.nodes.map(node => canvas.normalizeNodeAttributes({ ...node, x: 0, y: 0 }));
+        canvas.connections = builder.connections;
+        const problems = canvas.validateDiagram()
+            .filter(issue => issue.severity === 'error' || issue.check === 'island')
+            .map(issue => issue.message);
+        assert.deepStrictEqual([...problems], [], `${archetype.name} with ${sites} of each site`);
+    }));
+});
+
+test('inserted templates keep their material locations', () => {
+    const canvas = createCanvas();
+    Object.assign(canvas, { hideTemplateModal() {}, saveState() {}, showStatus() {} });
+    const steel = { id: 'n1', type: 'material', label: 'Steel', x: 100, y: 100, locationId: 'loc_1', attributes: { location: 'Plant A' } };
+    canvas.insertTemplate({ name: 'Steel', nodes: [steel], connections: [] }, 'Steel', false);
+    canvas.assignNodesToLanes();
+    assert.strictEqual(canvas.nodes[0].locationId, undefined);
+    assert.strictEqual(canvas.nodes[0].attributes.location, 'Plant A');
+});